@@ -62,16 +62,17 @@ function parseLeadsheet(content, filename) {
     .map(bar => bar.trim())
     .filter(bar => bar.length > 0);
 
-  // Convert to our format
+  // Convert to our format: one string per bar
+  // Multiple chords per bar are kept space-separated ("Dm7 G7")
   result.chords = rawChords.map(bar => {
-    // Handle multiple chords per bar (split by space)
     const chordsInBar = bar.split(/\s+/).filter(c => c.length > 0);
+    if (chordsInBar.length <= 1) {
+      return convertChordSymbol(chordsInBar[0] || 'NC');
+    }
 
-    // For now, take first chord of bar (simplification)
-    // Could expand to handle 2 chords per bar later
-    const chord = chordsInBar[0] || 'NC';
-
-    return convertChordSymbol(chord);
+    return chordsInBar
+      .map(chord => chord === '/' ? '/' : convertChordSymbol(chord))
+      .join(' ');
   });
 
   // Use filename as title if none found
@@ -1,8 +1,11 @@
 /**
  * AudioEngine.js - Orquestador principal de audio
  *
- * Coordina JazzSynth, WalkingBass y Drummer con el Transport de Tone.js.
- * Reproduce progresiones completas sincronizadas.
+ * Coordina JazzSynth, WalkingBass, Drummer y Metronome con el Transport de Tone.js.
+ * Reproduce progresiones completas sincronizadas: en loop o, con un arreglo
+ * activo (Arrangement.js), de principio a fin. La claqueta (ClickTrack.js)
+ * suena antes del primer compas y queda fuera del loop. En modo practica
+ * (PracticeLoop.js) el loop es un rango de compases y el tempo sube por vuelta.
  */
 
 import * as Tone from 'tone'
@@ -10,79 +13,91 @@ import { JazzSynth, getJazzSynth, disposeJazzSynth } from './JazzSynth.js'
 import { SampledPiano, getSampledPiano, disposeSampledPiano } from './SampledPiano.js'
 import { WalkingBass, getWalkingBass, disposeWalkingBass } from './WalkingBass.js'
 import { Drummer, getDrummer, disposeDrummer } from './Drummer.js'
-import { initAudio, setTempo, setSwing, midiToNote, midiArrayToNotes } from './ToneSetup.js'
-import { JAZZ_DEGREES } from '../engine/JazzDegrees.js'
-import { CHORD_TYPES } from '../engine/ChordTypes.js'
+import { Metronome, getMetronome, disposeMetronome } from './Metronome.js'
+import { initAudio, setTempo, setSwing, setTimeSignature, midiToNote, midiArrayToNotes } from './ToneSetup.js'
+import { resolveDegree, getDegreeRootPitch } from '../engine/DegreeRegistry.js'
+import { NO_CHORD } from '../engine/ChordConverter.js'
 import { getVoicing } from '../engine/Voicings.js'
-
-/**
- * Fallback parser for unknown degrees
- * Extracts root interval and chord type from degree string
- */
-function parseDegreeString(degreeStr) {
-  // Roman numeral to semitone mapping
-  const numeralToRoot = {
-    'I': 0, 'bII': 1, 'II': 2, 'bIII': 3, 'III': 4, 'IV': 5,
-    '#IV': 6, 'bV': 6, 'V': 7, 'bVI': 8, 'VI': 9, 'bVII': 10, 'VII': 11
-  }
-
-  // Extract numeral and quality from degree string
-  const match = degreeStr.match(/^(b?#?[IViv]+)(.*)$/)
-  if (!match) {
-    return { root: 0, type: 'maj7' } // Default fallback
-  }
-
-  const numeral = match[1].toUpperCase()
-  const quality = match[2] || 'maj7'
-
-  // Map numeral to root
-  let root = numeralToRoot[numeral]
-  if (root === undefined) {
-    // Try without accidentals
-    const baseNumeral = numeral.replace(/[b#]/, '')
-    root = numeralToRoot[baseNumeral] ?? 0
-  }
-
-  // Normalize quality to known type
-  const typeMap = {
-    'maj7': 'maj7', 'maj9': 'maj9', '6': '6',
-    'm7': 'm7', 'm9': 'm9', 'min7': 'm7',
-    '7': '7', '9': '9', '13': '13', '7alt': '7alt',
-    'm7b5': 'm7b5', 'dim7': 'dim7',
-    'sus': 'sus', 'sus4': 'sus', '7sus': '7sus', '7sus4': '7sus',
-    'aug': 'aug'
-  }
-
-  const type = typeMap[quality] || 'maj7'
-
-  return { root, type }
-}
+import { planVoicings, DEFAULT_VOICING_RANGE } from '../engine/VoiceLeading.js'
+import {
+  planComping,
+  isSwingComping,
+  DEFAULT_COMPING_STYLE,
+  DEFAULT_COMPING_DENSITY,
+  DEFAULT_COMPING_VARIATION
+} from '../engine/Comping.js'
+import { groupIntoBars, getChordIndexAtBeat, getTotalBars } from '../engine/HarmonicRhythm.js'
+import { DEFAULT_METER, getMeterInfo } from '../engine/Meter.js'
+import { planBassLine, isSwingFeel, DEFAULT_BASS_FEEL } from '../engine/BassLine.js'
+import { planDrums, isSwingGroove, DEFAULT_DRUM_GROOVE } from '../engine/DrumGrooves.js'
+import { humanize, getSwingDelay, DEFAULT_HUMANIZE } from '../engine/Humanize.js'
+import { planArrangement, normalizeArrangement, getPartAtBar, DEFAULT_ARRANGEMENT } from '../engine/Arrangement.js'
+import { planClicks, planCountIn, normalizeMetronome, DEFAULT_METRONOME } from '../engine/ClickTrack.js'
+import {
+  normalizePractice,
+  getPracticeRange,
+  getPassTempo,
+  getDropTempo,
+  DEFAULT_PRACTICE
+} from '../engine/PracticeLoop.js'
+import { normalizeTrading, getTradePhraseBars, DEFAULT_TRADING } from '../engine/Trading.js'
 
 export class AudioEngine {
   constructor() {
     this.piano = null
     this.bass = null
     this.drums = null
+    this.click = null
 
     this.isInitialized = false
     this.isPlaying = false
     this.scheduledEvents = []
 
     this.progression = []
+    this.bars = []             // Progresion agrupada por compases (HarmonicRhythm)
+    this.voicings = []         // Voicing planificado de cada acorde (VoiceLeading)
+    this.comping = []          // Golpes del piano por compas (Comping) de la vuelta actual
+    this.compingPass = -1
+    this.bassLine = []         // Notas del bajo por compas (BassLine) de la vuelta actual
+    this.bassPass = -1
+    this.drumHits = []         // Golpes de bateria por compas (DrumGrooves) de la vuelta actual
+    this.drumPass = -1
     this.currentMeasure = 0
     this.loopEnabled = true
+    this.pass = 0              // Vuelta del loop (para variar bajo y bateria de forma reproducible)
+    this.lastBarIndex = -1
+    this.arrangement = normalizeArrangement(DEFAULT_ARRANGEMENT)
+    this.performance = null    // Interpretacion planificada del arreglo (null = loop)
+    this.metronome = normalizeMetronome(DEFAULT_METRONOME)
+    this.clicks = []           // Golpes del metronomo por compas (ClickTrack)
+    this.countInBars = 0       // Compases de claqueta de la reproduccion en curso
+    this.practice = normalizePractice(DEFAULT_PRACTICE)
+    this.loopRange = { start: 0, end: 0 } // Compases del loop en curso (end excluido)
+    this.practiceTempo = null  // Tempo actual de la practica (null = sin practica en curso)
+    this.passTempo = null      // Tempo mas bajo de la vuelta en curso (el que cuenta como record)
+    this.practiceDrop = false  // Bajar un paso al empezar el siguiente compas
+    this.trading = normalizeTrading(DEFAULT_TRADING) // Intercambio con el solo IA: fill en cada relevo
 
     // Configuracion
     this.config = {
       tempo: 120,
       swing: 0.3,
       voicingStyle: 'shell',
+      voicingRange: DEFAULT_VOICING_RANGE, // {low, high} MIDI del piano
+      compingStyle: DEFAULT_COMPING_STYLE,
+      compingDensity: DEFAULT_COMPING_DENSITY,
+      compingVariation: DEFAULT_COMPING_VARIATION,
+      bassFeel: DEFAULT_BASS_FEEL,
+      drumGroove: DEFAULT_DRUM_GROOVE,
+      humanize: DEFAULT_HUMANIZE, // Feel: 0 rejilla - 1 maximo (Humanize.js)
       bassEnabled: true,
       drumsEnabled: true,
       pianoVolume: 0.8,
       bassVolume: 0.7,
       drumsVolume: 0.5,
-      useSamples: false  // Use sampled piano instead of synthesis
+      clickVolume: 0.6,
+      useSamples: false,  // Use sampled piano instead of synthesis
+      meter: DEFAULT_METER  // '4/4' | '3/4' | '5/4' | '6/8' | '7/4'
     }
 
     // Sample loading state
@@ -92,6 +107,8 @@ export class AudioEngine {
     // Callback para actualizar UI
     this.onBeatCallback = null
     this.onMeasureCallback = null
+    this.onEndCallback = null
+    this.onPracticeCallback = null
   }
 
   /**
@@ -107,6 +124,8 @@ export class AudioEngine {
     this.piano = getJazzSynth()
     this.bass = getWalkingBass()
     this.drums = getDrummer()
+    this.click = getMetronome()
+    this.click.setRecorded(this.metronome.includeInExport)
 
     // Aplicar configuracion inicial
     this.applyConfig()
@@ -151,8 +170,10 @@ export class AudioEngine {
    * Aplica la configuracion actual a los instrumentos
    */
   applyConfig() {
-    setTempo(this.config.tempo)
+    const meter = getMeterInfo(this.config.meter)
+    setTempo(this.practiceTempo ?? this.config.tempo)
     setSwing(this.config.swing)
+    setTimeSignature(meter.beats, meter.unit)
 
     if (this.piano) {
       this.piano.setVolumeNormalized(this.config.pianoVolume)
@@ -162,8 +183,24 @@ export class AudioEngine {
     }
     if (this.drums) {
       this.drums.setVolumeNormalized(this.config.drumsVolume)
-      this.drums.setSwing(this.config.swing)
     }
+    if (this.click) {
+      this.click.setVolumeNormalized(this.config.clickVolume)
+    }
+  }
+
+  /**
+   * Pulsos por compas segun el compas configurado
+   */
+  getBeatsPerBar() {
+    return getMeterInfo(this.config.meter).beats
+  }
+
+  /**
+   * Figura del pulso en notacion Tone.js ('4n', '8n')
+   */
+  getBeatNotation() {
+    return `${getMeterInfo(this.config.meter).unit}n`
   }
 
   /**
@@ -171,17 +208,229 @@ export class AudioEngine {
    */
   configure(config) {
     this.config = { ...this.config, ...config }
+    if (config.voicingStyle || config.voicingRange) {
+      this.planVoicings()
+    } else if (['compingStyle', 'compingDensity', 'compingVariation', 'meter', 'humanize'].some(k => k in config)) {
+      this.planComping(Math.max(0, this.compingPass))
+    }
+    if (['bassFeel', 'meter', 'humanize'].some(k => k in config)) {
+      this.planBass(Math.max(0, this.bassPass))
+    }
+    if (['drumGroove', 'meter', 'humanize'].some(k => k in config)) {
+      this.planDrums(Math.max(0, this.drumPass))
+    }
+    this.planPerformance()
     if (this.isInitialized) {
       this.applyConfig()
     }
   }
 
+  /**
+   * Recalcula los voicings de toda la progresion (conduccion de voces)
+   */
+  planVoicings() {
+    this.voicings = planVoicings(this.progression, {
+      style: this.config.voicingStyle,
+      range: this.config.voicingRange
+    })
+    this.planComping(Math.max(0, this.compingPass))
+  }
+
+  /**
+   * Arreglo de la interpretacion (Arrangement.js); desactivado = loop de la progresion
+   * @param {object} arrangement
+   */
+  setArrangement(arrangement) {
+    this.arrangement = normalizeArrangement(arrangement)
+    this.planPerformance()
+  }
+
+  /**
+   * Indica si se toca el arreglo completo en lugar del loop
+   */
+  isArranged() {
+    return this.arrangement.enabled && this.progression.length > 0
+  }
+
+  /**
+   * Compases de una reproduccion completa: claqueta + una vuelta del loop o el arreglo entero
+   */
+  getPlaybackBars() {
+    if (this.performance) return this.metronome.countIn + this.performance.totalBars
+    const range = this.getLoopRange()
+    return this.metronome.countIn + range.end - range.start
+  }
+
+  /**
+   * Ajustes del loop de practica (PracticeLoop.js)
+   * El rango se aplica al programar la reproduccion; modo, paso y objetivo, en la siguiente vuelta
+   * @param {object} practice
+   */
+  setPractice(practice) {
+    this.practice = normalizePractice(practice)
+  }
+
+  /**
+   * Intercambio con el solo IA (Trading.js): la bateria mete un fill antes de cada relevo
+   * @param {object} trading
+   */
+  setTrading(trading) {
+    this.trading = normalizeTrading(trading)
+    this.planDrums(Math.max(0, this.drumPass))
+    this.planPerformance()
+  }
+
+  /**
+   * Indica si el loop es un rango de practica (no aplica al arreglo completo)
+   */
+  isPracticing() {
+    return this.practice.enabled && !this.performance && this.progression.length > 0
+  }
+
+  /**
+   * Compases que suenan en loop: el rango de practica o la progresion entera
+   * @returns {{start: number, end: number}} end excluido
+   */
+  getLoopRange() {
+    const totalBars = getTotalBars(this.progression, this.getBeatsPerBar())
+    return this.isPracticing() ? getPracticeRange(this.practice, totalBars) : { start: 0, end: totalBars }
+  }
+
+  /**
+   * Planifica la interpretacion completa del arreglo (eventos agrupados por compas)
+   * Es la misma que exporta MidiExporter
+   */
+  planPerformance() {
+    if (!this.isArranged()) {
+      this.performance = null
+      this.planClicks()
+      return
+    }
+
+    const plan = planArrangement(this.progression, this.arrangement, {
+      meter: this.config.meter,
+      voicingStyle: this.config.voicingStyle,
+      voicingRange: this.config.voicingRange,
+      compingStyle: this.config.compingStyle,
+      compingDensity: this.config.compingDensity,
+      compingVariation: this.config.compingVariation,
+      bassFeel: this.config.bassFeel,
+      drumGroove: this.config.drumGroove,
+      humanize: this.config.humanize,
+      tradeBars: getTradePhraseBars(this.trading)
+    })
+    const byBar = events => {
+      const grouped = []
+      for (const event of events) {
+        if (!grouped[event.bar]) grouped[event.bar] = []
+        grouped[event.bar].push(event)
+      }
+      return grouped
+    }
+
+    this.performance = {
+      parts: plan.parts,
+      bars: plan.bars,
+      totalBars: plan.totalBars,
+      comping: byBar(plan.comping),
+      bass: byBar(plan.bass),
+      drums: byBar(plan.drums)
+    }
+    this.planClicks()
+  }
+
+  /**
+   * Ajustes del metronomo y la claqueta (ClickTrack.js)
+   * @param {object} metronome
+   */
+  setMetronome(metronome) {
+    this.metronome = normalizeMetronome(metronome)
+    if (this.click) this.click.setRecorded(this.metronome.includeInExport)
+    this.planClicks()
+  }
+
+  /**
+   * Recalcula los golpes del metronomo (agrupados por compas) sobre el loop o el arreglo
+   */
+  planClicks() {
+    const bars = this.performance ? this.performance.bars : groupIntoBars(this.progression, this.getBeatsPerBar())
+    this.clicks = []
+    for (const click of planClicks(bars, this.metronome, { meter: this.config.meter })) {
+      if (!this.clicks[click.bar]) this.clicks[click.bar] = []
+      this.clicks[click.bar].push(click)
+    }
+  }
+
+  /**
+   * Recalcula los golpes del piano de una vuelta del loop (agrupados por compas)
+   * @param {number} pass - Vuelta (cada una varia de forma reproducible)
+   */
+  planComping(pass = 0) {
+    const events = humanize(planComping(this.progression, this.voicings, {
+      style: this.config.compingStyle,
+      density: this.config.compingDensity,
+      variation: this.config.compingVariation,
+      meter: this.config.meter,
+      pass
+    }), 'piano', { amount: this.config.humanize, meter: this.config.meter, pass })
+    this.comping = []
+    for (const event of events) {
+      if (!this.comping[event.bar]) this.comping[event.bar] = []
+      this.comping[event.bar].push(event)
+    }
+    this.compingPass = pass
+  }
+
+  /**
+   * Recalcula la linea de bajo de una vuelta del loop (agrupada por compas)
+   * @param {number} pass - Vuelta (cada una varia de forma reproducible)
+   */
+  planBass(pass = 0) {
+    const notes = humanize(planBassLine(this.progression, {
+      feel: this.config.bassFeel,
+      meter: this.config.meter,
+      pass,
+      loop: this.loopEnabled
+    }), 'bass', { amount: this.config.humanize, meter: this.config.meter, pass })
+    this.bassLine = []
+    for (const note of notes) {
+      if (!this.bassLine[note.bar]) this.bassLine[note.bar] = []
+      this.bassLine[note.bar].push(note)
+    }
+    this.bassPass = pass
+  }
+
+  /**
+   * Recalcula los golpes de bateria de una vuelta del loop (agrupados por compas)
+   * @param {number} pass - Vuelta (cada una varia de forma reproducible)
+   */
+  planDrums(pass = 0) {
+    const hits = humanize(planDrums(this.progression, {
+      groove: this.config.drumGroove,
+      meter: this.config.meter,
+      pass,
+      loop: this.loopEnabled,
+      phraseBars: getTradePhraseBars(this.trading)
+    }), 'drums', { amount: this.config.humanize, meter: this.config.meter, pass })
+    this.drumHits = []
+    for (const h of hits) {
+      if (!this.drumHits[h.bar]) this.drumHits[h.bar] = []
+      this.drumHits[h.bar].push(h)
+    }
+    this.drumPass = pass
+  }
+
   /**
    * Carga una progresion para reproducir
    * @param {Array<{degree: string, key: string}>} progression
    */
   loadProgression(progression) {
     this.progression = progression
+    this.bars = groupIntoBars(progression, this.getBeatsPerBar())
+    this.planVoicings()
+    this.planBass(0)
+    this.planDrums(0)
+    this.planPerformance()
     this.currentMeasure = 0
   }
 
@@ -206,6 +455,12 @@ export class AudioEngine {
     this.scheduleProgression()
 
     // Iniciar transport
+    // La practica empieza en el tempo configurado (al reanudar sigue en el que iba)
+    if (this.isPracticing() && this.practiceTempo === null) {
+      this.practiceTempo = this.config.tempo
+      this.passTempo = this.config.tempo
+    }
+
     Tone.Transport.start()
     this.isPlaying = true
   }
@@ -226,8 +481,18 @@ export class AudioEngine {
     Tone.Transport.position = 0
     this.isPlaying = false
     this.currentMeasure = 0
+    this.pass = 0
+    this.lastBarIndex = -1
     this.clearScheduledEvents()
 
+    // Volver al tempo configurado tras la practica
+    if (this.practiceTempo !== null) {
+      this.practiceTempo = null
+      this.passTempo = null
+      this.practiceDrop = false
+      setTempo(this.config.tempo)
+    }
+
     // Soltar notas
     if (this.piano) {
       this.piano.release()
@@ -235,26 +500,52 @@ export class AudioEngine {
   }
 
   /**
-   * Programa la progresion completa
+   * Programa la progresion completa (un evento por compas)
    */
   scheduleProgression() {
     const measureDuration = Tone.Time('1m').toSeconds()
+    this.bars = groupIntoBars(this.progression, this.getBeatsPerBar())
+    const bars = this.performance ? this.performance.bars : this.bars
+
+    // Claqueta: antes del primer compas, una sola vez
+    this.countInBars = this.metronome.countIn
+    const countIn = planCountIn(this.countInBars, { meter: this.config.meter })
+    for (let bar = 0; bar < this.countInBars; bar++) {
+      const eventId = Tone.Transport.schedule((time) => {
+        this.playCountIn(countIn.filter(c => c.bar === bar), bar, time)
+      }, bar * measureDuration)
+      this.scheduledEvents.push(eventId)
+    }
+    const offset = this.countInBars * measureDuration
 
-    this.progression.forEach((chord, measureIndex) => {
-      const startTime = measureIndex * measureDuration
+    // En loop solo se programan los compases del rango (la forma entera sin practica)
+    this.loopRange = this.performance ? { start: 0, end: bars.length } : this.getLoopRange()
+    bars.slice(this.loopRange.start, this.loopRange.end).forEach((bar, i) => {
+      const barIndex = this.loopRange.start + i
+      const startTime = offset + i * measureDuration
 
       // Programar cada compas
       const eventId = Tone.Transport.schedule((time) => {
-        this.playMeasure(chord, measureIndex, time)
+        this.playMeasure(bar, barIndex, time)
       }, startTime)
 
       this.scheduledEvents.push(eventId)
     })
 
-    // Si loop esta habilitado, programar repeat
-    if (this.loopEnabled) {
-      const totalDuration = this.progression.length * measureDuration
-      Tone.Transport.loopEnd = totalDuration
+    if (this.performance) {
+      // El arreglo se toca una vez: al terminar avisa para parar
+      Tone.Transport.loop = false
+      const endEventId = Tone.Transport.schedule((time) => {
+        Tone.Draw.schedule(() => {
+          if (this.onEndCallback) this.onEndCallback()
+        }, time)
+      }, offset + bars.length * measureDuration)
+      this.scheduledEvents.push(endEventId)
+    } else if (this.loopEnabled) {
+      // Si loop esta habilitado, programar repeat (sin la claqueta)
+      const totalDuration = (this.loopRange.end - this.loopRange.start) * measureDuration
+      Tone.Transport.loopStart = offset
+      Tone.Transport.loopEnd = offset + totalDuration
       Tone.Transport.loop = true
     }
 
@@ -264,98 +555,251 @@ export class AudioEngine {
         Tone.Draw.schedule(() => {
           this.onBeatCallback(this.getBeatInfo())
         }, time)
-      }, '4n')
+      }, this.getBeatNotation())
       this.scheduledEvents.push(beatEventId)
     }
   }
 
   /**
    * Reproduce un compas
+   * @param {Array} bar - Segmentos del compas (de groupIntoBars)
+   * @param {number} barIndex - Indice del compas
+   * @param {number} time - Tiempo de inicio
    */
-  playMeasure(chord, measureIndex, time) {
-    this.currentMeasure = measureIndex
+  playMeasure(bar, barIndex, time) {
+    if (this.performance) {
+      this.playPerformanceMeasure(bar, barIndex, time)
+      return
+    }
 
-    // Obtener info del acorde - with fallback for unknown degrees
-    let degreeInfo = JAZZ_DEGREES[chord.degree]
-    let rootPitch, chordType
+    // Piano, bajo y bateria dependen solo de la semilla, la vuelta y el compas
+    const newPass = barIndex <= this.lastBarIndex
+    if (newPass) this.pass++
+    this.lastBarIndex = barIndex
 
-    if (degreeInfo) {
-      rootPitch = this.getRootPitch(chord.degree, chord.key)
-      chordType = degreeInfo.type
-    } else {
-      // Fallback: parse degree string directly
-      const parsed = parseDegreeString(chord.degree)
-      const keyPitches = { 'C': 0, 'Db': 1, 'D': 2, 'Eb': 3, 'E': 4, 'F': 5, 'Gb': 6, 'G': 7, 'Ab': 8, 'A': 9, 'Bb': 10, 'B': 11 }
-      const keyOffset = keyPitches[chord.key] ?? 0
-      rootPitch = 48 + keyOffset + parsed.root
-      chordType = parsed.type
-      console.log(`Fallback for unknown degree: ${chord.degree} -> root=${rootPitch}, type=${chordType}`)
-    }
+    // Practica: el tempo cambia en la barra de compas, antes de calcular la duracion del pulso
+    this.updatePracticeTempo(newPass, time)
+    const beatDuration = Tone.Time(this.getBeatNotation()).toSeconds()
 
-    // Piano: voicing
-    this.playPianoChord(rootPitch, chordType, time)
+    // Piano: golpes de comping del compas (voicings planificados)
+    if (this.compingPass !== this.pass) this.planComping(this.pass)
+    this.playComping(barIndex, time)
 
-    // Bass: walking line
+    // Bajo: linea planificada del compas
     if (this.config.bassEnabled) {
-      const nextChord = this.progression[(measureIndex + 1) % this.progression.length]
-      this.playBassLine(chord, nextChord, time)
+      if (this.bassPass !== this.pass) this.planBass(this.pass)
+      this.playBass(barIndex, time)
     }
 
-    // Drums
+    bar.forEach(segment => {
+      const { chord, index } = segment
+      const segmentTime = time + segment.beat * beatDuration
+      this.currentMeasure = index
+
+      // Callback para UI
+      if (this.onMeasureCallback && segment.isChordStart) {
+        Tone.Draw.schedule(() => {
+          this.onMeasureCallback(index, chord)
+        }, segmentTime)
+      }
+    })
+
+    // Bateria: groove planificado del compas (fills y crashes de seccion)
     if (this.config.drumsEnabled) {
-      this.drums.playMeasure(time, { includeKick: measureIndex === 0 })
+      if (this.drumPass !== this.pass) this.planDrums(this.pass)
+      this.playDrums(barIndex, time)
+    }
+
+    this.playClick(barIndex, time)
+  }
+
+  /**
+   * Aplica el tempo de la practica al empezar un compas del loop:
+   * sube al empezar cada vuelta (modo 'ramp') o baja un paso si se ha pedido
+   * @param {boolean} newPass - El compas empieza una vuelta
+   * @param {number} time - Inicio del compas
+   */
+  updatePracticeTempo(newPass, time) {
+    if (!this.isPracticing() || this.practiceTempo === null) return
+
+    // La vuelta que termina cuenta con el tempo mas bajo al que se toco entera
+    const completedTempo = newPass ? this.passTempo : null
+    let tempo = this.practiceTempo
+    if (this.practiceDrop) {
+      tempo = getDropTempo(tempo, this.practice)
+      this.practiceDrop = false
+    } else if (newPass) {
+      tempo = getPassTempo(tempo, this.pass, this.practice)
+    }
+
+    const changed = tempo !== this.practiceTempo
+    if (changed) {
+      this.practiceTempo = tempo
+      setTempo(tempo)
     }
+    this.passTempo = newPass ? tempo : Math.min(this.passTempo, tempo)
 
-    // Callback para UI
-    if (this.onMeasureCallback) {
+    if ((newPass || changed) && this.onPracticeCallback) {
+      const info = { pass: this.pass, tempo, completedTempo }
       Tone.Draw.schedule(() => {
-        this.onMeasureCallback(measureIndex, chord)
+        this.onPracticeCallback(info)
       }, time)
     }
   }
 
   /**
-   * Toca el acorde de piano con el voicing seleccionado
+   * Pide bajar el tempo de la practica un paso (en el siguiente compas)
    */
-  playPianoChord(rootPitch, chordType, time) {
-    const voicing = getVoicing(rootPitch, chordType, this.config.voicingStyle)
+  dropPracticeTempo() {
+    if (this.practiceTempo !== null) this.practiceDrop = true
+  }
 
-    // Combinar mano izquierda y derecha
-    const allNotes = [...voicing.left, ...voicing.right]
-    const noteNames = midiArrayToNotes(allNotes)
+  /**
+   * Obtiene pitch de la fundamental y tipo de acorde (DegreeRegistry)
+   * Los grados mal formados suenan como Imaj7
+   */
+  resolveChord(degree, key) {
+    return {
+      rootPitch: this.getRootPitch(degree, key),
+      chordType: resolveDegree(degree)?.type || 'maj7'
+    }
+  }
+
+  /**
+   * Retraso de las corcheas a contratiempo en segundos (el mismo que el export MIDI)
+   * @param {number} beatDuration - Segundos por pulso
+   * @param {boolean} swung - El estilo del instrumento lleva swing
+   * @returns {number}
+   */
+  getSwingOffset(beatDuration, swung = true) {
+    return swung ? beatDuration * getSwingDelay(this.config.swing, this.config.meter) : 0
+  }
+
+  /**
+   * Toca los golpes de comping de un compas
+   * Los contratiempos se retrasan con el swing (como el skip beat del ride)
+   * @param {number} barIndex
+   * @param {number} time - Inicio del compas
+   */
+  playComping(barIndex, time) {
+    const beatDuration = Tone.Time(this.getBeatNotation()).toSeconds()
+    const barStart = barIndex * this.getBeatsPerBar()
+    const swingOffset = this.getSwingOffset(beatDuration, isSwingComping(this.config.compingStyle))
+
+    for (const event of this.comping[barIndex] || []) {
+      const beat = event.start - barStart
+      const offbeat = Math.abs(beat % 1 - 0.5) < 0.01
+      const eventTime = time + beat * beatDuration + (offbeat ? swingOffset : 0) + (event.offset || 0)
+      this.playPianoNotes([...event.left, ...event.right], eventTime, event.duration * beatDuration, event.velocity)
+    }
+  }
 
-    // Duracion: casi todo el compas
-    // Use sampled piano if available, otherwise synthesis
+  /**
+   * Toca notas del piano (samples si estan cargados, si no sintesis)
+   * @param {number[]} notes - Notas MIDI
+   * @param {number} time
+   * @param {number} duration - Segundos
+   * @param {number} velocity - 0-1
+   */
+  playPianoNotes(notes, time, duration, velocity = 0.7) {
+    const noteNames = midiArrayToNotes(notes)
     if (this.config.useSamples && this.sampledPiano?.isLoaded) {
-      this.sampledPiano.playChord(noteNames, '2n.', time)
+      this.sampledPiano.playChord(noteNames, duration, time, velocity)
     } else {
-      this.piano.playChord(noteNames, '2n.', time)
+      this.piano.playChord(noteNames, duration, time, velocity)
     }
   }
 
   /**
-   * Toca la linea de bajo
+   * Toca las notas de bajo de un compas
+   * Las corcheas a contratiempo se retrasan con el swing si el feel lo lleva
+   * @param {number} barIndex
+   * @param {number} time - Inicio del compas
    */
-  playBassLine(currentChord, nextChord, time) {
-    const line = this.bass.generateLine(currentChord, nextChord)
-    this.bass.playLine(line, time)
+  playBass(barIndex, time) {
+    const beatDuration = Tone.Time(this.getBeatNotation()).toSeconds()
+    const swingOffset = this.getSwingOffset(beatDuration, isSwingFeel(this.config.bassFeel))
+    this.bass.playNotes(this.bassLine[barIndex] || [], time, barIndex * this.getBeatsPerBar(), beatDuration, swingOffset)
   }
 
   /**
-   * Calcula el pitch MIDI de la fundamental
+   * Toca los golpes de bateria de un compas
+   * @param {number} barIndex
+   * @param {number} time - Inicio del compas
    */
-  getRootPitch(degree, key) {
-    const keyPitches = {
-      'C': 0, 'Db': 1, 'D': 2, 'Eb': 3, 'E': 4, 'F': 5,
-      'Gb': 6, 'G': 7, 'Ab': 8, 'A': 9, 'Bb': 10, 'B': 11
+  playDrums(barIndex, time) {
+    const beatDuration = Tone.Time(this.getBeatNotation()).toSeconds()
+    const swingOffset = this.getSwingOffset(beatDuration, isSwingGroove(this.config.drumGroove))
+    this.drums.playNotes(this.drumHits[barIndex] || [], time, barIndex * this.getBeatsPerBar(), beatDuration, swingOffset)
+  }
+
+  /**
+   * Toca el metronomo de un compas (si esta activado)
+   * @param {number} barIndex - Compas del loop o del arreglo
+   * @param {number} time - Inicio del compas
+   */
+  playClick(barIndex, time) {
+    if (!this.metronome.enabled) return
+    const beatDuration = Tone.Time(this.getBeatNotation()).toSeconds()
+    this.click.playClicks(this.clicks[barIndex] || [], time, barIndex * this.getBeatsPerBar(), beatDuration)
+  }
+
+  /**
+   * Toca un compas de claqueta (suena aunque el metronomo este apagado)
+   * @param {Array} clicks - Golpes del compas (ClickTrack.planCountIn)
+   * @param {number} bar - Compas de la claqueta
+   * @param {number} time - Inicio del compas
+   */
+  playCountIn(clicks, bar, time) {
+    const beatDuration = Tone.Time(this.getBeatNotation()).toSeconds()
+    this.click.playClicks(clicks, time, bar * this.getBeatsPerBar(), beatDuration, this.metronome.countInSound)
+  }
+
+  /**
+   * Reproduce un compas del arreglo planificado
+   * Cada evento lleva `swing` segun el estilo de su parte
+   * @param {Array} bar - Segmentos del compas (index = acorde del tema, -1 fuera del tema)
+   * @param {number} barIndex - Compas absoluto del arreglo
+   * @param {number} time - Inicio del compas
+   */
+  playPerformanceMeasure(bar, barIndex, time) {
+    const beatDuration = Tone.Time(this.getBeatNotation()).toSeconds()
+    const barStart = barIndex * this.getBeatsPerBar()
+    const swingOffset = this.getSwingOffset(beatDuration)
+    const { comping, bass, drums } = this.performance
+
+    for (const event of comping[barIndex] || []) {
+      const beat = event.start - barStart
+      const offbeat = Math.abs(beat % 1 - 0.5) < 0.01
+      const eventTime = time + beat * beatDuration + (offbeat && event.swing !== false ? swingOffset : 0) + (event.offset || 0)
+      this.playPianoNotes([...event.left, ...event.right], eventTime, event.duration * beatDuration, event.velocity)
+    }
+    if (this.config.bassEnabled) {
+      this.bass.playNotes(bass[barIndex] || [], time, barStart, beatDuration, swingOffset)
+    }
+    if (this.config.drumsEnabled) {
+      this.drums.playNotes(drums[barIndex] || [], time, barStart, beatDuration, swingOffset)
     }
+    this.playClick(barIndex, time)
 
-    const degreeInfo = JAZZ_DEGREES[degree]
-    const keyOffset = keyPitches[key] || 0
-    const root = degreeInfo?.root || 0
+    bar.forEach(segment => {
+      const { chord, index } = segment
+      if (index < 0) return
+      this.currentMeasure = index
+      if (this.onMeasureCallback && segment.isChordStart) {
+        Tone.Draw.schedule(() => {
+          this.onMeasureCallback(index, chord)
+        }, time + segment.beat * beatDuration)
+      }
+    })
+  }
 
+  /**
+   * Calcula el pitch MIDI de la fundamental
+   */
+  getRootPitch(degree, key) {
     // Piano en octava 3-4 (MIDI 48 = C3)
-    return 48 + keyOffset + root
+    return getDegreeRootPitch(degree, key, 48)
   }
 
   /**
@@ -363,10 +807,49 @@ export class AudioEngine {
    */
   getBeatInfo() {
     const pos = Tone.Transport.position.toString().split(':')
+    // Transport.position cuenta negras; contamos pulsos del compas desde los ticks
+    const ticksPerBeat = Tone.Transport.PPQ * 4 / getMeterInfo(this.config.meter).unit
+    const countInBeats = this.countInBars * this.getBeatsPerBar()
+    const absoluteBeat = Math.floor(Tone.Transport.ticks / ticksPerBeat + 0.001) - countInBeats
+    if (absoluteBeat < 0) {
+      return {
+        measure: Math.floor((absoluteBeat + countInBeats) / this.getBeatsPerBar()),
+        beat: (absoluteBeat + countInBeats) % this.getBeatsPerBar(),
+        sixteenths: parseFloat(pos[2]),
+        chordIndex: -1,
+        part: { type: 'countIn', role: null, chorus: null }
+      }
+    }
+    if (this.performance) return this.getPerformanceBeatInfo(absoluteBeat, parseFloat(pos[2]))
+    const { start, end } = this.loopRange
+    const measure = start + Math.floor(absoluteBeat / this.getBeatsPerBar()) % Math.max(end - start, 1)
+    const beat = absoluteBeat % this.getBeatsPerBar()
     return {
-      measure: parseInt(pos[0]) % this.progression.length,
-      beat: parseInt(pos[1]),
-      sixteenths: parseFloat(pos[2])
+      measure,
+      beat,
+      sixteenths: parseFloat(pos[2]),
+      chordIndex: getChordIndexAtBeat(this.progression, measure * this.getBeatsPerBar() + beat, this.getBeatsPerBar())
+    }
+  }
+
+  /**
+   * Info del beat actual dentro del arreglo
+   * measure = compas dentro de la parte (en un chorus, el compas del tema);
+   * chordIndex = acorde del tema (-1 en claqueta o turnaround);
+   * part = parte que suena ({type, role, chorus})
+   */
+  getPerformanceBeatInfo(absoluteBeat, sixteenths) {
+    const beatsPerBar = this.getBeatsPerBar()
+    const bar = Math.min(Math.floor(absoluteBeat / beatsPerBar), this.performance.totalBars - 1)
+    const beat = absoluteBeat % beatsPerBar
+    const segment = (this.performance.bars[bar] || []).find(s => beat >= s.beat && beat < s.beat + s.beats)
+    const part = getPartAtBar(this.performance.parts, bar)
+    return {
+      measure: part ? bar - part.startBar : bar,
+      beat,
+      sixteenths,
+      chordIndex: segment ? segment.index : -1,
+      part: part ? { type: part.type, role: part.role ?? null, chorus: part.chorus ?? null } : null
     }
   }
 
@@ -407,21 +890,32 @@ export class AudioEngine {
     }
   }
 
+  setClickVolume(value) {
+    this.config.clickVolume = value
+    if (this.click) {
+      this.click.setVolumeNormalized(value)
+    }
+  }
+
   setTempo(bpm) {
     this.config.tempo = bpm
+    // Durante la practica, el tempo elegido a mano pasa a ser el de la vuelta
+    if (this.practiceTempo !== null) {
+      this.practiceTempo = bpm
+      this.passTempo = Math.min(this.passTempo, bpm)
+    }
     setTempo(bpm)
   }
 
   setSwing(amount) {
     this.config.swing = amount
     setSwing(amount)
-    if (this.drums) {
-      this.drums.setSwing(amount)
-    }
   }
 
   setVoicingStyle(style) {
     this.config.voicingStyle = style
+    this.planVoicings()
+    this.planPerformance()
   }
 
   setBassEnabled(enabled) {
@@ -446,28 +940,33 @@ export class AudioEngine {
     this.onMeasureCallback = callback
   }
 
+  /**
+   * Registra callback para el final del arreglo
+   */
+  onEnd(callback) {
+    this.onEndCallback = callback
+  }
+
+  /**
+   * Registra callback para la practica (vuelta y tempo)
+   * Recibe {pass, tempo, completedTempo}; completedTempo = tempo de la vuelta que acaba de terminar
+   */
+  onPractice(callback) {
+    this.onPracticeCallback = callback
+  }
+
   /**
    * Toca un acorde inmediatamente (preview)
    */
   async previewChord(degree, key) {
+    // Sin acorde (NC) no hay nada que tocar
+    if (degree === NO_CHORD) return
+
     if (!this.isInitialized) {
       await this.init()
     }
 
-    let rootPitch, chordType
-    const degreeInfo = JAZZ_DEGREES[degree]
-
-    if (degreeInfo) {
-      rootPitch = this.getRootPitch(degree, key)
-      chordType = degreeInfo.type
-    } else {
-      // Fallback for unknown degrees
-      const parsed = parseDegreeString(degree)
-      const keyPitches = { 'C': 0, 'Db': 1, 'D': 2, 'Eb': 3, 'E': 4, 'F': 5, 'Gb': 6, 'G': 7, 'Ab': 8, 'A': 9, 'Bb': 10, 'B': 11 }
-      const keyOffset = keyPitches[key] ?? 0
-      rootPitch = 48 + keyOffset + parsed.root
-      chordType = parsed.type
-    }
+    const { rootPitch, chordType } = this.resolveChord(degree, key)
 
     const voicing = getVoicing(rootPitch, chordType, this.config.voicingStyle)
     const allNotes = [...voicing.left, ...voicing.right]
@@ -491,11 +990,13 @@ export class AudioEngine {
     disposeJazzSynth()
     disposeWalkingBass()
     disposeDrummer()
+    disposeMetronome()
     disposeSampledPiano()
 
     this.piano = null
     this.bass = null
     this.drums = null
+    this.click = null
     this.sampledPiano = null
     this.samplesLoaded = false
     this.isInitialized = false
@@ -1,11 +1,13 @@
 /**
- * Drummer.js - Bateria jazz basica
+ * Drummer.js - Bateria jazz
  *
- * Patrones de ride cymbal y hi-hat para acompanamiento jazz.
- * Incluye swing feel y variaciones dinamicas.
+ * Toca los golpes planificados por engine/DrumGrooves.js (swing, escobillas,
+ * two-feel, bossa, samba, jazz waltz, balada, funk; fills y crashes de
+ * seccion), que tambien usa el export MIDI.
  */
 
 import * as Tone from 'tone'
+import { getMixBus } from './ToneSetup.js'
 
 export class Drummer {
   constructor() {
@@ -64,6 +66,70 @@ export class Drummer {
       }
     })
 
+    // Crash
+    this.crash = new Tone.MetalSynth({
+      frequency: 250,
+      envelope: {
+        attack: 0.001,
+        decay: 1.4,
+        release: 0.8
+      },
+      harmonicity: 5.1,
+      modulationIndex: 40,
+      resonance: 5000,
+      octaves: 1.5
+    })
+
+    // Caja (tambien los golpes de escobilla)
+    this.snare = new Tone.NoiseSynth({
+      noise: {
+        type: 'white'
+      },
+      envelope: {
+        attack: 0.001,
+        decay: 0.15,
+        sustain: 0,
+        release: 0.05
+      }
+    })
+
+    // Barrido de escobilla (ruido sostenido)
+    this.brush = new Tone.NoiseSynth({
+      noise: {
+        type: 'pink'
+      },
+      envelope: {
+        attack: 0.15,
+        decay: 0.2,
+        sustain: 0.5,
+        release: 0.3
+      }
+    })
+
+    // Cross-stick
+    this.rim = new Tone.MembraneSynth({
+      pitchDecay: 0.008,
+      octaves: 2,
+      envelope: {
+        attack: 0.001,
+        decay: 0.05,
+        sustain: 0,
+        release: 0.02
+      }
+    })
+
+    // Toms (fills)
+    this.tom = new Tone.MembraneSynth({
+      pitchDecay: 0.03,
+      octaves: 2,
+      envelope: {
+        attack: 0.001,
+        decay: 0.3,
+        sustain: 0,
+        release: 0.2
+      }
+    })
+
     // Filtros para sonido mas realista
     this.rideFilter = new Tone.Filter({
       type: 'highpass',
@@ -76,90 +142,101 @@ export class Drummer {
       Q: 1
     })
 
+    this.crashFilter = new Tone.Filter({
+      type: 'highpass',
+      frequency: 2500
+    })
+
+    this.snareFilter = new Tone.Filter({
+      type: 'bandpass',
+      frequency: 1800,
+      Q: 0.8
+    })
+
+    this.brushFilter = new Tone.Filter({
+      type: 'lowpass',
+      frequency: 4000
+    })
+
     // Volumenes individuales
     this.rideVolume = new Tone.Volume(-12)
     this.hihatVolume = new Tone.Volume(-18)
     this.kickVolume = new Tone.Volume(-15)
+    this.snareVolume = new Tone.Volume(-16)
+    this.crashVolume = new Tone.Volume(-16)
+    this.brushVolume = new Tone.Volume(-26)
+    this.tomVolume = new Tone.Volume(-14)
 
     // Volumen master
     this.masterVolume = new Tone.Volume(-6)
 
     // Conexiones
-    this.ride.chain(this.rideFilter, this.rideVolume, this.masterVolume, Tone.Destination)
-    this.hihatClosed.chain(this.hihatFilter, this.hihatVolume, this.masterVolume, Tone.Destination)
-    this.hihatOpen.chain(this.hihatFilter, this.hihatVolume, this.masterVolume, Tone.Destination)
-    this.kick.chain(this.kickVolume, this.masterVolume, Tone.Destination)
-
-    // Configuracion
-    this.pattern = 'ride' // 'ride', 'hihat', 'brushes'
-    this.swingAmount = 0.3
+    this.ride.chain(this.rideFilter, this.rideVolume, this.masterVolume, getMixBus())
+    this.hihatClosed.chain(this.hihatFilter, this.hihatVolume, this.masterVolume, getMixBus())
+    this.hihatOpen.chain(this.hihatFilter, this.hihatVolume, this.masterVolume, getMixBus())
+    this.kick.chain(this.kickVolume, this.masterVolume, getMixBus())
+    this.crash.chain(this.crashFilter, this.crashVolume, this.masterVolume, getMixBus())
+    this.snare.chain(this.snareFilter, this.snareVolume, this.masterVolume, getMixBus())
+    this.brush.chain(this.brushFilter, this.brushVolume, this.masterVolume, getMixBus())
+    this.rim.connect(this.snareVolume)
+    this.tom.chain(this.tomVolume, this.masterVolume, getMixBus())
   }
 
   /**
-   * Patron de ride jazz clasico (spang-a-lang)
-   * Beat 1: Ride
-   * Beat 2: Ride (skip beat - swing)
-   * Beat 2.5: Ride (and)
-   * Beat 3: Ride
-   * Beat 4: Ride (skip beat - swing)
-   * Beat 4.5: Ride (and)
+   * Dispara un golpe de una voz (ver DrumGrooves.js)
+   * @param {string} voice
+   * @param {number} time
+   * @param {number} duration - Segundos (solo barridos y platos)
+   * @param {number} velocity - 0-1
    */
-  playRidePattern(startTime) {
-    const quarter = Tone.Time('4n').toSeconds()
-    const swingOffset = quarter * 0.33 * this.swingAmount
-
-    // Beats principales
-    this.ride.triggerAttackRelease('C4', '16n', startTime, 0.8)          // 1
-    this.ride.triggerAttackRelease('C4', '16n', startTime + quarter, 0.5) // 2
-    this.ride.triggerAttackRelease('C4', '16n', startTime + quarter * 2, 0.8) // 3
-    this.ride.triggerAttackRelease('C4', '16n', startTime + quarter * 3, 0.5) // 4
-
-    // Skip beats (swing feel)
-    this.ride.triggerAttackRelease('C4', '16n', startTime + quarter * 1.5 + swingOffset, 0.6) // 2-and
-    this.ride.triggerAttackRelease('C4', '16n', startTime + quarter * 3.5 + swingOffset, 0.6) // 4-and
-  }
-
-  /**
-   * Patron de hi-hat jazz
-   */
-  playHihatPattern(startTime) {
-    const quarter = Tone.Time('4n').toSeconds()
-
-    // 2 y 4 con foot hi-hat (cerrado)
-    this.hihatClosed.triggerAttackRelease('16n', startTime + quarter, 0.7)     // 2
-    this.hihatClosed.triggerAttackRelease('16n', startTime + quarter * 3, 0.7) // 4
-  }
-
-  /**
-   * Kick suave en 1 (opcional)
-   */
-  playKick(startTime) {
-    this.kick.triggerAttackRelease('C1', '8n', startTime, 0.4)
-  }
-
-  /**
-   * Toca un compas completo
-   */
-  playMeasure(startTime, options = {}) {
-    const { includeKick = false, hihatOnly = false } = options
-
-    if (hihatOnly) {
-      this.playHihatPattern(startTime)
-    } else {
-      this.playRidePattern(startTime)
-      this.playHihatPattern(startTime)
-    }
-
-    if (includeKick && Math.random() < 0.3) {
-      this.playKick(startTime)
+  trigger(voice, time, duration, velocity) {
+    switch (voice) {
+      case 'ride':
+        this.ride.triggerAttackRelease('C4', '16n', time, velocity)
+        break
+      case 'crash':
+        this.crash.triggerAttackRelease('C4', duration, time, velocity)
+        break
+      case 'hihat':
+      case 'hihatClosed':
+        this.hihatClosed.triggerAttackRelease('16n', time, velocity)
+        break
+      case 'snare':
+        this.snare.triggerAttackRelease('16n', time, velocity)
+        break
+      case 'brush':
+        this.brush.triggerAttackRelease(duration, time, velocity)
+        break
+      case 'rim':
+        this.rim.triggerAttackRelease('A4', '32n', time, velocity)
+        break
+      case 'kick':
+        this.kick.triggerAttackRelease('C1', '8n', time, velocity)
+        break
+      case 'tomHigh':
+        this.tom.triggerAttackRelease('G2', '8n', time, velocity)
+        break
+      case 'tomLow':
+        this.tom.triggerAttackRelease('C2', '8n', time, velocity)
+        break
     }
   }
 
   /**
-   * Ajusta el swing
+   * Toca golpes planificados (DrumGrooves.planDrums)
+   * @param {Array} hits - {start, duration, voice, velocity, offset?} en pulsos absolutos (offset en segundos, Humanize.js)
+   * @param {number} barStartTime - Tiempo de inicio del compas
+   * @param {number} barStartBeat - Pulso absoluto en que empieza el compas
+   * @param {number} beatDuration - Segundos por pulso
+   * @param {number} swingOffset - Retraso de las corcheas a contratiempo (segundos; no aplica a eventos con swing: false)
    */
-  setSwing(amount) {
-    this.swingAmount = Math.max(0, Math.min(1, amount))
+  playNotes(hits, barStartTime, barStartBeat, beatDuration, swingOffset = 0) {
+    hits.forEach(h => {
+      const beat = h.start - barStartBeat
+      const offbeat = Math.abs(beat % 1 - 0.5) < 0.01
+      const time = barStartTime + beat * beatDuration + (offbeat && h.swing !== false ? swingOffset : 0) + (h.offset || 0)
+      this.trigger(h.voice, time, h.duration * beatDuration, h.velocity)
+    })
   }
 
   /**
@@ -199,11 +276,23 @@ export class Drummer {
     this.hihatClosed.dispose()
     this.hihatOpen.dispose()
     this.kick.dispose()
+    this.crash.dispose()
+    this.snare.dispose()
+    this.brush.dispose()
+    this.rim.dispose()
+    this.tom.dispose()
     this.rideFilter.dispose()
     this.hihatFilter.dispose()
+    this.crashFilter.dispose()
+    this.snareFilter.dispose()
+    this.brushFilter.dispose()
     this.rideVolume.dispose()
     this.hihatVolume.dispose()
     this.kickVolume.dispose()
+    this.snareVolume.dispose()
+    this.crashVolume.dispose()
+    this.brushVolume.dispose()
+    this.tomVolume.dispose()
     this.masterVolume.dispose()
   }
 }
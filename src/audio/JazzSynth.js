@@ -6,6 +6,7 @@
  */
 
 import * as Tone from 'tone'
+import { getMixBus } from './ToneSetup.js'
 
 export class JazzSynth {
   constructor() {
@@ -69,7 +70,7 @@ export class JazzSynth {
       this.reverb,
       this.compressor,
       this.volume,
-      Tone.Destination
+      getMixBus()
     )
 
     // Warm up reverb
@@ -81,12 +82,13 @@ export class JazzSynth {
    * @param {string[]} notes - Array de notas (ej: ['C4', 'E4', 'G4', 'B4'])
    * @param {string} duration - Duracion (ej: '2n', '4n', '1m')
    * @param {number} time - Tiempo de inicio (opcional, para scheduling)
+   * @param {number} velocity - Intensidad 0-1 (opcional)
    */
-  playChord(notes, duration = '2n', time) {
+  playChord(notes, duration = '2n', time, velocity = 1) {
     if (time !== undefined) {
-      this.synth.triggerAttackRelease(notes, duration, time)
+      this.synth.triggerAttackRelease(notes, duration, time, velocity)
     } else {
-      this.synth.triggerAttackRelease(notes, duration)
+      this.synth.triggerAttackRelease(notes, duration, undefined, velocity)
     }
   }
 
@@ -6,6 +6,7 @@
  */
 
 import * as Tone from 'tone'
+import { getMixBus } from './ToneSetup.js'
 
 export class MelodySynth {
   constructor() {
@@ -73,7 +74,7 @@ export class MelodySynth {
       this.reverb,
       this.compressor,
       this.volume,
-      Tone.Destination
+      getMixBus()
     )
 
     // Warm up reverb
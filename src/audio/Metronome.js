@@ -0,0 +1,164 @@
+/**
+ * Metronome.js - Click y claqueta
+ *
+ * Toca los golpes planificados por engine/ClickTrack.js. Tiene su propio
+ * canal en el mixer y puede quedar fuera de la grabacion WAV: en ese caso
+ * va directo a Tone.Destination, sin pasar por el bus de mezcla que graba
+ * AudioExporter (sigue sonando con el volumen maestro y el mute).
+ *
+ * La cuenta hablada es una voz sintetica: un diente de sierra con dos
+ * formantes por vocal ("one", "two", "three"...).
+ */
+
+import * as Tone from 'tone'
+import { getMixBus } from './ToneSetup.js'
+
+// Altura del click segun el nivel del golpe (Hz)
+const CLICK_PITCHES = {
+  accent: 2000,
+  group: 1600,
+  beat: 1200,
+  sub: 900
+}
+
+// Formantes (F1, F2) de la vocal de cada numero de la cuenta
+const COUNT_VOWELS = [
+  [640, 1190], // one
+  [300, 870],  // two
+  [270, 2290], // three
+  [570, 840],  // four
+  [730, 1090], // five
+  [390, 1990], // six
+  [530, 1840], // seven
+  [400, 2000]  // eight
+]
+
+export class Metronome {
+  constructor() {
+    // Click (bloque de madera corto)
+    this.click = new Tone.Synth({
+      oscillator: {
+        type: 'triangle'
+      },
+      envelope: {
+        attack: 0.001,
+        decay: 0.05,
+        sustain: 0,
+        release: 0.02
+      }
+    })
+
+    // Voz de la claqueta: fuente + dos formantes en paralelo
+    this.voice = new Tone.Synth({
+      oscillator: {
+        type: 'sawtooth'
+      },
+      envelope: {
+        attack: 0.02,
+        decay: 0.2,
+        sustain: 0.3,
+        release: 0.1
+      }
+    })
+    this.formant1 = new Tone.Filter({ type: 'bandpass', frequency: 640, Q: 6 })
+    this.formant2 = new Tone.Filter({ type: 'bandpass', frequency: 1190, Q: 8 })
+    this.voiceVolume = new Tone.Volume(8)
+
+    this.volume = new Tone.Volume(-6)
+
+    // Cadena
+    this.click.connect(this.volume)
+    this.voice.fan(this.formant1, this.formant2)
+    this.formant1.connect(this.voiceVolume)
+    this.formant2.connect(this.voiceVolume)
+    this.voiceVolume.connect(this.volume)
+
+    this.recorded = null
+    this.setRecorded(false)
+  }
+
+  /**
+   * Toca golpes planificados (ClickTrack.planClicks / planCountIn)
+   * @param {Array} clicks - {start, duration, level, velocity, count?} en pulsos absolutos
+   * @param {number} barStartTime - Tiempo de inicio del compas
+   * @param {number} barStartBeat - Pulso absoluto en que empieza el compas
+   * @param {number} beatDuration - Segundos por pulso
+   * @param {string} sound - 'click' | 'voice' (la voz canta `count`)
+   */
+  playClicks(clicks, barStartTime, barStartBeat, beatDuration, sound = 'click') {
+    clicks.forEach(c => {
+      const time = barStartTime + (c.start - barStartBeat) * beatDuration
+      if (sound === 'voice' && c.count) {
+        this.speak(c.count, time, Math.min(0.35, beatDuration * 0.8), c.velocity)
+      } else {
+        this.click.triggerAttackRelease(CLICK_PITCHES[c.level] || CLICK_PITCHES.beat, c.duration * beatDuration, time, c.velocity)
+      }
+    })
+  }
+
+  /**
+   * Canta un numero de la cuenta
+   */
+  speak(count, time, duration, velocity) {
+    const [f1, f2] = COUNT_VOWELS[(count - 1) % COUNT_VOWELS.length]
+    this.formant1.frequency.setValueAtTime(f1, time)
+    this.formant2.frequency.setValueAtTime(f2, time)
+    // El "1" un poco mas agudo, como al marcar la cuenta
+    this.voice.triggerAttackRelease(count === 1 ? 180 : 150, duration, time, velocity)
+  }
+
+  /**
+   * Incluye o no el metronomo en la grabacion (bus de mezcla)
+   * @param {boolean} recorded
+   */
+  setRecorded(recorded) {
+    if (this.recorded === recorded) return
+    this.recorded = recorded
+    this.volume.disconnect()
+    this.volume.connect(recorded ? getMixBus() : Tone.Destination)
+  }
+
+  /**
+   * Ajusta el volumen
+   */
+  setVolume(db) {
+    this.volume.volume.value = db
+  }
+
+  /**
+   * Ajusta el volumen normalizado (0-1)
+   */
+  setVolumeNormalized(value) {
+    const db = value === 0 ? -Infinity : (value - 1) * 40 - 6
+    this.volume.volume.value = db
+  }
+
+  /**
+   * Limpia recursos
+   */
+  dispose() {
+    this.click.dispose()
+    this.voice.dispose()
+    this.formant1.dispose()
+    this.formant2.dispose()
+    this.voiceVolume.dispose()
+    this.volume.dispose()
+  }
+}
+
+// Singleton
+let instance = null
+
+export function getMetronome() {
+  if (!instance) {
+    instance = new Metronome()
+  }
+  return instance
+}
+
+export function disposeMetronome() {
+  if (instance) {
+    instance.dispose()
+    instance = null
+  }
+}
@@ -10,6 +10,7 @@
  */
 
 import * as Tone from 'tone'
+import { getMixBus } from './ToneSetup.js'
 
 // Subset of notes to sample (every 3rd note for efficiency)
 // Tone.Sampler will interpolate the rest
@@ -131,7 +132,7 @@ export class SampledPiano {
         this.reverb,
         this.compressor,
         this.volume,
-        Tone.Destination
+        getMixBus()
       )
 
       this.isLoaded = true
@@ -150,14 +151,15 @@ export class SampledPiano {
    * @param {string[]} notes - Array of note names
    * @param {string} duration - Duration
    * @param {number} time - Scheduled time
+   * @param {number} velocity - Velocity 0-1 (optional)
    */
-  playChord(notes, duration = '2n', time) {
+  playChord(notes, duration = '2n', time, velocity = 1) {
     if (!this.isLoaded || !this.sampler) return
 
     if (time !== undefined) {
-      this.sampler.triggerAttackRelease(notes, duration, time)
+      this.sampler.triggerAttackRelease(notes, duration, time, velocity)
     } else {
-      this.sampler.triggerAttackRelease(notes, duration)
+      this.sampler.triggerAttackRelease(notes, duration, undefined, velocity)
     }
   }
 
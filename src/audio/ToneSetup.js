@@ -9,6 +9,9 @@ import * as Tone from 'tone'
 // Estado del audio
 let isInitialized = false
 
+// Bus de mezcla de los instrumentos (ver getMixBus)
+let mixBus = null
+
 /**
  * Inicializa el contexto de audio (requiere interaccion del usuario)
  */
@@ -48,6 +51,15 @@ export function getTempo() {
   return Tone.Transport.bpm.value
 }
 
+/**
+ * Configura el compas del transport ('1m' pasa a durar un compas completo)
+ * @param {number} beats - Pulsos por compas (numerador)
+ * @param {number} unit - Figura del pulso (denominador)
+ */
+export function setTimeSignature(beats, unit = 4) {
+  Tone.Transport.timeSignature = [beats, unit]
+}
+
 /**
  * Configura el swing
  * @param {number} amount - 0 = straight, 1 = full swing
@@ -116,6 +128,20 @@ export function cancelScheduled(eventId) {
   Tone.Transport.clear(eventId)
 }
 
+/**
+ * Bus de mezcla: los instrumentos suenan por aqui hacia Tone.Destination.
+ * AudioExporter graba este bus, asi que lo que se conecta directo a
+ * Tone.Destination (el click fuera de la exportacion) pasa por el volumen
+ * maestro y el mute pero no queda en la grabacion.
+ * @returns {Tone.Gain}
+ */
+export function getMixBus() {
+  if (!mixBus) {
+    mixBus = new Tone.Gain().toDestination()
+  }
+  return mixBus
+}
+
 /**
  * Crea un canal de efectos maestro
  * @returns {Tone.Channel}
@@ -0,0 +1,395 @@
+/**
+ * Arrangement.js - Arreglo de una interpretacion completa
+ *
+ * En lugar de repetir la progresion en loop, el arreglo la toca de principio
+ * a fin:
+ *   intro opcional → N choruses → final
+ * (la claqueta la pone el metronomo, ver ClickTrack.js)
+ *
+ * Cada chorus tiene un papel (tema, solo, cuatros, tema final) y puede cambiar
+ * el feel del bajo, el groove de la bateria o el comping respecto a los
+ * ajustes globales (ej: bajo en dos y escobillas en el tema).
+ *
+ * Finales:
+ * - Calderon: golpe final sostenido sobre el acorde de resolucion
+ * - Tag: los ultimos cuatro compases tres veces y luego el calderon
+ *
+ * planArrangement() planifica cada parte con los mismos planificadores que el
+ * loop (VoiceLeading, Comping, BassLine, DrumGrooves, Humanize) y devuelve
+ * los eventos en pulsos absolutos: AudioEngine y MidiExporter tocan
+ * exactamente lo mismo.
+ */
+
+import { resolveDegree } from './DegreeRegistry.js'
+import { getChordTimeline, getTotalBars, groupIntoBars, splitBar } from './HarmonicRhythm.js'
+import { DEFAULT_METER, getMeterInfo } from './Meter.js'
+import { planVoicings, DEFAULT_VOICING_RANGE } from './VoiceLeading.js'
+import {
+  planComping,
+  isSwingComping,
+  COMPING_STYLES,
+  DEFAULT_COMPING_STYLE,
+  DEFAULT_COMPING_DENSITY,
+  DEFAULT_COMPING_VARIATION
+} from './Comping.js'
+import { planBassLine, isSwingFeel, BASS_FEELS, DEFAULT_BASS_FEEL } from './BassLine.js'
+import { planDrums, isSwingGroove, DRUM_GROOVES, DEFAULT_DRUM_GROOVE } from './DrumGrooves.js'
+import { humanize as humanizeEvents, DEFAULT_HUMANIZE } from './Humanize.js'
+
+export const CHORUS_ROLES = [
+  { id: 'head', name: 'Tema', description: 'Exposicion del tema' },
+  { id: 'solo', name: 'Solo', description: 'Chorus de solo (suena el solo IA si esta generado)' },
+  { id: 'trading', name: 'Cuatros', description: 'Intercambio de cuatro compases (o los del modo intercambio), fill en cada frase' },
+  { id: 'outHead', name: 'Tema final', description: 'Reexposicion del tema' }
+]
+
+export const INTRO_TYPES = [
+  { id: 'none', name: 'Sin intro' },
+  { id: 'lastFour', name: 'Ultimos 4', description: 'Los ultimos cuatro compases del tema' },
+  { id: 'turnaround', name: 'Turnaround', description: 'I-VI-II-V dos veces en la tonalidad del tema' }
+]
+
+export const ENDING_TYPES = [
+  { id: 'none', name: 'Sin final' },
+  { id: 'fermata', name: 'Calderon', description: 'Golpe final sostenido' },
+  { id: 'tag', name: 'Tag x3', description: 'Ultimos cuatro compases tres veces y calderon' }
+]
+
+const PART_LABELS = {
+  countIn: 'Claqueta',
+  intro: 'Intro',
+  tag: 'Tag',
+  fermata: 'Final'
+}
+
+export const MAX_CHORUSES = 12
+
+// Compases del tag y del calderon
+const TAG_BARS = 4
+const TAG_REPEATS = 2
+const FERMATA_BARS = 2
+
+// Compases de frase en los cuatros (sin modo intercambio, ver Trading.js)
+const TRADING_BARS = 4
+
+export const DEFAULT_ARRANGEMENT = {
+  enabled: false,
+  intro: 'none',
+  choruses: [
+    { role: 'head', bassFeel: 'twoFeel', drumGroove: 'brushes', compingStyle: null },
+    { role: 'solo', bassFeel: null, drumGroove: null, compingStyle: null },
+    { role: 'outHead', bassFeel: null, drumGroove: null, compingStyle: null }
+  ],
+  ending: 'fermata'
+}
+
+function pickId(list, id, fallback) {
+  return list.some(item => item.id === id) ? id : fallback
+}
+
+/**
+ * Valida un arreglo (guardado, importado o editado)
+ * Los cambios de cada chorus a null usan los ajustes globales
+ * @param {object} raw
+ * @returns {object} Arreglo valido
+ */
+export function normalizeArrangement(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const choruses = (Array.isArray(source.choruses) ? source.choruses : DEFAULT_ARRANGEMENT.choruses)
+    .slice(0, MAX_CHORUSES)
+    .map(chorus => ({
+      role: pickId(CHORUS_ROLES, chorus?.role, 'solo'),
+      bassFeel: pickId(BASS_FEELS, chorus?.bassFeel, null),
+      drumGroove: pickId(DRUM_GROOVES, chorus?.drumGroove, null),
+      compingStyle: pickId(COMPING_STYLES, chorus?.compingStyle, null)
+    }))
+
+  return {
+    enabled: !!source.enabled,
+    intro: pickId(INTRO_TYPES, source.intro, 'none'),
+    choruses: choruses.length > 0 ? choruses : [{ role: 'head', bassFeel: null, drumGroove: null, compingStyle: null }],
+    ending: pickId(ENDING_TYPES, source.ending, 'none')
+  }
+}
+
+/**
+ * Acordes desde el compas `fromBar` hasta el final (el acorde que cruza la barra se recorta)
+ * @returns {{chords: Array, indices: number[]}} indices = acorde original de cada uno
+ */
+function sliceFromBar(progression, fromBar, beatsPerBar) {
+  const from = fromBar * beatsPerBar
+  const chords = []
+  const indices = []
+  for (const { chord, index, startBeat, duration } of getChordTimeline(progression, beatsPerBar)) {
+    const end = startBeat + duration
+    if (end <= from) continue
+    chords.push({ ...chord, section: null, duration: end - Math.max(startBeat, from) })
+    indices.push(index)
+  }
+  return { chords, indices }
+}
+
+/**
+ * Turnaround I-VI-II-V (menor: Im-VIm7b5-IIm7b5-V) dos veces en la tonalidad del tema
+ */
+function buildTurnaround(progression, beatsPerBar) {
+  const first = progression[0]
+  const minor = resolveDegree(first.degree)?.family === 'min'
+  const degrees = minor ? ['Im7', 'VIm7b5', 'IIm7b5', 'V7'] : ['Imaj7', 'VI7', 'IIm7', 'V7']
+  const halves = splitBar(beatsPerBar)
+  const chords = [...degrees, ...degrees].map((degree, i) => ({
+    degree,
+    key: first.key,
+    tension: resolveDegree(degree)?.tension ?? 0.5,
+    duration: halves[i % 2] || beatsPerBar
+  }))
+  return { chords, indices: chords.map(() => -1) }
+}
+
+/**
+ * Acorde del golpe final: el ultimo del tema, o el primero si el tema
+ * termina en un dominante (turnaround que vuelve al principio)
+ */
+function getFinalChord(progression) {
+  const last = progression[progression.length - 1]
+  const onDominant = resolveDegree(last.degree)?.family === 'dom'
+  return onDominant
+    ? { chord: progression[0], index: 0 }
+    : { chord: last, index: progression.length - 1 }
+}
+
+/**
+ * Partes del arreglo en orden, con su compas de inicio
+ * @param {Array} progression - Progresion del tema
+ * @param {object} arrangement - Ver normalizeArrangement
+ * @param {string} meter - Compas (Meter.js)
+ * @returns {Array<{type, role?, chorus?, progression, indices, startBar, bars, overrides?}>}
+ *   type: 'intro' | 'chorus' | 'tag' | 'fermata'
+ */
+export function renderArrangement(progression, arrangement, meter = DEFAULT_METER) {
+  const beatsPerBar = getMeterInfo(meter).beats
+  const { intro, choruses, ending } = normalizeArrangement(arrangement)
+  const tuneBars = getTotalBars(progression, beatsPerBar)
+  const parts = []
+  let startBar = 0
+
+  const add = (part, chords, indices) => {
+    const bars = getTotalBars(chords, beatsPerBar)
+    parts.push({ ...part, progression: chords, indices, startBar, bars })
+    startBar += bars
+  }
+
+  if (progression.length === 0) return parts
+
+  const lastFour = sliceFromBar(progression, Math.max(0, tuneBars - TAG_BARS), beatsPerBar)
+  if (intro === 'lastFour') add({ type: 'intro' }, lastFour.chords, lastFour.indices)
+  if (intro === 'turnaround') {
+    const turnaround = buildTurnaround(progression, beatsPerBar)
+    add({ type: 'intro' }, turnaround.chords, turnaround.indices)
+  }
+
+  const tuneIndices = progression.map((_, index) => index)
+  choruses.forEach((chorus, i) => {
+    const { role, ...overrides } = chorus
+    add({ type: 'chorus', role, chorus: i, overrides }, progression, tuneIndices)
+  })
+
+  if (ending === 'tag') {
+    const { overrides } = parts[parts.length - 1]
+    for (let i = 0; i < TAG_REPEATS; i++) add({ type: 'tag', overrides }, lastFour.chords, lastFour.indices)
+  }
+  if (ending === 'fermata' || ending === 'tag') {
+    const { chord, index } = getFinalChord(progression)
+    add(
+      { type: 'fermata' },
+      [{ ...chord, section: null, duration: FERMATA_BARS * beatsPerBar }],
+      [index]
+    )
+  }
+
+  return parts
+}
+
+/**
+ * Total de compases del arreglo
+ */
+export function getArrangementBars(progression, arrangement, meter = DEFAULT_METER) {
+  const parts = renderArrangement(progression, arrangement, meter)
+  return parts.reduce((total, part) => total + part.bars, 0)
+}
+
+/**
+ * Desplaza los eventos de una parte a su posicion en el arreglo
+ */
+function shift(events, part, beatsPerBar, swing) {
+  const offset = part.startBar * beatsPerBar
+  return events.map(event => ({
+    ...event,
+    start: event.start + offset,
+    bar: event.bar + part.startBar,
+    ...(event.index !== undefined ? { index: part.indices[event.index] ?? -1 } : {}),
+    swing
+  }))
+}
+
+/**
+ * Calderon: un golpe de toda la banda sostenido hasta el final de la parte
+ */
+function planFermata(part, voicings, settings) {
+  const { meter, key } = settings
+  const length = part.bars * getMeterInfo(meter).beats
+  const voicing = voicings[0]
+  const [root] = planBassLine(part.progression, { feel: 'ballad', meter, key })
+  return {
+    comping: voicing
+      ? [{ start: 0, duration: length, bar: 0, index: 0, left: [...voicing.left], right: [...voicing.right], velocity: 0.85 }]
+      : [],
+    bass: root ? [{ ...root, duration: length, velocity: 1 }] : [],
+    drums: [
+      { start: 0, duration: length, voice: 'crash', velocity: 0.9, bar: 0 },
+      { start: 0, duration: 0.25, voice: 'kick', velocity: 0.9, bar: 0 }
+    ]
+  }
+}
+
+/**
+ * Frase de la bateria de un chorus: fill en cada relevo de los cuatros y,
+ * con el modo intercambio activo, tambien en los choruses de solo
+ * @param {string} role
+ * @param {number|null} tradeBars - Compases de cada turno (Trading.js) o null
+ * @returns {number|null}
+ */
+function getPhraseBars(role, tradeBars) {
+  if (role === 'trading') return tradeBars || TRADING_BARS
+  return role === 'solo' ? tradeBars : null
+}
+
+/**
+ * Planifica la interpretacion completa de un arreglo
+ * @param {Array} progression - Progresion del tema
+ * @param {object} arrangement - Ver normalizeArrangement
+ * @param {object} settings - Ajustes globales (los cambios de cada chorus tienen prioridad);
+ *   tradeBars = compases de cada turno si el solo IA intercambia (Trading.js)
+ * @returns {{parts, bars, totalBars, comping, bass, drums}}
+ *   bars: segmentos de cada compas con `index` del acorde del tema (-1 si no es del tema);
+ *   los eventos llevan `swing` segun el estilo de su parte
+ */
+export function planArrangement(progression, arrangement, {
+  meter = DEFAULT_METER,
+  key = 'C',
+  voicingStyle = 'shell',
+  voicingRange = DEFAULT_VOICING_RANGE,
+  compingStyle = DEFAULT_COMPING_STYLE,
+  compingDensity = DEFAULT_COMPING_DENSITY,
+  compingVariation = DEFAULT_COMPING_VARIATION,
+  bassFeel = DEFAULT_BASS_FEEL,
+  drumGroove = DEFAULT_DRUM_GROOVE,
+  humanize = DEFAULT_HUMANIZE,
+  tradeBars = null
+} = {}) {
+  const meterInfo = getMeterInfo(meter)
+  const beatsPerBar = meterInfo.beats
+  const parts = renderArrangement(progression, arrangement, meter)
+  const result = { parts, bars: [], totalBars: 0, comping: [], bass: [], drums: [] }
+
+  // Cada parte es una vuelta distinta (pass): varia y solo la primera entra sin crash
+  parts.forEach((part, pass) => {
+    for (const bar of groupIntoBars(part.progression, beatsPerBar)) {
+      result.bars.push(bar.map(segment => ({ ...segment, index: part.indices[segment.index] ?? -1 })))
+    }
+
+    const overrides = part.overrides || {}
+    const style = overrides.compingStyle || compingStyle
+    const feel = overrides.bassFeel || bassFeel
+    const groove = overrides.drumGroove || drumGroove
+    const next = parts[pass + 1]
+    const straight = meterInfo.compound
+    const feelOptions = { amount: humanize, meter, pass }
+
+    const voicings = planVoicings(part.progression, { style: voicingStyle, range: voicingRange, key })
+    let events
+    if (part.type === 'fermata') {
+      events = planFermata(part, voicings, { meter, key })
+    } else {
+      events = {
+        comping: planComping(part.progression, voicings, {
+          style, density: compingDensity, variation: compingVariation, meter, pass
+        }),
+        bass: planBassLine(part.progression, {
+          feel, meter, key, pass, nextChord: next?.progression[0] || null
+        }),
+        drums: planDrums(part.progression, {
+          groove, meter, pass, loop: !!next, phraseBars: getPhraseBars(part.role, tradeBars)
+        })
+      }
+    }
+
+    result.comping.push(...shift(humanizeEvents(events.comping, 'piano', feelOptions), part, beatsPerBar,
+      !straight && isSwingComping(style)))
+    result.bass.push(...shift(humanizeEvents(events.bass, 'bass', feelOptions), part, beatsPerBar,
+      !straight && isSwingFeel(feel)))
+    result.drums.push(...shift(humanizeEvents(events.drums, 'drums', feelOptions), part, beatsPerBar,
+      !straight && isSwingGroove(groove)))
+  })
+
+  result.totalBars = result.bars.length
+  return result
+}
+
+/**
+ * Inicio de cada chorus de solo en negras (donde se programa el solo IA)
+ * Sin arreglo activo el solo empieza en el primer compas del loop; si el loop
+ * es un rango de practica (PracticeLoop.js), el inicio se adelanta para que el
+ * compas `loopStartBar` del solo caiga tras la claqueta (puede ser negativo)
+ * @param {number} countIn - Compases de claqueta antes de la banda (ClickTrack.js)
+ * @param {number} loopStartBar - Primer compas del loop
+ * @param {boolean} traded - El solo intercambia (Trading.js): suena tambien en los cuatros
+ * @returns {number[]}
+ */
+export function getSoloStarts(progression, arrangement, meter = DEFAULT_METER, countIn = 0, loopStartBar = 0, traded = false) {
+  const { beats, unit } = getMeterInfo(meter)
+  const toQuarters = bar => (countIn + bar) * beats * 4 / unit
+  if (!arrangement?.enabled) return [toQuarters(-loopStartBar)]
+  const roles = traded ? ['solo', 'trading'] : ['solo']
+  return renderArrangement(progression, arrangement, meter)
+    .filter(part => part.type === 'chorus' && roles.includes(part.role))
+    .map(part => toQuarters(part.startBar))
+}
+
+/**
+ * Parte del arreglo que suena en un compas
+ * @param {Array} parts - De renderArrangement
+ * @param {number} bar - Compas absoluto
+ * @returns {object|null}
+ */
+export function getPartAtBar(parts, bar) {
+  return parts.find(part => bar >= part.startBar && bar < part.startBar + part.bars) || null
+}
+
+/**
+ * Nombre de una parte para la UI (ej: 'Solo 2', 'Claqueta')
+ * @param {{type, role?, chorus?}|null} part
+ * @returns {string}
+ */
+export function getPartLabel(part) {
+  if (!part) return ''
+  if (part.type === 'chorus') {
+    const role = CHORUS_ROLES.find(r => r.id === part.role)
+    return `${role ? role.name : 'Chorus'} (${part.chorus + 1})`
+  }
+  return PART_LABELS[part.type] || ''
+}
+
+export default {
+  CHORUS_ROLES,
+  INTRO_TYPES,
+  ENDING_TYPES,
+  DEFAULT_ARRANGEMENT,
+  normalizeArrangement,
+  renderArrangement,
+  getArrangementBars,
+  planArrangement,
+  getSoloStarts,
+  getPartAtBar,
+  getPartLabel
+}
@@ -0,0 +1,417 @@
+/**
+ * BassLine.js - Lineas de bajo planificadas para toda la progresion
+ *
+ * La linea se construye de acorde en acorde sabiendo donde quedo la nota
+ * anterior: cada fundamental se toca en la octava mas cercana dentro del
+ * rango del contrabajo, asi que la linea no deriva ni salta de octava.
+ *
+ * Feels:
+ * - Walking: negras con runs escalares o arpegios hacia el siguiente acorde,
+ *   aproximacion cromatica, doble cromatismo, enclosures y skips en tresillo
+ * - Two-feel: blancas (inicio de cada grupo del compas) con skips de corchea
+ * - Bossa: fundamental y quinta con la corchea que anticipa el siguiente golpe
+ * - Pedal: nota pedal en la tonica de la tonalidad del acorde
+ * - Balada: blancas ligadas
+ * - Tumbao: "y" del 2 (quinta) y 4 (fundamental del compas siguiente, ligada)
+ *
+ * Los compases con varios acordes se tocan por segmentos (HarmonicRhythm).
+ * AudioEngine y MidiExporter usan las mismas notas.
+ */
+
+import { resolveDegree, getDegreeRootPitch, getTypeFamily } from './DegreeRegistry.js'
+import { NO_CHORD } from './ChordConverter.js'
+import { groupIntoBars } from './HarmonicRhythm.js'
+import { DEFAULT_METER, getMeterInfo, getBassStep, getGroupStarts } from './Meter.js'
+import { KEY_NAMES } from './ModulationSystem.js'
+import { getRandom, reseed } from './Random.js'
+
+const random = getRandom('bass')
+
+export const DEFAULT_BASS_FEEL = 'walking'
+
+export const BASS_FEELS = [
+  { id: 'walking', name: 'Walking', description: 'Negras con runs, enclosures y aproximaciones', swing: true },
+  { id: 'twoFeel', name: 'Two-feel', description: 'Blancas con skips', swing: true },
+  { id: 'bossa', name: 'Bossa', description: 'Fundamental y quinta', swing: false },
+  { id: 'pedal', name: 'Pedal', description: 'Nota pedal en la tonica', swing: true },
+  { id: 'ballad', name: 'Balada', description: 'Blancas ligadas', swing: false },
+  { id: 'tumbao', name: 'Tumbao', description: 'Latin: anticipa la fundamental en el 4', swing: false }
+]
+
+// Rango del contrabajo: E1 - G3
+export const BASS_RANGE = { low: 28, high: 55 }
+
+// Primera nota de la linea: alrededor de C2
+const START_PITCH = 36
+
+// Probabilidades del walking
+const PROB_RUN = 0.4            // Escala en lugar de arpegio hacia el siguiente acorde
+const PROB_ENCLOSURE = 0.15
+const PROB_DOUBLE_CHROMATIC = 0.2
+const PROB_SKIP = 0.2           // Skip en tresillo sobre una nota intermedia
+const PROB_PICKUP = 0.3         // Corchea antes del siguiente golpe (two-feel, bossa, pedal)
+
+// Escala de cada familia de acorde (semitonos sobre la fundamental)
+const FAMILY_SCALES = {
+  maj: [0, 2, 4, 5, 7, 9, 11],
+  min: [0, 2, 3, 5, 7, 9, 10],
+  dom: [0, 2, 4, 5, 7, 9, 10],
+  sus: [0, 2, 5, 7, 9, 10],
+  hdim: [0, 1, 3, 5, 6, 8, 10],
+  dim: [0, 2, 3, 5, 6, 8, 9, 11],
+  aug: [0, 2, 4, 6, 8, 10]
+}
+
+/**
+ * Fundamental, notas del acorde y escala (con las alteraciones del tipo)
+ */
+function getChordInfo(chord, key) {
+  const info = resolveDegree(chord.degree)
+  const chordKey = chord.key || key
+  const tones = [...new Set((info?.intervals || [0, 4, 7, 10]).map(i => i % 12))]
+
+  // Las alteraciones del acorde sustituyen a las notas de la escala a un semitono
+  let scale = [...(FAMILY_SCALES[getTypeFamily(info?.type || 'maj7')] || FAMILY_SCALES.maj)]
+  for (const tone of tones) {
+    if (scale.includes(tone)) continue
+    scale = scale.filter(s => tones.includes(s) || ![1, 11].includes((s - tone + 12) % 12))
+    scale.push(tone)
+  }
+
+  return {
+    root: getDegreeRootPitch(chord.degree, chordKey, 36) % 12,
+    third: [3, 4, 5].find(i => tones.includes(i)) ?? 4,
+    fifth: [7, 6, 8].find(i => tones.includes(i)) ?? 7,
+    tones,
+    scale,
+    tonic: Math.max(0, KEY_NAMES.indexOf(chordKey))
+  }
+}
+
+/**
+ * Nota de una clase de altura lo mas cerca posible de `near`, dentro del rango
+ */
+function fit(pitchClass, near) {
+  let best = null
+  for (let pitch = BASS_RANGE.low; pitch <= BASS_RANGE.high; pitch++) {
+    if (pitch % 12 !== ((pitchClass % 12) + 12) % 12) continue
+    if (best === null || Math.abs(pitch - near) < Math.abs(best - near)) best = pitch
+  }
+  return best
+}
+
+/**
+ * Mete una nota en el rango por octavas
+ */
+function fold(pitch) {
+  let result = pitch
+  while (result > BASS_RANGE.high) result -= 12
+  while (result < BASS_RANGE.low) result += 12
+  return result
+}
+
+/**
+ * Notas (de una lista de clases de altura sobre la fundamental) dentro del rango
+ */
+function pitchesOf(info, intervals) {
+  const pitches = []
+  for (let pitch = BASS_RANGE.low; pitch <= BASS_RANGE.high; pitch++) {
+    if (intervals.includes((pitch - info.root + 12) % 12)) pitches.push(pitch)
+  }
+  return pitches
+}
+
+/**
+ * Aproximacion a la siguiente fundamental (1 o 2 notas)
+ * Cromatica, escalar, por quinta, doble cromatica o enclosure
+ */
+function getApproach(target, slots) {
+  const direction = target + 2 > BASS_RANGE.high ? -1 : target - 2 < BASS_RANGE.low ? 1 : (random() < 0.5 ? 1 : -1)
+  const roll = random()
+
+  if (slots >= 2 && roll < PROB_ENCLOSURE) {
+    // Enclosure: por encima y por debajo (la de arriba puede ser escalar)
+    const above = target + (random() < 0.5 ? 1 : 2)
+    return direction > 0 ? [above, target - 1] : [target - 1, above]
+  }
+  if (slots >= 2 && roll < PROB_ENCLOSURE + PROB_DOUBLE_CHROMATIC) {
+    return [target + 2 * direction, target + direction]
+  }
+
+  const single = random()
+  if (single < 0.55) return [target + direction]
+  if (single < 0.8) return [target + 2 * direction]
+  // Dominante de la siguiente fundamental
+  return [target + 7 <= BASS_RANGE.high ? target + 7 : target - 5]
+}
+
+/**
+ * Walking: fundamental, notas intermedias hacia el siguiente acorde y aproximacion
+ */
+function walk({ segment, info, start, target, step }) {
+  const count = Math.max(1, Math.round(segment.beats / step))
+  const pitches = [start]
+  const approach = target !== null && count >= 2 ? getApproach(target, count - 2 >= 1 ? 2 : 1).slice(0, count - 1) : []
+  const middleCount = count - 1 - approach.length
+
+  // Runs escalares o arpegios, con un arco si no hay distancia que recorrer
+  const candidates = pitchesOf(info, random() < PROB_RUN ? info.scale : info.tones)
+  const goal = approach[0] ?? target ?? start
+  const room = start + 7 <= BASS_RANGE.high ? 1 : -1
+  const arch = Math.abs(goal - start) < 5 ? room * (5 + Math.floor(random() * 3)) : 0
+
+  for (let i = 1; i <= middleCount; i++) {
+    const progress = i / (middleCount + 1)
+    const desired = start + (goal - start) * progress + arch * Math.sin(Math.PI * progress)
+    const previous = pitches[pitches.length - 1]
+    const options = candidates.filter(p => p !== previous && p !== goal)
+    pitches.push(options.reduce((best, p) => Math.abs(p - desired) < Math.abs(best - desired) ? p : best, options[0] ?? previous))
+  }
+  pitches.push(...approach)
+
+  const notes = []
+  pitches.forEach((pitch, i) => {
+    const at = i * step
+    const isMiddle = i > 0 && i <= middleCount
+    if (isMiddle && step === 1 && random() < PROB_SKIP) {
+      // Skip: la nota se corta en tresillo y repite suave
+      notes.push({ at, pitch, duration: 2 / 3 })
+      notes.push({ at: at + 2 / 3, pitch, duration: 1 / 3, velocity: 0.45 })
+      return
+    }
+    notes.push({ at, pitch, duration: step })
+  })
+  return notes
+}
+
+/**
+ * Golpes en el inicio de cada grupo del compas (blancas en 4/4, blanca con puntillo en 3/4)
+ */
+function groupHits(segment, groupStarts) {
+  const end = segment.beat + segment.beats
+  const starts = [segment.beat, ...groupStarts.filter(s => s > segment.beat && s < end)]
+  return starts.map((s, i) => ({ at: s - segment.beat, duration: (starts[i + 1] ?? end) - s }))
+}
+
+/**
+ * Corchea antes del siguiente golpe (repite la nota que viene)
+ */
+function withPickups(notes, pickup) {
+  const result = []
+  notes.forEach((note, i) => {
+    const upcoming = notes[i + 1]
+    if (upcoming && note.duration >= 2 && random() < PROB_PICKUP) {
+      result.push({ ...note, duration: note.duration - 0.5 })
+      result.push({ at: note.at + note.duration - 0.5, pitch: pickup(upcoming), duration: 0.5, velocity: 0.6 })
+      return
+    }
+    result.push(note)
+  })
+  return result
+}
+
+/**
+ * Two-feel y balada: fundamental y luego quinta, tercera o aproximacion
+ */
+function halfNotes({ segment, info, start, target, groupStarts, meterInfo }, { pickups }) {
+  const hits = groupHits(segment, groupStarts)
+  let previous = start
+  const notes = hits.map((hit, i) => {
+    let pitch = start
+    if (i > 0) {
+      const isLast = i === hits.length - 1
+      if (isLast && target !== null && random() < 0.5) {
+        pitch = getApproach(target, 1)[0]
+      } else {
+        pitch = fit(info.root + (random() < 0.65 ? info.fifth : info.third), previous)
+      }
+    }
+    previous = pitch
+    return { ...hit, pitch }
+  })
+  return pickups && !meterInfo.compound ? withPickups(notes, next => next.pitch) : notes
+}
+
+/**
+ * Bossa: fundamental y quinta (por debajo si cabe) en celdas de dos pulsos
+ */
+function bossa({ segment, info, start, target }) {
+  const fifthBelow = start - 12 + info.fifth
+  const fifth = fifthBelow >= BASS_RANGE.low ? fifthBelow : start + info.fifth
+  const notes = []
+  let at = 0
+  let cell = 0
+  while (at < segment.beats) {
+    const remaining = segment.beats - at
+    const pitch = cell % 2 === 0 ? start : fifth
+    if (remaining < 2) {
+      notes.push({ at, pitch, duration: remaining })
+      break
+    }
+    const isLastCell = remaining < 4
+    const upcoming = isLastCell ? (target ?? start) : (cell % 2 === 0 ? fifth : start)
+    notes.push({ at, pitch, duration: 1.5 })
+    notes.push({ at: at + 1.5, pitch: upcoming, duration: 0.5, velocity: 0.7 })
+    at += 2
+    cell++
+  }
+  return notes
+}
+
+/**
+ * Pedal: la tonica de la tonalidad del acorde en cada grupo, con saltos de octava
+ */
+function pedal({ segment, info, groupStarts, meterInfo }) {
+  const pitch = fit(info.tonic, BASS_RANGE.low + 6)
+  const notes = groupHits(segment, groupStarts).map(hit => ({ ...hit, pitch }))
+  return meterInfo.compound ? notes : withPickups(notes, () => fold(pitch + 12))
+}
+
+/**
+ * Tumbao: "y" del 2 con la quinta, 4 con la fundamental del compas siguiente (ligada)
+ */
+function tumbao({ segment, info, start, nextBarInfo, beatsPerBar, isFirstBar }) {
+  const push = beatsPerBar - 2.5
+  const anticipation = beatsPerBar - 1
+  const end = segment.beat + segment.beats
+  const notes = []
+
+  if (isFirstBar && segment.beat === 0) {
+    notes.push({ at: 0, pitch: start, duration: Math.max(0.5, push) })
+  }
+  if (push >= segment.beat && push < end) {
+    notes.push({ at: push - segment.beat, pitch: fit(info.root + info.fifth, start), duration: anticipation - push, velocity: 0.8 })
+  }
+  if (anticipation >= segment.beat && anticipation < end) {
+    const next = nextBarInfo || info
+    // Ligada hasta el "y" del 2 del compas siguiente
+    notes.push({
+      at: anticipation - segment.beat,
+      pitch: fit(next.root, start),
+      duration: nextBarInfo ? 1 + Math.max(0, push) : 1,
+      velocity: 1
+    })
+  }
+  return notes
+}
+
+const FEELS = {
+  walking: walk,
+  twoFeel: context => halfNotes(context, { pickups: true }),
+  bossa,
+  pedal,
+  ballad: context => halfNotes(context, { pickups: false }).map(note => ({ velocity: 0.8, ...note })),
+  tumbao
+}
+
+/**
+ * Planifica la linea de bajo de una progresion
+ * @param {Array} progression - Acordes {degree, key, duration?}
+ * @param {object} options
+ * @param {string} options.feel - Id de BASS_FEELS
+ * @param {string} options.meter - Compas (Meter.js)
+ * @param {string} options.key - Tonalidad si el acorde no la trae
+ * @param {number} options.pass - Vuelta del loop (cada vuelta varia de forma reproducible)
+ * @param {boolean} options.loop - El ultimo compas prepara la vuelta al primero
+ * @param {object} options.nextChord - Acorde que sigue a la progresion (arreglos); tiene prioridad sobre loop
+ * @returns {Array<{start, duration, pitch, velocity, bar, index}>} Notas ordenadas (pulsos absolutos)
+ */
+export function planBassLine(progression, {
+  feel = DEFAULT_BASS_FEEL,
+  meter = DEFAULT_METER,
+  key = 'C',
+  pass = 0,
+  loop = false,
+  nextChord = null
+} = {}) {
+  const meterInfo = getMeterInfo(meter)
+  const beatsPerBar = meterInfo.beats
+  const step = getBassStep(meter)
+  const groupStarts = getGroupStarts(meter)
+  // Los ritmos binarios (bossa, tumbao) no encajan en compases compuestos
+  const play = FEELS[meterInfo.compound && ['bossa', 'tumbao'].includes(feel) ? 'twoFeel' : feel] || FEELS[DEFAULT_BASS_FEEL]
+
+  const bars = groupIntoBars(progression, beatsPerBar)
+  const segments = bars.flatMap((bar, barIndex) => bar.map(segment => ({ ...segment, barIndex })))
+  const chords = [...progression, ...(nextChord ? [nextChord] : [])]
+  const infos = chords.map(chord => getChordInfo(chord, key))
+  // Sin acorde (NC) el bajo calla
+  const silent = index => chords[index]?.degree === NO_CHORD
+  // Segmento ficticio del acorde siguiente: el ultimo compas lo prepara
+  const after = nextChord ? { index: progression.length, beat: 0, isChordStart: true } : null
+
+  const notes = []
+  let last = null
+  let currentBar = -1
+
+  segments.forEach((segment, position) => {
+    if (segment.barIndex !== currentBar) {
+      currentBar = segment.barIndex
+      reseed('bass', pass, currentBar)
+    }
+
+    if (silent(segment.index)) {
+      last = null
+      return
+    }
+
+    const info = infos[segment.index]
+    const following = segments[position + 1] ?? (after || (loop ? segments[0] : null))
+    const next = following && !silent(following.index) ? following : null
+    const followingBar = bars[segment.barIndex + 1] ?? (after ? [after] : loop ? bars[0] : null)
+    const nextBar = followingBar && !silent(followingBar[0].index) ? followingBar : null
+
+    // Fundamental al empezar el acorde; si el acorde sigue de otro compas, otra nota del acorde
+    const near = last ?? START_PITCH
+    const start = segment.isChordStart || last === null
+      ? fit(info.root, near)
+      : fit(info.root + [0, info.fifth, info.third][Math.floor(random() * 3)], near)
+    const target = next ? fit(infos[next.index].root, start) : null
+
+    const segmentNotes = play({
+      segment,
+      info,
+      start,
+      target,
+      step,
+      beatsPerBar,
+      groupStarts,
+      meterInfo,
+      nextBarInfo: nextBar ? infos[nextBar[0].index] : null,
+      isFirstBar: segment.barIndex === 0
+    })
+
+    const barStart = segment.barIndex * beatsPerBar
+    for (const note of segmentNotes) {
+      const beatInBar = segment.beat + note.at
+      notes.push({
+        start: barStart + beatInBar,
+        duration: note.duration,
+        pitch: fold(note.pitch),
+        velocity: note.velocity ?? (beatInBar === 0 ? 1 : 0.85),
+        bar: segment.barIndex,
+        index: segment.index
+      })
+    }
+    if (segmentNotes.length > 0) last = fold(segmentNotes[segmentNotes.length - 1].pitch)
+  })
+
+  return notes.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Indica si un feel de bajo se toca con swing (las corcheas a contratiempo se retrasan)
+ * @param {string} feel
+ * @returns {boolean}
+ */
+export function isSwingFeel(feel) {
+  return BASS_FEELS.find(f => f.id === feel)?.swing ?? true
+}
+
+export default {
+  BASS_FEELS,
+  BASS_RANGE,
+  DEFAULT_BASS_FEEL,
+  planBassLine,
+  isSwingFeel
+}
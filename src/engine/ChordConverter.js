@@ -4,10 +4,18 @@
  * Converts "Cm7" in key of Bb to "IIm7"
  */
 
+import { CHORD_TYPES } from './ChordTypes.js'
+
+/**
+ * Degree of a "no chord" entry (NC in a lead sheet): it takes its beats but
+ * resolves to no chord, so the piano and bass stay silent (drums and soloist go on)
+ */
+export const NO_CHORD = 'NC'
+
 /**
  * Note name to semitone offset from C
  */
-const NOTE_TO_SEMITONE = {
+export const NOTE_TO_SEMITONE = {
   'C': 0, 'C#': 1, 'Db': 1,
   'D': 2, 'D#': 3, 'Eb': 3,
   'E': 4, 'Fb': 4, 'E#': 5,
@@ -20,7 +28,7 @@ const NOTE_TO_SEMITONE = {
 /**
  * Semitone interval to Roman numeral
  */
-const INTERVAL_TO_NUMERAL = {
+export const INTERVAL_TO_NUMERAL = {
   0: 'I',
   1: 'bII',
   2: 'II',
@@ -36,88 +44,431 @@ const INTERVAL_TO_NUMERAL = {
 }
 
 /**
- * Map chord quality suffixes to our degree format
+ * Chord symbol grammar
+ *
+ *   symbol    := chord ( ('/' | '\') (note | chord) )?     slash chord or polychord
+ *   chord     := root quality*
+ *   root      := [A-G] ('#' | 'b' | '♯' | '♭')?
+ *   quality   := third | seventh | number | alteration | sus | add | omit | '(' | ')' | ','
+ *
+ * Spellings from lead sheets, iReal Pro and Impro-Visor are accepted:
+ * maj7 / M7 / ^7 / Δ7, m / mi / min / -, ø / h / m7b5, o / ° / dim, + / aug,
+ * 69, 7alt, 7b9sus, mM7 / m(maj7) / -^7, add9, no3, phryg...
+ *
+ * The parse result is a structured chord:
+ * {
+ *   root: 'C',
+ *   third: 'major' | 'minor' | 'none',
+ *   fifth: 'perfect' | 'flat' | 'sharp' | 'none',
+ *   seventh: null | 'minor' | 'major' | 'diminished',
+ *   sixth: boolean,
+ *   extension: null | 9 | 11 | 13,
+ *   sus: null | '2' | '4' | '24',
+ *   alterations: ['b9', '#9', '#11', 'b13', 'alt'],
+ *   added: ['9', 'b9', '11', ...],
+ *   bass: null | 'E',
+ *   upper: null | chord,              // polychord: upper chord over this one
+ *   errors: [{token, position, message}]
+ * }
  */
-const QUALITY_MAP = {
-  // Major 7
-  'maj7': 'maj7',
-  'M7': 'maj7',
-  'Maj7': 'maj7',
-  'MA7': 'maj7',
-  'maj9': 'maj9',
-  '6': '6',
-  '69': '6',
 
-  // Minor 7
-  'm7': 'm7',
-  'mi7': 'm7',
-  'min7': 'm7',
-  '-7': 'm7',
-  'm9': 'm9',
-  'm': 'm7',      // Default minor to m7
-  'mi': 'm7',
-  'min': 'm7',
+const ALTERATION_ORDER = ['b9', '#9', '#11', 'b13', 'alt']
+const ADDED_ORDER = ['b9', '9', '#9', '11', '#11', 'b13', '13']
 
-  // Dominant 7
-  '7': '7',
-  '9': '9',
-  '13': '13',
-  '7alt': '7alt',
-  '7#9': '7alt',
-  '7b9': '7alt',
-  '7#5': '7alt',
-  '7b5': '7alt',
+// Alterations with other spellings (b5/#5 change the fifth instead)
+const ALTERATION_ALIASES = { 'b6': 'b13', '#4': '#11', 'b9': 'b9', '#9': '#9', '#11': '#11', 'b13': 'b13' }
 
-  // Half-diminished
-  'm7b5': 'm7b5',
-  'ø': 'm7b5',
-  'ø7': 'm7b5',
-  '-7b5': 'm7b5',
+// Added tones: written degree -> canonical
+const ADDED_ALIASES = {
+  '2': '9', '9': '9', 'b9': 'b9', '#9': '#9', '4': '11', '11': '11', '#11': '#11',
+  'b6': 'b13', 'b13': 'b13', '6': '13', '13': '13'
+}
 
-  // Diminished
-  'dim': 'dim7',
-  'dim7': 'dim7',
-  'o': 'dim7',
-  'o7': 'dim7',
+/**
+ * Quality tokens, longest spellings first
+ * Each handler updates the chord being parsed; `state.majorSeventh` is set by
+ * maj / M / ^ and consumed by the next 7, 9, 11 or 13.
+ */
+const QUALITY_TOKENS = [
+  { pattern: /^[,\s]/, apply: () => {} },
+  { pattern: /^alt/, apply: (chord) => { chord.seventh = chord.seventh || 'minor'; addUnique(chord.alterations, 'alt') } },
+  { pattern: /^phryg/, apply: (chord) => { chord.third = 'none'; chord.sus = '4'; chord.seventh = 'minor'; addUnique(chord.alterations, 'b9') } },
+  { pattern: /^(maj|Maj|MAJ|MA|Ma|\^|Δ|j(?=[0-9]|$))/, apply: (chord, state) => { state.majorSeventh = 'maj' } },
+  { pattern: /^sus(24|42|2|4)?/, apply: (chord, state, match) => {
+    chord.third = 'none'
+    chord.sus = match[1] === '42' ? '24' : (match[1] || '4')
+  } },
+  { pattern: /^add([b#]?)(2|4|6|9|11|13)/, apply: (chord, state, match) => {
+    addUnique(chord.added, ADDED_ALIASES[match[1] + match[2]] ?? match[1] + match[2])
+  } },
+  { pattern: /^(no|omit)(3|5)/, apply: (chord, state, match) => {
+    if (match[2] === '3') chord.third = 'none'
+    else chord.fifth = 'none'
+  } },
+  { pattern: /^(dim|o|°)/, apply: (chord, state) => { chord.third = 'minor'; chord.fifth = 'flat'; state.diminished = true } },
+  { pattern: /^(ø|Ø|h)/, apply: (chord) => { chord.third = 'minor'; chord.fifth = 'flat'; chord.seventh = 'minor' } },
+  { pattern: /^(aug|\+)/, apply: (chord) => { chord.fifth = 'sharp' } },
+  { pattern: /^(min|mi|m|-)/, apply: (chord) => { chord.third = 'minor' } },
+  { pattern: /^M/, apply: (chord, state) => { state.majorSeventh = 'M' } },
+  { pattern: /^([b#♭♯])(5|6|9|11|13|4)/, apply: (chord, state, match) => {
+    const accidental = normalizeAccidental(match[1])
+    if (match[2] === '5') {
+      chord.fifth = accidental === 'b' ? 'flat' : 'sharp'
+    } else {
+      const alteration = ALTERATION_ALIASES[accidental + match[2]]
+      if (!alteration) return false
+      addUnique(chord.alterations, alteration)
+    }
+  } },
+  { pattern: /^(13|11|9|7|6\/9|69|6|5|4|2)/, apply: (chord, state, match) => {
+    const number = match[1]
+    if (number === '69' || number === '6/9') {
+      chord.sixth = true
+      addUnique(chord.added, '9')
+    } else if (number === '6') {
+      chord.sixth = true
+    } else if (number === '5') {
+      chord.third = 'none'
+    } else if (number === '4') {
+      chord.third = 'none'
+      chord.sus = '4'
+    } else if (number === '2') {
+      addUnique(chord.added, '9')
+    } else {
+      if (state.majorSeventh) chord.seventh = 'major'
+      else if (!chord.seventh) chord.seventh = state.diminished && number === '7' ? 'diminished' : 'minor'
+      if (number !== '7') chord.extension = Number(number)
+      state.majorSeventh = null
+    }
+  } }
+]
 
-  // Sus
-  'sus': 'sus',
-  'sus4': 'sus',
-  '7sus': '7sus',
-  '7sus4': '7sus',
+function addUnique(list, value) {
+  if (!list.includes(value)) list.push(value)
+}
 
-  // Augmented
-  'aug': 'aug',
-  '+': 'aug',
-  '+7': '7',
+function normalizeAccidental(accidental) {
+  return accidental === '♭' ? 'b' : accidental === '♯' ? '#' : accidental
+}
 
-  // Default
-  '': 'maj7'  // Plain chord letter = major
+function emptyChord(root) {
+  return {
+    root,
+    third: 'major',
+    fifth: 'perfect',
+    seventh: null,
+    sixth: false,
+    extension: null,
+    sus: null,
+    alterations: [],
+    added: [],
+    bass: null,
+    upper: null,
+    errors: []
+  }
+}
+
+/**
+ * Parse a root note ("C", "F#", "Bb", "e" for a lowercase bass)
+ * @returns {{note: string, length: number}|null}
+ */
+function parseNote(text, allowLowercase = false) {
+  const match = text.match(allowLowercase ? /^([A-Ga-g])([#b♯♭]?)/ : /^([A-G])([#b♯♭]?)/)
+  if (!match) return null
+  const note = match[1].toUpperCase() + normalizeAccidental(match[2])
+  if (NOTE_TO_SEMITONE[note] === undefined) return null
+  return { note, length: match[0].length }
 }
 
 /**
- * Parse a chord symbol into root and quality
- * @param {string} chord - e.g., "Cm7", "F#maj7", "Bb7"
- * @returns {object} { root: string, quality: string }
+ * Parse one chord (no slash): root + quality tokens
+ * @param {string} text - Chord text
+ * @param {number} offset - Position of `text` inside the full symbol (for errors)
  */
-function parseChord(chord) {
-  if (!chord || chord === 'NC' || chord === '/') {
-    return { root: null, quality: null }
+function parseSimpleChord(text, offset = 0) {
+  const root = parseNote(text)
+  if (!root) {
+    const chord = emptyChord(null)
+    chord.errors.push({ token: text, position: offset, message: 'Falta la fundamental' })
+    return chord
   }
 
-  // Match root note (with optional # or b)
-  const rootMatch = chord.match(/^([A-G][#b]?)(.*)$/)
-  if (!rootMatch) {
-    return { root: null, quality: null }
+  const chord = emptyChord(root.note)
+  const state = { majorSeventh: null, diminished: false }
+  const openParens = []
+  let position = root.length
+  let unknownStart = null
+
+  const flushUnknown = () => {
+    if (unknownStart === null) return
+    chord.errors.push({
+      token: text.slice(unknownStart, position),
+      position: offset + unknownStart,
+      message: 'No reconocido'
+    })
+    unknownStart = null
   }
 
-  const root = rootMatch[1]
-  let quality = rootMatch[2] || ''
+  while (position < text.length) {
+    // Parentheses only group tokens ("7(b9,#11)") but must be balanced
+    if (text[position] === '(' || text[position] === ')') {
+      flushUnknown()
+      if (text[position] === '(') {
+        openParens.push(position)
+      } else if (openParens.length > 0) {
+        openParens.pop()
+      } else {
+        chord.errors.push({ token: ')', position: offset + position, message: 'Parentesis sin abrir' })
+      }
+      position++
+      continue
+    }
+
+    const rest = text.slice(position)
+    let matched = false
+
+    for (const { pattern, apply } of QUALITY_TOKENS) {
+      const match = rest.match(pattern)
+      if (!match) continue
+      if (apply(chord, state, match) === false) continue
+      matched = true
+      flushUnknown()
+      position += match[0].length
+      break
+    }
+
+    if (!matched) {
+      if (unknownStart === null) unknownStart = position
+      position++
+    }
+  }
+  flushUnknown()
+  for (const open of openParens) {
+    chord.errors.push({ token: '(', position: offset + open, message: 'Parentesis sin cerrar' })
+  }
 
-  // Clean up quality
-  quality = quality.replace(/\s/g, '')
+  // "maj" / "^" alone = maj7; "M" alone = major triad
+  if (state.majorSeventh === 'maj') chord.seventh = 'major'
 
-  return { root, quality }
+  return chord
+}
+
+/**
+ * Position of the slash of a slash chord / polychord (-1 if none)
+ * The slash of "6/9" belongs to the quality.
+ */
+function findSlash(text) {
+  for (let i = 1; i < text.length; i++) {
+    if (text[i] !== '/' && text[i] !== '\\') continue
+    if (text[i - 1] === '6' && text[i + 1] === '9') continue
+    return i
+  }
+  return -1
+}
+
+/**
+ * Parse a chord symbol
+ * @param {string} symbol - e.g. "Cm7", "F#maj7#11", "Bb7(b9,#11)", "C/E", "D/C7"
+ * @returns {object} Structured chord (see grammar above); `errors` lists the
+ *   tokens that could not be read, with their position in `symbol`
+ */
+export function parseChordSymbol(symbol) {
+  const text = String(symbol ?? '').trim()
+  const slash = findSlash(text)
+
+  if (slash <= 0) return parseSimpleChord(text)
+
+  const chord = parseSimpleChord(text.slice(0, slash))
+  const after = text.slice(slash + 1)
+  const bassNote = parseNote(after, true)
+
+  if (bassNote && bassNote.length === after.length) {
+    // Slash chord: C/E
+    chord.bass = bassNote.note
+    return chord
+  }
+
+  // Polychord: the lower chord carries the harmony, the upper one is kept
+  const lower = parseSimpleChord(after, slash + 1)
+  if (!lower.root) return { ...chord, errors: [...chord.errors, ...lower.errors] }
+  return { ...lower, upper: chord, errors: [...chord.errors, ...lower.errors] }
+}
+
+/**
+ * Render the quality part of a parsed chord
+ */
+function formatQuality(chord) {
+  const isDiminished = chord.third === 'minor' && chord.fifth === 'flat' && chord.seventh !== 'minor' && chord.seventh !== 'major'
+  const isHalfDiminished = chord.third === 'minor' && chord.fifth === 'flat' && chord.seventh === 'minor'
+  const number = chord.extension || 7
+  let text = ''
+
+  if (isDiminished) {
+    text += chord.seventh === 'diminished' ? 'dim7' : 'dim'
+  } else if (isHalfDiminished) {
+    text += `m${number}b5`
+  } else {
+    if (chord.third === 'minor') text += 'm'
+    if (chord.sixth) text += chord.added.includes('9') && !chord.seventh ? '69' : '6'
+    // "Cm(maj7)": "Cmmaj7" would be hard to read
+    if (chord.seventh === 'major') text += chord.third === 'minor' ? `(maj${number})` : `maj${number}`
+    else if (chord.seventh === 'minor') text += `${number}`
+    else if (chord.seventh === 'diminished') text += 'dim7'
+    if (chord.fifth === 'sharp') text += chord.seventh || chord.sixth || chord.third === 'minor' ? '#5' : '+'
+    if (chord.fifth === 'flat') text += 'b5'
+  }
+
+  if (chord.sus) text += `sus${chord.sus}`
+  if (chord.third === 'none' && !chord.sus) {
+    const isPower = chord.fifth === 'perfect' && !chord.seventh && !chord.sixth && chord.added.length === 0 &&
+      chord.alterations.length === 0
+    text += isPower ? '5' : 'no3'
+  }
+  if (chord.fifth === 'none') text += 'no5'
+
+  for (const alteration of ALTERATION_ORDER) {
+    if (chord.alterations.includes(alteration)) text += alteration
+  }
+  for (const added of ADDED_ORDER) {
+    if (!chord.added.includes(added)) continue
+    if (added === '9' && chord.sixth && !chord.seventh && !isDiminished && !isHalfDiminished) continue
+    text += `add${added}`
+  }
+
+  return text
+}
+
+/**
+ * Render a parsed chord back to text
+ * parseChordSymbol(formatChordSymbol(chord)) gives the same structure back.
+ * @param {object} chord - Result of parseChordSymbol
+ * @returns {string} e.g. "Cm7b5", "F7b9#11", "C69/E", "D/C7"
+ */
+export function formatChordSymbol(chord) {
+  if (!chord?.root) return 'NC'
+  // "C(b5)", not "Cb5" (that would read as C flat)
+  const quality = formatQuality(chord)
+  let text = chord.root + (/^[b#]/.test(quality) ? `(${quality})` : quality)
+  if (chord.bass) text += `/${chord.bass}`
+  if (chord.upper) text = `${formatChordSymbol(chord.upper)}/${text}`
+  return text
+}
+
+const ADDED_INTERVALS = { 'b9': 1, '9': 2, '#9': 3, '11': 5, '#11': 6, 'b13': 8, '13': 9 }
+const ALTERATION_INTERVALS = { 'b9': [1], '#9': [3], '#11': [6], 'b13': [8], 'alt': [1, 8] }
+
+/**
+ * Pitch classes (0-11 above the root) written in a parsed chord
+ */
+function chordIntervals(chord) {
+  const intervals = new Set([0])
+  if (chord.third === 'major') intervals.add(4)
+  if (chord.third === 'minor') intervals.add(3)
+  if (chord.sus) for (const step of chord.sus) intervals.add(step === '2' ? 2 : 5)
+  const isAltered = chord.alterations.includes('alt')
+  if (chord.fifth === 'perfect' && !isAltered) intervals.add(7)
+  if (chord.fifth === 'flat') intervals.add(6)
+  if (chord.fifth === 'sharp') intervals.add(8)
+  if (chord.seventh === 'minor') intervals.add(10)
+  if (chord.seventh === 'major') intervals.add(11)
+  if (chord.seventh === 'diminished') intervals.add(9)
+  if (chord.sixth) intervals.add(9)
+  if (chord.extension >= 9) intervals.add(2)
+  if (chord.extension >= 11 && chord.third !== 'major') intervals.add(5)
+  if (chord.extension === 13) intervals.add(9)
+  for (const alteration of chord.alterations) {
+    for (const interval of ALTERATION_INTERVALS[alteration] || []) intervals.add(interval)
+  }
+  for (const added of chord.added) intervals.add(ADDED_INTERVALS[added])
+  return intervals
+}
+
+function typeIntervals(type) {
+  const intervals = CHORD_TYPES[type]?.intervals || []
+  return new Set(intervals.map(interval => interval % 12))
+}
+
+/**
+ * Closest chord type the app can voice (the `type` part of a degree)
+ * Triads take the usual seventh (C → maj7, Cm → m7, Co → dim7).
+ */
+function chordTypeFor(chord) {
+  const alterations = chord.alterations
+  const hasNinth = chord.extension >= 9 || chord.added.includes('9')
+
+  if (chord.third === 'none') {
+    if (chord.seventh) return chord.extension === 13 ? '13sus' : '7sus'
+    return chord.sus === '2' ? 'sus2' : chord.sus ? 'sus' : 'maj7'
+  }
+
+  if (chord.third === 'minor') {
+    if (chord.seventh === 'major') return 'm(maj7)'
+    if (chord.fifth === 'flat' && chord.seventh === 'minor') return 'm7b5'
+    if (chord.fifth === 'flat' && chord.seventh !== 'major') return 'dim7'
+    if (chord.seventh) return hasNinth ? 'm9' : 'm7'
+    if (chord.sixth) return 'm6'
+    return hasNinth ? 'm9' : 'm7'
+  }
+
+  if (chord.seventh === 'minor' || chord.seventh === 'diminished') {
+    if (alterations.includes('alt')) return '7alt'
+    if (chord.fifth === 'sharp' && alterations.includes('#9')) return '7#9#5'
+    if (alterations.includes('b9') && (alterations.includes('b13') || chord.fifth === 'sharp')) return '7b9b13'
+    if (chord.fifth === 'sharp') return '7#5'
+    if (chord.fifth !== 'perfect') return '7alt'
+    if (alterations.includes('b9')) return '7b9'
+    if (alterations.includes('#9')) return '7#9'
+    if (alterations.includes('b13')) return '7b13'
+    if (alterations.includes('#11')) return '7#11'
+    if (chord.extension === 13) return '13'
+    return hasNinth ? '9' : '7'
+  }
+
+  if (chord.seventh === 'major') {
+    if (chord.fifth === 'sharp') return 'maj7#5'
+    if (alterations.includes('#11') || chord.fifth === 'flat') return 'maj7#11'
+    return hasNinth ? 'maj9' : 'maj7'
+  }
+
+  if (chord.fifth === 'sharp') return 'aug'
+  if (chord.sixth) return hasNinth ? '6/9' : '6'
+  return hasNinth ? 'maj9' : 'maj7'
+}
+
+/**
+ * Map a parsed chord to a voiceable type and tell whether something was lost
+ * @param {object} chord - Result of parseChordSymbol
+ * @returns {{type: string, approximated: boolean, reasons: string[]}}
+ *   reasons: what the type cannot express (missing or added tones, bass, upper chord,
+ *   unread tokens), as user-facing text. Triads are approximated too: the type adds a seventh.
+ */
+export function resolveChordType(chord) {
+  const type = chordTypeFor(chord)
+  const reasons = []
+
+  const written = chordIntervals(chord)
+  const voiced = typeIntervals(type)
+  const missing = [...written].filter(interval => !voiced.has(interval))
+  if (missing.length > 0) reasons.push(`${type} omite ${missing.length === 1 ? 'una nota' : `${missing.length} notas`}`)
+
+  // Tones the symbol excludes (sus / no3, altered or omitted fifth)
+  const excluded = []
+  if (chord.third === 'none') excluded.push(3, 4)
+  if (chord.fifth !== 'perfect' || chord.alterations.includes('alt')) excluded.push(7)
+  const added = [...voiced].filter(interval => !written.has(interval))
+  if (added.some(interval => excluded.includes(interval))) {
+    reasons.push(`${type} anade una nota que el cifrado excluye`)
+  } else if (added.length > 0) {
+    reasons.push(`${type} anade ${added.length === 1 ? 'una nota' : `${added.length} notas`} que el cifrado no lleva`)
+  }
+
+  if (chord.bass) reasons.push(`bajo ${chord.bass} ignorado`)
+  if (chord.upper) reasons.push(`acorde superior ${formatChordSymbol(chord.upper)} ignorado`)
+  for (const error of chord.errors) {
+    reasons.push(`"${error.token}" ${error.message.toLowerCase()} (posicion ${error.position})`)
+  }
+
+  return { type, approximated: reasons.length > 0, reasons }
 }
 
 /**
@@ -127,38 +478,34 @@ function parseChord(chord) {
  * @returns {string} Roman numeral degree (e.g., "IIm7")
  */
 export function chordToRoman(chord, key = 'C') {
-  const { root, quality } = parseChord(chord)
+  return analyzeChordSymbol(chord, key).degree
+}
 
-  if (!root) {
-    return 'Imaj7' // Default fallback
+/**
+ * Convert an absolute chord symbol to a degree, reporting approximations
+ * @param {string} symbol - Absolute chord (e.g., "F13b9")
+ * @param {string} key - Key (e.g., "Bb")
+ * @returns {{degree: string, chord: object, approximated: boolean, reasons: string[]}}
+ *   degree is NO_CHORD for "NC"
+ */
+export function analyzeChordSymbol(symbol, key = 'C') {
+  const chord = parseChordSymbol(symbol)
+
+  if (String(symbol ?? '').trim() === NO_CHORD) {
+    return { degree: NO_CHORD, chord, approximated: false, reasons: [] }
+  }
+
+  if (!chord.root) {
+    return { degree: 'Imaj7', chord, approximated: true, reasons: [`"${symbol}" no es un acorde`] }
   }
 
   // Calculate interval from key
   const keySemitone = NOTE_TO_SEMITONE[key] ?? 0
-  const chordSemitone = NOTE_TO_SEMITONE[root] ?? 0
-  const interval = (chordSemitone - keySemitone + 12) % 12
-
-  // Get Roman numeral
-  const numeral = INTERVAL_TO_NUMERAL[interval] || 'I'
-
-  // Map quality
-  const mappedQuality = QUALITY_MAP[quality] || QUALITY_MAP[''] || 'maj7'
-
-  // Combine: handle special cases for minor numerals
-  let degree = numeral
-
-  // If quality starts with 'm' (minor), lowercase the numeral
-  if (mappedQuality.startsWith('m') && !mappedQuality.startsWith('maj')) {
-    // Convert to lowercase for minor chords (but keep accidentals)
-    if (numeral.startsWith('b') || numeral.startsWith('#')) {
-      degree = numeral.charAt(0) + numeral.slice(1).toLowerCase()
-    } else {
-      // Actually, in jazz notation we keep uppercase and add 'm'
-      // So IIm7, not iim7
-    }
-  }
+  const interval = (NOTE_TO_SEMITONE[chord.root] - keySemitone + 12) % 12
 
-  return degree + mappedQuality
+  // Jazz notation keeps the numeral uppercase and spells the quality: IIm7, not iim7
+  const { type, approximated, reasons } = resolveChordType(chord)
+  return { degree: INTERVAL_TO_NUMERAL[interval] + type, chord, approximated, reasons }
 }
 
 /**
@@ -175,6 +522,72 @@ export function convertProgressionToRoman(progression, key = 'C') {
   }))
 }
 
+/**
+ * Convert a standard's chord list (one entry per bar) to a progression
+ * A bar may hold several chords separated by spaces ("Dm7 G7"); they split
+ * the bar (as evenly as whole beats allow). "/" and empty bars extend the
+ * previous chord; "NC" becomes a NO_CHORD entry (consecutive ones merge).
+ * Each chord keeps its original `symbol`; chords the app cannot voice exactly
+ * (e.g. "C69/E") get `approximation` with the reasons.
+ * @param {Array<string>} chords - Bars, e.g. ["Cmaj7", "Dm7 G7", "NC"]
+ * @param {string} key - Key of the standard
+ * @param {number} beatsPerBar - Beats per bar
+ * @returns {Array} Progression of {degree, key, tension, duration, section, symbol, approximation?}
+ */
+export function standardToProgression(chords, key = 'C', beatsPerBar = 4) {
+  const progression = []
+
+  for (const bar of chords) {
+    const symbols = String(bar).trim().split(/\s+/).filter(c => c.length > 0)
+    if (symbols.length === 0) symbols.push('/')
+
+    symbols.forEach((symbol, i) => {
+      const beats = splitBeats(beatsPerBar, symbols.length, i)
+      const previous = progression[progression.length - 1]
+      const noChord = symbol === NO_CHORD || (symbol === '/' && !previous)
+      if (previous && (symbol === '/' || (noChord && previous.degree === NO_CHORD))) {
+        previous.duration += beats
+        return
+      }
+
+      if (noChord) {
+        progression.push({
+          degree: NO_CHORD,
+          key: key,
+          tension: 0,
+          duration: beats,
+          section: progression.length === 0 ? 'A' : null,
+          symbol: NO_CHORD
+        })
+        return
+      }
+
+      const { degree, approximated, reasons } = analyzeChordSymbol(symbol, key)
+      progression.push({
+        degree,
+        key: key,
+        tension: 0.5,
+        duration: beats,
+        section: progression.length === 0 ? 'A' : null,
+        symbol,
+        ...(approximated ? { approximation: reasons.join('; ') } : {})
+      })
+    })
+  }
+
+  return progression
+}
+
+/**
+ * Beats for the i-th of n chords sharing a bar
+ * Whole beats when possible, longer chords first (3/4: "Dm7 G7" = 2 + 1)
+ */
+function splitBeats(beatsPerBar, count, i) {
+  if (count > beatsPerBar) return beatsPerBar / count
+  const base = Math.floor(beatsPerBar / count)
+  return i < beatsPerBar % count ? base + 1 : base
+}
+
 /**
  * Check if a degree exists in our JAZZ_DEGREES
  * and return the closest match if not
@@ -186,7 +599,12 @@ export function normalizeDegree(degree) {
 }
 
 export default {
+  NO_CHORD,
   chordToRoman,
+  analyzeChordSymbol,
   convertProgressionToRoman,
-  parseChord
+  standardToProgression,
+  parseChordSymbol,
+  formatChordSymbol,
+  resolveChordType
 }
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest'
+import {
+  NO_CHORD,
+  parseChordSymbol,
+  formatChordSymbol,
+  analyzeChordSymbol,
+  standardToProgression
+} from './ChordConverter.js'
+
+describe('parseChordSymbol / formatChordSymbol', () => {
+  const symbols = [
+    'Cmaj7', 'Cm7', 'Cm7b5', 'Cdim7', 'C7b9#11', 'C7alt', 'C13', 'Cm9', 'C69',
+    'C7sus4', 'C+', 'C6/E', 'D/C7', 'Cm(maj7)', 'F#m7', 'Bbmaj7#11', 'C5'
+  ]
+
+  it.each(symbols)('round-trips %s', symbol => {
+    const chord = parseChordSymbol(symbol)
+    expect(chord.errors).toEqual([])
+    expect(parseChordSymbol(formatChordSymbol(chord))).toEqual(chord)
+  })
+
+  it('reads spelling variants as the same chord', () => {
+    expect(parseChordSymbol('C-7')).toEqual(parseChordSymbol('Cm7'))
+    expect(parseChordSymbol('C^7')).toEqual(parseChordSymbol('Cmaj7'))
+    expect(parseChordSymbol('Cø')).toEqual(parseChordSymbol('Cm7b5'))
+    expect(parseChordSymbol('Bb7(b9,#11)')).toEqual(parseChordSymbol('Bb7b9#11'))
+  })
+
+  it('writes a minor-major seventh with parentheses', () => {
+    expect(formatChordSymbol(parseChordSymbol('CmMaj7'))).toBe('Cm(maj7)')
+    expect(formatChordSymbol(parseChordSymbol('C-^9'))).toBe('Cm(maj9)')
+  })
+
+  it('keeps the bass of a slash chord', () => {
+    expect(parseChordSymbol('C/E').bass).toBe('E')
+    expect(formatChordSymbol(parseChordSymbol('C69/E'))).toBe('C69/E')
+  })
+
+  it('reports unbalanced parentheses', () => {
+    expect(parseChordSymbol('C7(b9').errors).toEqual([
+      { token: '(', position: 2, message: 'Parentesis sin cerrar' }
+    ])
+    expect(parseChordSymbol('C7b9)').errors).toEqual([
+      { token: ')', position: 4, message: 'Parentesis sin abrir' }
+    ])
+  })
+
+  it('reports unread tokens with their position', () => {
+    const [error] = parseChordSymbol('C7xyz').errors
+    expect(error.token).toBe('xyz')
+    expect(error.position).toBe(2)
+  })
+})
+
+describe('analyzeChordSymbol', () => {
+  it('converts to a degree relative to the key', () => {
+    expect(analyzeChordSymbol('Dm7', 'C').degree).toBe('IIm7')
+    expect(analyzeChordSymbol('G7', 'C').degree).toBe('V7')
+    expect(analyzeChordSymbol('Ebmaj7', 'Bb').degree).toBe('IVmaj7')
+  })
+
+  it('voices exact chords without approximation', () => {
+    expect(analyzeChordSymbol('Cmaj7').approximated).toBe(false)
+    expect(analyzeChordSymbol('Dm7b5').approximated).toBe(false)
+  })
+
+  it('flags tones the voiced type adds', () => {
+    const triad = analyzeChordSymbol('C')
+    expect(triad.degree).toBe('Imaj7')
+    expect(triad.approximated).toBe(true)
+    expect(triad.reasons).toContain('maj7 anade una nota que el cifrado no lleva')
+  })
+
+  it('flags tones the symbol excludes', () => {
+    expect(analyzeChordSymbol('Cmaj7no5').reasons).toEqual(['maj7 anade una nota que el cifrado excluye'])
+  })
+
+  it('flags an ignored bass and parse errors', () => {
+    expect(analyzeChordSymbol('C69/E').reasons).toContain('bajo E ignorado')
+    expect(analyzeChordSymbol('C7(b9').reasons).toContain('"(" parentesis sin cerrar (posicion 2)')
+  })
+
+  it('reads NC as no chord', () => {
+    expect(analyzeChordSymbol('NC')).toMatchObject({ degree: NO_CHORD, approximated: false, reasons: [] })
+  })
+})
+
+describe('standardToProgression', () => {
+  it('splits bars and extends chords across "/" and empty bars', () => {
+    const progression = standardToProgression(['Cmaj7', 'Dm7 G7', '/', ''], 'C', 4)
+    expect(progression.map(chord => [chord.degree, chord.duration])).toEqual([
+      ['Imaj7', 4],
+      ['IIm7', 2],
+      ['V7', 10]
+    ])
+    expect(progression[0].section).toBe('A')
+  })
+
+  it('splits odd meters in whole beats, longer chords first', () => {
+    const progression = standardToProgression(['Dm7 G7'], 'C', 3)
+    expect(progression.map(chord => chord.duration)).toEqual([2, 1])
+  })
+
+  it('turns NC into a silent entry and merges consecutive ones', () => {
+    const progression = standardToProgression(['NC', 'NC', 'Cmaj7'], 'C', 4)
+    expect(progression).toHaveLength(2)
+    expect(progression[0]).toMatchObject({ degree: NO_CHORD, duration: 8, symbol: NO_CHORD, tension: 0 })
+  })
+
+  it('keeps the original symbol and the approximation reasons', () => {
+    const [chord] = standardToProgression(['C69/E'], 'C', 4)
+    expect(chord.symbol).toBe('C69/E')
+    expect(chord.approximation).toContain('bajo E ignorado')
+  })
+})
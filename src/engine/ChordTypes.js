@@ -13,11 +13,14 @@ export const CHORD_TYPES = {
   'maj9':     { intervals: [0, 4, 7, 11, 14], symbol: 'maj9', color: '#70ff70' },
   '6':        { intervals: [0, 4, 7, 9], symbol: '6', color: '#70ff70' },
   'maj7#11':  { intervals: [0, 4, 7, 11, 18], symbol: 'maj7#11', color: '#90ff70' },
+  '6/9':      { intervals: [0, 4, 7, 9, 14], symbol: '6/9', color: '#70ff70' },
+  'maj7#5':   { intervals: [0, 4, 8, 11], symbol: 'maj7#5', color: '#90ff70' },
 
   // === ACORDES MENORES ===
   'm7':       { intervals: [0, 3, 7, 10], symbol: 'm7', color: '#7070ff' },
   'm9':       { intervals: [0, 3, 7, 10, 14], symbol: 'm9', color: '#7070ff' },
   'm6':       { intervals: [0, 3, 7, 9], symbol: 'm6', color: '#7070ff' },
+  'm(maj7)':  { intervals: [0, 3, 7, 11], symbol: 'm(maj7)', color: '#9070ff' },
 
   // === DOMINANTES ===
   '7':        { intervals: [0, 4, 7, 10], symbol: '7', color: '#ffff70' },
@@ -26,12 +29,16 @@ export const CHORD_TYPES = {
   '7b13':     { intervals: [0, 4, 7, 10, 20], symbol: '7b13', color: '#ff9070' },
   '7#11':     { intervals: [0, 4, 7, 10, 18], symbol: '7#11', color: '#ff9070' },
   '7sus4':    { intervals: [0, 5, 7, 10], symbol: '7sus4', color: '#70ffff' },
+  '7sus':     { intervals: [0, 5, 7, 10], symbol: '7sus', color: '#70ffff' },
+  '13sus':    { intervals: [0, 5, 7, 10, 14, 21], symbol: '13sus', color: '#70ffff' },
 
   // === DOMINANTES ALTERADOS ===
   '7alt':     { intervals: [0, 4, 8, 10, 13], symbol: '7alt', color: '#ff7070' },
   '7b9':      { intervals: [0, 4, 7, 10, 13], symbol: '7b9', color: '#ff7070' },
   '7#9':      { intervals: [0, 4, 7, 10, 15], symbol: '7#9', color: '#ff7070' },
   '7#9#5':    { intervals: [0, 4, 8, 10, 15], symbol: '7#9#5', color: '#ff5050' },
+  '7#5':      { intervals: [0, 4, 8, 10], symbol: '7#5', color: '#ff9070' },
+  '7b9b13':   { intervals: [0, 4, 7, 10, 13, 20], symbol: '7b9b13', color: '#ff7070' },
 
   // === DISMINUIDOS Y SEMIDISMINUIDOS ===
   'm7b5':     { intervals: [0, 3, 6, 10], symbol: 'm7b5', color: '#ff70ff' },
@@ -39,7 +46,11 @@ export const CHORD_TYPES = {
 
   // === SUSPENDIDOS ===
   'sus4':     { intervals: [0, 5, 7], symbol: 'sus4', color: '#70ffff' },
-  'sus2':     { intervals: [0, 2, 7], symbol: 'sus2', color: '#70ffff' }
+  'sus2':     { intervals: [0, 2, 7], symbol: 'sus2', color: '#70ffff' },
+  'sus':      { intervals: [0, 5, 7], symbol: 'sus', color: '#70ffff' },
+
+  // === AUMENTADOS ===
+  'aug':      { intervals: [0, 4, 8], symbol: '+', color: '#ffb070' }
 }
 
 /**
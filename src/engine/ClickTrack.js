@@ -0,0 +1,191 @@
+/**
+ * ClickTrack.js - Claqueta y metronomo
+ *
+ * Planifica los golpes del click en pulsos absolutos, como el resto de
+ * planificadores; los tocan audio/Metronome.js y el export MIDI:
+ * - Claqueta de 1 o 2 compases antes de la banda, con click o cuenta
+ *   hablada ("1, 2, 3, 4"). En la de dos compases el primero cuenta solo
+ *   los inicios de grupo ("1 . 2 . | 1 2 3 4")
+ * - Metronomo con subdivision (pulso, corcheas, tresillos, semicorcheas),
+ *   acentos (primer pulso, inicio de cada grupo o ninguno), opcion de sonar
+ *   solo en 2 y 4 y solo en algunas secciones de la forma (chord.section)
+ *
+ * Los golpes van en pulsos: siguen los cambios de tempo y el compas.
+ */
+
+import { DEFAULT_METER, getMeterInfo, getGroupStarts, getBackbeats } from './Meter.js'
+
+export const COUNT_IN_SOUNDS = [
+  { id: 'click', name: 'Click' },
+  { id: 'voice', name: 'Voz', description: 'Cuenta hablada: 1, 2, 3...' }
+]
+
+export const CLICK_SUBDIVISIONS = [
+  { id: 1, name: 'Pulso' },
+  { id: 2, name: 'Corcheas' },
+  { id: 3, name: 'Tresillos' },
+  { id: 4, name: 'Semicorcheas' }
+]
+
+export const CLICK_ACCENTS = [
+  { id: 'bar', name: 'Primer pulso' },
+  { id: 'groups', name: 'Grupos', description: 'Acento en el inicio de cada grupo (ej: 5/4 = 3+2)' },
+  { id: 'none', name: 'Sin acento' }
+]
+
+export const MAX_COUNT_IN = 2
+
+export const DEFAULT_METRONOME = {
+  enabled: false,         // Click mientras toca la banda
+  subdivision: 1,         // CLICK_SUBDIVISIONS
+  accent: 'bar',          // CLICK_ACCENTS
+  backbeatsOnly: false,   // Solo en 2 y 4 (backbeats del compas, ver Meter.getBackbeats)
+  sections: [],           // Secciones con click (vacio = todas)
+  countIn: 1,             // Compases de claqueta (0 - MAX_COUNT_IN)
+  countInSound: 'click',  // COUNT_IN_SOUNDS
+  includeInExport: false  // Claqueta y click en la grabacion WAV y el MIDI
+}
+
+// Dinamica de cada nivel de golpe
+const VELOCITIES = {
+  accent: 1,
+  group: 0.8,
+  beat: 0.65,
+  sub: 0.4
+}
+
+const CLICK_DURATION = 0.1
+
+/**
+ * Valida los ajustes del metronomo (guardados o editados)
+ * @param {object} raw
+ * @returns {object}
+ */
+export function normalizeMetronome(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const countIn = Math.round(Number(source.countIn))
+  return {
+    enabled: !!source.enabled,
+    subdivision: CLICK_SUBDIVISIONS.some(s => s.id === source.subdivision) ? source.subdivision : DEFAULT_METRONOME.subdivision,
+    accent: CLICK_ACCENTS.some(a => a.id === source.accent) ? source.accent : DEFAULT_METRONOME.accent,
+    backbeatsOnly: !!source.backbeatsOnly,
+    sections: Array.isArray(source.sections) ? source.sections.filter(s => typeof s === 'string' && s) : [],
+    countIn: Number.isFinite(countIn) ? Math.max(0, Math.min(MAX_COUNT_IN, countIn)) : DEFAULT_METRONOME.countIn,
+    countInSound: COUNT_IN_SOUNDS.some(s => s.id === source.countInSound) ? source.countInSound : DEFAULT_METRONOME.countInSound,
+    includeInExport: !!source.includeInExport
+  }
+}
+
+/**
+ * Nivel de un pulso segun el patron de acentos
+ */
+function getBeatLevel(beat, accent, groupStarts) {
+  if (accent === 'none') return 'beat'
+  if (beat === 0) return 'accent'
+  return accent === 'groups' && groupStarts.includes(beat) ? 'group' : 'beat'
+}
+
+/**
+ * Claqueta antes de la banda
+ * @param {number} bars - Compases de claqueta
+ * @param {object} options
+ * @param {string} options.meter - Compas (Meter.js)
+ * @returns {Array<{start, duration, level, velocity, bar, count}>} count = numero que se canta (voz)
+ */
+export function planCountIn(bars, { meter = DEFAULT_METER } = {}) {
+  const { beats, compound } = getMeterInfo(meter)
+  const groupStarts = getGroupStarts(meter)
+  const clicks = []
+
+  for (let bar = 0; bar < bars; bar++) {
+    // El primer compas de dos (y los compuestos) cuentan los grupos
+    const counted = bar < bars - 1 || compound
+      ? groupStarts
+      : Array.from({ length: beats }, (_, beat) => beat)
+    counted.forEach((beat, i) => {
+      const level = beat === 0 ? 'accent' : 'beat'
+      clicks.push({
+        start: bar * beats + beat,
+        duration: CLICK_DURATION,
+        level,
+        velocity: VELOCITIES[level],
+        bar,
+        count: i + 1
+      })
+    })
+  }
+  return clicks
+}
+
+/**
+ * Seccion de la forma de cada compas (la ultima marcada con chord.section)
+ * @param {Array} bars - Compases de segmentos (HarmonicRhythm.groupIntoBars)
+ * @returns {Array<string|null>}
+ */
+export function getBarSections(bars) {
+  let current = null
+  return bars.map(bar => {
+    const marked = bar.find(segment => segment.isChordStart && segment.chord?.section)
+    if (marked) current = marked.chord.section
+    return current
+  })
+}
+
+/**
+ * Golpes del metronomo mientras toca la banda
+ * @param {Array} bars - Compases de segmentos (groupIntoBars o los compases de un arreglo)
+ * @param {object} metronome - Ver normalizeMetronome
+ * @param {object} options
+ * @param {string} options.meter - Compas (Meter.js)
+ * @returns {Array<{start, duration, level, velocity, bar}>} Pulsos absolutos
+ */
+export function planClicks(bars, metronome, { meter = DEFAULT_METER } = {}) {
+  const { subdivision, accent, backbeatsOnly, sections } = normalizeMetronome(metronome)
+  const { beats } = getMeterInfo(meter)
+  const groupStarts = getGroupStarts(meter)
+  const backbeats = getBackbeats(meter)
+  const barSections = getBarSections(bars)
+  const clicks = []
+
+  bars.forEach((_, barIndex) => {
+    if (sections.length > 0 && !sections.includes(barSections[barIndex])) return
+
+    for (let beat = 0; beat < beats; beat++) {
+      if (backbeatsOnly && !backbeats.includes(beat)) continue
+      // Solo en 2 y 4: un golpe por backbeat, sin subdivision
+      const steps = backbeatsOnly ? 1 : subdivision
+      for (let step = 0; step < steps; step++) {
+        const level = step === 0 ? getBeatLevel(beat, backbeatsOnly ? 'none' : accent, groupStarts) : 'sub'
+        clicks.push({
+          start: barIndex * beats + beat + step / steps,
+          duration: CLICK_DURATION,
+          level,
+          velocity: VELOCITIES[level],
+          bar: barIndex
+        })
+      }
+    }
+  })
+  return clicks
+}
+
+/**
+ * Secciones de una progresion en orden de aparicion (para elegir donde suena el click)
+ * @param {Array} progression
+ * @returns {string[]}
+ */
+export function getSectionLabels(progression) {
+  return [...new Set(progression.map(chord => chord.section).filter(Boolean))]
+}
+
+export default {
+  COUNT_IN_SOUNDS,
+  CLICK_SUBDIVISIONS,
+  CLICK_ACCENTS,
+  DEFAULT_METRONOME,
+  normalizeMetronome,
+  planCountIn,
+  planClicks,
+  getBarSections,
+  getSectionLabels
+}
@@ -0,0 +1,239 @@
+/**
+ * Comping.js - Patrones ritmicos de acompanamiento del piano
+ *
+ * En lugar de un golpe por acorde en el tiempo 1, cada compas elige un patron
+ * del estilo de comping:
+ * - Charleston: 1 y el "y" del 2
+ * - Anticipaciones: el acorde siguiente entra en el "y" del 4
+ * - Red Garland: contratiempos cortos (2-y, 4-y)
+ * - Bossa: sincopas rectas alternando dos compases
+ * - Balada: arpegios sobre el bajo
+ *
+ * Una anticipacion toca ya el acorde siguiente y lo liga con su compas
+ * (el golpe del tiempo 1 desaparece). La densidad elige patrones mas o menos
+ * cargados y la variacion cuanto cambia el patron de un compas a otro.
+ *
+ * Los eventos se miden en pulsos desde el inicio de la progresion y llevan
+ * las notas del voicing planificado (VoiceLeading): AudioEngine, PianoRoll y
+ * MidiExporter tocan y dibujan los mismos golpes.
+ */
+
+import { groupIntoBars, DEFAULT_BEATS_PER_BAR } from './HarmonicRhythm.js'
+import { DEFAULT_METER, getMeterInfo } from './Meter.js'
+import { getRandom, reseed } from './Random.js'
+
+const random = getRandom('comping')
+
+export const DEFAULT_COMPING_STYLE = 'charleston'
+export const DEFAULT_COMPING_DENSITY = 0.5
+export const DEFAULT_COMPING_VARIATION = 0.5
+
+export const COMPING_STYLES = [
+  { id: 'sustained', name: 'Sostenido', description: 'Un golpe por acorde', swing: true },
+  { id: 'charleston', name: 'Charleston', description: '1 y el "y" del 2', swing: true },
+  { id: 'anticipation', name: 'Anticipaciones', description: 'El acorde siguiente en el "y" del 4', swing: true },
+  { id: 'garland', name: 'Red Garland', description: 'Contratiempos cortos', swing: true },
+  { id: 'bossa', name: 'Bossa', description: 'Sincopa recta de dos compases', swing: false },
+  { id: 'ballad', name: 'Balada', description: 'Arpegios sobre el bajo', swing: false }
+]
+
+/**
+ * Patrones de cada estilo (en pulsos de un compas de 4/4)
+ * Golpe: { at, length, accent?, anticipate?, arpeggio? }
+ * - at < 0 cuenta desde el final del segmento (-0.5 = "y" del ultimo pulso)
+ * - busy: 0 escaso ... 1 cargado (se compara con la densidad)
+ * - parity: solo en compases pares (0) o impares (1)
+ */
+const PATTERNS = {
+  sustained: [
+    { busy: 0.5, weight: 1, hits: [{ at: 0, length: 3, accent: true }] }
+  ],
+  charleston: [
+    { busy: 0.4, weight: 3, hits: [{ at: 0, length: 1, accent: true }, { at: 1.5, length: 0.5 }] },
+    { busy: 0.1, weight: 1, hits: [{ at: 0, length: 1.5, accent: true }] },
+    { busy: 0.6, weight: 1, hits: [{ at: 0.5, length: 0.5 }, { at: 2, length: 1, accent: true }] },
+    { busy: 0.9, weight: 1, hits: [{ at: 0, length: 1, accent: true }, { at: 1.5, length: 0.5 }, { at: 2, length: 1 }, { at: 3.5, length: 0.5 }] }
+  ],
+  anticipation: [
+    { busy: 0.4, weight: 3, hits: [{ at: 0, length: 1.5, accent: true }, { at: -0.5, length: 0.5, anticipate: true }] },
+    { busy: 0.2, weight: 1, hits: [{ at: 1.5, length: 1 }, { at: -0.5, length: 0.5, anticipate: true }] },
+    { busy: 0.8, weight: 1, hits: [{ at: 0, length: 1, accent: true }, { at: 2, length: 1 }, { at: -0.5, length: 0.5, anticipate: true }] }
+  ],
+  garland: [
+    { busy: 0.4, weight: 3, hits: [{ at: 1.5, length: 0.4, accent: true }, { at: -0.5, length: 0.4, anticipate: true }] },
+    { busy: 0.2, weight: 1, hits: [{ at: 1.5, length: 0.4, accent: true }] },
+    { busy: 0.7, weight: 1, hits: [{ at: 0.5, length: 0.4 }, { at: 1.5, length: 0.4, accent: true }, { at: 2.5, length: 0.4 }] },
+    { busy: 0.9, weight: 1, hits: [{ at: 0.5, length: 0.4 }, { at: 1.5, length: 0.4, accent: true }, { at: 2.5, length: 0.4 }, { at: -0.5, length: 0.4, anticipate: true }] }
+  ],
+  bossa: [
+    { busy: 0.5, weight: 1, parity: 0, hits: [{ at: 0, length: 1.5, accent: true }, { at: 1.5, length: 1 }, { at: 3, length: 1 }] },
+    { busy: 0.5, weight: 1, parity: 1, hits: [{ at: 0.5, length: 1 }, { at: 2, length: 1.5, accent: true }] },
+    { busy: 0.2, weight: 1, parity: 1, hits: [{ at: 0.5, length: 1.5 }] },
+    { busy: 0.9, weight: 1, parity: 1, hits: [{ at: 0.5, length: 1 }, { at: 2, length: 1, accent: true }, { at: -0.5, length: 0.5, anticipate: true }] }
+  ],
+  ballad: [
+    { busy: 0.5, weight: 2, hits: [{ at: 0, length: 4, accent: true, arpeggio: true }] },
+    { busy: 0.2, weight: 1, hits: [{ at: 0, length: 4, accent: true }] },
+    { busy: 0.9, weight: 1, hits: [{ at: 0, length: 2, accent: true, arpeggio: true }, { at: 2, length: 2, arpeggio: true }] }
+  ]
+}
+
+const ACCENT_VELOCITY = 0.8
+const VELOCITY = 0.65
+
+/**
+ * Golpes de un patron ajustados a un segmento de `beats` pulsos
+ * Los compases compuestos (6/8) cuentan en corcheas: los patrones se doblan
+ */
+function fitHits(pattern, beats, scale) {
+  const hits = []
+  for (const hit of pattern.hits) {
+    const at = hit.at < 0 ? beats + hit.at * scale : hit.at * scale
+    if (at < 0 || at >= beats) continue
+    if (hits.some(existing => Math.abs(existing.at - at) < 0.01)) continue
+    hits.push({ ...hit, at, length: Math.min(hit.length * scale, beats - at) })
+  }
+  return hits.sort((a, b) => a.at - b.at)
+}
+
+/**
+ * Elige el patron del compas
+ * Con variacion 0 se repite siempre el patron mas cercano a la densidad;
+ * con variacion 1 cada compas sortea uno nuevo (pesado por densidad)
+ */
+function choosePattern(style, barIndex, previous, { density, variation }) {
+  const patterns = (PATTERNS[style] || PATTERNS[DEFAULT_COMPING_STYLE])
+    .filter(pattern => pattern.parity === undefined || pattern.parity === barIndex % 2)
+  // Los patrones lejos de la densidad pedida casi no salen
+  const scores = patterns.map(pattern => pattern.weight * Math.exp(-(((pattern.busy - density) / 0.25) ** 2)))
+
+  if (previous && patterns.includes(previous) && random() >= variation) return previous
+
+  const best = patterns[scores.indexOf(Math.max(...scores))]
+  if (random() >= variation) return best
+
+  let roll = random() * scores.reduce((sum, score) => sum + score, 0)
+  for (let i = 0; i < patterns.length; i++) {
+    roll -= scores[i]
+    if (roll <= 0) return patterns[i]
+  }
+  return best
+}
+
+/**
+ * Expande un arpegio: la mano izquierda en el golpe y la derecha nota a nota
+ */
+function arpeggiate(event, step) {
+  const events = [{ ...event, right: [] }]
+  event.right.forEach((note, i) => {
+    const offset = (i + 1) * step
+    if (offset >= event.duration) return
+    events.push({
+      ...event,
+      start: event.start + offset,
+      duration: event.duration - offset,
+      left: [],
+      right: [note],
+      velocity: VELOCITY
+    })
+  })
+  return events.filter(e => e.left.length > 0 || e.right.length > 0)
+}
+
+/**
+ * Planifica el comping de una progresion
+ * @param {Array} progression - Acordes {degree, key, duration?}
+ * @param {Array} voicings - Voicing planificado de cada acorde (VoiceLeading.planVoicings)
+ * @param {object} options
+ * @param {string} options.style - Id de COMPING_STYLES
+ * @param {number} options.density - 0 (escaso) - 1 (cargado)
+ * @param {number} options.variation - 0 (mismo patron) - 1 (cambia cada compas)
+ * @param {string} options.meter - Compas (Meter.js)
+ * @param {number} options.pass - Vuelta del loop (cada vuelta varia de forma reproducible)
+ * @returns {Array<{start, duration, bar, index, left, right, velocity}>} Eventos ordenados (pulsos absolutos)
+ */
+export function planComping(progression, voicings, {
+  style = DEFAULT_COMPING_STYLE,
+  density = DEFAULT_COMPING_DENSITY,
+  variation = DEFAULT_COMPING_VARIATION,
+  meter = DEFAULT_METER,
+  pass = 0
+} = {}) {
+  const meterInfo = getMeterInfo(meter)
+  const beatsPerBar = meterInfo.beats || DEFAULT_BEATS_PER_BAR
+  // En 6/8 los pulsos son corcheas: un pulso de negra son dos
+  const scale = meterInfo.compound ? 2 : 1
+  const bars = groupIntoBars(progression, beatsPerBar)
+  const segments = bars.flatMap((bar, barIndex) => bar.map(segment => ({ ...segment, barIndex })))
+
+  const events = []
+  let previous = null
+  let tied = -1 // Segmento cuyo primer golpe ya sono anticipado
+
+  bars.forEach((bar, barIndex) => {
+    reseed('comping', pass, barIndex)
+    const pattern = choosePattern(style, barIndex, previous, { density, variation })
+    previous = pattern
+
+    for (const segment of bar) {
+      const position = segments.findIndex(s => s.barIndex === barIndex && s.beat === segment.beat)
+      const next = segments[position + 1]
+      const barStart = barIndex * beatsPerBar
+
+      for (const hit of fitHits(pattern, segment.beats, scale)) {
+        if (position === tied && hit.at === 0) continue
+
+        let index = segment.index
+        if (hit.anticipate) {
+          // Sin acorde siguiente (final) la anticipacion no suena
+          if (!next) continue
+          if (next.isChordStart) {
+            index = next.index
+            tied = position + 1
+          }
+        }
+
+        const voicing = voicings[index]
+        if (!voicing) continue
+
+        const event = {
+          start: barStart + segment.beat + hit.at,
+          duration: hit.length,
+          bar: barIndex,
+          index,
+          left: [...voicing.left],
+          right: [...voicing.right],
+          velocity: hit.accent ? ACCENT_VELOCITY : VELOCITY
+        }
+
+        // La anticipacion se liga con el primer golpe del acorde siguiente
+        if (hit.anticipate && index !== segment.index) {
+          const downbeat = fitHits(pattern, next.beats, scale).find(h => h.at === 0)
+          event.duration += downbeat ? downbeat.length : 0
+        }
+
+        events.push(...(hit.arpeggio ? arpeggiate(event, 0.5 * scale) : [event]))
+      }
+    }
+  })
+
+  return events.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Indica si un estilo de comping se toca con swing (los contratiempos se retrasan)
+ * @param {string} style
+ * @returns {boolean}
+ */
+export function isSwingComping(style) {
+  return COMPING_STYLES.find(s => s.id === style)?.swing ?? true
+}
+
+export default {
+  COMPING_STYLES,
+  DEFAULT_COMPING_STYLE,
+  DEFAULT_COMPING_DENSITY,
+  DEFAULT_COMPING_VARIATION,
+  planComping,
+  isSwingComping
+}
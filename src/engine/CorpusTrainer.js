@@ -0,0 +1,252 @@
+/**
+ * CorpusTrainer.js - Entrenamiento de matrices de Markov a partir de standards
+ *
+ * Construye tablas de transicion (mismo formato que JAZZ_TRANSITIONS) contando
+ * los cambios de acorde de los temas de la biblioteca (standards.json).
+ *
+ * Los temas se pueden filtrar por compositor, epoca, rango de tempo, compas
+ * o una lista concreta de temas. El corpus no tiene fechas: las epocas se
+ * definen por compositores representativos.
+ */
+
+import { standardToProgression, NO_CHORD } from './ChordConverter.js'
+import { isValidDegree } from './DegreeRegistry.js'
+import { getBeatsPerBar } from './Meter.js'
+import { MAX_ORDER } from './MarkovEngine.js'
+
+/**
+ * Epocas / estilos definidos por compositores
+ */
+export const ERA_PRESETS = {
+  'songbook': {
+    name: 'Songbook (Tin Pan Alley)',
+    composers: [
+      'George Gershwin', 'Cole Porter', 'Richard Rodgers', 'Harold Arlen', 'Irving Berlin',
+      'Jerome Kern', 'Jule Styne', 'Frank Loesser', 'Van Heusen', 'Harry Warren',
+      'Hoagy Carmichael', 'Jimmy McHugh'
+    ]
+  },
+  'swing': {
+    name: 'Swing / Ellington',
+    composers: ['Duke Ellington', 'Billy Strayhorn', 'Count Basie', 'Benny Goodman', 'Fats Waller']
+  },
+  'bebop': {
+    name: 'Bebop',
+    composers: [
+      'Charlie Parker', 'Dizzy Gillespie', 'Bud Powell', 'Thelonious Monk', 'Tadd Dameron',
+      'Dexter Gordon', 'Sonny Stitt', 'Fats Navarro'
+    ]
+  },
+  'hardbop': {
+    name: 'Hard Bop',
+    composers: [
+      'Horace Silver', 'Sonny Rollins', 'Benny Golson', 'Lee Morgan', 'Hank Mobley',
+      'Kenny Dorham', 'Clifford Brown', 'Cannonball Adderley', 'Charles Mingus'
+    ]
+  },
+  'modal': {
+    name: 'Modal / Post-bop',
+    composers: [
+      'John Coltrane', 'Wayne Shorter', 'Miles Davis', 'Herbie Hancock', 'McCoy Tyner',
+      'Joe Henderson', 'Chick Corea', 'Bill Evans'
+    ]
+  },
+  'bossa': {
+    name: 'Bossa Nova / Brasil',
+    composers: ['Antonio Carlos Jobim', 'Luiz Bonfa', 'Joao Gilberto', 'Ivan Lins', 'Baden Powell']
+  }
+}
+
+// Transiciones maximas por acorde (las menos frecuentes se descartan)
+const MAX_TRANSITIONS_PER_CHORD = 16
+
+// Contextos de orden 2-3: apariciones minimas para guardarlo (los raros se
+// dejan al backoff de orden inferior) y transiciones maximas por contexto
+const MIN_CONTEXT_COUNT = 5
+const MAX_TRANSITIONS_PER_CONTEXT = 8
+
+/**
+ * Comprueba si el compositor de un tema coincide con alguno de la lista
+ * (coincidencia parcial: "Rodgers" encuentra "Richard Rodgers and Lorenz Hart")
+ */
+function matchesComposer(standard, composers) {
+  const composer = (standard.composer || '').toLowerCase()
+  return composers.some(name => composer.includes(name.toLowerCase()))
+}
+
+/**
+ * Filtra los standards del corpus
+ * @param {Array} standards - Temas de standards.json
+ * @param {object} filters
+ * @param {string[]} filters.composers - Compositores (coincidencia parcial)
+ * @param {string} filters.era - Id de ERA_PRESETS
+ * @param {number} filters.minTempo - Tempo minimo (BPM)
+ * @param {number} filters.maxTempo - Tempo maximo (BPM)
+ * @param {string} filters.meter - Compas ('3/4'...)
+ * @param {string[]} filters.ids - Subconjunto de temas por id
+ * @returns {Array} Temas que cumplen todos los filtros
+ */
+export function filterStandards(standards, filters = {}) {
+  const { composers = [], era = null, minTempo = null, maxTempo = null, meter = null, ids = [] } = filters
+  const eraComposers = ERA_PRESETS[era]?.composers || []
+
+  return standards.filter(standard => {
+    if (ids.length > 0 && !ids.includes(standard.id)) return false
+    if (composers.length > 0 && !matchesComposer(standard, composers)) return false
+    if (eraComposers.length > 0 && !matchesComposer(standard, eraComposers)) return false
+    if (minTempo !== null && (standard.tempo || 0) < minTempo) return false
+    if (maxTempo !== null && (standard.tempo || 0) > maxTempo) return false
+    if (meter && (standard.meter || '4/4') !== meter) return false
+    return true
+  })
+}
+
+/**
+ * Cuenta las transiciones entre grados de un tema
+ * Los acordes repetidos no cuentan como transicion, y los grados que el
+ * registro de grados no sabe leer (NC incluido) cortan la cadena.
+ * El tema se cierra sobre si mismo (el ultimo acorde vuelve al primero).
+ *
+ * @param {Array} degrees - Grados del tema
+ * @param {object} counts - Acumulador de orden 1 {from: {to: n}}
+ * @param {object} contextCounts - Acumulador de orden 2-3 {"from1 from2": {to: n}}
+ * @returns {number} Transiciones contadas
+ */
+function countTransitions(degrees, counts, contextCounts) {
+  let transitions = 0
+  let history = []
+  const sequence = [...degrees, degrees[0]]
+
+  for (const degree of sequence) {
+    if (!isValidDegree(degree)) {
+      history = []
+      continue
+    }
+    const previous = history[history.length - 1]
+    if (previous === degree) continue
+
+    if (previous) {
+      addCount(counts, previous, degree)
+      transitions++
+    }
+    for (let order = 2; order <= Math.min(MAX_ORDER, history.length); order++) {
+      addCount(contextCounts, history.slice(-order).join(' '), degree)
+    }
+
+    history.push(degree)
+    if (history.length > MAX_ORDER) history.shift()
+  }
+
+  return transitions
+}
+
+function addCount(counts, from, to) {
+  if (!counts[from]) counts[from] = {}
+  counts[from][to] = (counts[from][to] || 0) + 1
+}
+
+/**
+ * Convierte los contadores en probabilidades
+ * @param {object} counts - {from: {to: n}}
+ * @param {number} minCount - Apariciones minimas de `from` para incluirlo
+ * @param {number} maxTransitions - Transiciones maximas por `from`
+ */
+function normalizeCounts(counts, minCount = 1, maxTransitions = MAX_TRANSITIONS_PER_CHORD) {
+  const table = {}
+
+  for (const [from, targets] of Object.entries(counts)) {
+    const occurrences = Object.values(targets).reduce((sum, count) => sum + count, 0)
+    if (occurrences < minCount) continue
+
+    const entries = Object.entries(targets)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxTransitions)
+    const total = entries.reduce((sum, [, count]) => sum + count, 0)
+
+    table[from] = {}
+    for (const [to, count] of entries) {
+      table[from][to] = Math.round((count / total) * 1000) / 1000
+    }
+  }
+
+  return table
+}
+
+/**
+ * Entrena una matriz de transicion a partir de un conjunto de standards
+ * @param {Array} standards - Temas (ya filtrados)
+ * @param {object} options
+ * @param {string} options.name - Nombre de la matriz
+ * @param {object} options.filters - Filtros usados (se guardan como metadatos)
+ * @returns {{name: string, transitions: object, contexts: object, filters: object, tuneCount: number, transitionCount: number, coverage: number}}
+ *   transitions = orden 1, contexts = orden 2-3 (claves "IIIm7 VI7");
+ *   coverage = parte de los acordes (sin contar NC) leidos sin aproximacion (ChordConverter)
+ */
+export function trainTransitions(standards, { name = null, filters = {} } = {}) {
+  const counts = {}
+  const contextCounts = {}
+  let transitionCount = 0
+  let chordCount = 0
+  let exactCount = 0
+
+  for (const standard of standards) {
+    if (!Array.isArray(standard.chords) || standard.chords.length === 0) continue
+
+    const progression = standardToProgression(
+      standard.chords,
+      standard.key || 'C',
+      getBeatsPerBar(standard.meter)
+    )
+    const degrees = progression.map(chord => chord.degree)
+    if (degrees.length === 0) continue
+
+    transitionCount += countTransitions(degrees, counts, contextCounts)
+    const chords = progression.filter(chord => chord.degree !== NO_CHORD)
+    chordCount += chords.length
+    exactCount += chords.filter(chord => !chord.approximation).length
+  }
+
+  return {
+    name: name || describeFilters(filters),
+    transitions: normalizeCounts(counts),
+    contexts: normalizeCounts(contextCounts, MIN_CONTEXT_COUNT, MAX_TRANSITIONS_PER_CONTEXT),
+    filters,
+    tuneCount: standards.length,
+    transitionCount,
+    coverage: chordCount > 0 ? exactCount / chordCount : 0
+  }
+}
+
+/**
+ * Filtra y entrena en un paso
+ * @param {Array} standards - Corpus completo
+ * @param {object} filters - Ver filterStandards
+ * @param {string} name - Nombre opcional
+ */
+export function trainFromCorpus(standards, filters = {}, name = null) {
+  return trainTransitions(filterStandards(standards, filters), { name, filters })
+}
+
+/**
+ * Nombre por defecto a partir de los filtros
+ * @param {object} filters
+ * @returns {string}
+ */
+export function describeFilters(filters = {}) {
+  const parts = []
+  if (filters.era && ERA_PRESETS[filters.era]) parts.push(ERA_PRESETS[filters.era].name)
+  if (filters.composers?.length) parts.push(filters.composers.join(', '))
+  if (filters.minTempo !== null && filters.minTempo !== undefined) parts.push(`>= ${filters.minTempo} BPM`)
+  if (filters.maxTempo !== null && filters.maxTempo !== undefined) parts.push(`<= ${filters.maxTempo} BPM`)
+  if (filters.meter) parts.push(filters.meter)
+  if (filters.ids?.length) parts.push(`${filters.ids.length} temas`)
+  return parts.length > 0 ? parts.join(' · ') : 'Corpus completo'
+}
+
+export default {
+  ERA_PRESETS,
+  filterStandards,
+  trainTransitions,
+  trainFromCorpus,
+  describeFilters
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { filterStandards, trainTransitions, trainFromCorpus, describeFilters } from './CorpusTrainer.js'
+
+const STANDARDS = [
+  { id: 'a', composer: 'Richard Rodgers and Lorenz Hart', tempo: 120, key: 'C', chords: ['Dm7 G7', 'Cmaj7', 'Cmaj7'] },
+  { id: 'b', composer: 'Charlie Parker', tempo: 240, key: 'F', chords: ['Gm7 C7', 'Fmaj7'] },
+  { id: 'c', composer: 'Bill Evans', tempo: 160, meter: '3/4', key: 'C', chords: ['Dm7', 'G7', 'NC', 'Cmaj7'] }
+]
+
+describe('filterStandards', () => {
+  const ids = filters => filterStandards(STANDARDS, filters).map(standard => standard.id)
+
+  it('matches composers by part of the name', () => {
+    expect(ids({ composers: ['rodgers'] })).toEqual(['a'])
+  })
+
+  it('filters by era, tempo and meter', () => {
+    expect(ids({ era: 'bebop' })).toEqual(['b'])
+    expect(ids({ minTempo: 150 })).toEqual(['b', 'c'])
+    expect(ids({ minTempo: 150, maxTempo: 200 })).toEqual(['c'])
+    expect(ids({ meter: '4/4' })).toEqual(['a', 'b'])
+  })
+
+  it('keeps everything without filters', () => {
+    expect(ids({})).toEqual(['a', 'b', 'c'])
+  })
+})
+
+describe('trainTransitions', () => {
+  it('counts degree changes, closing the tune on itself', () => {
+    const { transitions, transitionCount } = trainTransitions([STANDARDS[0]])
+    expect(transitions).toEqual({
+      IIm7: { V7: 1 },
+      V7: { Imaj7: 1 },
+      Imaj7: { IIm7: 1 }
+    })
+    expect(transitionCount).toBe(3)
+  })
+
+  it('reads every tune in its own key', () => {
+    const both = trainTransitions(STANDARDS.slice(0, 2))
+    expect(both.transitions.IIm7).toEqual({ V7: 1 })
+    expect(both.transitions.V7).toEqual({ Imaj7: 1 })
+  })
+
+  it('breaks the chain at NC', () => {
+    const { transitions, transitionCount, coverage } = trainTransitions([STANDARDS[2]])
+    expect(transitions.V7).toBeUndefined()
+    expect(transitionCount).toBe(2)
+    expect(coverage).toBe(1)
+  })
+
+  it('measures coverage over the chords read exactly', () => {
+    const { coverage } = trainTransitions([{ key: 'C', chords: ['C', 'G7'] }])
+    expect(coverage).toBe(0.5)
+  })
+
+  it('keeps only frequent contexts', () => {
+    expect(trainTransitions([STANDARDS[0]]).contexts).toEqual({})
+    const { contexts } = trainTransitions(Array(5).fill(STANDARDS[0]))
+    expect(contexts['IIm7 V7']).toEqual({ Imaj7: 1 })
+  })
+})
+
+describe('trainFromCorpus', () => {
+  it('names the matrix after its filters', () => {
+    const matrix = trainFromCorpus(STANDARDS, { era: 'bebop', maxTempo: 300 })
+    expect(matrix.tuneCount).toBe(1)
+    expect(matrix.name).toBe('Bebop · <= 300 BPM')
+    expect(describeFilters({})).toBe('Corpus completo')
+  })
+})
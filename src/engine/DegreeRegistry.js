@@ -0,0 +1,217 @@
+/**
+ * DegreeRegistry.js - Resolucion unica de grados en cifrado romano
+ *
+ * JAZZ_DEGREES solo contiene los grados que genera la cadena de Markov; los
+ * standards convertidos, la rearmonizacion y el analisis producen otros
+ * ('bVI7#11', 'IIIm(maj7)', 'V7/ii'...). Este modulo construye fundamental,
+ * tipo, intervalos, familia y funcion armonica de cualquier grado bien
+ * formado. Audio, bajo, solista, exportadores y analisis pasan por aqui.
+ *
+ * Forma de un grado: [b|#]NUMERAL[calidad][/[b|#]NUMERAL]
+ * - NUMERAL en mayusculas (jazz: IIm7) o minusculas (clasico: ii7 = menor)
+ * - calidad: un tipo de CHORD_TYPES o cualquier cifrado que entienda
+ *   ChordConverter ('7b9sus', 'add9'...), aproximado al tipo mas cercano.
+ *   Sin calidad = maj7 (como las triadas de los standards)
+ * - '/NUMERAL': grado secundario, relativo a otro grado (V7/ii = A7 en C)
+ */
+
+import { JAZZ_DEGREES, ALL_DEGREES } from './JazzDegrees.js'
+import { CHORD_TYPES } from './ChordTypes.js'
+import { NOTE_TO_SEMITONE, parseChordSymbol, resolveChordType } from './ChordConverter.js'
+
+// Numerales naturales (las alteraciones suman o restan un semitono)
+const NUMERAL_INTERVALS = { 'I': 0, 'II': 2, 'III': 4, 'IV': 5, 'V': 7, 'VI': 9, 'VII': 11 }
+
+const DEGREE_PATTERN = /^([b#]?)(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)(.*)$/
+
+// Funcion y tension por defecto de cada familia (si no hay grado parecido)
+const FAMILY_DEFAULTS = {
+  'dom': { func: 'D', tension: 0.7 },
+  'dim': { func: 'pass', tension: 0.6 },
+  'hdim': { func: 'SD', tension: 0.5 },
+  'aug': { func: 'D', tension: 0.7 }
+}
+
+/**
+ * Familia de un tipo de acorde a partir de sus intervalos
+ * @param {string} type - Tipo de CHORD_TYPES
+ * @returns {string} 'maj' | 'min' | 'dom' | 'hdim' | 'dim' | 'sus' | 'aug'
+ */
+export function getTypeFamily(type) {
+  const pcs = new Set(getTypePitchClasses(type))
+  const hasThird = pcs.has(3) || pcs.has(4)
+
+  if (pcs.has(4) && pcs.has(10)) return 'dom'
+  if (!hasThird && pcs.has(5) && pcs.has(10)) return 'dom' // 7sus
+  if (pcs.has(3) && pcs.has(6)) return pcs.has(10) ? 'hdim' : 'dim'
+  if (pcs.has(3)) return 'min'
+  if (pcs.has(4) && pcs.has(8) && !pcs.has(7) && !pcs.has(11)) return 'aug'
+  if (!hasThird && pcs.has(5)) return 'sus'
+  return 'maj'
+}
+
+/**
+ * Clases de altura (0-11 sobre la fundamental) de un tipo de acorde
+ * @param {string} type - Tipo de CHORD_TYPES
+ * @returns {number[]}
+ */
+export function getTypePitchClasses(type) {
+  return [...new Set((CHORD_TYPES[type]?.intervals || []).map(interval => interval % 12))]
+}
+
+// Primer grado declarado de cada "fundamental:familia" (para heredar funcion y tension)
+const RELATIVES = {}
+for (const name of ALL_DEGREES) {
+  if (name.includes('/')) continue
+  const { root, type } = JAZZ_DEGREES[name]
+  const id = `${root}:${getTypeFamily(type)}`
+  if (!RELATIVES[id]) RELATIVES[id] = JAZZ_DEGREES[name]
+}
+
+function inferFunction(root, family) {
+  const relative = RELATIVES[`${root}:${family}`]
+  if (relative) return { func: relative.func, tension: relative.tension }
+  if (FAMILY_DEFAULTS[family]) return { ...FAMILY_DEFAULTS[family] }
+  if (root === 0) return { func: 'T', tension: 0.1 }
+  if (root === 7 || root === 11) return { func: 'D', tension: 0.5 }
+  return { func: 'SD', tension: 0.4 }
+}
+
+/**
+ * Intervalo de un numeral ('bVI' → 8); null si no es un numeral
+ */
+function numeralInterval(accidental, numeral) {
+  const base = NUMERAL_INTERVALS[numeral.toUpperCase()]
+  if (base === undefined) return null
+  const shift = accidental === 'b' ? -1 : accidental === '#' ? 1 : 0
+  return (base + shift + 12) % 12
+}
+
+/**
+ * Tipo de CHORD_TYPES para la calidad escrita en un grado
+ * @returns {{type: string, approximated: boolean}|null}
+ */
+function resolveQuality(quality, lowercase) {
+  // Numeral en minusculas sin tercera escrita = menor (ii7 → m7)
+  if (lowercase && !/^(m|min|mi|-|dim|o|°|ø|h)/.test(quality)) {
+    quality = `m${quality}`
+  }
+  if (quality === '') return { type: 'maj7', approximated: false }
+  if (CHORD_TYPES[quality]) return { type: quality, approximated: false }
+
+  const chord = parseChordSymbol(`C${quality}`)
+  if (chord.errors.length > 0) return null
+  const { type, approximated } = resolveChordType(chord)
+  return { type, approximated }
+}
+
+function buildInfo(degree, root, type, approximated, { func, tension }) {
+  const intervals = CHORD_TYPES[type].intervals
+  return {
+    degree,
+    root,
+    type,
+    symbol: CHORD_TYPES[type].symbol,
+    intervals,
+    pitchClasses: getTypePitchClasses(type),
+    family: getTypeFamily(type),
+    func,
+    tension,
+    known: !!JAZZ_DEGREES[degree],
+    approximated
+  }
+}
+
+/**
+ * Lee un grado sin cache
+ */
+function parseDegree(degree) {
+  const known = JAZZ_DEGREES[degree]
+  if (known && CHORD_TYPES[known.type]) {
+    return buildInfo(degree, known.root, known.type, false, known)
+  }
+
+  const match = String(degree).match(DEGREE_PATTERN)
+  if (!match) return null
+  const [, accidental, numeral, rest] = match
+  const root = numeralInterval(accidental, numeral)
+  const lowercase = numeral === numeral.toLowerCase()
+
+  // La calidad completa primero: '6/9' es un tipo, no un grado secundario
+  const quality = resolveQuality(rest, lowercase)
+  if (quality) {
+    const family = getTypeFamily(quality.type)
+    return buildInfo(degree, root, quality.type, quality.approximated, inferFunction(root, family))
+  }
+
+  // Grado secundario: V7/ii, iiø/V
+  const slash = rest.lastIndexOf('/')
+  if (slash < 0) return null
+  const target = rest.slice(slash + 1).match(/^([b#]?)(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)$/)
+  const head = resolveQuality(rest.slice(0, slash), lowercase)
+  if (!target || !head) return null
+
+  const secondaryRoot = (root + numeralInterval(target[1], target[2])) % 12
+  const family = getTypeFamily(head.type)
+  const { tension } = inferFunction(root, family)
+  return buildInfo(degree, secondaryRoot, head.type, head.approximated, {
+    func: family === 'dom' ? 'secD' : 'secSD',
+    tension
+  })
+}
+
+const cache = new Map()
+
+/**
+ * Informacion completa de un grado
+ * @param {string} degree - Grado ('IIm7', 'bVI7#11', 'V7/ii', 'ii7'...)
+ * @returns {{degree: string, root: number, type: string, symbol: string, intervals: number[],
+ *   pitchClasses: number[], family: string, func: string, tension: number,
+ *   known: boolean, approximated: boolean}|null}
+ *   null si el grado no esta bien formado.
+ *   root: semitonos desde la tonica; type: clave de CHORD_TYPES;
+ *   known: esta en JAZZ_DEGREES; approximated: la calidad no tiene tipo exacto
+ */
+export function resolveDegree(degree) {
+  if (!cache.has(degree)) cache.set(degree, parseDegree(degree))
+  return cache.get(degree)
+}
+
+/**
+ * Comprueba si un grado se puede interpretar
+ * @param {string} degree
+ * @returns {boolean}
+ */
+export function isValidDegree(degree) {
+  return resolveDegree(degree) !== null
+}
+
+/**
+ * Nota MIDI de la fundamental de un grado en una tonalidad
+ * @param {string} degree - Grado
+ * @param {string} key - Tonalidad ('C', 'Bb', 'F#'...)
+ * @param {number} base - MIDI de la tonica de C (48 = C3)
+ * @returns {number}
+ */
+export function getDegreeRootPitch(degree, key, base = 48) {
+  return base + (NOTE_TO_SEMITONE[key] ?? 0) + (resolveDegree(degree)?.root ?? 0)
+}
+
+/**
+ * Tension de un grado (0.0-1.0)
+ * @param {string} degree
+ * @param {number} fallback - Si el grado no esta bien formado
+ * @returns {number}
+ */
+export function getDegreeTension(degree, fallback = 0.5) {
+  return resolveDegree(degree)?.tension ?? fallback
+}
+
+export default {
+  resolveDegree,
+  isValidDegree,
+  getDegreeRootPitch,
+  getDegreeTension,
+  getTypeFamily,
+  getTypePitchClasses
+}
@@ -0,0 +1,400 @@
+/**
+ * DrumGrooves.js - Grooves de bateria planificados para toda la progresion
+ *
+ * Grooves:
+ * - Swing: ride spang-a-lang, hi-hat de pie en 2 y 4, bombo "feathered"
+ * - Escobillas: barridos continuos y golpes suaves sobre la caja
+ * - Two-feel: ride con bombo en 1 y 3 y cross-stick en el ultimo pulso
+ * - Bossa nova: hi-hat en corcheas, cross-stick en clave de dos compases
+ * - Samba: surdo en el bombo (acento en 2 y 4) y semicorcheas de hi-hat
+ * - Jazz waltz: ride de vals, hi-hat en 2 y 3
+ * - Balada: escobillas a medio tiempo
+ * - Funk: corcheas rectas de hi-hat, backbeat de caja y ghost notes
+ *
+ * En los grooves de swing la caja "compea" a contratiempo y el bombo suelta
+ * bombs. El compas antes de cada seccion de la forma (chord.section, ver
+ * SongFormEngine) lleva un fill y el primer pulso de la seccion un crash;
+ * sin secciones marcadas se usan frases de 8 compases.
+ *
+ * Voces: ride, crash, hihat (pie), hihatClosed (baqueta), snare, rim
+ * (cross-stick), brush (barrido), kick, tomHigh, tomLow.
+ * AudioEngine y MidiExporter tocan los mismos golpes.
+ */
+
+import { groupIntoBars } from './HarmonicRhythm.js'
+import { DEFAULT_METER, getMeterInfo, getBackbeats } from './Meter.js'
+import { getRandom, reseed } from './Random.js'
+
+const random = getRandom('drums')
+
+export const DEFAULT_DRUM_GROOVE = 'swing'
+
+export const DRUM_GROOVES = [
+  { id: 'swing', name: 'Swing', description: 'Ride spang-a-lang con caja y bombs', swing: true },
+  { id: 'brushes', name: 'Escobillas', description: 'Barridos y golpes suaves', swing: true },
+  { id: 'twoFeel', name: 'Two-feel', description: 'Bombo en 1 y 3, cross-stick', swing: true },
+  { id: 'bossa', name: 'Bossa nova', description: 'Cross-stick en clave de dos compases', swing: false },
+  { id: 'samba', name: 'Samba', description: 'Surdo en el bombo y semicorcheas', swing: false },
+  { id: 'waltz', name: 'Jazz waltz', description: 'Ride de vals, hi-hat en 2 y 3', swing: true },
+  { id: 'ballad', name: 'Balada', description: 'Escobillas a medio tiempo', swing: true },
+  { id: 'funk', name: 'Funk', description: 'Corcheas rectas y backbeat', swing: false }
+]
+
+// Sin frases marcadas, un fill cada 8 compases
+const PHRASE_BARS = 8
+
+// Grooves binarios: en compases compuestos se tocan como swing
+const STRAIGHT_GROOVES = ['bossa', 'samba', 'funk']
+
+// Clave de bossa (3-2) y cross-stick de samba, en pulsos de 4/4 por compas par/impar
+const BOSSA_CLAVE = [[0, 1.5, 3], [1, 2.5]]
+const SAMBA_RIM = [[0, 0.75, 1.5, 2.5, 3.25], [0.5, 1.5, 2.25, 3]]
+
+/**
+ * Fills: voces por subdivision (null = silencio), terminan al final del compas
+ * - swing: tresillos de corchea (2 pulsos)
+ * - straight: semicorcheas (2 pulsos)
+ * - brushes: tresillos suaves solo en la caja
+ * - compound: semicorcheas sobre el ultimo grupo de un compas compuesto
+ */
+const FILLS = {
+  swing: {
+    step: 1 / 3,
+    patterns: [
+      ['snare', 'snare', 'snare', 'snare', 'tomHigh', 'tomLow'],
+      ['snare', null, 'snare', 'tomHigh', null, 'tomLow'],
+      [null, 'snare', 'snare', null, 'snare', 'kick'],
+      ['tomHigh', null, 'tomHigh', 'tomLow', null, 'tomLow']
+    ]
+  },
+  straight: {
+    step: 0.25,
+    patterns: [
+      ['snare', 'snare', 'snare', 'snare', 'tomHigh', 'tomHigh', 'tomLow', 'tomLow'],
+      ['snare', null, 'snare', 'snare', 'tomHigh', null, 'tomLow', 'kick'],
+      [null, 'snare', null, 'snare', 'snare', 'snare', 'tomLow', null]
+    ]
+  },
+  brushes: {
+    step: 1 / 3,
+    patterns: [
+      ['snare', null, 'snare', 'snare', null, 'snare'],
+      [null, 'snare', 'snare', null, 'snare', 'snare']
+    ]
+  },
+  compound: {
+    step: 0.5,
+    patterns: [
+      ['snare', 'snare', 'snare', 'snare', 'tomHigh', 'tomLow'],
+      ['snare', null, 'tomHigh', 'tomHigh', 'tomLow', 'tomLow']
+    ]
+  }
+}
+
+/**
+ * Golpe relativo al compas
+ */
+function hit(at, voice, velocity, duration = 0.25) {
+  return { at, voice, velocity, duration }
+}
+
+/**
+ * Ride de swing (spang-a-lang): pulsos y skip en el "y" de los backbeats
+ * En compases compuestos, todas las corcheas con acento en cada grupo
+ */
+function swingRide(context, voice = 'ride', level = 1) {
+  const hits = []
+  context.positions.forEach((position, beat) => {
+    if (context.compound) {
+      hits.push(hit(beat, voice, (position === 0 ? 0.8 : 0.4) * level))
+      return
+    }
+    hits.push(hit(beat, voice, (position === 0 ? 0.8 : 0.5) * level))
+    if (position % 2 === 1) hits.push(hit(beat + 0.5, voice, 0.6 * level))
+  })
+  return hits
+}
+
+/**
+ * Bombo "feathered": muy suave en cada pulso (en cada grupo si es compuesto)
+ */
+function featherKick(context, level = 0.2) {
+  return context.positions
+    .map((position, beat) => ({ position, beat }))
+    .filter(({ position }) => !context.compound || position === 0)
+    .map(({ beat }) => hit(beat, 'kick', level))
+}
+
+function footHihat(context, level = 0.7) {
+  return context.backbeats.map(beat => hit(beat, 'hihat', level))
+}
+
+/**
+ * Semicorcheas o corcheas rectas de hi-hat con acento en el pulso
+ */
+function straightHihat(context, step, levels) {
+  const hits = []
+  for (let at = 0; at < context.beats; at += step) {
+    const level = at % 1 === 0 ? levels[0] : at % 0.5 === 0 ? levels[1] : levels[2]
+    hits.push(hit(at, 'hihatClosed', level))
+  }
+  return hits
+}
+
+/**
+ * Celda de bombo repetida cada dos pulsos
+ */
+function kickCell(context, cell) {
+  const hits = []
+  for (let start = 0; start < context.beats; start += 2) {
+    for (const [at, level] of cell) {
+      if (start + at < context.beats) hits.push(hit(start + at, 'kick', level))
+    }
+  }
+  return hits
+}
+
+/**
+ * Patron de dos compases si el compas es de 4 pulsos; si no, los backbeats
+ */
+function twoBarPattern(context, pattern, voice, level) {
+  const beats = context.beats === 4 && !context.compound
+    ? pattern[context.barIndex % 2]
+    : context.backbeats
+  return beats.map(beat => hit(beat, voice, level))
+}
+
+const GROOVES = {
+  swing: {
+    fill: 'swing',
+    comp: { snare: 0.12, bomb: 0.15 },
+    play: context => [...swingRide(context), ...footHihat(context), ...featherKick(context)]
+  },
+  brushes: {
+    fill: 'brushes',
+    comp: { snare: 0.08, bomb: 0 },
+    play: context => [
+      ...context.groups.map(({ start, size }) => hit(start, 'brush', 0.35, size)),
+      ...swingRide(context, 'snare', 0.4),
+      ...footHihat(context, 0.5),
+      ...featherKick(context, 0.15)
+    ]
+  },
+  twoFeel: {
+    fill: 'swing',
+    comp: { snare: 0.06, bomb: 0.1 },
+    play: context => [
+      ...swingRide(context),
+      ...footHihat(context),
+      ...context.positions
+        .map((position, beat) => ({ position, beat }))
+        .filter(({ position }) => position % 2 === 0 && (!context.compound || position === 0))
+        .map(({ beat }) => hit(beat, 'kick', 0.45)),
+      ...(context.compound ? [] : [hit(context.beats - 1, 'rim', 0.35)])
+    ]
+  },
+  bossa: {
+    fill: 'straight',
+    play: context => [
+      ...straightHihat(context, 0.5, [0.55, 0.35]),
+      ...kickCell(context, [[0, 0.55], [1.5, 0.4]]),
+      ...twoBarPattern(context, BOSSA_CLAVE, 'rim', 0.55)
+    ]
+  },
+  samba: {
+    fill: 'straight',
+    play: context => [
+      ...straightHihat(context, 0.25, [0.4, 0.5, 0.25]),
+      ...kickCell(context, [[0, 0.45], [0.75, 0.35], [1, 0.8]]),
+      ...twoBarPattern(context, SAMBA_RIM, 'rim', 0.5)
+    ]
+  },
+  waltz: {
+    fill: 'swing',
+    comp: { snare: 0.1, bomb: 0.1 },
+    play: context => [
+      ...swingRide(context),
+      ...(context.compound
+        ? footHihat(context)
+        : context.positions.flatMap((position, beat) => position > 0 ? [hit(beat, 'hihat', 0.6)] : [])),
+      hit(0, 'kick', 0.45)
+    ]
+  },
+  ballad: {
+    fill: 'brushes',
+    play: context => [
+      hit(0, 'brush', 0.3, context.beats),
+      ...footHihat(context, 0.4),
+      ...context.backbeats.map(beat => hit(beat, 'snare', 0.3)),
+      hit(0, 'kick', 0.3)
+    ]
+  },
+  funk: {
+    fill: 'straight',
+    play: context => {
+      const hits = [
+        ...straightHihat(context, 0.5, [0.6, 0.4]),
+        ...context.backbeats.map(beat => hit(beat, 'snare', 0.9)),
+        ...context.groups.map(({ start }) => hit(start, 'kick', start === 0 ? 0.9 : 0.75))
+      ]
+      // Bombo sincopado y ghost notes de caja (cambian de compas a compas)
+      if (random() < 0.6) {
+        hits.push(hit(Math.floor(random() * context.beats) + 0.5, 'kick', 0.65))
+      }
+      for (let at = 0.25; at < context.beats; at += 0.5) {
+        if (random() < 0.15) hits.push(hit(at, 'snare', 0.2))
+      }
+      return hits
+    }
+  }
+}
+
+/**
+ * Comping de la caja y bombs del bombo a contratiempo (grooves de swing)
+ */
+function compHits(context, { snare, bomb }) {
+  if (context.compound) return []
+  const hits = []
+  for (let beat = 0; beat < context.beats; beat++) {
+    if (random() < snare) hits.push(hit(beat + 0.5, 'snare', 0.3 + random() * 0.15))
+  }
+  if (random() < bomb) {
+    hits.push(hit(Math.floor(random() * context.beats) + 0.5, 'kick', 0.7))
+  }
+  return hits
+}
+
+/**
+ * Fill al final del compas (prepara la siguiente seccion)
+ * @returns {{start: number, hits: Array}}
+ */
+function planFill(context, kind) {
+  const fill = FILLS[context.compound && kind !== 'brushes' ? 'compound' : kind]
+  const pattern = fill.patterns[Math.floor(random() * fill.patterns.length)]
+  const start = Math.max(0, context.beats - pattern.length * fill.step)
+  const level = kind === 'brushes' ? 0.5 : 1
+  const hits = []
+  pattern.forEach((voice, i) => {
+    const at = context.beats - (pattern.length - i) * fill.step
+    if (!voice || at < 0) return
+    // Crescendo hacia la seccion
+    hits.push(hit(at, voice, (0.45 + 0.4 * i / pattern.length) * level, fill.step))
+  })
+  return { start, hits }
+}
+
+/**
+ * Compases que empiezan una seccion de la forma
+ * Sin secciones marcadas, frases de PHRASE_BARS compases
+ */
+function getFormStarts(bars) {
+  const marked = bars
+    .map((bar, barIndex) => bar[0]?.isChordStart && bar[0].chord.section ? barIndex : -1)
+    .filter(barIndex => barIndex > 0)
+  const starts = marked.length > 0
+    ? marked
+    : bars.map((_, barIndex) => barIndex).filter(barIndex => barIndex > 0 && barIndex % PHRASE_BARS === 0)
+  return new Set([0, ...starts])
+}
+
+/**
+ * Quita golpes repetidos de la misma voz (se queda el mas fuerte)
+ */
+function dedupe(hits) {
+  const unique = []
+  for (const candidate of hits.sort((a, b) => b.velocity - a.velocity)) {
+    if (!unique.some(h => h.voice === candidate.voice && Math.abs(h.at - candidate.at) < 0.01)) {
+      unique.push(candidate)
+    }
+  }
+  return unique
+}
+
+/**
+ * Planifica la bateria de una progresion
+ * @param {Array} progression - Acordes {degree, key, duration?, section?}
+ * @param {object} options
+ * @param {string} options.groove - Id de DRUM_GROOVES
+ * @param {string} options.meter - Compas (Meter.js)
+ * @param {number} options.pass - Vuelta del loop (cada vuelta varia de forma reproducible)
+ * @param {boolean} options.loop - El ultimo compas prepara la vuelta al primero
+ * @param {number} options.phraseBars - Ademas de las secciones, fill cada N compases (ej: cuatros)
+ * @returns {Array<{start, duration, voice, velocity, bar}>} Golpes ordenados (pulsos absolutos)
+ */
+export function planDrums(progression, {
+  groove = DEFAULT_DRUM_GROOVE,
+  meter = DEFAULT_METER,
+  pass = 0,
+  loop = false,
+  phraseBars = null
+} = {}) {
+  const meterInfo = getMeterInfo(meter)
+  const beatsPerBar = meterInfo.beats
+  const id = meterInfo.compound && STRAIGHT_GROOVES.includes(groove)
+    ? 'swing'
+    : GROOVES[groove] ? groove : DEFAULT_DRUM_GROOVE
+  const { play, comp, fill } = GROOVES[id]
+  const brushed = id === 'brushes' || id === 'ballad'
+
+  const positions = meterInfo.groups.flatMap(size => Array.from({ length: size }, (_, i) => i))
+  const groups = []
+  meterInfo.groups.reduce((start, size) => {
+    groups.push({ start, size })
+    return start + size
+  }, 0)
+  const base = { beats: beatsPerBar, positions, groups, compound: meterInfo.compound, backbeats: getBackbeats(meter) }
+
+  const bars = groupIntoBars(progression, beatsPerBar)
+  const formStarts = getFormStarts(bars)
+  const events = []
+
+  bars.forEach((_, barIndex) => {
+    reseed('drums', pass, barIndex)
+    const context = { ...base, barIndex }
+    let hits = play(context)
+    if (comp) hits.push(...compHits(context, comp))
+
+    // Fill antes de una seccion (en loop, el ultimo compas prepara la vuelta)
+    const nextBar = barIndex + 1 < bars.length ? barIndex + 1 : (loop ? 0 : -1)
+    const phraseStart = phraseBars > 0 && nextBar > 0 && nextBar % phraseBars === 0
+    if (bars.length > 1 && (formStarts.has(nextBar) || phraseStart)) {
+      const { start, hits: fillHits } = planFill(context, fill)
+      hits = [...hits.filter(h => h.at < start || h.voice === 'hihat'), ...fillHits]
+    }
+
+    // Crash (con bombo) en el primer pulso de cada seccion
+    if (formStarts.has(barIndex) && (barIndex > 0 || pass > 0)) {
+      hits = hits.filter(h => h.at !== 0 || !['ride', 'kick'].includes(h.voice))
+      hits.push(hit(0, 'crash', brushed ? 0.45 : 0.8, 2), hit(0, 'kick', brushed ? 0.4 : 0.7))
+    }
+
+    const barStart = barIndex * beatsPerBar
+    for (const h of dedupe(hits)) {
+      events.push({
+        start: barStart + h.at,
+        duration: h.duration,
+        voice: h.voice,
+        velocity: h.velocity,
+        bar: barIndex
+      })
+    }
+  })
+
+  return events.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Indica si un groove se toca con swing (las corcheas a contratiempo se retrasan)
+ * @param {string} groove
+ * @returns {boolean}
+ */
+export function isSwingGroove(groove) {
+  return DRUM_GROOVES.find(g => g.id === groove)?.swing ?? true
+}
+
+export default {
+  DRUM_GROOVES,
+  DEFAULT_DRUM_GROOVE,
+  planDrums,
+  isSwingGroove
+}
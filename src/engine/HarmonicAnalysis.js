@@ -0,0 +1,316 @@
+/**
+ * HarmonicAnalysis.js - Analisis funcional con deteccion de tonalidad local
+ *
+ * ChordConverter analiza cada acorde contra la tonalidad global del tema,
+ * asi que un puente en la subdominante aparece como grados cromaticos.
+ * Este modulo:
+ * - Detecta las zonas tonales (mayores y menores) con un Viterbi sobre las
+ *   24 tonalidades: cada acorde puntua segun encaje en cada tonalidad y
+ *   cambiar de tonalidad tiene un coste fijo (los dominantes secundarios
+ *   no bastan para modular, un puente de 8 compases si)
+ * - Reexpresa cada acorde relativo a su tonalidad local (campo `key`)
+ * - Marca corchetes ii-V / ii-V-I, dominantes secundarios, sustitutos
+ *   tritonales y disminuidos de paso, con flechas de resolucion
+ */
+
+import { findDegree } from './JazzDegrees.js'
+import { resolveDegree } from './DegreeRegistry.js'
+import { NOTE_TO_SEMITONE, INTERVAL_TO_NUMERAL } from './ChordConverter.js'
+import { KEY_NAMES } from './ModulationSystem.js'
+import { DEFAULT_BEATS_PER_BAR, getChordDuration } from './HarmonicRhythm.js'
+
+/**
+ * Funciones que el analisis asigna a los acordes
+ */
+export const ANALYSIS_ROLES = {
+  'dominant': { name: 'Dominante', color: '#f85149' },
+  'secondaryDominant': { name: 'Dominante secundario', color: '#ff7070' },
+  'tritoneSub': { name: 'Sustituto tritonal', color: '#db6d28' },
+  'passingDiminished': { name: 'Disminuido de paso', color: '#a371f7' },
+  'auxiliaryDiminished': { name: 'Disminuido auxiliar', color: '#a371f7' }
+}
+
+// Encaje de cada acorde ("intervalo:familia") en una tonalidad mayor o menor
+const KEY_FIT = {
+  major: {
+    '0:maj': 3, '2:min': 2, '4:min': 1.5, '5:maj': 2, '7:dom': 2.5, '9:min': 1.5, '11:hdim': 1,
+    '7:sus': 1, '2:sus': 1,
+    '5:min': 0.5, '10:dom': 0.5, '8:maj': 0.5 // Intercambio modal habitual
+  },
+  minor: {
+    '0:min': 3, '2:hdim': 2.5, '3:maj': 1.5, '5:min': 1.5, '7:dom': 2.5, '8:maj': 1.5, '10:dom': 1,
+    '7:min': 1, '11:dim': 1
+  }
+}
+
+const MODES = ['major', 'minor']
+
+// Coste de cambiar de tonalidad (en puntos de encaje)
+const SWITCH_PENALTY = 6
+// Bonus para la tonalidad cuya tonica recibe una resolucion V-I
+const CADENCE_BONUS = 2
+// Bonus por compas para la tonalidad principal (a igualdad, no modular)
+const HOME_BONUS = 0.25
+
+function keyToPitchClass(key) {
+  return NOTE_TO_SEMITONE[key] ?? 0
+}
+
+/**
+ * Fundamental absoluta, tipo y familia de un acorde de la progresion
+ * @returns {{pc: number, type: string, family: string}|null}
+ */
+function describeChord(chord) {
+  const info = resolveDegree(chord.degree)
+  if (!info) return null
+  return {
+    pc: (keyToPitchClass(chord.key) + info.root) % 12,
+    type: info.type,
+    family: info.family
+  }
+}
+
+/**
+ * Grado de un acorde relativo a una tonica: el nombre de JAZZ_DEGREES si
+ * existe, si no numeral + tipo ('IIIm(maj7)')
+ */
+function localDegree(chord, tonicPc) {
+  const interval = (chord.pc - tonicPc + 12) % 12
+  return findDegree(interval, chord.type) || INTERVAL_TO_NUMERAL[interval] + chord.type
+}
+
+function sameChord(a, b) {
+  return !!a && !!b && a.pc === b.pc && a.type === b.type
+}
+
+/**
+ * Indice del siguiente acorde distinto (los acordes repetidos no resuelven)
+ */
+function nextDistinct(chords, index) {
+  for (let j = index + 1; j < chords.length; j++) {
+    if (!sameChord(chords[j], chords[index])) return chords[j] ? j : -1
+  }
+  return -1
+}
+
+/**
+ * Resolucion de un dominante: 'dominant' (quinta abajo), 'tritone'
+ * (semitono abajo) o null
+ * Un dominante que baja por semitono a otro dominante (D7 Db7 C) no
+ * resuelve: el segundo es el sustituto del V que se esperaba.
+ */
+function resolutionType(dominant, target) {
+  if (!dominant || !target || dominant.family !== 'dom') return null
+  if (target.pc === (dominant.pc + 5) % 12 && ['maj', 'min', 'dom'].includes(target.family)) return 'dominant'
+  if (target.pc === (dominant.pc + 11) % 12 && ['maj', 'min'].includes(target.family)) return 'tritone'
+  return null
+}
+
+/**
+ * Numeral romano de un acorde relativo a una tonica
+ * (minusculas para acordes menores y disminuidos: 'ii', 'bvi')
+ */
+function numeralFor(pc, family, tonicPc) {
+  const numeral = INTERVAL_TO_NUMERAL[(pc - tonicPc + 12) % 12]
+  return ['min', 'hdim', 'dim'].includes(family) ? numeral.toLowerCase() : numeral
+}
+
+/**
+ * Tonalidad local de cada acorde (Viterbi sobre 24 tonalidades)
+ * @returns {Array<{pc: number, mode: string}>}
+ */
+function detectLocalKeys(chords, weights, cadenceTargets, home) {
+  const states = []
+  for (let pc = 0; pc < 12; pc++) {
+    for (const mode of MODES) states.push({ pc, mode })
+  }
+
+  const emission = (i, state) => {
+    const chord = chords[i]
+    let score = 0
+    if (chord) {
+      const interval = (chord.pc - state.pc + 12) % 12
+      score += KEY_FIT[state.mode][`${interval}:${chord.family}`] || 0
+    }
+    const cadence = cadenceTargets[i]
+    if (cadence && cadence.pc === state.pc && cadence.mode === state.mode) score += CADENCE_BONUS
+    if (state.pc === home.pc && state.mode === home.mode) score += HOME_BONUS
+    return score * weights[i]
+  }
+
+  let scores = states.map(state => emission(0, state))
+  const backPointers = []
+
+  for (let i = 1; i < chords.length; i++) {
+    const best = scores.reduce((b, score, s) => (score > scores[b] ? s : b), 0)
+    const pointers = []
+    scores = states.map((state, s) => {
+      const stay = scores[s]
+      const move = scores[best] - SWITCH_PENALTY
+      pointers.push(stay >= move ? s : best)
+      return Math.max(stay, move) + emission(i, state)
+    })
+    backPointers.push(pointers)
+  }
+
+  // Empate: la tonalidad principal
+  const homeState = states.findIndex(s => s.pc === home.pc && s.mode === home.mode)
+  let current = scores.reduce((b, score, s) => (score > scores[b] ? s : b), homeState)
+  const path = [current]
+  for (let i = backPointers.length - 1; i >= 0; i--) {
+    current = backPointers[i][current]
+    path.unshift(current)
+  }
+
+  return path.map(s => states[s])
+}
+
+/**
+ * Analiza una progresion
+ * @param {Array} progression - Progresion ({degree, key, duration?})
+ * @param {object} options
+ * @param {string} options.key - Tonalidad principal
+ * @param {string} options.mode - 'major' | 'minor'
+ * @param {number} options.beatsPerBar - Pulsos por compas
+ * @returns {{
+ *   chords: Array<{degree: string|null, key: string, mode: string, role: string|null, label: string|null}>,
+ *   keyAreas: Array<{start: number, end: number, key: string, mode: string}>,
+ *   brackets: Array<{start: number, end: number, type: string, key: string, mode: string, target: number|null}>,
+ *   arrows: Array<{from: number, to: number, type: string}>
+ * }} chords = grado relativo a la tonalidad local de cada acorde (null si el
+ *   grado original no se puede leer) y su funcion; end de zonas y corchetes incluido
+ */
+export function analyzeHarmony(progression, { key = 'C', mode = 'major', beatsPerBar = DEFAULT_BEATS_PER_BAR } = {}) {
+  const chords = progression.map(describeChord)
+  const weights = progression.map(chord => Math.max(getChordDuration(chord, beatsPerBar) / beatsPerBar, 0.25))
+  const empty = { chords: [], keyAreas: [], brackets: [], arrows: [] }
+  if (chords.length === 0) return empty
+
+  // Resoluciones de dominantes (independientes de la tonalidad)
+  const arrows = []
+  const cadenceTargets = new Array(chords.length).fill(null)
+  const resolutions = new Array(chords.length).fill(null)
+  chords.forEach((chord, i) => {
+    const to = nextDistinct(chords, i)
+    const type = to >= 0 ? resolutionType(chord, chords[to]) : null
+    if (!type) return
+    resolutions[i] = { to, type }
+    arrows.push({ from: i, to, type })
+
+    const target = chords[to]
+    if (type === 'dominant' && target.family !== 'dom') {
+      cadenceTargets[to] = { pc: target.pc, mode: target.family === 'min' ? 'minor' : 'major' }
+    }
+  })
+
+  const home = { pc: keyToPitchClass(key), mode }
+  const localKeys = detectLocalKeys(chords, weights, cadenceTargets, home)
+
+  // Funcion de cada acorde
+  const analyzed = chords.map((chord, i) => {
+    const local = localKeys[i]
+    const result = {
+      degree: chord ? localDegree(chord, local.pc) : null,
+      key: KEY_NAMES[local.pc],
+      mode: local.mode,
+      role: null,
+      label: null
+    }
+    if (!chord) return result
+
+    const resolution = resolutions[i]
+    if (chord.family === 'dom') {
+      const target = resolution ? chords[resolution.to] : null
+      const targetPc = resolution?.type === 'tritone' ? (chord.pc + 11) % 12 : (chord.pc + 5) % 12
+      const numeral = numeralFor(targetPc, target?.family ?? 'maj', local.pc)
+      const isTonic = targetPc === local.pc
+
+      if (resolution?.type === 'tritone') {
+        result.role = 'tritoneSub'
+        result.label = isTonic ? 'subV7' : `subV7/${numeral}`
+      } else if (isTonic) {
+        result.role = 'dominant'
+        result.label = 'V7'
+      } else if (resolution || [2, 4, 5, 7, 9].includes((targetPc - local.pc + 12) % 12)) {
+        // Sin resolver solo se marca si apunta a un grado diatonico
+        result.role = 'secondaryDominant'
+        result.label = `V7/${numeral}`
+      }
+    } else if (chord.family === 'dim') {
+      const previous = i > 0 ? chords[i - 1] : null
+      const next = i < chords.length - 1 ? chords[i + 1] : null
+      if (next && next.pc === (chord.pc + 1) % 12) {
+        result.role = 'passingDiminished'
+        result.label = 'pass'
+      } else if (previous && next && previous.pc === (chord.pc + 1) % 12 && next.pc === (chord.pc + 11) % 12) {
+        result.role = 'passingDiminished'
+        result.label = 'pass'
+      } else if (previous?.pc === chord.pc || next?.pc === chord.pc) {
+        result.role = 'auxiliaryDiminished'
+        result.label = 'aux'
+      }
+    }
+
+    return result
+  })
+
+  // Corchetes ii-V (o ii-subV)
+  const brackets = []
+  for (let i = 0; i < chords.length - 1; i++) {
+    const ii = chords[i]
+    const v = chords[i + 1]
+    if (!ii || !v || !['min', 'hdim'].includes(ii.family) || v.family !== 'dom') continue
+    if (v.pc !== (ii.pc + 5) % 12 && v.pc !== (ii.pc + 11) % 12) continue
+
+    const resolution = resolutions[i + 1]
+    const target = resolution ? chords[resolution.to] : null
+    const targetMode = target
+      ? (target.family === 'min' ? 'minor' : 'major')
+      : (ii.family === 'hdim' ? 'minor' : 'major')
+
+    brackets.push({
+      start: i,
+      end: i + 1,
+      type: resolution ? 'ii-V-I' : 'ii-V',
+      key: KEY_NAMES[(ii.pc + 10) % 12],
+      mode: targetMode,
+      target: resolution ? resolution.to : null
+    })
+  }
+
+  // Zonas tonales
+  const keyAreas = []
+  localKeys.forEach((local, i) => {
+    const last = keyAreas[keyAreas.length - 1]
+    if (last && last.key === KEY_NAMES[local.pc] && last.mode === local.mode) {
+      last.end = i
+    } else {
+      keyAreas.push({ start: i, end: i, key: KEY_NAMES[local.pc], mode: local.mode })
+    }
+  })
+
+  return { chords: analyzed, keyAreas, brackets, arrows }
+}
+
+/**
+ * Reescribe cada acorde relativo a su tonalidad local
+ * Los acordes cuyo grado no existe en la tonalidad local se dejan como estaban.
+ *
+ * @param {Array} progression - Progresion (no se modifica)
+ * @param {object} options - Ver analyzeHarmony
+ * @returns {Array} Nueva progresion con `degree` y `key` locales
+ */
+export function applyLocalKeys(progression, options = {}) {
+  const { chords } = analyzeHarmony(progression, options)
+  return progression.map((chord, i) => {
+    const local = chords[i]
+    if (!local?.degree) return { ...chord }
+    return { ...chord, degree: local.degree, key: local.key }
+  })
+}
+
+export default {
+  ANALYSIS_ROLES,
+  analyzeHarmony,
+  applyLocalKeys
+}
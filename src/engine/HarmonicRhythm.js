@@ -0,0 +1,143 @@
+/**
+ * HarmonicRhythm.js - Duracion de acordes y agrupacion en compases
+ *
+ * Cada acorde de la progresion puede llevar un campo `duration` (en beats).
+ * Si no lo tiene, dura un compas completo (compatibilidad con progresiones
+ * antiguas, donde cada entrada era implicitamente un compas).
+ *
+ * Permite:
+ * - Varios acordes por compas ("Dm7 G7 | Cmaj7")
+ * - Acordes que duran varios compases
+ */
+
+export const DEFAULT_BEATS_PER_BAR = 4
+
+/**
+ * Obtiene la duracion de un acorde en beats
+ * @param {object} chord - {degree, key, duration?}
+ * @param {number} beatsPerBar - Beats por compas
+ * @returns {number} Duracion en beats
+ */
+export function getChordDuration(chord, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  const duration = Number(chord?.duration)
+  return duration > 0 ? duration : beatsPerBar
+}
+
+/**
+ * Calcula el inicio (en beats) de cada acorde
+ * @param {Array} progression - Progresion
+ * @param {number} beatsPerBar - Beats por compas
+ * @returns {Array<{chord: object, index: number, startBeat: number, duration: number}>}
+ */
+export function getChordTimeline(progression, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  const timeline = []
+  let startBeat = 0
+
+  progression.forEach((chord, index) => {
+    const duration = getChordDuration(chord, beatsPerBar)
+    timeline.push({ chord, index, startBeat, duration })
+    startBeat += duration
+  })
+
+  return timeline
+}
+
+/**
+ * Duracion total de la progresion en beats
+ */
+export function getTotalBeats(progression, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  return progression.reduce((sum, chord) => sum + getChordDuration(chord, beatsPerBar), 0)
+}
+
+/**
+ * Numero de compases que ocupa la progresion (el ultimo puede estar incompleto)
+ */
+export function getTotalBars(progression, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  return Math.ceil(getTotalBeats(progression, beatsPerBar) / beatsPerBar)
+}
+
+/**
+ * Agrupa la progresion en compases.
+ * Un acorde que cruza la barra de compas se parte en varios segmentos.
+ *
+ * @param {Array} progression - Progresion
+ * @param {number} beatsPerBar - Beats por compas
+ * @returns {Array<Array<{chord: object, index: number, beat: number, beats: number, isChordStart: boolean}>>}
+ *   Un array por compas; beat = offset dentro del compas, beats = duracion del segmento
+ */
+export function groupIntoBars(progression, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  const bars = []
+
+  for (const { chord, index, startBeat, duration } of getChordTimeline(progression, beatsPerBar)) {
+    let position = startBeat
+    let remaining = duration
+
+    while (remaining > 0) {
+      const barIndex = Math.floor(position / beatsPerBar)
+      const beat = position - barIndex * beatsPerBar
+      const beats = Math.min(remaining, beatsPerBar - beat)
+
+      if (!bars[barIndex]) bars[barIndex] = []
+      bars[barIndex].push({
+        chord,
+        index,
+        beat,
+        beats,
+        isChordStart: position === startBeat
+      })
+
+      position += beats
+      remaining -= beats
+    }
+  }
+
+  return bars
+}
+
+/**
+ * Indice del acorde que suena en un beat dado
+ * @param {Array} progression - Progresion
+ * @param {number} beat - Posicion absoluta en beats
+ * @param {number} beatsPerBar - Beats por compas
+ * @returns {number} Indice del acorde (-1 si la progresion esta vacia)
+ */
+export function getChordIndexAtBeat(progression, beat, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  const timeline = getChordTimeline(progression, beatsPerBar)
+  for (const entry of timeline) {
+    if (beat < entry.startBeat + entry.duration) return entry.index
+  }
+  return timeline.length - 1
+}
+
+/**
+ * Divide un compas en dos mitades (ej: 4 → [2, 2], 3 → [2, 1])
+ * @param {number} beatsPerBar - Beats por compas
+ * @returns {number[]}
+ */
+export function splitBar(beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  const first = Math.ceil(beatsPerBar / 2)
+  return [first, beatsPerBar - first]
+}
+
+/**
+ * Convierte un compas en slots para notaciones textuales ("Dm7 G7", "C / / G7").
+ * Si todos los segmentos duran lo mismo hay un slot por segmento; si no,
+ * un slot por beat, con null en los beats que continuan el acorde anterior.
+ *
+ * @param {Array} bar - Segmentos del compas (de groupIntoBars)
+ * @returns {Array<object|null>} Segmentos o null
+ */
+export function barToSlots(bar) {
+  if (bar.every(segment => segment.beats === bar[0].beats)) {
+    return [...bar]
+  }
+
+  const slots = []
+  bar.forEach(segment => {
+    slots.push(segment)
+    for (let i = 1; i < Math.round(segment.beats); i++) {
+      slots.push(null)
+    }
+  })
+  return slots
+}
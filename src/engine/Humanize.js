@@ -0,0 +1,117 @@
+/**
+ * Humanize.js - Microtiempo y dinamica de cada instrumento
+ *
+ * Los planificadores (Comping, BassLine, DrumGrooves) dejan las notas en la
+ * rejilla y con dinamica fija. Esta capa les da "feel":
+ * - Desplazamiento propio de cada instrumento: el bajo un poco por delante
+ *   del pulso, la bateria ligeramente detras (laid back)
+ * - Contornos de dinamica: hi-hat acentuado en 2 y 4, skips del ride
+ *   fantasma, contratiempos del bajo mas suaves
+ * - Azar controlado (flujo 'humanize') en tiempo y velocidad
+ *
+ * El desplazamiento va en `offset` (segundos) y no toca `start`: el swing
+ * sigue encontrando los contratiempos. Con feel 0 todo queda en la rejilla.
+ * AudioEngine y MidiExporter aplican los mismos eventos humanizados y el
+ * mismo retraso de swing (getSwingDelay).
+ */
+
+import { DEFAULT_METER, getMeterInfo, getBackbeats } from './Meter.js'
+import { getRandom, reseed } from './Random.js'
+
+const random = getRandom('humanize')
+
+export const DEFAULT_HUMANIZE = 0.5
+
+// Retraso de la corchea a contratiempo con swing = 1 (en pulsos)
+const MAX_SWING_DELAY = 0.33
+
+/**
+ * Perfil de cada instrumento con feel = 1
+ * - push: desplazamiento fijo (segundos, negativo = por delante del pulso)
+ * - timing: desviacion maxima al azar (segundos)
+ * - velocity: desviacion maxima al azar (fraccion de la velocidad)
+ */
+const PROFILES = {
+  piano: { push: 0.004, timing: 0.012, velocity: 0.08 },
+  bass: { push: -0.012, timing: 0.006, velocity: 0.06 },
+  drums: { push: 0.01, timing: 0.005, velocity: 0.07 }
+}
+
+const MIN_VELOCITY = 0.05
+
+/**
+ * Factor de dinamica de un evento segun su posicion (con feel = 1)
+ * @param {string} instrument - 'piano' | 'bass' | 'drums'
+ * @param {object} event - Evento del planificador ({voice} en la bateria)
+ * @param {number} beat - Pulso dentro del compas
+ * @param {number[]} backbeats - Pulsos de backbeat del compas
+ */
+function contour(instrument, event, beat, backbeats) {
+  const offbeat = Math.abs(beat - Math.round(beat)) > 0.01
+  const backbeat = !offbeat && backbeats.includes(Math.round(beat))
+
+  switch (instrument) {
+    case 'drums':
+      if (event.voice === 'hihat' || event.voice === 'hihatClosed') return backbeat ? 1.2 : 0.9
+      if (event.voice === 'ride') return offbeat ? 0.7 : backbeat ? 1.1 : 1
+      return 1
+    case 'bass':
+      return offbeat ? 0.85 : beat === 0 ? 1.05 : 1
+    default:
+      // El comping a contratiempo empuja un poco
+      return offbeat ? 1.05 : 1
+  }
+}
+
+/**
+ * Humaniza los eventos de un instrumento
+ * @param {Array} events - Eventos {start, bar, velocity, ...} en pulsos absolutos
+ * @param {string} instrument - 'piano' | 'bass' | 'drums'
+ * @param {object} options
+ * @param {number} options.amount - Feel: 0 (rejilla) - 1 (maximo)
+ * @param {string} options.meter - Compas (Meter.js)
+ * @param {number} options.pass - Vuelta del loop (cada vuelta varia de forma reproducible)
+ * @returns {Array} Copias de los eventos con `offset` (segundos) y la velocidad ajustada
+ */
+export function humanize(events, instrument, {
+  amount = DEFAULT_HUMANIZE,
+  meter = DEFAULT_METER,
+  pass = 0
+} = {}) {
+  if (amount <= 0) return events
+
+  const profile = PROFILES[instrument] || PROFILES.piano
+  const beatsPerBar = getMeterInfo(meter).beats
+  const backbeats = getBackbeats(meter)
+  reseed('humanize', instrument, pass)
+
+  return events.map(event => {
+    const beat = event.start - event.bar * beatsPerBar
+    const shape = 1 + (contour(instrument, event, beat, backbeats) - 1) * amount
+    const timing = (random() * 2 - 1) * profile.timing
+    const spread = (random() * 2 - 1) * profile.velocity
+    return {
+      ...event,
+      offset: (profile.push + timing) * amount,
+      velocity: Math.max(MIN_VELOCITY, Math.min(1, event.velocity * shape * (1 + spread * amount)))
+    }
+  })
+}
+
+/**
+ * Retraso de las corcheas a contratiempo segun el swing
+ * En compases compuestos la subdivision ya es ternaria: no se retrasan
+ * @param {number} swing - 0 (straight) - 1
+ * @param {string} meter - Compas (Meter.js)
+ * @returns {number} Pulsos
+ */
+export function getSwingDelay(swing, meter = DEFAULT_METER) {
+  if (getMeterInfo(meter).compound) return 0
+  return MAX_SWING_DELAY * Math.max(0, Math.min(1, Number(swing) || 0))
+}
+
+export default {
+  DEFAULT_HUMANIZE,
+  humanize,
+  getSwingDelay
+}
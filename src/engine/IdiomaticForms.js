@@ -0,0 +1,318 @@
+/**
+ * IdiomaticForms.js - Formas canonicas del jazz a partir de su esqueleto
+ *
+ * A diferencia de las plantillas de SongFormEngine (secciones Markov
+ * genericas), cada idioma parte de la armonia real de la forma: rhythm
+ * changes (A y puente), jazz blues, Bird blues, blues menor y el ciclo de
+ * Giant Steps (getColtraneCycle). Cada tramo de compases tiene variantes
+ * por nivel de complejidad; al generar se elige una variante del nivel
+ * pedido en cada tramo, asi que el resultado cambia pero sigue siendo
+ * reconocible como la forma original.
+ *
+ * Notacion de los compases: acordes separados por espacios (se reparten el
+ * compas). 'V7@1' = grado en la tonalidad 1 de `keys` (ciclo de Coltrane);
+ * sin '@' = tonalidad principal.
+ */
+
+import { getDegreeTension } from './DegreeRegistry.js'
+import { DEFAULT_BEATS_PER_BAR, splitBar } from './HarmonicRhythm.js'
+import { getColtraneCycle } from './ModulationSystem.js'
+import { getRandom } from './Random.js'
+
+const random = getRandom('harmony')
+
+/**
+ * Niveles de complejidad
+ */
+export const COMPLEXITY_LEVELS = [
+  { id: 0, name: 'Basica', description: 'El esqueleto canonico' },
+  { id: 1, name: 'Intermedia', description: 'ii-V, dominantes secundarias, disminuidos de paso' },
+  { id: 2, name: 'Avanzada', description: 'Sustitutos tritonales, cromatismo bebop, alteraciones' }
+]
+
+/**
+ * Idiomas
+ * - sections: tramos de cada seccion; cada tramo es una lista de variantes
+ *   { level, bars }. Todas las variantes de un mismo nivel encajan entre si.
+ * - final: tramos que sustituyen a los ultimos de la seccion cuando cierra la forma
+ * - form: orden de las secciones
+ * - keys: tonalidades que usan los '@n' (por defecto solo la principal)
+ */
+export const IDIOMATIC_FORMS = {
+  'rhythmChanges': {
+    name: 'Rhythm changes (AABA)',
+    mode: 'major',
+    form: ['A', 'A', 'B', 'A'],
+    sections: {
+      'A': [
+        [
+          { level: 0, bars: ['Imaj7 VIm7', 'IIm7 V7', 'Imaj7 VIm7', 'IIm7 V7'] },
+          { level: 1, bars: ['Imaj7 VI7', 'IIm7 V7', 'IIIm7 VI7', 'IIm7 V7'] },
+          { level: 1, bars: ['Imaj7 #Idim7', 'IIm7 V7', 'IIIm7 VI7', 'IIm7 V7'] },
+          { level: 2, bars: ['Imaj7 VI7b9', 'IIm7 bII7', 'IIIm7 bIII7', 'IIm7 bII7'] },
+          { level: 2, bars: ['Imaj7 #Idim7', 'IIm7 V7alt', 'IIIm7 bIII7', 'IIm7 bII7'] }
+        ],
+        [
+          { level: 0, bars: ['I7', 'IV7 #IVdim7', 'Imaj7 VIm7', 'IIm7 V7'] },
+          { level: 1, bars: ['Vm7 I7', 'IV7 #IVdim7', 'IIIm7 VI7', 'IIm7 V7'] },
+          { level: 1, bars: ['Vm7 I7', 'IVmaj7 IVm7', 'IIIm7 VI7', 'IIm7 V7'] },
+          { level: 2, bars: ['Vm7 I7', 'IV7 bVII7', 'IIIm7 bIII7', 'IIm7 bII7'] }
+        ]
+      ],
+      'B': [
+        [
+          { level: 0, bars: ['III7', 'III7', 'VI7', 'VI7', 'II7', 'II7', 'V7', 'V7'] },
+          { level: 1, bars: ['VIIm7 III7', 'VIIm7 III7', 'IIIm7 VI7', 'IIIm7 VI7', 'VIm7 II7', 'VIm7 II7', 'IIm7 V7', 'IIm7 V7'] },
+          { level: 1, bars: ['III7', 'III7', 'VI7', 'VI7', 'VIm7 II7', 'VIm7 II7', 'IIm7 V7', 'IIm7 V7'] },
+          { level: 2, bars: ['III7', 'bVII7', 'VI7', 'bIII7', 'II7', 'bVI7', 'V7', 'bII7'] },
+          { level: 2, bars: ['VIIm7 III7alt', 'VIIm7 III7alt', 'IIIm7 VI7alt', 'IIIm7 VI7alt', 'VIm7 II7alt', 'VIm7 II7alt', 'IIm7 V7alt', 'IIm7 V7alt'] }
+        ]
+      ]
+    },
+    final: {
+      // La ultima A resuelve en la tonica
+      'A': [
+        [
+          { level: 0, bars: ['I7', 'IV7 #IVdim7', 'IIm7 V7', 'Imaj7'] },
+          { level: 1, bars: ['Vm7 I7', 'IV7 #IVdim7', 'IIm7 V7', 'Imaj7'] },
+          { level: 2, bars: ['Vm7 I7', 'IV7 bVII7', 'IIm7 bII7', 'Imaj7'] }
+        ]
+      ]
+    }
+  },
+  'jazzBlues': {
+    name: 'Jazz blues (12)',
+    mode: 'major',
+    form: ['A'],
+    sections: {
+      'A': [
+        [
+          { level: 0, bars: ['I7', 'IV7', 'I7', 'I7'] },
+          { level: 1, bars: ['I7', 'IV7', 'I7', 'Vm7 I7'] },
+          { level: 1, bars: ['I7', 'IV7 #IVdim7', 'I7', 'Vm7 I7'] },
+          { level: 2, bars: ['I7', 'IV7 #IVdim7', 'I7', 'Vm7 bV7'] },
+          { level: 2, bars: ['I7', 'IV7 #IVdim7', 'I7 VIm7', 'Vm7 I7'] }
+        ],
+        [
+          { level: 0, bars: ['IV7', 'IV7', 'I7', 'I7'] },
+          { level: 1, bars: ['IV7', '#IVdim7', 'I7', 'VI7'] },
+          { level: 1, bars: ['IV7', '#IVdim7', 'I7', 'IIIm7 VI7'] },
+          { level: 2, bars: ['IV7', '#IVdim7', 'IIIm7 VI7', 'bIIIm7 bVI7'] },
+          { level: 2, bars: ['IV7', 'bVII7', 'IIIm7 VI7alt', 'bIIIm7 bVI7'] }
+        ],
+        [
+          { level: 0, bars: ['V7', 'IV7', 'I7', 'V7'] },
+          { level: 0, bars: ['V7', 'IV7', 'I7', 'I7'] },
+          { level: 1, bars: ['IIm7', 'V7', 'I7 VI7', 'IIm7 V7'] },
+          { level: 1, bars: ['IIm7', 'V7', 'IIIm7 VI7', 'IIm7 V7'] },
+          { level: 2, bars: ['IIm7', 'bII7', 'IIIm7 bIII7', 'IIm7 bII7'] },
+          { level: 2, bars: ['IIm7', 'V7alt', 'I7 bIII7', 'bVI7 bII7'] }
+        ]
+      ]
+    }
+  },
+  'birdBlues': {
+    name: 'Bird blues (12)',
+    mode: 'major',
+    form: ['A'],
+    sections: {
+      'A': [
+        [
+          { level: 0, bars: ['Imaj7', 'VIIm7b5 III7', 'VIm7 II7', 'Vm7 I7'] },
+          { level: 1, bars: ['Imaj7', 'VIIm7b5 III7b9', 'VIm7 II7', 'Vm7 I7'] },
+          { level: 1, bars: ['Imaj7', 'VIIm7b5 III7alt', 'VIm7 II7b9', 'Vm7 I7b9'] },
+          { level: 2, bars: ['Imaj7', 'VIIm7b5 III7alt', 'VIm7 bVI7', 'Vm7 bV7'] }
+        ],
+        [
+          { level: 0, bars: ['IV7', 'IVm7 bVII7', 'IIIm7 VI7', 'bIIIm7 bVI7'] },
+          { level: 1, bars: ['IV7', 'IVm7 bVII7', 'IIIm7 VI7alt', 'bIIIm7 bVI7'] },
+          { level: 1, bars: ['IVmaj7', 'IVm7 bVII7', 'IIIm7 VI7', 'bIIIm7 bVI7'] },
+          { level: 2, bars: ['IV7 #IVdim7', 'IVm7 bVII7', 'IIIm7 VI7alt', 'bIIIm7 bVI7'] }
+        ],
+        [
+          { level: 0, bars: ['IIm7', 'V7', 'I7 VI7', 'IIm7 V7'] },
+          { level: 0, bars: ['IIm7', 'V7', 'IIIm7 VI7', 'IIm7 V7'] },
+          { level: 1, bars: ['IIm7', 'V7alt', 'IIIm7 VI7alt', 'IIm7 V7alt'] },
+          { level: 1, bars: ['IIm7', 'V7', 'I7 VI7b9', 'IIm7 V7b9'] },
+          { level: 2, bars: ['IIm7', 'bII7', 'IIIm7 bIII7', 'IIm7 bII7'] }
+        ]
+      ]
+    }
+  },
+  'minorBlues': {
+    name: 'Blues menor (12)',
+    mode: 'minor',
+    form: ['A'],
+    sections: {
+      'A': [
+        [
+          { level: 0, bars: ['Im7', 'IVm7', 'Im7', 'Im7'] },
+          { level: 0, bars: ['Im7', 'Im7', 'Im7', 'Im7'] },
+          { level: 1, bars: ['Im7', 'IVm7', 'Im7', 'Vm7b5 I7alt'] },
+          { level: 1, bars: ['Im7', 'IVm7', 'Im7 Im(maj7)', 'Vm7b5 I7alt'] },
+          { level: 2, bars: ['Im7', 'IVm7 bVII7', 'Im7 Im(maj7)', 'Vm7b5 I7alt'] }
+        ],
+        [
+          { level: 0, bars: ['IVm7', 'IVm7', 'Im7', 'Im7'] },
+          { level: 1, bars: ['IVm7', 'bVII7', 'Im7', 'Im7'] },
+          { level: 1, bars: ['IVm7', 'IVm7', 'Im7', 'IIm7b5 V7alt'] },
+          { level: 2, bars: ['IVm7', 'bVII7', 'Im7', 'bVIIm7 bIII7'] },
+          { level: 2, bars: ['IVm7 IVm6', 'bVII7', 'Im7 Im6', 'bVIIm7 bIII7'] }
+        ],
+        [
+          { level: 0, bars: ['bVI7', 'V7alt', 'Im7', 'V7alt'] },
+          { level: 1, bars: ['bVI7', 'V7alt', 'Im7 bVI7', 'IIm7b5 V7alt'] },
+          { level: 1, bars: ['bVI7', 'V7alt', 'Im7 IVm7', 'IIm7b5 V7alt'] },
+          { level: 2, bars: ['bVI7', 'V7alt', 'Im7 bIII7', 'bVI7 bII7'] },
+          { level: 2, bars: ['IIm7b5 bII7', 'V7alt', 'Im7 bIII7', 'bVI7 bII7'] }
+        ]
+      ]
+    }
+  },
+  'giantSteps': {
+    name: 'Giant Steps (ciclo de Coltrane)',
+    mode: 'major',
+    form: ['A', 'B'],
+    keys: getColtraneCycle,
+    // Por tramo: el ciclo original, el ciclo completo compas a compas (como en
+    // Countdown) y llegadas a cada tonalidad con su V o con ii-V
+    sections: {
+      'A': [
+        [
+          { level: 0, bars: ['Imaj7@0 V7@1', 'Imaj7@1 V7@2', 'Imaj7@2', 'V7@1'] },
+          { level: 0, bars: ['Imaj7@0', 'V7@1 Imaj7@1', 'V7@2 Imaj7@2', 'V7@1'] },
+          { level: 1, bars: ['Imaj7@0 V7@1', 'Imaj7@1 V7@2', 'Imaj7@2', 'IIm7@1 V7@1'] },
+          { level: 1, bars: ['Imaj7@0 V7@1', 'Imaj7@1 V7@2', 'Imaj7@2 V7@0', 'Imaj7@0 V7@1'] },
+          { level: 2, bars: ['Imaj7@0 V7alt@1', 'Imaj7@1 V7alt@2', 'Imaj7@2', 'IIm7@1 bII7@1'] },
+          { level: 2, bars: ['Imaj7@0 V7alt@1', 'Imaj7@1 V7alt@2', 'Imaj7@2 V7alt@0', 'Imaj7@0 bII7@1'] }
+        ],
+        [
+          { level: 0, bars: ['Imaj7@1 V7@2', 'Imaj7@2 V7@0', 'Imaj7@0', 'V7@2'] },
+          { level: 0, bars: ['Imaj7@1', 'V7@2 Imaj7@2', 'V7@0 Imaj7@0', 'V7@2'] },
+          { level: 1, bars: ['Imaj7@1 V7@2', 'Imaj7@2 V7@0', 'Imaj7@0', 'IIm7@2 V7@2'] },
+          { level: 1, bars: ['Imaj7@1 V7@2', 'Imaj7@2 V7@0', 'Imaj7@0 V7@1', 'Imaj7@1 V7@2'] },
+          { level: 2, bars: ['Imaj7@1 V7alt@2', 'Imaj7@2 V7alt@0', 'Imaj7@0', 'IIm7@2 bII7@2'] },
+          { level: 2, bars: ['Imaj7@1 V7alt@2', 'Imaj7@2 V7alt@0', 'Imaj7@0 V7alt@1', 'Imaj7@1 bII7@2'] }
+        ]
+      ],
+      'B': [
+        [
+          { level: 0, bars: ['Imaj7@2', 'V7@1', 'Imaj7@1', 'V7@0'] },
+          { level: 0, bars: ['Imaj7@2 V7@0', 'Imaj7@0 V7@1', 'Imaj7@1', 'V7@0'] },
+          { level: 1, bars: ['Imaj7@2', 'IIm7@1 V7@1', 'Imaj7@1', 'IIm7@0 V7@0'] },
+          { level: 1, bars: ['Imaj7@2 V7@0', 'Imaj7@0 V7@1', 'Imaj7@1', 'IIm7@0 V7@0'] },
+          { level: 2, bars: ['Imaj7@2', 'IIm7@1 bII7@1', 'Imaj7@1', 'IIm7@0 V7alt@0'] },
+          { level: 2, bars: ['Imaj7@2 V7alt@0', 'Imaj7@0 bII7@1', 'Imaj7@1', 'IIm7@0 bII7@0'] }
+        ],
+        [
+          { level: 0, bars: ['Imaj7@0', 'V7@2', 'Imaj7@2', 'V7@0'] },
+          { level: 0, bars: ['Imaj7@0 V7@1', 'Imaj7@1 V7@2', 'Imaj7@2', 'V7@0'] },
+          { level: 1, bars: ['Imaj7@0', 'IIm7@2 V7@2', 'Imaj7@2', 'IIm7@0 V7@0'] },
+          { level: 1, bars: ['Imaj7@0 V7@1', 'Imaj7@1 V7@2', 'Imaj7@2', 'IIm7@0 V7@0'] },
+          { level: 2, bars: ['Imaj7@0', 'IIm7@2 bII7@2', 'Imaj7@2', 'IIm7@0 bII7@0'] },
+          { level: 2, bars: ['Imaj7@0 V7alt@1', 'Imaj7@1 bII7@2', 'Imaj7@2', 'IIm7@0 V7alt@0'] }
+        ]
+      ]
+    }
+  }
+}
+
+/**
+ * Variante de un tramo para un nivel (si el nivel no existe, el mas alto por debajo)
+ */
+function pickVariant(variants, complexity) {
+  const available = variants.filter(variant => variant.level <= complexity)
+  const level = Math.max(...available.map(variant => variant.level))
+  const candidates = available.filter(variant => variant.level === level)
+  return candidates[Math.floor(random() * candidates.length)]
+}
+
+/**
+ * Duracion de cada acorde de un compas con `count` acordes
+ */
+function barDurations(count, beatsPerBar) {
+  if (count === 1) return [beatsPerBar]
+  if (count === 2) return splitBar(beatsPerBar)
+  const base = Math.floor(beatsPerBar / count)
+  return Array.from({ length: count }, (_, i) => base + (i < beatsPerBar % count ? 1 : 0))
+}
+
+/**
+ * Convierte los compases de una variante en acordes
+ * @param {string[]} bars - Compases ('IIm7 V7', 'Imaj7@2'...)
+ * @param {string[]} keys - Tonalidades de los '@n'
+ * @param {number} beatsPerBar
+ * @returns {Array} Acordes {degree, key, tension, duration}
+ */
+function barsToChords(bars, keys, beatsPerBar) {
+  return bars.flatMap(bar => {
+    const tokens = bar.trim().split(/\s+/)
+    const durations = barDurations(tokens.length, beatsPerBar)
+    return tokens.map((token, i) => {
+      const [degree, keyIndex] = token.split('@')
+      return {
+        degree,
+        key: keys[Number(keyIndex) || 0],
+        tension: getDegreeTension(degree),
+        duration: durations[i]
+      }
+    })
+  })
+}
+
+/**
+ * Compases de un idioma (para la UI)
+ * @param {string} idiomId
+ * @returns {number}
+ */
+export function getIdiomBars(idiomId) {
+  const idiom = IDIOMATIC_FORMS[idiomId]
+  if (!idiom) return 0
+  return idiom.form.reduce((sum, label) =>
+    sum + idiom.sections[label].reduce((bars, segment) => bars + segment[0].bars.length, 0), 0)
+}
+
+/**
+ * Genera un chorus de una forma canonica
+ * @param {string} idiomId - Clave de IDIOMATIC_FORMS
+ * @param {string} key - Tonalidad
+ * @param {object} options
+ * @param {number} options.beatsPerBar - Beats por compas
+ * @param {number} options.complexity - Nivel de COMPLEXITY_LEVELS (0-2)
+ * @returns {Array} Progresion con `section` en el primer acorde de cada seccion
+ */
+export function generateIdiomaticForm(idiomId, key = 'C', { beatsPerBar = DEFAULT_BEATS_PER_BAR, complexity = 1 } = {}) {
+  const idiom = IDIOMATIC_FORMS[idiomId]
+  if (!idiom) {
+    throw new Error(`Forma desconocida: ${idiomId}`)
+  }
+
+  const keys = idiom.keys ? idiom.keys(key) : [key]
+  const progression = []
+
+  idiom.form.forEach((label, formIndex) => {
+    const isLast = formIndex === idiom.form.length - 1
+    const segments = [...idiom.sections[label]]
+
+    // Los tramos finales sustituyen a los ultimos de la seccion
+    const final = isLast ? idiom.final?.[label] : null
+    if (final) {
+      segments.splice(segments.length - final.length, final.length, ...final)
+    }
+
+    const chords = segments.flatMap(variants =>
+      barsToChords(pickVariant(variants, complexity).bars, keys, beatsPerBar)
+    )
+    chords[0].section = label
+    progression.push(...chords)
+  })
+
+  return progression
+}
+
+export default {
+  COMPLEXITY_LEVELS,
+  IDIOMATIC_FORMS,
+  getIdiomBars,
+  generateIdiomaticForm
+}
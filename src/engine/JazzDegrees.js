@@ -125,9 +125,9 @@ export const JAZZ_DEGREES = {
   // Extended qualities for diatonic degrees
   'I9':      { type: '9', root: 0, func: 'D', tension: 0.6 },
   'I13':     { type: '13', root: 0, func: 'D', tension: 0.6 },
-  'Im6':     { type: '6', root: 0, func: 'T', tension: 0.1 },
+  'Im6':     { type: 'm6', root: 0, func: 'T', tension: 0.1 },
   'II9':     { type: '9', root: 2, func: 'secD', tension: 0.7 },
-  'IIm6':    { type: '6', root: 2, func: 'SD', tension: 0.3 },
+  'IIm6':    { type: 'm6', root: 2, func: 'SD', tension: 0.3 },
   'III9':    { type: '9', root: 4, func: 'secD', tension: 0.7 },
   'IIIm9':   { type: 'm9', root: 4, func: 'T', tension: 0.2 },
   'IV9':     { type: '9', root: 5, func: 'SD', tension: 0.5 },
@@ -234,6 +234,29 @@ export function getDegreeColor(degree) {
  */
 export const ALL_DEGREES = Object.keys(JAZZ_DEGREES)
 
+/**
+ * Indice de grados por intervalo y tipo: "7:7" → 'V7'
+ * Gana el primer nombre declarado (los habituales van antes: '#IVm7b5'
+ * antes que 'bVm7b5'); los grados '/' se nombran solo a mano.
+ */
+const DEGREE_INDEX = {}
+for (const name of ALL_DEGREES) {
+  if (name.includes('/')) continue
+  const { root, type } = JAZZ_DEGREES[name]
+  const id = `${root}:${type}`
+  if (!DEGREE_INDEX[id]) DEGREE_INDEX[id] = name
+}
+
+/**
+ * Busca el grado con una fundamental y tipo dados
+ * @param {number} interval - Semitonos desde la tonica (0-11)
+ * @param {string} type - Tipo de acorde ('m7', '7', 'maj7'...)
+ * @returns {string|null} Nombre del grado o null si no existe
+ */
+export function findDegree(interval, type) {
+  return DEGREE_INDEX[`${((interval % 12) + 12) % 12}:${type}`] || null
+}
+
 /**
  * Filtra grados por funcion armonica
  * @param {string} func - Funcion ('T', 'SD', 'D', etc.)
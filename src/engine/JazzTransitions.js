@@ -163,6 +163,160 @@ export const JAZZ_TRANSITIONS = {
   }
 }
 
+/**
+ * Matriz de transicion para tonalidad menor
+ *
+ * Centrada en iiø-V7alt-Im, con dominantes de menor armonica (V7b13, VIIdim7),
+ * subdominante menor y excursiones al relativo mayor (IVm7-bVII7-bIIImaj7).
+ */
+export const JAZZ_MINOR_TRANSITIONS = {
+  // ========== TONICA MENOR ==========
+  'Im7': {
+    'IIm7b5': 0.20, 'IVm7': 0.16, 'bVImaj7': 0.12, 'V7alt': 0.08, 'V7b13': 0.06,
+    'bVII7': 0.10, 'bIIImaj7': 0.08, 'VIIdim7': 0.06, 'IVm9': 0.04, 'VIm7b5': 0.05, 'bII7': 0.05
+  },
+  'Im9': {
+    'IIm7b5': 0.20, 'IVm7': 0.18, 'bVImaj7': 0.12, 'V7alt': 0.08, 'V7b13': 0.06,
+    'bVII7': 0.10, 'bIIImaj7': 0.10, 'VIIdim7': 0.06, 'VIm7b5': 0.05, 'bII7': 0.05
+  },
+  'Im6': {
+    'IIm7b5': 0.25, 'IVm7': 0.15, 'bVImaj7': 0.15, 'V7alt': 0.10, 'V7b13': 0.10,
+    'VIIdim7': 0.10, 'VIm7b5': 0.10, 'bII7': 0.05
+  },
+
+  // ========== SUBDOMINANTE MENOR ==========
+  'IIm7b5': {
+    'V7alt': 0.40, 'V7b13': 0.30, 'bII7': 0.12, 'V7': 0.08, 'VIIdim7': 0.05, 'bVImaj7': 0.05
+  },
+  'IVm7': {
+    'IIm7b5': 0.18, 'V7alt': 0.15, 'V7b13': 0.15, 'bVII7': 0.25, 'Im7': 0.12,
+    'bVImaj7': 0.10, 'VIIdim7': 0.05
+  },
+  'IVm9': {
+    'IIm7b5': 0.20, 'V7alt': 0.15, 'V7b13': 0.15, 'bVII7': 0.25, 'Im9': 0.15, 'bVImaj7': 0.10
+  },
+  'bVImaj7': {
+    'IIm7b5': 0.30, 'V7alt': 0.20, 'V7b13': 0.15, 'bII7': 0.12, 'IVm7': 0.10, 'bVII7': 0.08, 'Im7': 0.05
+  },
+  'VIm7b5': {
+    'IIm7b5': 0.20, 'bVImaj7': 0.20, 'V7alt': 0.25, 'V7b13': 0.20, 'IVm7': 0.15
+  },
+
+  // ========== DOMINANTES (MENOR ARMONICA) ==========
+  'V7alt': {
+    'Im7': 0.45, 'Im6': 0.25, 'Im9': 0.10, 'bVImaj7': 0.12, 'IVm7': 0.04, 'bIIImaj7': 0.04
+  },
+  'V7b13': {
+    'Im7': 0.40, 'Im6': 0.30, 'Im9': 0.10, 'bVImaj7': 0.15, 'bIIImaj7': 0.05
+  },
+  'V7': {
+    'Im7': 0.50, 'Im6': 0.25, 'bVImaj7': 0.15, 'Im9': 0.10
+  },
+  'bII7': {
+    'Im7': 0.50, 'Im6': 0.25, 'Im9': 0.10, 'bIImaj7': 0.05, 'bVImaj7': 0.10
+  },
+  'VIIdim7': {
+    'Im7': 0.45, 'Im6': 0.30, 'V7b13': 0.15, 'bIIImaj7': 0.10
+  },
+  'Vm7': {
+    'Im7': 0.30, 'IVm7': 0.25, 'bVImaj7': 0.20, 'IIm7b5': 0.15, 'bVII7': 0.10
+  },
+
+  // ========== RELATIVO MAYOR ==========
+  'bVII7': {
+    'bIIImaj7': 0.50, 'Im7': 0.20, 'bVImaj7': 0.15, 'V7alt': 0.10, 'IVm7': 0.05
+  },
+  'bIIImaj7': {
+    'bVImaj7': 0.25, 'IVm7': 0.20, 'IIm7b5': 0.25, 'VIm7b5': 0.10, 'V7alt': 0.10, 'bIImaj7': 0.05, 'Im7': 0.05
+  },
+  'bIImaj7': {
+    'V7alt': 0.45, 'V7b13': 0.30, 'Im7': 0.15, 'IIm7b5': 0.10
+  }
+}
+
+/**
+ * Transiciones de orden superior (contexto de 2 o 3 acordes)
+ *
+ * La clave es la secuencia de grados previos separada por espacios
+ * ("IIIm7 VI7" = el siguiente acorde tras iii-VI). Solo se definen los
+ * giros idiomaticos; si un contexto no existe el motor retrocede al orden
+ * inferior (backoff) hasta llegar a la matriz de orden 1.
+ */
+export const JAZZ_CONTEXT_TRANSITIONS = {
+  // ========== ORDEN 2 ==========
+  // Tras una resolucion, no volver directamente a V7 (evita V-I-V-I)
+  'V7 Imaj7': {
+    'VIm7': 0.22, 'IIIm7': 0.18, 'IVmaj7': 0.18, 'V7/ii': 0.12, '#Idim7': 0.10, 'VI7': 0.12, 'IVm7': 0.08
+  },
+  'IIm7 V7': {
+    'Imaj7': 0.60, 'Imaj9': 0.10, 'I6': 0.10, 'VIm7': 0.10, 'IIIm7': 0.10
+  },
+  // iii-VI-ii-V
+  'Imaj7 IIIm7': {
+    'VI7': 0.45, 'V7/ii': 0.10, 'bIIIdim7': 0.20, 'VIm7': 0.15, 'IVmaj7': 0.10
+  },
+  'IIIm7 VI7': { 'IIm7': 0.85, 'IIm9': 0.15 },
+  'IIIm7 V7/ii': { 'IIm7': 0.85, 'IIm9': 0.15 },
+  'IIIm7 bIIIdim7': { 'IIm7': 0.85, 'IIm9': 0.15 },
+  'VI7 IIm7': { 'V7': 0.70, 'bII7': 0.20, 'V7b13': 0.10 },
+  'V7/ii IIm7': { 'V7': 0.75, 'bII7': 0.25 },
+  'Imaj7 #Idim7': { 'IIm7': 0.90, 'IIm9': 0.10 },
+  '#Idim7 IIm7': { 'V7': 0.80, 'bII7': 0.20 },
+  'IIm7 bII7': { 'Imaj7': 0.85, 'Imaj9': 0.15 },
+  // Subdominante menor y backdoor
+  'IVmaj7 IVm7': { 'Imaj7': 0.45, 'IIIm7': 0.30, 'bVII7': 0.25 },
+  'IVm7 bVII7': { 'Imaj7': 0.85, 'IIIm7': 0.15 },
+  'IVmaj7 #IVdim7': { 'Imaj7': 0.55, 'IIIm7': 0.45 },
+
+  // ========== ORDEN 3 ==========
+  'Imaj7 IIIm7 VI7': { 'IIm7': 1.0 },
+  'IIIm7 VI7 IIm7': { 'V7': 0.85, 'bII7': 0.15 },
+  'Imaj7 VIm7 IIm7': { 'V7': 0.80, 'bII7': 0.20 },
+  'VIm7 IIm7 V7': { 'Imaj7': 0.70, 'IIIm7': 0.20, 'VIm7': 0.10 },
+  'IIm7 V7 Imaj7': {
+    'VIm7': 0.25, 'IVmaj7': 0.25, 'IIIm7': 0.20, 'VI7': 0.15, '#Idim7': 0.15
+  }
+}
+
+/**
+ * Transiciones de orden superior en tonalidad menor
+ */
+export const JAZZ_MINOR_CONTEXT_TRANSITIONS = {
+  // ========== ORDEN 2 ==========
+  'Im7 IIm7b5': { 'V7alt': 0.50, 'V7b13': 0.50 },
+  'IIm7b5 V7alt': { 'Im7': 0.60, 'Im6': 0.30, 'bVImaj7': 0.10 },
+  'IIm7b5 V7b13': { 'Im7': 0.55, 'Im6': 0.35, 'bVImaj7': 0.10 },
+  // Tras la resolucion, no volver directamente al dominante
+  'V7alt Im7': { 'IVm7': 0.30, 'bVImaj7': 0.25, 'bVII7': 0.20, 'VIm7b5': 0.15, 'VIIdim7': 0.10 },
+  'V7b13 Im7': { 'IVm7': 0.30, 'bVImaj7': 0.25, 'bVII7': 0.20, 'VIm7b5': 0.15, 'VIIdim7': 0.10 },
+  // Excursion al relativo mayor: iv-bVII-bIII
+  'IVm7 bVII7': { 'bIIImaj7': 0.85, 'Im7': 0.15 },
+  'bVII7 bIIImaj7': { 'bVImaj7': 0.40, 'IIm7b5': 0.40, 'IVm7': 0.20 },
+
+  // ========== ORDEN 3 ==========
+  'Im7 IIm7b5 V7alt': { 'Im7': 0.55, 'Im6': 0.45 },
+  'Im7 IVm7 bVII7': { 'bIIImaj7': 1.0 },
+  'IVm7 bVII7 bIIImaj7': { 'bVImaj7': 0.45, 'IIm7b5': 0.55 }
+}
+
+/**
+ * Matriz de transicion segun el modo
+ * @param {string} mode - 'major' | 'minor'
+ * @returns {object}
+ */
+export function getTransitionTable(mode = 'major') {
+  return mode === 'minor' ? JAZZ_MINOR_TRANSITIONS : JAZZ_TRANSITIONS
+}
+
+/**
+ * Transiciones de orden superior segun el modo
+ * @param {string} mode - 'major' | 'minor'
+ * @returns {object}
+ */
+export function getContextTable(mode = 'major') {
+  return mode === 'minor' ? JAZZ_MINOR_CONTEXT_TRANSITIONS : JAZZ_CONTEXT_TRANSITIONS
+}
+
 /**
  * Obtiene las probabilidades de transicion desde un grado
  * @param {string} fromDegree - Grado de origen
@@ -0,0 +1,234 @@
+/**
+ * KeyPlan.js - Plan tonal: areas de tonalidad por compases
+ *
+ * En lugar de modular al azar (MarkovEngine.shouldModulate), el usuario fija
+ * en que compas empieza cada tonalidad, ej: C en 1-8, F en 9-16, C desde 17.
+ * Cada cambio se prepara en los compases anteriores con un acorde pivote
+ * (comun a las dos tonalidades y predominante en la nueva) o, si no lo hay,
+ * con el dominante secundario que lleva a la nueva tonalidad
+ * (getSuggestedKey) y un ii-V. Nunca se entra en frio.
+ *
+ * Forma del plan: [{ bar, key }], bar = compas de inicio (desde 0).
+ * La primera area (compas 0) es la tonalidad principal.
+ */
+
+import { resolveDegree } from './DegreeRegistry.js'
+import { splitBar } from './HarmonicRhythm.js'
+import { KEY_NAMES, getSuggestedKey } from './ModulationSystem.js'
+
+// Compases de preparacion antes de cada cambio
+export const APPROACH_BARS = 2
+
+// Compases minimos de un area (tonica + preparacion del siguiente cambio)
+export const MIN_AREA_BARS = 2
+
+// Acordes diatonicos de cada modo (candidatos a pivote)
+const DIATONIC_DEGREES = {
+  major: ['Imaj7', 'IIm7', 'IIIm7', 'IVmaj7', 'V7', 'VIm7', 'VIIm7b5'],
+  minor: ['Im7', 'IIm7b5', 'bIIImaj7', 'IVm7', 'V7', 'bVImaj7', 'bVII7']
+}
+
+// Predominantes de la nueva tonalidad que pueden hacer de pivote (por preferencia)
+const PIVOT_FUNCTIONS = {
+  major: ['IIm7', 'IVmaj7', 'VIm7'],
+  minor: ['IIm7b5', 'IVm7', 'bVImaj7']
+}
+
+// Dominantes secundarios que getSuggestedKey sabe resolver
+const SECONDARY_DOMINANTS = ['V7/ii', 'V7/V', 'V7/IV', 'V7/vi', 'bIII7', 'bVI7', 'VI7']
+
+/**
+ * Acorde absoluto de un grado (fundamental + tipo) para comparar tonalidades
+ */
+function chordIdentity(degree, key) {
+  const info = resolveDegree(degree)
+  if (!info) return null
+  return `${(KEY_NAMES.indexOf(key) + info.root) % 12}:${info.type}`
+}
+
+/**
+ * Ordena y limpia un plan: tonalidades validas, un area en el compas 0,
+ * sin areas repetidas seguidas, sin areas demasiado cortas y sin cambios
+ * dentro de la cadencia final.
+ * @param {Array} plan - [{bar, key}]
+ * @param {string} homeKey - Tonalidad del compas 0 si el plan no la indica
+ * @param {number} totalBars - Compases de la progresion (Infinity = sin limite)
+ * @returns {Array} Areas [{bar, key}] ordenadas
+ */
+export function normalizeKeyPlan(plan, homeKey = 'C', totalBars = Infinity) {
+  const areas = (Array.isArray(plan) ? plan : [])
+    .filter(area => KEY_NAMES.includes(area?.key) && Number.isInteger(area.bar) && area.bar >= 0)
+    .sort((a, b) => a.bar - b.bar)
+
+  const result = [{ bar: 0, key: areas[0]?.bar === 0 ? areas[0].key : homeKey }]
+  // Ultimo compas en que puede empezar un area: tonica + ii-V final
+  const lastStart = totalBars - 1 - APPROACH_BARS
+
+  for (const area of areas) {
+    const previous = result[result.length - 1]
+    if (area.bar === 0) continue
+    if (area.bar > lastStart) break
+    if (area.key === previous.key) continue
+    if (area.bar - previous.bar < MIN_AREA_BARS) continue
+    result.push({ bar: area.bar, key: area.key })
+  }
+
+  return result
+}
+
+/**
+ * Tonalidad de un compas segun el plan
+ * @param {Array} areas - Plan normalizado
+ * @param {number} bar
+ * @returns {string}
+ */
+export function getKeyAtBar(areas, bar) {
+  let key = areas[0]?.key
+  for (const area of areas) {
+    if (area.bar > bar) break
+    key = area.key
+  }
+  return key
+}
+
+/**
+ * Acordes pivote: predominantes de la nueva tonalidad que ya son diatonicos en la anterior
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @param {string} mode - 'major' | 'minor'
+ * @returns {Array<{degree: string, fromDegree: string}>} degree en toKey, fromDegree en fromKey
+ */
+export function findPivotChords(fromKey, toKey, mode = 'major') {
+  const diatonic = DIATONIC_DEGREES[mode] || DIATONIC_DEGREES.major
+  const candidates = PIVOT_FUNCTIONS[mode] || PIVOT_FUNCTIONS.major
+  const pivots = []
+
+  for (const degree of candidates) {
+    const identity = chordIdentity(degree, toKey)
+    const fromDegree = diatonic.find(d => chordIdentity(d, fromKey) === identity)
+    if (fromDegree) pivots.push({ degree, fromDegree })
+  }
+
+  return pivots
+}
+
+/**
+ * Dominante secundario de la tonalidad anterior que resuelve en la nueva
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @returns {string|null} Grado en fromKey
+ */
+export function findSecondaryDominant(fromKey, toKey) {
+  return SECONDARY_DOMINANTS.find(degree => getSuggestedKey(degree, fromKey) === toKey) || null
+}
+
+/**
+ * Acordes que preparan la llegada a una nueva tonalidad
+ * - Con pivote: pivote | V7 (si el pivote no es el ii, ii-V en el ultimo compas)
+ * - Sin pivote: dominante secundario de la anterior (o V/V de la nueva) | ii-V de la nueva
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @param {object} options
+ * @param {string} options.mode - 'major' | 'minor'
+ * @param {object} options.cadence - Grados de cadencia del modo (getCadenceDegrees)
+ * @param {number} options.bars - Compases disponibles (1 o 2)
+ * @param {number} options.beatsPerBar
+ * @returns {Array<{degree: string, key: string, duration: number}>}
+ */
+export function planApproach(fromKey, toKey, { mode = 'major', cadence, bars = APPROACH_BARS, beatsPerBar = 4 }) {
+  const predominant = cadence.predominant[0]
+  const dominant = cadence.dominant[0]
+  const [first, second] = splitBar(beatsPerBar)
+  const pivot = findPivotChords(fromKey, toKey, mode)[0]
+
+  if (bars < 2) {
+    return [
+      { degree: pivot ? pivot.degree : predominant, key: toKey, duration: first },
+      { degree: dominant, key: toKey, duration: second }
+    ]
+  }
+
+  if (pivot) {
+    const lastBar = pivot.degree === predominant
+      ? [{ degree: dominant, key: toKey, duration: beatsPerBar }]
+      : [
+          { degree: predominant, key: toKey, duration: first },
+          { degree: dominant, key: toKey, duration: second }
+        ]
+    return [{ degree: pivot.degree, key: toKey, duration: beatsPerBar }, ...lastBar]
+  }
+
+  const secondary = findSecondaryDominant(fromKey, toKey)
+  return [
+    secondary
+      ? { degree: secondary, key: fromKey, duration: beatsPerBar }
+      : { degree: 'II7', key: toKey, duration: beatsPerBar },
+    { degree: predominant, key: toKey, duration: first },
+    { degree: dominant, key: toKey, duration: second }
+  ]
+}
+
+/**
+ * Acordes fijados por el plan en cada compas (preparaciones y llegadas)
+ * @param {Array} areas - Plan normalizado
+ * @param {object} options
+ * @param {string} options.mode
+ * @param {object} options.cadence - Grados de cadencia del modo (getCadenceDegrees)
+ * @param {number} options.beatsPerBar
+ * @returns {Map<number, Array>} compas -> acordes {degree, key, duration}
+ */
+export function scheduleKeyPlan(areas, { mode = 'major', cadence, beatsPerBar = 4 }) {
+  const schedule = new Map()
+  const tonic = cadence.tonic[0]
+
+  for (let i = 1; i < areas.length; i++) {
+    const from = areas[i - 1]
+    const to = areas[i]
+    // La tonica del area anterior conserva su primer compas
+    const bars = Math.min(APPROACH_BARS, to.bar - from.bar - 1)
+    const approach = planApproach(from.key, to.key, { mode, cadence, bars, beatsPerBar })
+
+    // Repartir la preparacion en sus compases
+    let bar = to.bar - bars
+    let beats = 0
+    for (const chord of approach) {
+      if (!schedule.has(bar)) schedule.set(bar, [])
+      schedule.get(bar).push(chord)
+      beats += chord.duration
+      if (beats >= beatsPerBar) {
+        bar++
+        beats = 0
+      }
+    }
+
+    schedule.set(to.bar, [{ degree: tonic, key: to.key, duration: beatsPerBar }])
+  }
+
+  return schedule
+}
+
+/**
+ * Resumen del plan para la UI: [{key, from, to}] (compases desde 1, to = null si sigue)
+ * @param {Array} areas - Plan normalizado
+ * @param {number} totalBars
+ * @returns {Array}
+ */
+export function describeKeyPlan(areas, totalBars = null) {
+  return areas.map((area, i) => ({
+    key: area.key,
+    from: area.bar + 1,
+    to: i < areas.length - 1 ? areas[i + 1].bar : totalBars
+  }))
+}
+
+export default {
+  APPROACH_BARS,
+  MIN_AREA_BARS,
+  normalizeKeyPlan,
+  getKeyAtBar,
+  findPivotChords,
+  findSecondaryDominant,
+  planApproach,
+  scheduleKeyPlan,
+  describeKeyPlan
+}
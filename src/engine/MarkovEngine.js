@@ -2,20 +2,65 @@
  * MarkovEngine.js - Motor de generacion de progresiones con cadenas de Markov
  *
  * Genera progresiones armonicas jazz basadas en probabilidades de transicion,
- * con soporte para modulaciones y configuracion de gravedad tonal.
+ * con soporte para modulaciones (al azar o segun un plan tonal, KeyPlan) y
+ * configuracion de gravedad tonal o de una curva de tension objetivo por
+ * compas (TensionCurve).
  */
 
-import { JAZZ_DEGREES } from './JazzDegrees.js'
-import { JAZZ_TRANSITIONS } from './JazzTransitions.js'
+import { resolveDegree, getDegreeTension } from './DegreeRegistry.js'
+import { getTransitionTable, getContextTable } from './JazzTransitions.js'
+import { DEFAULT_BEATS_PER_BAR, splitBar, getChordTimeline, getTotalBars } from './HarmonicRhythm.js'
+import { sampleCurve, curveWeight } from './TensionCurve.js'
+import { getRandom } from './Random.js'
+import { normalizeKeyPlan, scheduleKeyPlan } from './KeyPlan.js'
+
+const random = getRandom('harmony')
 
 // Configuracion por defecto
 const DEFAULT_CONFIG = {
   gravity: 0.5,              // 0 = caos, 1 = estricto
+  tensionCurve: null,        // Puntos de control de la curva objetivo (0-1); sustituye a gravity
   modulationEnabled: true,
   modulationProbability: 0.15,
   modulationLevel: 2,        // 0 = basicas, 1 = extendidas, 2 = coltrane
+  keyPlan: null,             // Plan tonal [{bar, key}] (KeyPlan); sustituye a las modulaciones al azar
   returnToTonic: true,
-  forceCadence: true
+  forceCadence: true,
+  mode: 'major',             // 'major' | 'minor'
+  transitions: null,         // Matriz entrenada (CorpusTrainer); null = matriz incorporada
+  contextTransitions: null,  // Contextos de orden 2-3 de la matriz entrenada
+  order: 1,                  // Orden de la cadena (1-3): acordes previos que se tienen en cuenta
+  beatsPerBar: DEFAULT_BEATS_PER_BAR,
+  splitBarProbability: 0.15,  // Dos acordes en un compas (ej: ii-V)
+  holdBarProbability: 0.1     // Acorde estable que se mantiene otro compas
+}
+
+// Orden maximo de la cadena de Markov
+export const MAX_ORDER = 3
+
+// Tonica y cadencia de cada modo
+// En menor: iiø - V7alt/V7b13 (dominantes de menor armonica) - Im7/Im6
+const MODE_DEGREES = {
+  major: { tonic: ['Imaj7'], predominant: ['IIm7'], dominant: ['V7'] },
+  minor: { tonic: ['Im7', 'Im6'], predominant: ['IIm7b5'], dominant: ['V7alt', 'V7b13'] }
+}
+
+/**
+ * Grado de tonica de un modo
+ * @param {string} mode - 'major' | 'minor'
+ * @returns {string}
+ */
+export function getTonicDegree(mode = 'major') {
+  return (MODE_DEGREES[mode] || MODE_DEGREES.major).tonic[0]
+}
+
+/**
+ * Grados de cadencia de un modo
+ * @param {string} mode - 'major' | 'minor'
+ * @returns {{tonic: string[], predominant: string[], dominant: string[]}}
+ */
+export function getCadenceDegrees(mode = 'major') {
+  return MODE_DEGREES[mode] || MODE_DEGREES.major
 }
 
 // Targets de modulacion
@@ -30,6 +75,30 @@ const MODULATION_TARGETS = {
   'min3':        { interval: 3,  prob: 0.07, level: 2 }   // Eb desde C
 }
 
+/**
+ * Elige un elemento al azar
+ */
+function pickRandom(options) {
+  return options[Math.floor(random() * options.length)]
+}
+
+/**
+ * Seleccion aleatoria ponderada (los pesos no tienen que sumar 1)
+ * @param {object} weights - {opcion: peso}
+ * @returns {string|null} null si todos los pesos son 0
+ */
+function sampleWeighted(weights) {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0)
+  if (total <= 0) return null
+
+  let rand = random() * total
+  for (const [option, weight] of Object.entries(weights)) {
+    rand -= weight
+    if (rand < 0) return option
+  }
+  return null
+}
+
 /**
  * Motor de Markov para generacion de progresiones jazz
  */
@@ -37,9 +106,11 @@ export class MarkovEngine {
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config }
     this.currentKey = 'C'
-    this.currentChord = 'Imaj7'
+    this.currentChord = getTonicDegree(this.config.mode)
     this.progression = []
+    this.history = [] // Ultimos grados (contexto para ordenes superiores)
     this.modulationCount = 0
+    this.targetTension = null // Objetivo de la curva en el compas que se genera
   }
 
   /**
@@ -56,99 +127,160 @@ export class MarkovEngine {
    */
   reset(key = 'C') {
     this.currentKey = key
-    this.currentChord = 'Imaj7'
+    this.currentChord = getTonicDegree(this.config.mode)
     this.progression = []
+    this.history = []
     this.modulationCount = 0
+    this.targetTension = null
   }
 
   /**
    * Genera una progresion completa
-   * @param {number} numChords - Numero de acordes a generar
+   * @param {number} numBars - Numero de compases a generar
    * @param {string} startKey - Tonalidad inicial
-   * @returns {Array<{degree: string, key: string, tension: number}>}
+   * @returns {Array<{degree: string, key: string, tension: number, duration: number}>}
    */
-  generateProgression(numChords = 8, startKey = 'C') {
-    this.reset(startKey)
-
-    // Primer acorde: siempre Imaj7
-    this.progression.push({
-      degree: 'Imaj7',
-      key: this.currentKey,
-      tension: 0
-    })
-
-    // Generar resto de acordes
-    for (let i = 1; i < numChords; i++) {
-      const isLastChord = i === numChords - 1
-      const isSecondToLast = i === numChords - 2
+  generateProgression(numBars = 8, startKey = 'C') {
+    const beatsPerBar = this.config.beatsPerBar
+    const cadence = getCadenceDegrees(this.config.mode)
+    const targets = this.config.tensionCurve ? sampleCurve(this.config.tensionCurve, numBars) : null
+
+    // Plan tonal: preparaciones y llegadas fijas; la cadencia final va a la ultima area
+    const keyPlan = this.config.keyPlan ? normalizeKeyPlan(this.config.keyPlan, startKey, numBars) : null
+    const planned = keyPlan
+      ? scheduleKeyPlan(keyPlan, { mode: this.config.mode, cadence, beatsPerBar })
+      : new Map()
+    const homeKey = keyPlan ? keyPlan[keyPlan.length - 1].key : startKey
+
+    this.reset(keyPlan ? keyPlan[0].key : startKey)
+
+    // Primer acorde: siempre la tonica del modo (Imaj7 / Im7)
+    this.pushChord(getTonicDegree(this.config.mode), beatsPerBar)
+
+    // Generar resto de compases
+    for (let bar = 1; bar < numBars; bar++) {
+      const barsLeft = numBars - bar
+      this.targetTension = targets ? targets[bar] : null
+
+      if (planned.has(bar)) {
+        for (const chord of planned.get(bar)) {
+          if (chord.key !== this.currentKey) {
+            this.currentKey = chord.key
+            this.history = [] // El contexto no sobrevive al cambio de tonalidad
+          }
+          this.pushChord(chord.degree, chord.duration)
+        }
+        continue
+      }
 
       // Forzar cadencia al final
-      if (this.config.forceCadence) {
-        if (isSecondToLast) {
-          // Penultimo: dominante
-          if (this.config.returnToTonic && this.currentKey !== startKey) {
-            // Modular de vuelta a la tonica original
-            this.currentKey = startKey
+      if (this.config.forceCadence && barsLeft <= 2) {
+        if (barsLeft === 2) {
+          // Penultimo: dominante (a veces ii-V en el mismo compas)
+          if ((keyPlan || this.config.returnToTonic) && this.currentKey !== homeKey) {
+            // Modular de vuelta a la tonica original (o a la ultima area del plan)
+            this.currentKey = homeKey
           }
-          this.currentChord = 'V7'
-          this.progression.push({
-            degree: 'V7',
-            key: this.currentKey,
-            tension: JAZZ_DEGREES['V7'].tension
-          })
-          continue
-        }
-        if (isLastChord) {
+          if (random() < this.config.splitBarProbability) {
+            const [first, second] = splitBar(beatsPerBar)
+            this.pushChord(pickRandom(cadence.predominant), first)
+            this.pushChord(pickRandom(cadence.dominant), second)
+          } else {
+            this.pushChord(pickRandom(cadence.dominant), beatsPerBar)
+          }
+        } else {
           // Ultimo: tonica
-          if (this.config.returnToTonic) {
-            this.currentKey = startKey
+          if (keyPlan || this.config.returnToTonic) {
+            this.currentKey = homeKey
           }
-          this.currentChord = 'Imaj7'
-          this.progression.push({
-            degree: 'Imaj7',
-            key: this.currentKey,
-            tension: 0
-          })
-          continue
+          this.pushChord(pickRandom(cadence.tonic), beatsPerBar)
         }
+        continue
       }
 
-      // Seleccionar siguiente acorde
-      const nextChord = this.selectNextChord()
-
-      // Verificar modulacion
-      if (this.shouldModulate(nextChord)) {
-        const interval = this.selectModulationTarget()
-        this.currentKey = this.transposeKey(this.currentKey, interval)
-        this.modulationCount++
-        this.currentChord = 'Imaj7' // Empezar en tonica de nueva tonalidad
-      } else {
-        this.currentChord = nextChord
+      // Ritmo armonico: mantener, dividir o un acorde por compas
+      const previous = this.progression[this.progression.length - 1]
+      const isStable = getDegreeTension(previous.degree, 1) <= 0.2
+      // Con curva, solo se mantiene el reposo si el objetivo tambien es de reposo
+      const wantsRest = this.targetTension === null || this.targetTension <= 0.3
+
+      if (isStable && wantsRest && random() < this.config.holdBarProbability) {
+        previous.duration += beatsPerBar
+        continue
       }
 
-      this.progression.push({
-        degree: this.currentChord,
-        key: this.currentKey,
-        tension: JAZZ_DEGREES[this.currentChord]?.tension || 0.5
-      })
+      if (random() < this.config.splitBarProbability) {
+        const [first, second] = splitBar(beatsPerBar)
+        this.advance()
+        this.pushChord(this.currentChord, first)
+        this.advance()
+        this.pushChord(this.currentChord, second)
+        continue
+      }
+
+      this.advance()
+      this.pushChord(this.currentChord, beatsPerBar)
     }
 
+    this.targetTension = null
     return this.progression
   }
 
+  /**
+   * Elige el siguiente acorde (con posible modulacion) y actualiza el estado
+   */
+  advance() {
+    const nextChord = this.selectNextChord()
+
+    if (this.shouldModulate(nextChord)) {
+      const interval = this.selectModulationTarget()
+      this.currentKey = this.transposeKey(this.currentKey, interval)
+      this.modulationCount++
+      this.history = [] // El contexto no sobrevive al cambio de tonalidad
+      this.currentChord = getTonicDegree(this.config.mode) // Empezar en tonica de nueva tonalidad
+    } else {
+      this.currentChord = nextChord
+    }
+  }
+
+  /**
+   * Anade un acorde a la progresion en la tonalidad actual
+   * @param {string} degree - Grado
+   * @param {number} duration - Duracion en beats
+   * @returns {object} Acorde anadido
+   */
+  pushChord(degree, duration) {
+    this.currentChord = degree
+    const chord = {
+      degree,
+      key: this.currentKey,
+      tension: getDegreeTension(degree),
+      duration
+    }
+    this.progression.push(chord)
+    this.history.push(degree)
+    if (this.history.length > MAX_ORDER) this.history.shift()
+    return chord
+  }
+
   /**
    * Selecciona el siguiente acorde basado en probabilidades
    * @returns {string} Nombre del siguiente grado
    */
   selectNextChord() {
-    const transitions = JAZZ_TRANSITIONS[this.currentChord]
-    if (!transitions) return 'Imaj7'
+    const tonic = getTonicDegree(this.config.mode)
+    // Orden superior si el contexto es conocido; si no, orden 1
+    // (matriz entrenada y, si no conoce el acorde, la incorporada)
+    const transitions = this.getContextTransitions() ||
+      this.config.transitions?.[this.currentChord] ||
+      getTransitionTable(this.config.mode)[this.currentChord]
+    if (!transitions) return tonic
 
     // Aplicar gravedad: modificar probabilidades
     const modifiedProbs = this.applyGravity(transitions)
 
     // Seleccion aleatoria ponderada
-    const rand = Math.random()
+    const rand = random()
     let cumulative = 0
 
     for (const [chord, prob] of Object.entries(modifiedProbs)) {
@@ -158,30 +290,58 @@ export class MarkovEngine {
       }
     }
 
-    return 'Imaj7' // Fallback
+    return tonic // Fallback
   }
 
   /**
-   * Aplica gravedad tonal a las probabilidades
+   * Busca transiciones de orden superior para los ultimos acordes.
+   * Backoff: prueba el contexto mas largo permitido por `order` y, si no
+   * existe, va acortandolo hasta orden 2.
+   * @returns {object|null} Probabilidades, o null si ningun contexto es conocido
+   */
+  getContextTransitions() {
+    // Matriz entrenada: solo sus propios contextos; incorporada: giros idiomaticos
+    const contexts = this.config.transitions
+      ? this.config.contextTransitions
+      : getContextTable(this.config.mode)
+    if (!contexts) return null
+
+    const maxOrder = Math.min(this.config.order, MAX_ORDER, this.history.length)
+    for (let order = maxOrder; order >= 2; order--) {
+      const context = this.history.slice(-order).join(' ')
+      if (contexts[context]) return contexts[context]
+    }
+    return null
+  }
+
+  /**
+   * Aplica gravedad tonal (o el objetivo de la curva de tension) a las probabilidades
    * @param {object} transitions - Probabilidades originales
+   * @param {number|null} target - Tension objetivo; null = usar gravity
    * @returns {object} Probabilidades modificadas
    */
-  applyGravity(transitions) {
+  applyGravity(transitions, target = this.targetTension) {
     const gravity = this.config.gravity
     const modified = {}
     let total = 0
 
     for (const [chord, prob] of Object.entries(transitions)) {
-      const degreeInfo = JAZZ_DEGREES[chord]
+      const degreeInfo = resolveDegree(chord)
       if (!degreeInfo) continue
 
-      // Gravedad alta: favorece acordes estables (menor tension)
-      // Gravedad baja: favorece acordes tensos
-      const tensionFactor = gravity > 0.5
-        ? 1 - degreeInfo.tension * (gravity - 0.5) * 2
-        : 1 + degreeInfo.tension * (0.5 - gravity) * 2
+      let tensionFactor = 1
+      if (target !== null) {
+        // Curva: favorece los acordes cercanos al objetivo del compas
+        tensionFactor = curveWeight(degreeInfo.tension, target)
+      } else if (!this.config.tensionCurve) {
+        // Gravedad alta: favorece acordes estables (menor tension)
+        // Gravedad baja: favorece acordes tensos
+        tensionFactor = Math.max(0.1, gravity > 0.5
+          ? 1 - degreeInfo.tension * (gravity - 0.5) * 2
+          : 1 + degreeInfo.tension * (0.5 - gravity) * 2)
+      }
 
-      modified[chord] = prob * Math.max(0.1, tensionFactor)
+      modified[chord] = prob * tensionFactor
       total += modified[chord]
     }
 
@@ -200,23 +360,24 @@ export class MarkovEngine {
    */
   shouldModulate(chord) {
     if (!this.config.modulationEnabled) return false
+    if (this.config.keyPlan) return false // Las tonalidades las fija el plan
     if (this.progression.length < 2) return false // No modular muy pronto
 
-    const degreeInfo = JAZZ_DEGREES[chord]
+    const degreeInfo = resolveDegree(chord)
     if (!degreeInfo) return false
 
     // Acordes Coltrane siempre intentan modular
     if (degreeInfo.func === 'coltrane') {
-      return Math.random() < 0.7
+      return random() < 0.7
     }
 
     // Dominantes secundarios pueden disparar modulacion
     if (degreeInfo.func === 'secD') {
-      return Math.random() < this.config.modulationProbability * 1.5
+      return random() < this.config.modulationProbability * 1.5
     }
 
     // Probabilidad base
-    return Math.random() < this.config.modulationProbability
+    return random() < this.config.modulationProbability
   }
 
   /**
@@ -231,7 +392,7 @@ export class MarkovEngine {
     // Normalizar probabilidades
     const total = availableTargets.reduce((sum, [, info]) => sum + info.prob, 0)
 
-    const rand = Math.random() * total
+    const rand = random() * total
     let cumulative = 0
 
     for (const [, info] of availableTargets) {
@@ -260,29 +421,218 @@ export class MarkovEngine {
   }
 
   /**
-   * Avanza un paso (para modo interactivo)
-   * @returns {{degree: string, key: string, tension: number}}
+   * Regenera los acordes libres (no bloqueados) de una progresion.
+   *
+   * Cada tramo de acordes libres se muestrea condicionado al acorde bloqueado
+   * anterior y al siguiente: los acordes conectan con ambos vecinos segun la
+   * matriz de transicion (con gravedad). Se conservan duraciones y secciones;
+   * solo cambia el grado. Usa orden 1 y no modula (los libres heredan la
+   * tonalidad del acorde bloqueado anterior). Con curva de tension, cada
+   * acorde se inclina hacia el objetivo de su compas.
+   *
+   * @param {Array} progression - Progresion con `locked` opcional en cada acorde
+   * @param {string} startKey - Tonalidad si el primer tramo no tiene vecino anterior
+   * @param {function(number): boolean} isFree - Indices a regenerar (por defecto, los no bloqueados)
+   * @returns {Array} Nueva progresion (los acordes fijos no se modifican)
    */
-  step() {
-    const nextChord = this.selectNextChord()
+  generateConstrained(progression, startKey = 'C', isFree = i => !progression[i].locked) {
+    const result = progression.map(chord => ({ ...chord }))
+    const targets = this.getChordTargets(result)
+    let i = 0
+
+    while (i < result.length) {
+      if (!isFree(i)) {
+        i++
+        continue
+      }
 
-    if (this.shouldModulate(nextChord)) {
-      const interval = this.selectModulationTarget()
-      this.currentKey = this.transposeKey(this.currentKey, interval)
-      this.modulationCount++
-      this.currentChord = 'Imaj7'
-    } else {
-      this.currentChord = nextChord
+      // Tramo libre [start, end)
+      const start = i
+      while (i < result.length && isFree(i)) i++
+      const end = i
+
+      const previous = start > 0 ? result[start - 1] : null
+      const next = end < result.length ? result[end] : null
+      const key = previous?.key || next?.key || startKey
+
+      // El acorde siguiente solo condiciona si esta en la misma tonalidad
+      const target = next && next.key === key ? next.degree : null
+      const degrees = this.sampleBridge(
+        previous?.degree || null,
+        target,
+        end - start,
+        targets?.slice(start, end)
+      )
+
+      degrees.forEach((degree, offset) => {
+        result[start + offset] = {
+          ...result[start + offset],
+          degree,
+          key,
+          tension: getDegreeTension(degree)
+        }
+      })
     }
 
-    const result = {
-      degree: this.currentChord,
-      key: this.currentKey,
-      tension: JAZZ_DEGREES[this.currentChord]?.tension || 0.5
+    return result
+  }
+
+  /**
+   * Tension objetivo de cada acorde (la de su compas de inicio)
+   * @param {Array} progression
+   * @returns {number[]|null} null si no hay curva
+   */
+  getChordTargets(progression) {
+    if (!this.config.tensionCurve) return null
+    const beatsPerBar = this.config.beatsPerBar
+    const barTargets = sampleCurve(this.config.tensionCurve, getTotalBars(progression, beatsPerBar))
+    return getChordTimeline(progression, beatsPerBar)
+      .map(({ startBeat }) => barTargets[Math.floor(startBeat / beatsPerBar)])
+  }
+
+  /**
+   * Regenera solo un rango de la progresion, coherente con los vecinos
+   * (los acordes bloqueados dentro del rango se conservan)
+   * @param {Array} progression - Progresion
+   * @param {number} from - Primer indice (incluido)
+   * @param {number} to - Ultimo indice (incluido)
+   * @param {string} startKey - Tonalidad por defecto
+   * @returns {Array} Nueva progresion
+   */
+  regenerateRange(progression, from, to, startKey = 'C') {
+    return this.generateConstrained(
+      progression,
+      startKey,
+      i => i >= from && i <= to && !progression[i].locked
+    )
+  }
+
+  /**
+   * Muestrea `length` grados entre `from` y `to` (cualquiera puede ser null).
+   * Muestreo exacto de la cadena condicionada a sus extremos: mensajes hacia
+   * atras (probabilidad de llegar a `to` desde cada estado) y muestreo hacia
+   * delante proporcional a transicion x mensaje.
+   *
+   * @param {string|null} from - Grado anterior (null = sin restriccion: arranca en tonica)
+   * @param {string|null} to - Grado siguiente (null = sin restriccion)
+   * @param {number} length - Numero de grados a generar
+   * @param {number[]} targets - Tension objetivo de cada grado (curva), opcional
+   * @returns {string[]}
+   */
+  sampleBridge(from, to, length, targets = null) {
+    if (length <= 0) return []
+
+    let matrix = this.buildTransitionMatrix([from, to])
+    let backward = this.computeBackwardMessages(matrix, to, length)
+
+    // Si `to` es inalcanzable desde `from`, suavizar la matriz para que haya camino
+    const first = from ? matrix.rows[from] : null
+    const reachable = first
+      ? matrix.states.some(state => (first[state] || 0) * backward[0][state] > 0)
+      : matrix.states.some(state => backward[0][state] > 0)
+    if (!reachable) {
+      matrix = this.buildTransitionMatrix([from, to], 0.02)
+      backward = this.computeBackwardMessages(matrix, to, length)
     }
 
-    this.progression.push(result)
-    return result
+    const degrees = []
+    let current = from
+    for (let step = 0; step < length; step++) {
+      const weights = {}
+      for (const state of matrix.states) {
+        // Sin acorde anterior: el tramo empieza en la tonica si el mensaje lo permite
+        const transition = current
+          ? (matrix.rows[current]?.[state] || 0)
+          : (state === getTonicDegree(this.config.mode) ? 1 : 0.01)
+        weights[state] = transition * backward[step][state]
+        if (targets) {
+          weights[state] *= curveWeight(getDegreeTension(state), targets[step])
+        }
+      }
+      current = sampleWeighted(weights) || getTonicDegree(this.config.mode)
+      degrees.push(current)
+    }
+
+    return degrees
+  }
+
+  /**
+   * Matriz de transicion (orden 1, con gravedad) sobre los grados conocidos
+   * @param {Array<string|null>} extraStates - Grados que deben formar parte de los estados
+   * @param {number} smoothing - Probabilidad repartida entre todos los estados (0 = ninguna)
+   * @returns {{states: string[], rows: object}}
+   */
+  buildTransitionMatrix(extraStates = [], smoothing = 0) {
+    const builtIn = getTransitionTable(this.config.mode)
+    const trained = this.config.transitions || {}
+    const tonic = getTonicDegree(this.config.mode)
+
+    const states = new Set([tonic])
+    for (const table of [builtIn, trained]) {
+      for (const [from, targets] of Object.entries(table)) {
+        if (resolveDegree(from)) states.add(from)
+        for (const to of Object.keys(targets)) {
+          if (resolveDegree(to)) states.add(to)
+        }
+      }
+    }
+    extraStates.filter(Boolean).forEach(state => states.add(state))
+
+    const stateList = [...states]
+    const rows = {}
+    for (const state of stateList) {
+      const row = trained[state] || builtIn[state] || { [tonic]: 1 }
+      const probs = this.applyGravity(row)
+      rows[state] = {}
+      for (const to of stateList) {
+        rows[state][to] = (1 - smoothing) * (probs[to] || 0) + smoothing / stateList.length
+      }
+    }
+
+    return { states: stateList, rows }
+  }
+
+  /**
+   * Mensajes hacia atras: backward[step][state] = probabilidad de completar
+   * el tramo (y llegar a `to`) si el grado `step` es `state`
+   */
+  computeBackwardMessages(matrix, to, length) {
+    const backward = new Array(length)
+    const last = {}
+    for (const state of matrix.states) {
+      last[state] = to ? (matrix.rows[state][to] || 0) : 1
+    }
+    backward[length - 1] = last
+
+    for (let step = length - 2; step >= 0; step--) {
+      const message = {}
+      const after = backward[step + 1]
+      for (const state of matrix.states) {
+        let sum = 0
+        const row = matrix.rows[state]
+        for (const next of matrix.states) {
+          sum += (row[next] || 0) * after[next]
+        }
+        message[state] = sum
+      }
+      // Normalizar para evitar underflow en tramos largos
+      const total = Object.values(message).reduce((a, b) => a + b, 0)
+      if (total > 0) {
+        for (const state of matrix.states) message[state] /= total
+      }
+      backward[step] = message
+    }
+
+    return backward
+  }
+
+  /**
+   * Avanza un paso (para modo interactivo)
+   * @returns {{degree: string, key: string, tension: number, duration: number}}
+   */
+  step() {
+    this.advance()
+    return this.pushChord(this.currentChord, this.config.beatsPerBar)
   }
 
   /**
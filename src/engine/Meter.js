@@ -0,0 +1,128 @@
+/**
+ * Meter.js - Compases (time signatures)
+ *
+ * Un compas se describe por:
+ * - beats: numero de pulsos por compas (numerador)
+ * - unit: figura que vale un pulso (denominador: 4 = negra, 8 = corchea)
+ * - groups: agrupacion de pulsos (acentos), ej: 5/4 = 3+2
+ * - compound: compas compuesto (6/8, 12/8): el pulso sentido es la negra con puntillo
+ *
+ * Las duraciones de los acordes (HarmonicRhythm) se miden en pulsos del compas.
+ */
+
+export const DEFAULT_METER = '4/4'
+
+/**
+ * Compases con agrupacion idiomatica
+ */
+export const METERS = {
+  '4/4': { beats: 4, unit: 4, groups: [2, 2], compound: false, name: 'Swing 4/4' },
+  '3/4': { beats: 3, unit: 4, groups: [3], compound: false, name: 'Jazz Waltz 3/4' },
+  '5/4': { beats: 5, unit: 4, groups: [3, 2], compound: false, name: '5/4 (3+2)' },
+  '6/8': { beats: 6, unit: 8, groups: [3, 3], compound: true, name: '6/8' },
+  '7/4': { beats: 7, unit: 4, groups: [2, 2, 3], compound: false, name: '7/4 (2+2+3)' }
+}
+
+/**
+ * Normaliza un compas a string "n/d"
+ * Acepta "3/4", [3, 4] (heads.json) o {beats, unit}
+ * @param {string|Array|object} meter
+ * @returns {string}
+ */
+export function normalizeMeter(meter) {
+  if (Array.isArray(meter) && meter.length === 2) {
+    return `${meter[0]}/${meter[1]}`
+  }
+  if (meter && typeof meter === 'object' && meter.beats && meter.unit) {
+    return `${meter.beats}/${meter.unit}`
+  }
+  if (typeof meter === 'string' && /^\d+\/\d+$/.test(meter.trim())) {
+    return meter.trim()
+  }
+  return DEFAULT_METER
+}
+
+/**
+ * Obtiene la informacion de un compas
+ * Los compases sin preset se agrupan de 2 en 2 (o de 3 en 3 si son compuestos)
+ * @param {string|Array|object} meter
+ * @returns {{id: string, beats: number, unit: number, groups: number[], compound: boolean, name: string}}
+ */
+export function getMeterInfo(meter) {
+  const id = normalizeMeter(meter)
+  if (METERS[id]) {
+    return { id, ...METERS[id] }
+  }
+
+  const [beats, unit] = id.split('/').map(Number)
+  const compound = unit === 8 && beats % 3 === 0 && beats > 3
+  const groupSize = compound || beats === 3 ? 3 : 2
+
+  const groups = []
+  let remaining = beats
+  while (remaining > 0) {
+    // Un resto de 1 se une al grupo anterior (7 = 2+2+3)
+    if (remaining === groupSize + 1 && groupSize === 2) {
+      groups.push(3)
+      break
+    }
+    groups.push(Math.min(groupSize, remaining))
+    remaining -= groupSize
+  }
+
+  return { id, beats, unit, groups, compound, name: id }
+}
+
+/**
+ * Pulsos por compas
+ */
+export function getBeatsPerBar(meter) {
+  return getMeterInfo(meter).beats
+}
+
+/**
+ * Notacion Tone.js de un pulso ('4n', '8n', '2n')
+ */
+export function getBeatNotation(meter) {
+  return `${getMeterInfo(meter).unit}n`
+}
+
+/**
+ * Pulsos por nota del walking bass
+ * En compases compuestos el bajo camina en negras con puntillo
+ */
+export function getBassStep(meter) {
+  return getMeterInfo(meter).compound ? 3 : 1
+}
+
+/**
+ * Indices de los pulsos que inician cada grupo (acentos)
+ * @returns {number[]} ej: 5/4 (3+2) → [0, 3]
+ */
+export function getGroupStarts(meter) {
+  const starts = []
+  let position = 0
+  for (const size of getMeterInfo(meter).groups) {
+    starts.push(position)
+    position += size
+  }
+  return starts
+}
+
+/**
+ * Pulsos de "backbeat": el segundo de cada par dentro del grupo (2 y 4 en 4/4);
+ * en compases compuestos, el inicio de cada grupo salvo el primero
+ * @returns {number[]} ej: 4/4 → [1, 3], 6/8 → [3]
+ */
+export function getBackbeats(meter) {
+  const { groups, compound } = getMeterInfo(meter)
+  const backbeats = []
+  let position = 0
+  for (const size of groups) {
+    for (let i = 0; i < size; i++) {
+      if (compound ? i === 0 && position > 0 : i % 2 === 1) backbeats.push(position + i)
+    }
+    position += size
+  }
+  return backbeats
+}
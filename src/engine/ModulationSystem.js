@@ -5,6 +5,10 @@
  * Soporta modulaciones basicas, extendidas y Coltrane changes.
  */
 
+import { getRandom } from './Random.js'
+
+const random = getRandom('harmony')
+
 /**
  * Targets de modulacion disponibles
  * - interval: semitonos desde la tonalidad actual
@@ -143,7 +147,7 @@ export function selectRandomTarget(level = 2) {
   const totalProb = entries.reduce((sum, [, t]) => sum + t.prob, 0)
 
   // Seleccion ponderada
-  const rand = Math.random() * totalProb
+  const rand = random() * totalProb
   let cumulative = 0
 
   for (const [name, target] of entries) {
@@ -0,0 +1,138 @@
+/**
+ * PracticeLoop.js - Loop de estudio con subida de tempo
+ *
+ * Repite un rango de compases de la progresion en lugar de la forma entera:
+ * - 'ramp': cada `passesPerStep` vueltas sube `step` BPM hasta el objetivo
+ * - 'hold': mantiene el tempo; se puede bajar `step` BPM cuando se pida
+ *
+ * Solo calcula rangos y tempos; AudioEngine los aplica sobre los puntos de
+ * loop del Transport. El record de tempo por tema se guarda en
+ * storage/PracticeStorage.js.
+ */
+
+import { getChordTimeline } from './HarmonicRhythm.js'
+
+export const PRACTICE_MODES = [
+  { id: 'ramp', name: 'Subir', description: 'Sube el tempo cada vuelta hasta el objetivo' },
+  { id: 'hold', name: 'Mantener', description: 'Tempo fijo; baja un paso cuando lo pidas' }
+]
+
+// Limites del tempo de la practica (los mismos que el control de tempo)
+export const MIN_PRACTICE_TEMPO = 40
+export const MAX_PRACTICE_TEMPO = 240
+export const MAX_PRACTICE_STEP = 20
+export const MAX_PASSES_PER_STEP = 8
+
+export const DEFAULT_PRACTICE = {
+  enabled: false,      // Loop del rango en lugar de la forma entera
+  startBar: 0,         // Primer compas del rango (desde 0)
+  endBar: null,        // Ultimo compas del rango (incluido); null = hasta el final
+  mode: 'ramp',        // PRACTICE_MODES
+  step: 4,             // BPM que sube (o baja) cada paso
+  passesPerStep: 1,    // Vueltas a cada tempo antes de subir
+  target: 200          // Tempo objetivo del modo 'ramp'
+}
+
+const clampInt = (value, min, max, fallback) => {
+  const number = Math.round(Number(value))
+  return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback
+}
+
+/**
+ * Valida los ajustes de la practica (editados en el panel)
+ * @param {object} raw
+ * @returns {object}
+ */
+export function normalizePractice(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  const startBar = clampInt(source.startBar, 0, Infinity, DEFAULT_PRACTICE.startBar)
+  const endBar = source.endBar === null || source.endBar === undefined
+    ? null
+    : clampInt(source.endBar, startBar, Infinity, null)
+  return {
+    enabled: !!source.enabled,
+    startBar,
+    endBar,
+    mode: PRACTICE_MODES.some(m => m.id === source.mode) ? source.mode : DEFAULT_PRACTICE.mode,
+    step: clampInt(source.step, 1, MAX_PRACTICE_STEP, DEFAULT_PRACTICE.step),
+    passesPerStep: clampInt(source.passesPerStep, 1, MAX_PASSES_PER_STEP, DEFAULT_PRACTICE.passesPerStep),
+    target: clampInt(source.target, MIN_PRACTICE_TEMPO, MAX_PRACTICE_TEMPO, DEFAULT_PRACTICE.target)
+  }
+}
+
+/**
+ * Compases que suenan en loop
+ * @param {object} practice - Ver normalizePractice
+ * @param {number} totalBars - Compases de la progresion
+ * @returns {{start: number, end: number}} end excluido; la forma entera si la practica esta desactivada
+ */
+export function getPracticeRange(practice, totalBars) {
+  if (!practice?.enabled || totalBars <= 0) return { start: 0, end: Math.max(totalBars, 0) }
+  const start = Math.min(practice.startBar, totalBars - 1)
+  const last = practice.endBar === null ? totalBars - 1 : Math.min(practice.endBar, totalBars - 1)
+  return { start, end: Math.max(start, last) + 1 }
+}
+
+/**
+ * Compases que ocupan unos acordes (para convertir una seleccion en rango)
+ * @param {Array} progression
+ * @param {number} from - Primer acorde
+ * @param {number} to - Ultimo acorde (incluido)
+ * @param {number} beatsPerBar
+ * @returns {{startBar: number, endBar: number}|null} endBar incluido
+ */
+export function getChordBarRange(progression, from, to, beatsPerBar) {
+  const timeline = getChordTimeline(progression, beatsPerBar)
+  const first = timeline[Math.max(0, Math.min(from, to))]
+  const last = timeline[Math.min(timeline.length - 1, Math.max(from, to))]
+  if (!first || !last) return null
+  return {
+    startBar: Math.floor(first.startBeat / beatsPerBar),
+    endBar: Math.ceil((last.startBeat + last.duration) / beatsPerBar) - 1
+  }
+}
+
+/**
+ * Tempo al empezar una vuelta
+ * @param {number} tempo - Tempo de la vuelta anterior
+ * @param {number} pass - Vuelta que empieza (0 = la primera)
+ * @param {object} practice - Ver normalizePractice
+ * @returns {number}
+ */
+export function getPassTempo(tempo, pass, practice) {
+  if (practice.mode !== 'ramp' || pass === 0 || pass % practice.passesPerStep !== 0) return tempo
+  // Si ya se esta por encima del objetivo, no se toca
+  if (tempo >= practice.target) return tempo
+  return Math.min(practice.target, tempo + practice.step)
+}
+
+/**
+ * Tempo tras pedir bajar un paso
+ * @param {number} tempo
+ * @param {object} practice - Ver normalizePractice
+ * @returns {number}
+ */
+export function getDropTempo(tempo, practice) {
+  return Math.max(MIN_PRACTICE_TEMPO, tempo - practice.step)
+}
+
+/**
+ * Texto del rango ("Compases 5-8"); la forma entera si no hay rango
+ * @param {{start: number, end: number}} range - Ver getPracticeRange
+ * @returns {string}
+ */
+export function describePracticeRange(range) {
+  if (range.end - range.start <= 1) return `Compas ${range.start + 1}`
+  return `Compases ${range.start + 1}-${range.end}`
+}
+
+export default {
+  PRACTICE_MODES,
+  DEFAULT_PRACTICE,
+  normalizePractice,
+  getPracticeRange,
+  getChordBarRange,
+  getPassTempo,
+  getDropTempo,
+  describePracticeRange
+}
@@ -0,0 +1,125 @@
+/**
+ * Random.js - Azar reproducible con semilla
+ *
+ * Todos los generadores (armonia, rearmonizacion, bajo, bateria, comping, solo)
+ * sacan sus numeros de aqui en lugar de Math.random. Cada componente tiene
+ * su propio flujo derivado de la semilla global, asi que el orden en que se
+ * usan no altera a los demas: la misma semilla con los mismos ajustes da
+ * los mismos acordes, la misma linea de bajo, la misma bateria y el mismo solo.
+ *
+ * Flujos (cada modulo pide el suyo con getRandom):
+ * 'harmony' | 'reharm' | 'bass' | 'drums' | 'comping' | 'humanize' | 'solo'
+ */
+
+// Semillas visibles en la UI (numeros cortos, faciles de copiar)
+export const MAX_SEED = 999999
+
+/**
+ * Genera un numero pseudoaleatorio en [0, 1) a partir de una semilla (mulberry32)
+ * @param {number} seed - Entero de 32 bits
+ * @returns {function(): number}
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Combina varias partes (semilla, nombre de flujo, compas...) en un entero de 32 bits
+ * @param {...(string|number)} parts
+ * @returns {number}
+ */
+export function hashSeed(...parts) {
+  let hash = 2166136261
+  for (const char of parts.join(':')) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Semilla nueva al azar (el unico uso de Math.random)
+ * @returns {number}
+ */
+export function randomSeed() {
+  return 1 + Math.floor(Math.random() * MAX_SEED)
+}
+
+/**
+ * Convierte un valor introducido por el usuario en semilla valida
+ * @param {string|number} value
+ * @returns {number|null} null si no es un numero
+ */
+export function normalizeSeed(value) {
+  const seed = Math.floor(Math.abs(Number(value)))
+  if (!Number.isFinite(seed)) return null
+  return seed % (MAX_SEED + 1)
+}
+
+let currentSeed = randomSeed()
+const streams = new Map() // nombre -> { next }
+
+function getStream(name) {
+  if (!streams.has(name)) {
+    streams.set(name, { next: createRandom(hashSeed(currentSeed, name)) })
+  }
+  return streams.get(name)
+}
+
+/**
+ * Fija la semilla global y reinicia todos los flujos
+ * @param {number} seed
+ */
+export function setSeed(seed) {
+  currentSeed = seed
+  for (const [name, stream] of streams) {
+    stream.next = createRandom(hashSeed(seed, name))
+  }
+}
+
+/**
+ * Semilla global actual
+ * @returns {number}
+ */
+export function getSeed() {
+  return currentSeed
+}
+
+/**
+ * Funcion aleatoria de un flujo (sustituto de Math.random)
+ * Sigue al flujo aunque se cambie la semilla despues de pedirla.
+ * @param {string} name - Nombre del flujo
+ * @returns {function(): number}
+ */
+export function getRandom(name) {
+  const stream = getStream(name)
+  return () => stream.next()
+}
+
+/**
+ * Reinicia un flujo en un punto concreto (ej: compas y vuelta en la reproduccion)
+ * para que no dependa de lo que se haya generado antes.
+ * @param {string} name - Nombre del flujo
+ * @param {...(string|number)} salt - Posicion
+ */
+export function reseed(name, ...salt) {
+  getStream(name).next = createRandom(hashSeed(currentSeed, name, ...salt))
+}
+
+export default {
+  MAX_SEED,
+  createRandom,
+  hashSeed,
+  randomSeed,
+  normalizeSeed,
+  setSeed,
+  getSeed,
+  getRandom,
+  reseed
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { createRandom, hashSeed, normalizeSeed, setSeed, getSeed, getRandom, reseed, MAX_SEED } from './Random.js'
+import { MarkovEngine } from './MarkovEngine.js'
+
+const take = (random, count) => Array.from({ length: count }, () => random())
+
+describe('Random', () => {
+  it('gives the same sequence for the same seed', () => {
+    expect(take(createRandom(42), 5)).toEqual(take(createRandom(42), 5))
+    expect(take(createRandom(42), 5)).not.toEqual(take(createRandom(43), 5))
+  })
+
+  it('stays in [0, 1)', () => {
+    expect(take(createRandom(7), 1000).every(value => value >= 0 && value < 1)).toBe(true)
+  })
+
+  it('hashes every part of the seed', () => {
+    expect(hashSeed(1, 'bass')).toBe(hashSeed(1, 'bass'))
+    expect(hashSeed(1, 'bass')).not.toBe(hashSeed(1, 'drums'))
+    expect(hashSeed(1, 'bass', 3)).not.toBe(hashSeed(1, 'bass', 4))
+  })
+
+  it('reads user input as a seed', () => {
+    expect(normalizeSeed('123')).toBe(123)
+    expect(normalizeSeed(-4.7)).toBe(4)
+    expect(normalizeSeed(MAX_SEED + 5)).toBe(4)
+    expect(normalizeSeed('abc')).toBe(null)
+  })
+
+  it('restarts every stream when the seed is set', () => {
+    const bass = getRandom('test-bass')
+    setSeed(99)
+    const first = take(bass, 4)
+    setSeed(99)
+    expect(take(bass, 4)).toEqual(first)
+    expect(getSeed()).toBe(99)
+  })
+
+  it('keeps streams independent of each other', () => {
+    const bass = getRandom('test-bass')
+    const drums = getRandom('test-drums')
+    setSeed(5)
+    const alone = take(bass, 4)
+    setSeed(5)
+    take(drums, 10)
+    expect(take(bass, 4)).toEqual(alone)
+  })
+
+  it('reseeds a stream at a position regardless of what came before', () => {
+    const solo = getRandom('test-solo')
+    setSeed(8)
+    reseed('test-solo', 2, 1)
+    const atBar = take(solo, 3)
+    take(solo, 20)
+    reseed('test-solo', 2, 1)
+    expect(take(solo, 3)).toEqual(atBar)
+  })
+
+  it('makes generation reproducible', () => {
+    setSeed(2024)
+    const first = new MarkovEngine().generateProgression(8, 'C')
+    setSeed(2024)
+    expect(new MarkovEngine().generateProgression(8, 'C')).toEqual(first)
+  })
+})
@@ -0,0 +1,422 @@
+/**
+ * ReharmEngine.js - Rearmonizacion de progresiones por reglas
+ *
+ * Aplica sustituciones jazz a una progresion existente (generada, editada
+ * o cargada de la biblioteca de standards):
+ * - Sustitucion tritonal (V7 → bII7)
+ * - ii relacionado antes de cada dominante (V7 → IIm7 V7)
+ * - ii-V backdoor (V7 → IVm7 bVII7 hacia el acorde mayor)
+ * - Disminuidos de paso (Imaj7 IIm7 → Imaj7 #Idim7 IIm7)
+ * - Matriz de Coltrane (ii-V-I → ciclo de terceras mayores)
+ * - Intercambio modal (prestamos del modo menor paralelo)
+ *
+ * Cada regla tiene una densidad (0-1): probabilidad de aplicarse en cada
+ * lugar donde es posible. Las duraciones se respetan: un acorde que se
+ * sustituye por dos reparte su duracion, nunca cambia el numero de compases.
+ */
+
+import { findDegree } from './JazzDegrees.js'
+import { resolveDegree, getDegreeTension } from './DegreeRegistry.js'
+import { NOTE_TO_SEMITONE } from './ChordConverter.js'
+import { KEY_NAMES, getColtraneCycle } from './ModulationSystem.js'
+import { DEFAULT_BEATS_PER_BAR, getChordDuration, groupIntoBars } from './HarmonicRhythm.js'
+import { getRandom } from './Random.js'
+
+const random = getRandom('reharm')
+
+/**
+ * Reglas disponibles (orden de aplicacion)
+ * Las reglas que sustituyen cadencias completas van primero para que
+ * las locales (tritono, ii relacionado) no las rompan.
+ */
+export const REHARM_RULES = {
+  'coltrane': {
+    name: 'Matriz de Coltrane',
+    description: 'ii-V-I → ciclo de terceras mayores (Giant Steps)',
+    defaultDensity: 0.15
+  },
+  'backdoor': {
+    name: 'ii-V backdoor',
+    description: 'V7 → IVm7 bVII7 antes del acorde mayor',
+    defaultDensity: 0.25
+  },
+  'relatedII': {
+    name: 'ii relacionado',
+    description: 'Inserta el ii antes de cada dominante',
+    defaultDensity: 0.5
+  },
+  'tritone': {
+    name: 'Sustitucion tritonal',
+    description: 'V7 → bII7',
+    defaultDensity: 0.4
+  },
+  'diminished': {
+    name: 'Disminuidos de paso',
+    description: 'Acorde dim7 cromatico entre grados a distancia de tono',
+    defaultDensity: 0.3
+  },
+  'modalInterchange': {
+    name: 'Intercambio modal',
+    description: 'Prestamos del menor paralelo (IVm7, IIm7b5, bVImaj7...)',
+    defaultDensity: 0.2
+  }
+}
+
+/**
+ * Densidades por defecto de todas las reglas
+ * @returns {object} {ruleId: density}
+ */
+export function getDefaultDensities() {
+  return Object.fromEntries(
+    Object.entries(REHARM_RULES).map(([id, rule]) => [id, rule.defaultDensity])
+  )
+}
+
+// Familias de tipos de acorde
+const DOMINANT_TYPES = ['7', '9', '13', '7alt', '7b9', '7#9', '7b13', '7#11', '7#9#5', '7#5', '7b9b13', '7sus', '7sus4', '13sus']
+const MINOR_TYPES = ['m7', 'm9', 'm6', 'm(maj7)', 'm7b5']
+const MAJOR_TYPES = ['maj7', 'maj9', '6', '6/9', 'maj7#11']
+
+// Intercambio modal: [intervalo, tipo] en mayor → [intervalo, tipo] del menor paralelo
+const MODAL_INTERCHANGE = {
+  '5:maj7': [5, 'm7'],      // IVmaj7 → IVm7
+  '2:m7': [2, 'm7b5'],      // IIm7 → IIm7b5
+  '9:m7': [8, 'maj7'],      // VIm7 → bVImaj7
+  '4:m7': [3, 'maj7'],      // IIIm7 → bIIImaj7
+  '11:m7b5': [10, '7']      // VIIm7b5 → bVII7
+}
+
+function keyToPitchClass(key) {
+  return NOTE_TO_SEMITONE[key] ?? 0
+}
+
+/**
+ * Fundamental (clase de altura absoluta) y tipo de un acorde de la progresion
+ * @param {object} chord - {degree, key}
+ * @returns {{pc: number, type: string}|null} null si el grado es desconocido
+ */
+function analyzeChord(chord) {
+  const info = resolveDegree(chord.degree)
+  if (!info) return null
+  return { pc: (keyToPitchClass(chord.key) + info.root) % 12, type: info.type }
+}
+
+/**
+ * Crea un acorde (grado + tonalidad) a partir de fundamental y tipo.
+ * Si el grado no existe relativo a `key`, se expresa como tonica de su
+ * propia tonalidad (ej: Emaj7 en C → Imaj7 [E]).
+ *
+ * @param {number} pc - Fundamental (0-11)
+ * @param {string} type - Tipo de acorde ('m7', '7', 'maj7', 'm7b5', 'dim7')
+ * @param {string} key - Tonalidad preferida
+ * @returns {{degree: string, key: string, tension: number}}
+ */
+function makeChord(pc, type, key) {
+  const interval = (pc - keyToPitchClass(key) + 12) % 12
+  let degree = findDegree(interval, type)
+  let chordKey = key
+
+  if (!degree) {
+    degree = findDegree(0, type) || 'Imaj7'
+    chordKey = KEY_NAMES[((pc % 12) + 12) % 12]
+  }
+
+  return { degree, key: chordKey, tension: getDegreeTension(degree) }
+}
+
+function isDominant(analysis) {
+  return !!analysis && DOMINANT_TYPES.includes(analysis.type)
+}
+
+function isMinor(analysis) {
+  return !!analysis && MINOR_TYPES.includes(analysis.type)
+}
+
+function isMajor(analysis) {
+  return !!analysis && MAJOR_TYPES.includes(analysis.type)
+}
+
+/**
+ * Copia de un acorde sin el cifrado original del standard (ya no corresponde)
+ */
+function withoutSymbol(chord) {
+  const { symbol, approximation, ...rest } = chord
+  return rest
+}
+
+/**
+ * Reparte `beats` entre `count` acordes en pulsos enteros (los primeros, mas largos)
+ */
+function splitDuration(beats, count) {
+  if (count > beats) return new Array(count).fill(beats / count)
+  const base = Math.floor(beats / count)
+  return Array.from({ length: count }, (_, i) => (i < beats % count ? base + 1 : base))
+}
+
+/**
+ * Sustituye `count` acordes desde `index` por `replacement` (con duraciones)
+ * y marca los nuevos acordes con la regla aplicada
+ */
+function replaceChords(chords, index, count, replacement, rule) {
+  const original = chords.slice(index, index + count)
+  const section = original[0]?.section || null
+  const newChords = replacement.map((chord, i) => ({
+    ...chord,
+    section: i === 0 ? section : null,
+    reharm: rule
+  }))
+  chords.splice(index, count, ...newChords)
+  return newChords.length
+}
+
+// ========== REGLAS ==========
+// Cada regla recorre la progresion y devuelve cuantas sustituciones hizo
+
+/**
+ * ii-V-I (o V-I) hacia un acorde mayor: posicion del V y del ii (si lo hay)
+ */
+function findCadence(chords, targetIndex, beatsPerBar) {
+  const target = analyzeChord(chords[targetIndex])
+  if (!isMajor(target) || targetIndex === 0) return null
+
+  const dominantIndex = targetIndex - 1
+  const dominant = analyzeChord(chords[dominantIndex])
+  if (!isDominant(dominant) || dominant.pc !== (target.pc + 7) % 12) return null
+  if (chords[dominantIndex].reharm) return null
+
+  let iiIndex = null
+  if (dominantIndex > 0) {
+    const ii = analyzeChord(chords[dominantIndex - 1])
+    if (isMinor(ii) && ii.pc === (target.pc + 2) % 12 && !chords[dominantIndex - 1].reharm) {
+      iiIndex = dominantIndex - 1
+    }
+  }
+
+  const start = iiIndex ?? dominantIndex
+  const span = chords.slice(start, targetIndex)
+    .reduce((sum, chord) => sum + getChordDuration(chord, beatsPerBar), 0)
+
+  return { target, start, count: targetIndex - start, span, hasII: iiIndex !== null }
+}
+
+const RULE_APPLIERS = {
+  /**
+   * ii-V-I → Coltrane: [ii] V7/bVI bVImaj7 V7/III IIImaj7 V7 | I
+   */
+  coltrane(chords, density, beatsPerBar) {
+    let applied = 0
+    for (let i = chords.length - 1; i > 0; i--) {
+      const cadence = findCadence(chords, i, beatsPerBar)
+      if (!cadence || cadence.span < 4 || random() >= density) continue
+
+      const key = chords[i].key
+      const [tonic, thirdDown, sixthDown] = getColtraneCycle(KEY_NAMES[cadence.target.pc])
+      const pcOf = k => keyToPitchClass(k)
+
+      const pattern = []
+      if (cadence.hasII && cadence.span >= 6) {
+        pattern.push(makeChord((pcOf(tonic) + 2) % 12, 'm7', key))
+      }
+      if (cadence.span >= 5) {
+        pattern.push(makeChord((pcOf(thirdDown) + 7) % 12, '7', key))
+      }
+      pattern.push(
+        makeChord(pcOf(thirdDown), 'maj7', key),
+        makeChord((pcOf(sixthDown) + 7) % 12, '7', key),
+        makeChord(pcOf(sixthDown), 'maj7', key),
+        makeChord((pcOf(tonic) + 7) % 12, '7', key)
+      )
+
+      const durations = splitDuration(cadence.span, pattern.length)
+      pattern.forEach((chord, j) => { chord.duration = durations[j] })
+      replaceChords(chords, cadence.start, cadence.count, pattern, 'coltrane')
+      applied++
+      i = cadence.start
+    }
+    return applied
+  },
+
+  /**
+   * V7 → IVm7 bVII7 (o ii-V → IVm7 bVII7) antes de un acorde mayor
+   */
+  backdoor(chords, density, beatsPerBar) {
+    let applied = 0
+    for (let i = chords.length - 1; i > 0; i--) {
+      const cadence = findCadence(chords, i, beatsPerBar)
+      if (!cadence || random() >= density) continue
+
+      const key = chords[i].key
+      const ivm = makeChord((cadence.target.pc + 5) % 12, 'm7', key)
+      const bVII = makeChord((cadence.target.pc + 10) % 12, '7', key)
+
+      if (cadence.hasII) {
+        ivm.duration = getChordDuration(chords[cadence.start], beatsPerBar)
+        bVII.duration = getChordDuration(chords[cadence.start + 1], beatsPerBar)
+        replaceChords(chords, cadence.start, 2, [ivm, bVII], 'backdoor')
+      } else if (cadence.span >= 2) {
+        const [first, second] = splitDuration(cadence.span, 2)
+        ivm.duration = first
+        bVII.duration = second
+        replaceChords(chords, cadence.start, 1, [ivm, bVII], 'backdoor')
+      } else {
+        bVII.duration = cadence.span
+        replaceChords(chords, cadence.start, 1, [bVII], 'backdoor')
+      }
+      applied++
+      i = cadence.start
+    }
+    return applied
+  },
+
+  /**
+   * V7 → IIm7 V7 (IIm7b5 si el dominante resuelve a menor)
+   */
+  relatedII(chords, density, beatsPerBar) {
+    let applied = 0
+    for (let i = chords.length - 1; i >= 0; i--) {
+      const chord = chords[i]
+      const dominant = analyzeChord(chord)
+      const duration = getChordDuration(chord, beatsPerBar)
+      if (!isDominant(dominant) || chord.reharm || duration < 2) continue
+
+      const iiPc = (dominant.pc + 7) % 12
+      const previous = i > 0 ? analyzeChord(chords[i - 1]) : null
+      if (previous && previous.pc === iiPc && isMinor(previous)) continue
+      if (random() >= density) continue
+
+      const next = i < chords.length - 1 ? analyzeChord(chords[i + 1]) : null
+      const ii = makeChord(iiPc, isMinor(next) ? 'm7b5' : 'm7', chord.key)
+      const [first, second] = splitDuration(duration, 2)
+      ii.duration = first
+
+      replaceChords(chords, i, 1, [ii, { ...chord, duration: second }], 'relatedII')
+      applied++
+    }
+    return applied
+  },
+
+  /**
+   * V7 → bII7 (tambien sobre el V de un ii relacionado recien insertado)
+   */
+  tritone(chords, density) {
+    let applied = 0
+    chords.forEach((chord, i) => {
+      const dominant = analyzeChord(chord)
+      if (!isDominant(dominant)) return
+      if (chord.reharm && chord.reharm !== 'relatedII') return
+      if (random() >= density) return
+
+      const sub = makeChord((dominant.pc + 6) % 12, '7', chord.key)
+      chords[i] = { ...withoutSymbol(chord), ...sub, reharm: 'tritone' }
+      applied++
+    })
+    return applied
+  },
+
+  /**
+   * X → Y un tono arriba: X #Xdim7 Y (el disminuido toma la segunda mitad de X)
+   */
+  diminished(chords, density, beatsPerBar) {
+    let applied = 0
+    for (let i = chords.length - 2; i >= 0; i--) {
+      const chord = chords[i]
+      const current = analyzeChord(chord)
+      const next = analyzeChord(chords[i + 1])
+      const duration = getChordDuration(chord, beatsPerBar)
+      if (!current || !next || chord.reharm || duration < 2) continue
+      if (next.pc !== (current.pc + 2) % 12 || isMajor(next)) continue
+      if (random() >= density) continue
+
+      const dim = makeChord((current.pc + 1) % 12, 'dim7', chord.key)
+      const [first, second] = splitDuration(duration, 2)
+      dim.duration = second
+
+      chords[i] = { ...chord, duration: first }
+      chords.splice(i + 1, 0, { ...dim, section: null, reharm: 'diminished' })
+      applied++
+    }
+    return applied
+  },
+
+  /**
+   * Prestamos del menor paralelo (relativos a la tonalidad de cada acorde)
+   */
+  modalInterchange(chords, density) {
+    let applied = 0
+    chords.forEach((chord, i) => {
+      const info = resolveDegree(chord.degree)
+      if (!info || chord.reharm) return
+      const borrowed = MODAL_INTERCHANGE[`${info.root}:${info.type}`]
+      if (!borrowed || random() >= density) return
+
+      const [interval, type] = borrowed
+      const sub = makeChord((keyToPitchClass(chord.key) + interval) % 12, type, chord.key)
+      chords[i] = { ...withoutSymbol(chord), ...sub, reharm: 'modalInterchange' }
+      applied++
+    })
+    return applied
+  }
+}
+
+/**
+ * Rearmoniza una progresion
+ * @param {Array} progression - Progresion original (no se modifica)
+ * @param {object} options
+ * @param {object} options.densities - {ruleId: 0-1}; las reglas que falten usan su densidad por defecto
+ * @param {number} options.beatsPerBar - Pulsos por compas
+ * @returns {{progression: Array, applied: object}} Nueva progresion (acordes
+ *   sustituidos marcados con `reharm: ruleId`) y numero de sustituciones por regla
+ */
+export function reharmonize(progression, { densities = {}, beatsPerBar = DEFAULT_BEATS_PER_BAR } = {}) {
+  const chords = progression.map(chord => {
+    const { reharm, ...rest } = chord
+    return { ...rest, duration: getChordDuration(chord, beatsPerBar) }
+  })
+  const applied = {}
+
+  for (const ruleId of Object.keys(REHARM_RULES)) {
+    const density = densities[ruleId] ?? REHARM_RULES[ruleId].defaultDensity
+    applied[ruleId] = density > 0 ? RULE_APPLIERS[ruleId](chords, density, beatsPerBar) : 0
+  }
+
+  return { progression: chords, applied }
+}
+
+/**
+ * Compara dos progresiones compas a compas
+ * @param {Array} original - Progresion original
+ * @param {Array} reharmonized - Progresion rearmonizada
+ * @param {number} beatsPerBar - Pulsos por compas
+ * @returns {Array<{bar: number, original: Array, reharm: Array, changed: boolean}>}
+ *   Segmentos de cada compas: {degree, key, beats, rule}
+ */
+export function diffProgressions(original, reharmonized, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  const toSegments = bar => (bar || []).map(segment => ({
+    degree: segment.chord.degree,
+    key: segment.chord.key,
+    beats: segment.beats,
+    rule: segment.chord.reharm || null
+  }))
+  const sameSegments = (a, b) => a.length === b.length && a.every((segment, i) =>
+    segment.degree === b[i].degree && segment.key === b[i].key && segment.beats === b[i].beats
+  )
+
+  const originalBars = groupIntoBars(original, beatsPerBar)
+  const reharmBars = groupIntoBars(reharmonized, beatsPerBar)
+  const barCount = Math.max(originalBars.length, reharmBars.length)
+
+  const diff = []
+  for (let bar = 0; bar < barCount; bar++) {
+    const before = toSegments(originalBars[bar])
+    const after = toSegments(reharmBars[bar])
+    diff.push({ bar, original: before, reharm: after, changed: !sameSegments(before, after) })
+  }
+  return diff
+}
+
+export default {
+  REHARM_RULES,
+  getDefaultDensities,
+  reharmonize,
+  diffProgressions
+}
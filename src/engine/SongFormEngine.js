@@ -5,10 +5,71 @@
  * - Contrasting sections (A stable, B tense)
  * - Automatic turnarounds
  * - Section markers for UI display
+ * - Optional target tension curve over the whole form (TensionCurve)
+ * - User-defined templates: any labels and lengths, intro/coda/vamp sections,
+ *   repeats with first and second endings, D.S. al Coda
+ *
+ * Template shape (plain JSON, saveable and shareable):
+ * {
+ *   name: 'Minor blues + intro',
+ *   sections: [                       // written order
+ *     { label: 'Intro', bars: 4, role: 'intro' },
+ *     { label: 'A', bars: 8, repeats: 2, endingBars: 2, segno: true },
+ *     { label: 'B', bars: 8, toCoda: true },
+ *     { label: 'Coda', bars: 4, role: 'coda' }
+ *   ],
+ *   dalSegno: true,                   // after the last section: D.S. al Coda
+ *   params: { B: { gravity: 0.3 } }   // per-label overrides of SECTION_PARAMS
+ * }
+ * Sections sharing a label share their music (generated once). The legacy
+ * shorthand `sections: ['A', 'A', 'B', 'A'], barsPerSection: 8` is accepted.
+ *
+ * Canonical idioms (rhythm changes, Bird blues, Giant Steps...) are built
+ * from their real changes instead of Markov sections: see generateIdiom().
+ */
+
+import { MarkovEngine, getCadenceDegrees } from './MarkovEngine.js'
+import { DEFAULT_BEATS_PER_BAR, getChordDuration, getChordTimeline, splitBar } from './HarmonicRhythm.js'
+import { getDegreeTension } from './DegreeRegistry.js'
+import { sampleCurve } from './TensionCurve.js'
+import { getRandom } from './Random.js'
+import { generateIdiomaticForm } from './IdiomaticForms.js'
+
+const random = getRandom('harmony')
+
+export const MAX_SECTION_BARS = 64
+export const MAX_FORM_SECTIONS = 24
+
+/**
+ * Section roles: how a section behaves in the form
+ * - body: regular section (default)
+ * - intro: played first, leads into the head
+ * - coda: played last (after the D.S. if any), resolves
+ * - vamp: a short cell repeated over the whole section, no turnaround
+ */
+export const SECTION_ROLES = {
+  'body': { name: 'Seccion' },
+  'intro': { name: 'Intro' },
+  'coda': { name: 'Coda' },
+  'vamp': { name: 'Vamp' }
+}
+
+/**
+ * How a section starts and ends (generation parameters)
  */
+export const SECTION_STARTS = {
+  'tonic': 'Tonica',
+  'contrast': 'Contraste',
+  'variant': 'Variante',
+  'free': 'Libre'
+}
 
-import { MarkovEngine } from './MarkovEngine.js'
-import { JAZZ_DEGREES } from './JazzDegrees.js'
+export const SECTION_ENDINGS = {
+  'auto': 'Automatico',
+  'resolve': 'Resuelve (V-I)',
+  'suspend': 'Suspende (ii-V)',
+  'none': 'Sin turnaround'
+}
 
 /**
  * Available song form templates
@@ -17,54 +78,87 @@ export const FORM_TEMPLATES = {
   'AABA': {
     name: 'AABA (Standard)',
     sections: ['A', 'A', 'B', 'A'],
-    barsPerSection: 8,
-    totalBars: 32
+    barsPerSection: 8
   },
   'Blues12': {
     name: 'Blues (12 bars)',
     sections: ['A', 'A', 'B'],
-    barsPerSection: 4,
-    totalBars: 12
+    barsPerSection: 4
   },
   'ABAC': {
     name: 'ABAC (32 bars)',
     sections: ['A', 'B', 'A', 'C'],
-    barsPerSection: 8,
-    totalBars: 32
+    barsPerSection: 8
   },
   'ABAB': {
     name: 'ABAB (32 bars)',
     sections: ['A', 'B', 'A', 'B'],
-    barsPerSection: 8,
-    totalBars: 32
+    barsPerSection: 8
   }
 }
 
 /**
- * Configuration for each section type
- * Creates musical contrast between sections
+ * Default generation parameters for each section label
+ * Creates musical contrast between sections. Labels without an entry use
+ * their role's parameters, or A's. Templates override them per label.
  */
-const SECTION_CONFIG = {
+export const SECTION_PARAMS = {
   'A': {
     gravity: 0.5,              // Balanced
     modulationProbability: 0.1, // Low modulation
     modulationLevel: 1,        // Basic modulations
+    start: 'tonic',
+    ending: 'auto',
     description: 'Estable'
   },
   'B': {
     gravity: 0.3,              // More chaotic/tense
     modulationProbability: 0.25, // More modulation
     modulationLevel: 2,        // Coltrane changes allowed
+    start: 'contrast',
+    ending: 'auto',
     description: 'Tension'
   },
   'C': {
     gravity: 0.6,              // Slightly more stable
     modulationProbability: 0.15, // Moderate modulation
     modulationLevel: 1,
+    start: 'variant',
+    ending: 'auto',
     description: 'Variante'
   }
 }
 
+const ROLE_PARAMS = {
+  'intro': {
+    gravity: 0.6,
+    modulationProbability: 0,
+    modulationLevel: 0,
+    start: 'tonic',
+    ending: 'suspend',         // Leads into the head
+    description: 'Intro'
+  },
+  'coda': {
+    gravity: 0.6,
+    modulationProbability: 0.05,
+    modulationLevel: 1,
+    start: 'free',
+    ending: 'resolve',
+    description: 'Coda'
+  },
+  'vamp': {
+    gravity: 0.8,
+    modulationProbability: 0,
+    modulationLevel: 0,
+    start: 'tonic',
+    ending: 'none',
+    description: 'Vamp'
+  }
+}
+
+// Bars of the cell a vamp repeats
+const VAMP_CELL_BARS = 2
+
 /**
  * Turnaround patterns - some resolve, some suspend
  */
@@ -82,61 +176,270 @@ const TURNAROUNDS = {
   tritone: ['IIm7', 'bII7'],          // ii - tritone sub
 }
 
+/**
+ * Minor-key turnarounds (iiø - V7alt, harmonic minor dominants)
+ */
+const MINOR_TURNAROUNDS = {
+  resolve: ['V7alt', 'Im7'],             // V-i
+  resolveExtended: ['IIm7b5', 'V7alt', 'Im6'], // iiø-V-i
+
+  suspend: ['IIm7b5', 'V7alt'],          // iiø-V (leaves tension)
+  suspendLong: ['bVImaj7', 'VIm7b5', 'IIm7b5', 'V7b13'],
+
+  backdoor: ['IVm7', 'bVII7'],           // iv - bVII (towards relative major)
+  tritone: ['IIm7b5', 'bII7'],           // iiø - tritone sub
+}
+
 /**
  * Starting chords for contrast
  */
-const SECTION_STARTS = {
-  'A': ['Imaj7'],                     // A always starts on tonic
-  'B': ['IVmaj7', 'IIm7', 'VIm7', 'bVIImaj7'], // B has contrast options
-  'C': ['IIm7', 'IVmaj7', 'bVImaj7'], // C also contrasts
+const START_OPTIONS = {
+  'tonic': ['Imaj7'],                                // A always starts on tonic
+  'contrast': ['IVmaj7', 'IIm7', 'VIm7', 'bVIImaj7'], // B has contrast options
+  'variant': ['IIm7', 'IVmaj7', 'bVImaj7'],          // C also contrasts
+}
+
+const MINOR_START_OPTIONS = {
+  'tonic': ['Im7'],                                  // A always starts on tonic
+  'contrast': ['bIIImaj7', 'IVm7', 'bVImaj7'],       // B visits the relative major / subdominant
+  'variant': ['IVm7', 'bVImaj7', 'IIm7b5'],
+}
+
+function clampInt(value, min, max, fallback) {
+  const number = Math.round(Number(value))
+  return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback
+}
+
+/**
+ * Check a template and bring it to its full shape
+ * @param {object} template - Template (full or legacy shorthand)
+ * @returns {{template: object|null, errors: string[]}} template is null when unusable
+ */
+export function normalizeTemplate(template) {
+  const errors = []
+  if (!template || typeof template !== 'object' || !Array.isArray(template.sections)) {
+    return { template: null, errors: ['La forma necesita una lista de secciones'] }
+  }
+  if (template.sections.length === 0) {
+    return { template: null, errors: ['La forma no tiene secciones'] }
+  }
+  if (template.sections.length > MAX_FORM_SECTIONS) {
+    errors.push(`Maximo ${MAX_FORM_SECTIONS} secciones`)
+  }
+
+  const defaultBars = clampInt(template.barsPerSection, 1, MAX_SECTION_BARS, 8)
+  const barsByLabel = {}
+
+  const sections = template.sections.slice(0, MAX_FORM_SECTIONS).map((raw, index) => {
+    const section = typeof raw === 'string' ? { label: raw } : { ...raw }
+    const label = String(section.label ?? '').trim().slice(0, 12)
+    const role = SECTION_ROLES[section.role] ? section.role : 'body'
+    let bars = clampInt(section.bars, 1, MAX_SECTION_BARS, defaultBars)
+
+    if (!label) errors.push(`Seccion ${index + 1}: falta el nombre`)
+
+    // Same label = same music, so it must have the same length
+    if (label && barsByLabel[label] !== undefined && barsByLabel[label] !== bars) {
+      errors.push(`${label}: todas sus apariciones deben tener ${barsByLabel[label]} compases`)
+      bars = barsByLabel[label]
+    }
+    if (label) barsByLabel[label] = bars
+
+    const repeats = clampInt(section.repeats, 1, 4, 1)
+    const endingBars = repeats > 1 ? clampInt(section.endingBars, 0, bars - 1, 0) : 0
+
+    const normalized = { label: label || `S${index + 1}`, bars, role }
+    if (repeats > 1) normalized.repeats = repeats
+    if (endingBars > 0) normalized.endingBars = endingBars
+    if (section.segno) normalized.segno = true
+    if (section.toCoda) normalized.toCoda = true
+    return normalized
+  })
+
+  const params = {}
+  for (const [label, raw] of Object.entries(template.params || {})) {
+    if (!barsByLabel[label] || !raw || typeof raw !== 'object') continue
+    const entry = {}
+    if (raw.gravity !== undefined) entry.gravity = Math.max(0, Math.min(1, Number(raw.gravity) || 0))
+    if (raw.modulationProbability !== undefined) {
+      entry.modulationProbability = Math.max(0, Math.min(1, Number(raw.modulationProbability) || 0))
+    }
+    if (raw.modulationLevel !== undefined) entry.modulationLevel = clampInt(raw.modulationLevel, 0, 2, 1)
+    if (SECTION_STARTS[raw.start]) entry.start = raw.start
+    if (SECTION_ENDINGS[raw.ending]) entry.ending = raw.ending
+    params[label] = entry
+  }
+
+  if (template.dalSegno && !sections.some(section => section.role === 'coda')) {
+    errors.push('D.S. al Coda necesita una seccion Coda')
+  }
+
+  return {
+    template: {
+      name: String(template.name || sections.map(section => section.label).join('')).slice(0, 60),
+      sections,
+      dalSegno: !!template.dalSegno && sections.some(section => section.role === 'coda'),
+      params
+    },
+    errors
+  }
+}
+
+/**
+ * Order in which the sections are played (repeats, endings and D.S. expanded)
+ * @param {object} template - Normalized template
+ * @returns {Array<{label: string, bars: number, role: string, ending: number|null,
+ *   endings: number, endingBars: number}>}
+ *   ending: 1-based ending played on this pass (null = no endings)
+ */
+export function expandForm(template) {
+  const body = template.sections.filter(section => section.role !== 'coda')
+  const codas = template.sections.filter(section => section.role === 'coda')
+  const parts = []
+
+  const play = (section, pass = null) => {
+    const endings = section.endingBars ? section.repeats : 0
+    const passes = pass ? [pass] : Array.from({ length: section.repeats || 1 }, (_, i) => i + 1)
+    for (const current of passes) {
+      parts.push({
+        label: section.label,
+        bars: section.bars,
+        role: section.role,
+        ending: endings ? current : null,
+        endings,
+        endingBars: section.endingBars || 0
+      })
+    }
+  }
+
+  body.forEach(section => play(section))
+
+  // D.S. al Coda: back to the segno without repeats (last ending), until "To Coda"
+  if (template.dalSegno) {
+    const segno = body.findIndex(section => section.segno)
+    const start = segno >= 0 ? segno : Math.max(0, body.findIndex(section => section.role !== 'intro'))
+    const toCoda = body.findIndex((section, i) => i >= start && section.toCoda)
+    const end = toCoda >= 0 ? toCoda : body.length - 1
+    body.slice(start, end + 1).forEach(section => play(section, section.repeats || 1))
+  }
+
+  codas.forEach(section => play(section))
+  return parts
+}
+
+/**
+ * Total bars played by a template
+ * @param {object} template - Normalized template
+ * @returns {number}
+ */
+export function getFormBars(template) {
+  return expandForm(template).reduce((sum, part) => sum + part.bars, 0)
+}
+
+/**
+ * Generation parameters of a section label
+ * @param {object} template - Normalized template
+ * @param {string} label
+ * @returns {object}
+ */
+export function getSectionParams(template, label) {
+  const role = template.sections.find(section => section.label === label)?.role
+  const defaults = ROLE_PARAMS[role] || SECTION_PARAMS[label] || SECTION_PARAMS['A']
+  return { ...defaults, ...template.params?.[label] }
 }
 
 export class SongFormEngine {
   constructor() {
     this.engine = new MarkovEngine()
+    this.beatsPerBar = DEFAULT_BEATS_PER_BAR
+    this.mode = 'major'
+    this.generatorConfig = {}
+  }
+
+  /**
+   * Set Markov options shared by every section
+   * @param {object} config
+   * @param {number} config.order - Markov order (1-3)
+   * @param {object|null} config.transitions - Trained matrix (CorpusTrainer), null = built-in
+   * @param {object|null} config.contextTransitions - Trained order 2-3 contexts
+   * @param {number[]|null} config.tensionCurve - Target curve over the whole form
+   *   (control points 0-1); replaces each section's gravity
+   */
+  configure(config) {
+    this.generatorConfig = { ...this.generatorConfig, ...config }
   }
 
   /**
    * Generate a complete song form
-   * @param {string} formType - Template key (AABA, Blues12, etc.)
+   * @param {string|object} form - Template key (AABA, Blues12, etc.) or a template object
    * @param {string} key - Musical key (C, G, etc.)
-   * @returns {Array} Progression with section markers
+   * @param {number} beatsPerBar - Beats per bar (from the song's meter)
+   * @param {string} mode - 'major' | 'minor'
+   * @returns {Array} Progression with section markers (`section` on the first
+   *   chord of each section, `ending` on the first chord of each ending)
    */
-  generate(formType, key = 'C') {
-    const template = FORM_TEMPLATES[formType]
+  generate(form, key = 'C', beatsPerBar = DEFAULT_BEATS_PER_BAR, mode = 'major') {
+    const source = typeof form === 'string' ? FORM_TEMPLATES[form] : form
+    if (!source) {
+      throw new Error(`Unknown form type: ${form}`)
+    }
+    const { template } = normalizeTemplate(source)
     if (!template) {
-      throw new Error(`Unknown form type: ${formType}`)
+      throw new Error(`Invalid form: ${form?.name || form}`)
     }
 
+    this.beatsPerBar = beatsPerBar
+    this.mode = mode
+
+    const parts = expandForm(template)
+    const sectionTargets = this.getSectionTargets(parts)
+    const lastPart = parts[parts.length - 1]
     const generatedSections = {}
+    const endingVariants = {}
     const progression = []
-    const totalSections = template.sections.length
 
-    template.sections.forEach((sectionLabel, sectionIndex) => {
-      const isLastSection = sectionIndex === totalSections - 1
-      const isFirstOccurrence = !generatedSections[sectionLabel]
+    parts.forEach((part, partIndex) => {
+      const params = getSectionParams(template, part.label)
 
-      // Generate section only once, then reuse (e.g., A in AABA)
-      if (isFirstOccurrence) {
-        // Determine if this section type ever appears as last
-        const appearsAsLast = template.sections.lastIndexOf(sectionLabel) === totalSections - 1
-
-        generatedSections[sectionLabel] = this.generateSection(
-          sectionLabel,
-          template.barsPerSection,
+      // Generate each label only once, then reuse (e.g., A in AABA)
+      if (!generatedSections[part.label]) {
+        // Only resolve if this section appears at the end (or asks for it)
+        const appearsAsLast = part.label === lastPart.label
+        generatedSections[part.label] = this.generateSection(
+          part.label,
+          part.bars,
           key,
-          appearsAsLast // Only resolve if this section appears at the end
+          this.getEnding(params, part.role, appearsAsLast),
+          sectionTargets?.[part.label],
+          params,
+          part.role
         )
       }
 
+      const generated = generatedSections[part.label]
+      let sectionChords = generated.chords
+      let endingStart = -1
+
+      // First/second endings: the last bars change on each pass
+      if (part.ending) {
+        const variantId = `${part.label}:${part.ending}`
+        if (!endingVariants[variantId]) {
+          this.configureEngine(params, sectionTargets?.[part.label])
+          endingVariants[variantId] = this.generateEnding(generated, part, key)
+        }
+        ({ chords: sectionChords, start: endingStart } = endingVariants[variantId])
+      }
+
       // Clone section and add markers
-      let sectionChords = generatedSections[sectionLabel].map((chord, idx) => ({
-        ...chord,
-        section: idx === 0 ? sectionLabel : null // Mark first chord of section
-      }))
+      sectionChords = sectionChords.map((chord, idx) => {
+        const marked = { ...chord, section: idx === 0 ? part.label : null } // Mark first chord of section
+        if (idx === endingStart) marked.ending = part.ending
+        return marked
+      })
 
       // If this is the last section but not the "resolving" version, fix the ending
-      if (isLastSection && !generatedSections[sectionLabel]._resolves) {
+      const isLastSection = partIndex === parts.length - 1
+      if (isLastSection && !generated.resolves && !generated.open) {
         sectionChords = this.ensureResolution(sectionChords, key)
       }
 
@@ -146,6 +449,128 @@ export class SongFormEngine {
     return progression
   }
 
+  /**
+   * How a section ends: 'resolve' | 'suspend' | 'none'
+   * @param {object} params - Section parameters
+   * @param {string} role - Section role
+   * @param {boolean} appearsAsLast - The form ends with this section
+   */
+  getEnding(params, role, appearsAsLast) {
+    if (params.ending && params.ending !== 'auto') return params.ending
+    if (role === 'vamp') return 'none'
+    if (role === 'coda' || appearsAsLast) return 'resolve'
+    return 'suspend'
+  }
+
+  /**
+   * One ending of a repeated section: the last `endingBars` bars are
+   * regenerated for every ending after the first; every ending but the last
+   * turns back to the top of the section (ii-V)
+   * @param {object} section - Generated section ({chords, resolves, open})
+   * @param {object} part - Part from expandForm
+   * @param {string} key
+   * @returns {{chords: Array, start: number}} start = index of the first ending chord
+   */
+  generateEnding(section, part, key) {
+    const boundary = (part.bars - part.endingBars) * this.beatsPerBar
+    let { chords, start } = this.splitAtBoundary(section.chords, boundary)
+    if (part.ending > 1) {
+      chords = this.engine.regenerateRange(chords, start, chords.length - 1, key)
+    }
+
+    const isLastEnding = part.ending === part.endings
+    if (!isLastEnding) {
+      this.addSuspendingTurnaround(chords, key)
+    } else if (part.ending > 1) {
+      // Re-apply the section's own ending on the regenerated bars
+      if (section.resolves) {
+        this.addResolvingTurnaround(chords, key)
+      } else if (!section.open) {
+        this.addSuspendingTurnaround(chords, key)
+      }
+    }
+
+    return { chords, start }
+  }
+
+  /**
+   * Copy a section so that its ending (from `boundary`) has chords of its own:
+   * a chord held across the boundary is split, and the ending gets at least
+   * two chords so its turnaround does not touch the bars before it
+   * @param {Array} section
+   * @param {number} boundary - Beat where the ending starts
+   * @returns {{chords: Array, start: number}}
+   */
+  splitAtBoundary(section, boundary) {
+    const chords = []
+    let start = -1
+    let beat = 0
+
+    for (const chord of section) {
+      const duration = getChordDuration(chord, this.beatsPerBar)
+      if (beat < boundary && beat + duration > boundary) {
+        chords.push({ ...chord, duration: boundary - beat })
+        chords.push({ ...chord, duration: beat + duration - boundary })
+      } else {
+        chords.push({ ...chord })
+      }
+      if (start < 0 && beat + duration > boundary) start = chords.length - 1
+      beat += duration
+    }
+    if (start < 0) start = chords.length - 1
+
+    if (chords.length - start < 2) {
+      const last = chords.pop()
+      const duration = getChordDuration(last, this.beatsPerBar)
+      const halves = duration > this.beatsPerBar
+        ? [duration - this.beatsPerBar, this.beatsPerBar]
+        : splitBar(duration)
+      if (halves[1] > 0) {
+        chords.push({ ...last, duration: halves[0] }, { ...last, duration: halves[1] })
+      } else {
+        chords.push(last)
+      }
+    }
+
+    return { chords, start }
+  }
+
+  /**
+   * Per-bar tension targets for each section label
+   * A repeated section is generated once, so it aims at the average of the
+   * curve over all its occurrences (the A's of AABA share one target).
+   * @param {Array} parts - Played sections (expandForm)
+   * @returns {object|null} {A: number[], B: number[]}, null without a curve
+   */
+  getSectionTargets(parts) {
+    const curve = this.generatorConfig.tensionCurve
+    if (!curve) return null
+
+    const totalBars = parts.reduce((sum, part) => sum + part.bars, 0)
+    const formTargets = sampleCurve(curve, totalBars)
+    const sums = {}
+    const counts = {}
+    let offset = 0
+
+    parts.forEach(part => {
+      if (!sums[part.label]) {
+        sums[part.label] = new Array(part.bars).fill(0)
+        counts[part.label] = 0
+      }
+      for (let bar = 0; bar < part.bars; bar++) {
+        sums[part.label][bar] += formTargets[offset + bar]
+      }
+      counts[part.label]++
+      offset += part.bars
+    })
+
+    const targets = {}
+    for (const label of Object.keys(sums)) {
+      targets[label] = sums[label].map(sum => sum / counts[label])
+    }
+    return targets
+  }
+
   /**
    * Ensure a section ends with proper resolution
    */
@@ -154,19 +579,20 @@ export class SongFormEngine {
 
     const result = [...chords]
     const lastIdx = result.length - 1
+    const [dominant, tonic] = this.getTurnarounds().resolve
 
-    // Replace last two chords with V7 → Imaj7
+    // Replace last two chords with V7 → Imaj7 (V7alt → Im7 in minor), keeping their durations
     result[lastIdx - 1] = {
       ...result[lastIdx - 1],
-      degree: 'V7',
+      degree: dominant,
       key: key,
-      tension: JAZZ_DEGREES['V7']?.tension || 0.8
+      tension: getDegreeTension(dominant, 0.8)
     }
     result[lastIdx] = {
       ...result[lastIdx],
-      degree: 'Imaj7',
+      degree: tonic,
       key: key,
-      tension: JAZZ_DEGREES['Imaj7']?.tension || 0
+      tension: getDegreeTension(tonic, 0)
     }
 
     return result
@@ -174,55 +600,96 @@ export class SongFormEngine {
 
   /**
    * Generate a single section with appropriate character
-   * @param {string} sectionLabel - A, B, or C
+   * Chords carry a duration in beats, so a section may hold more or fewer
+   * chords than bars (split bars, held chords).
+   * @param {string} sectionLabel - Section label (A, B, Intro...)
    * @param {number} numBars - Number of bars
    * @param {string} key - Musical key
-   * @param {boolean} shouldResolve - Whether to end with resolution (only for final section)
-   * @returns {Array} Section chords
+   * @param {string} ending - 'resolve' | 'suspend' | 'none'
+   * @param {number[]|null} targets - Per-bar tension targets (replace the section's gravity)
+   * @param {object} params - Section parameters (SECTION_PARAMS + template overrides)
+   * @param {string} role - Section role ('vamp' repeats a short cell)
+   * @returns {{chords: Array, resolves: boolean, open: boolean}} Section chords;
+   *   resolves = ends on the tonic, open = no turnaround added
    */
-  generateSection(sectionLabel, numBars, key, shouldResolve = false) {
-    const config = SECTION_CONFIG[sectionLabel] || SECTION_CONFIG['A']
-
-    // Configure engine for this section's character
-    this.engine.configure({
-      gravity: config.gravity,
-      modulationEnabled: true,
-      modulationProbability: config.modulationProbability,
-      modulationLevel: config.modulationLevel,
-      returnToTonic: false,  // We handle endings ourselves
-      forceCadence: false    // We handle cadences ourselves
-    })
+  generateSection(sectionLabel, numBars, key, ending = 'suspend', targets = null,
+    params = SECTION_PARAMS['A'], role = 'body') {
+    const cellBars = role === 'vamp' ? Math.min(VAMP_CELL_BARS, numBars) : numBars
+    this.configureEngine(params, targets?.slice(0, cellBars))
 
     // Generate base progression
-    const section = this.engine.generateProgression(numBars, key)
+    let section = this.engine.generateProgression(cellBars, key)
 
-    // Set starting chord based on section type
-    this.setStartingChord(section, sectionLabel, key)
+    // Set starting chord based on the section's parameters
+    this.setStartingChord(section, params.start, key)
+
+    // A vamp repeats its cell until the section is full
+    if (cellBars < numBars) {
+      const cell = section
+      section = []
+      for (let bar = 0; bar < numBars; bar += cellBars) {
+        section.push(...cell.map(chord => ({ ...chord })))
+      }
+      const totalBeats = numBars * this.beatsPerBar
+      const timeline = getChordTimeline(section, this.beatsPerBar)
+      const excess = timeline.findIndex(slot => slot.startBeat >= totalBeats)
+      if (excess >= 0) section = section.slice(0, excess)
+
+      // Trim the last chord if the cell does not divide the section
+      const last = timeline[section.length - 1]
+      if (last.startBeat + last.duration > totalBeats) {
+        section[section.length - 1].duration = totalBeats - last.startBeat
+      }
+    }
 
     // Add appropriate ending
-    if (shouldResolve) {
+    if (ending === 'resolve') {
       this.addResolvingTurnaround(section, key)
-      section._resolves = true
-    } else {
+    } else if (ending === 'suspend') {
       this.addSuspendingTurnaround(section, key)
     }
 
-    return section
+    return { chords: section, resolves: ending === 'resolve', open: ending !== 'resolve' && ending !== 'suspend' }
+  }
+
+  /**
+   * Configure the Markov engine for a section's character
+   * @param {object} params - Section parameters
+   * @param {number[]|null} targets - Per-bar tension targets
+   */
+  configureEngine(params, targets = null) {
+    this.engine.configure({
+      gravity: params.gravity,
+      modulationEnabled: params.modulationProbability > 0,
+      modulationProbability: params.modulationProbability,
+      modulationLevel: params.modulationLevel,
+      returnToTonic: false,  // We handle endings ourselves
+      forceCadence: false,   // We handle cadences ourselves
+      ...this.generatorConfig,
+      tensionCurve: targets || null,
+      mode: this.mode,
+      beatsPerBar: this.beatsPerBar
+    })
   }
 
   /**
    * Set the starting chord for contrast
+   * @param {Array} section
+   * @param {string} start - 'tonic' | 'contrast' | 'variant' | 'free'
+   * @param {string} key
    */
-  setStartingChord(section, sectionLabel, key) {
-    if (section.length === 0) return
+  setStartingChord(section, start, key) {
+    if (section.length === 0 || start === 'free') return
 
-    const startOptions = SECTION_STARTS[sectionLabel] || SECTION_STARTS['A']
-    const startDegree = startOptions[Math.floor(Math.random() * startOptions.length)]
+    const sectionStarts = this.mode === 'minor' ? MINOR_START_OPTIONS : START_OPTIONS
+    const startOptions = sectionStarts[start] || sectionStarts['tonic']
+    const startDegree = startOptions[Math.floor(random() * startOptions.length)]
 
     section[0] = {
+      ...section[0],
       degree: startDegree,
       key: key,
-      tension: JAZZ_DEGREES[startDegree]?.tension || 0
+      tension: getDegreeTension(startDegree, 0)
     }
   }
 
@@ -236,44 +703,88 @@ export class SongFormEngine {
 
     // Choose turnaround type randomly
     const turnaroundTypes = ['suspend', 'backdoor', 'tritone']
-    const turnaroundType = turnaroundTypes[Math.floor(Math.random() * turnaroundTypes.length)]
-    const turnaround = TURNAROUNDS[turnaroundType]
+    const turnaroundType = turnaroundTypes[Math.floor(random() * turnaroundTypes.length)]
+    const turnaround = this.getTurnarounds()[turnaroundType]
 
     // Apply last 2 chords of turnaround
     const t1 = turnaround[0]
     const t2 = turnaround[1]
 
     section[lastIdx - 1] = {
+      ...section[lastIdx - 1],
       degree: t1,
       key: key,
-      tension: JAZZ_DEGREES[t1]?.tension || 0.5
+      tension: getDegreeTension(t1, 0.5)
     }
 
     section[lastIdx] = {
+      ...section[lastIdx],
       degree: t2,
       key: key,
-      tension: JAZZ_DEGREES[t2]?.tension || 0.8
+      tension: getDegreeTension(t2, 0.8)
     }
   }
 
   /**
-   * Add a resolving turnaround (V-I)
+   * Add a resolving turnaround (V-I, or V7alt/V7b13 - Im7/Im6 in minor)
    */
   addResolvingTurnaround(section, key) {
     if (section.length < 2) return
 
     const lastIdx = section.length - 1
+    const { dominant, tonic } = getCadenceDegrees(this.mode)
+    const dominantDegree = dominant[Math.floor(random() * dominant.length)]
+    const tonicDegree = tonic[Math.floor(random() * tonic.length)]
 
     section[lastIdx - 1] = {
-      degree: 'V7',
+      ...section[lastIdx - 1],
+      degree: dominantDegree,
       key: key,
-      tension: JAZZ_DEGREES['V7']?.tension || 0.8
+      tension: getDegreeTension(dominantDegree, 0.8)
     }
 
     section[lastIdx] = {
-      degree: 'Imaj7',
+      ...section[lastIdx],
+      degree: tonicDegree,
       key: key,
-      tension: JAZZ_DEGREES['Imaj7']?.tension || 0
+      tension: getDegreeTension(tonicDegree, 0)
+    }
+  }
+
+  /**
+   * Turnaround patterns for the current mode
+   */
+  getTurnarounds() {
+    return this.mode === 'minor' ? MINOR_TURNAROUNDS : TURNAROUNDS
+  }
+
+  /**
+   * Generate an idiomatic form from its canonical skeleton (see IdiomaticForms.js)
+   * @param {string} idiomId - rhythmChanges | jazzBlues | birdBlues | minorBlues | giantSteps
+   * @param {string} key - Musical key
+   * @param {number} beatsPerBar - Beats per bar (from the song's meter)
+   * @param {number} complexity - 0 (skeleton) to 2 (tritone subs, alterations)
+   * @returns {Array} Progression with section markers
+   */
+  generateIdiom(idiomId, key = 'C', beatsPerBar = DEFAULT_BEATS_PER_BAR, complexity = 1) {
+    this.beatsPerBar = beatsPerBar
+    return generateIdiomaticForm(idiomId, key, { beatsPerBar, complexity })
+  }
+
+  /**
+   * Summary of a template for the UI
+   * @param {string} id - Template ID
+   * @param {object} template - Template (any shape accepted by normalizeTemplate)
+   * @returns {object|null}
+   */
+  static describeTemplate(id, template) {
+    const normalized = normalizeTemplate(template).template
+    if (!normalized) return null
+    return {
+      id,
+      name: normalized.name,
+      sections: expandForm(normalized).map(part => part.label),
+      totalBars: getFormBars(normalized)
     }
   }
 
@@ -282,12 +793,7 @@ export class SongFormEngine {
    * @returns {Array} Template options for UI
    */
   static getTemplates() {
-    return Object.entries(FORM_TEMPLATES).map(([id, template]) => ({
-      id,
-      name: template.name,
-      sections: template.sections,
-      totalBars: template.totalBars
-    }))
+    return Object.entries(FORM_TEMPLATES).map(([id, template]) => SongFormEngine.describeTemplate(id, template))
   }
 
   /**
@@ -296,7 +802,7 @@ export class SongFormEngine {
    * @returns {object} Section config
    */
   static getSectionConfig(sectionLabel) {
-    return SECTION_CONFIG[sectionLabel] || SECTION_CONFIG['A']
+    return SECTION_PARAMS[sectionLabel] || SECTION_PARAMS['A']
   }
 }
 
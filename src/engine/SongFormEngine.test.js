@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { SongFormEngine, normalizeTemplate, expandForm, getFormBars } from './SongFormEngine.js'
+import { setSeed } from './Random.js'
+
+const DS_AL_CODA = {
+  name: 'D.S. al Coda',
+  sections: [
+    { label: 'Intro', bars: 4, role: 'intro' },
+    { label: 'A', bars: 8, repeats: 2, endingBars: 2, segno: true },
+    { label: 'B', bars: 8, toCoda: true },
+    { label: 'C', bars: 4 },
+    { label: 'Coda', bars: 4, role: 'coda' }
+  ],
+  dalSegno: true
+}
+
+function expand(source) {
+  return expandForm(normalizeTemplate(source).template)
+}
+
+describe('normalizeTemplate', () => {
+  it('accepts the legacy shorthand', () => {
+    const { template, errors } = normalizeTemplate({ sections: ['A', 'A', 'B', 'A'], barsPerSection: 8 })
+    expect(errors).toEqual([])
+    expect(template.name).toBe('AABA')
+    expect(template.sections.map(section => section.bars)).toEqual([8, 8, 8, 8])
+  })
+
+  it('keeps every occurrence of a label at the same length', () => {
+    const { template, errors } = normalizeTemplate({ sections: [{ label: 'A', bars: 8 }, { label: 'A', bars: 4 }] })
+    expect(errors).toEqual(['A: todas sus apariciones deben tener 8 compases'])
+    expect(template.sections[1].bars).toBe(8)
+  })
+
+  it('drops D.S. al Coda without a coda section', () => {
+    const { template, errors } = normalizeTemplate({ sections: [{ label: 'A', bars: 8 }], dalSegno: true })
+    expect(errors).toEqual(['D.S. al Coda necesita una seccion Coda'])
+    expect(template.dalSegno).toBe(false)
+  })
+
+  it('fits the ending inside the section', () => {
+    const { template } = normalizeTemplate({ sections: [{ label: 'A', bars: 4, repeats: 2, endingBars: 9 }] })
+    expect(template.sections[0].endingBars).toBe(3)
+  })
+})
+
+describe('expandForm', () => {
+  it('plays the sections in written order', () => {
+    const parts = expand({ sections: ['A', 'A', 'B', 'A'], barsPerSection: 8 })
+    expect(parts.map(part => part.label)).toEqual(['A', 'A', 'B', 'A'])
+    expect(parts.every(part => part.ending === null)).toBe(true)
+  })
+
+  it('unrolls repeats with first and second endings', () => {
+    const parts = expand({ sections: [{ label: 'A', bars: 8, repeats: 2, endingBars: 2 }, { label: 'B', bars: 8 }] })
+    expect(parts.map(part => [part.label, part.ending, part.endings, part.endingBars])).toEqual([
+      ['A', 1, 2, 2],
+      ['A', 2, 2, 2],
+      ['B', null, 0, 0]
+    ])
+  })
+
+  it('repeats without endings play the same section twice', () => {
+    const parts = expand({ sections: [{ label: 'A', bars: 12, repeats: 2 }] })
+    expect(parts.map(part => [part.label, part.ending])).toEqual([['A', null], ['A', null]])
+  })
+
+  it('goes back to the segno on the last ending and jumps to the coda', () => {
+    const parts = expand(DS_AL_CODA)
+    expect(parts.map(part => part.ending ? `${part.label}${part.ending}` : part.label)).toEqual([
+      'Intro', 'A1', 'A2', 'B', 'C',
+      'A2', 'B',
+      'Coda'
+    ])
+    expect(getFormBars(normalizeTemplate(DS_AL_CODA).template)).toBe(4 + 8 + 8 + 8 + 4 + 8 + 8 + 4)
+  })
+
+  it('goes back past the intro when there is no segno', () => {
+    const source = {
+      ...DS_AL_CODA,
+      sections: DS_AL_CODA.sections.map(({ segno, ...section }) => section)
+    }
+    expect(expand(source).map(part => part.label)).toEqual(['Intro', 'A', 'A', 'B', 'C', 'A', 'B', 'Coda'])
+  })
+})
+
+describe('SongFormEngine', () => {
+  let engine
+
+  beforeEach(() => {
+    setSeed(1234)
+    engine = new SongFormEngine()
+  })
+
+  describe('splitAtBoundary', () => {
+    it('splits a chord held across the boundary', () => {
+      const section = [{ degree: 'Imaj7', duration: 4 }, { degree: 'IIm7', duration: 8 }, { degree: 'V7', duration: 4 }]
+      const { chords, start } = engine.splitAtBoundary(section, 8)
+      expect(chords.map(chord => [chord.degree, chord.duration])).toEqual([
+        ['Imaj7', 4], ['IIm7', 4], ['IIm7', 4], ['V7', 4]
+      ])
+      expect(start).toBe(2)
+    })
+
+    it('gives a one-chord ending two chords', () => {
+      const section = [{ degree: 'Imaj7', duration: 4 }, { degree: 'V7', duration: 4 }]
+      const { chords, start } = engine.splitAtBoundary(section, 4)
+      expect(chords.map(chord => [chord.degree, chord.duration])).toEqual([
+        ['Imaj7', 4], ['V7', 2], ['V7', 2]
+      ])
+      expect(start).toBe(1)
+    })
+
+    it('does not touch the section it copies', () => {
+      const section = [{ degree: 'Imaj7', duration: 8 }]
+      engine.splitAtBoundary(section, 4)
+      expect(section).toEqual([{ degree: 'Imaj7', duration: 8 }])
+    })
+  })
+
+  describe('generate', () => {
+    const totalBeats = progression => progression.reduce((sum, chord) => sum + chord.duration, 0)
+
+    it('fills every bar of the expanded form', () => {
+      const progression = engine.generate(DS_AL_CODA, 'C', 4)
+      expect(totalBeats(progression)).toBe(getFormBars(normalizeTemplate(DS_AL_CODA).template) * 4)
+    })
+
+    it('marks sections and endings', () => {
+      const progression = engine.generate(DS_AL_CODA, 'C', 4)
+      expect(progression.filter(chord => chord.section).map(chord => chord.section)).toEqual([
+        'Intro', 'A', 'A', 'B', 'C', 'A', 'B', 'Coda'
+      ])
+      expect(progression.filter(chord => chord.ending).map(chord => chord.ending)).toEqual([1, 2, 2])
+    })
+
+    it('resolves the last section', () => {
+      const progression = engine.generate('AABA', 'C', 4)
+      expect(progression.slice(-2).map(chord => chord.degree)).toEqual(['V7', 'Imaj7'])
+    })
+
+    it('gives the same form for the same seed', () => {
+      const first = engine.generate('AABA', 'C', 3)
+      setSeed(1234)
+      const second = new SongFormEngine().generate('AABA', 'C', 3)
+      expect(second).toEqual(first)
+      expect(totalBeats(first)).toBe(32 * 3)
+    })
+  })
+})
@@ -0,0 +1,129 @@
+/**
+ * TensionCurve.js - Curvas de tension objetivo para la generacion
+ *
+ * Una curva es una lista de valores 0-1 repartidos por igual del primer al
+ * ultimo compas (puntos de control); se interpola linealmente a cualquier
+ * numero de compases. Sustituye a la gravedad global: MarkovEngine y
+ * SongFormEngine favorecen en cada compas los acordes cuya tension se
+ * acerca al objetivo de ese compas.
+ */
+
+import { groupIntoBars, DEFAULT_BEATS_PER_BAR } from './HarmonicRhythm.js'
+
+// Puntos de control de una curva dibujada a mano
+export const CURVE_RESOLUTION = 16
+
+/**
+ * Curvas predefinidas
+ */
+export const TENSION_CURVE_PRESETS = {
+  'flat': {
+    name: 'Plana',
+    description: 'Tension media constante',
+    points: [0.4, 0.4]
+  },
+  'build': {
+    name: 'Crescendo',
+    description: 'De la calma a la maxima tension',
+    points: [0.1, 0.85]
+  },
+  'release': {
+    name: 'Distension',
+    description: 'Empieza tenso y se relaja',
+    points: [0.85, 0.1]
+  },
+  'arch': {
+    name: 'Arco',
+    description: 'Sube hasta la mitad y vuelve',
+    points: [0.1, 0.8, 0.1]
+  },
+  'bridge': {
+    name: 'Hacia el puente',
+    description: 'AABA: crece hasta el puente y se relaja en la ultima A',
+    points: [0.15, 0.2, 0.35, 0.5, 0.8, 0.85, 0.35, 0.1]
+  },
+  'waves': {
+    name: 'Olas',
+    description: 'Tension y reposo alternos',
+    points: [0.1, 0.7, 0.1, 0.7, 0.1]
+  }
+}
+
+/**
+ * Valor objetivo de cada compas
+ * @param {number[]} points - Puntos de control (0-1)
+ * @param {number} numBars - Compases
+ * @returns {number[]} Un valor por compas
+ */
+export function sampleCurve(points, numBars) {
+  if (!points?.length || numBars <= 0) return []
+  if (points.length === 1) return new Array(numBars).fill(points[0])
+
+  return Array.from({ length: numBars }, (_, bar) => {
+    const x = numBars > 1 ? (bar / (numBars - 1)) * (points.length - 1) : 0
+    const left = Math.floor(x)
+    const right = Math.min(left + 1, points.length - 1)
+    return points[left] + (points[right] - points[left]) * (x - left)
+  })
+}
+
+/**
+ * Puntos de control editables a partir de una curva (para dibujar sobre un preset)
+ * @param {number[]} points
+ * @returns {number[]} CURVE_RESOLUTION puntos
+ */
+export function toEditablePoints(points) {
+  return sampleCurve(points, CURVE_RESOLUTION)
+}
+
+/**
+ * Peso de un acorde segun su distancia al objetivo (1 = justo en el objetivo)
+ * @param {number} tension - Tension del acorde
+ * @param {number} target - Tension objetivo
+ * @returns {number}
+ */
+export function curveWeight(tension, target) {
+  const distance = tension - target
+  return Math.max(0.02, Math.exp(-(distance * distance) / 0.045))
+}
+
+/**
+ * Tension media de cada compas (ponderada por la duracion de cada acorde)
+ * @param {Array} progression - Progresion con `tension` en cada acorde
+ * @param {number} beatsPerBar
+ * @returns {number[]}
+ */
+export function getBarTensions(progression, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  return groupIntoBars(progression, beatsPerBar).map(bar => {
+    const beats = bar.reduce((sum, segment) => sum + segment.beats, 0)
+    const weighted = bar.reduce((sum, segment) => sum + (segment.chord.tension ?? 0) * segment.beats, 0)
+    return beats > 0 ? weighted / beats : 0
+  })
+}
+
+/**
+ * Cuanto se ajusta una progresion a su curva objetivo
+ * @param {Array} progression
+ * @param {number[]} points - Puntos de control de la curva
+ * @param {number} beatsPerBar
+ * @returns {{targets: number[], actual: number[], error: number, match: number}}
+ *   error = diferencia media por compas, match = 1 - error (0-1)
+ */
+export function measureCurveFit(progression, points, beatsPerBar = DEFAULT_BEATS_PER_BAR) {
+  const actual = getBarTensions(progression, beatsPerBar)
+  const targets = sampleCurve(points, actual.length)
+  if (actual.length === 0) return { targets, actual, error: 0, match: 1 }
+
+  const error = actual.reduce((sum, value, bar) => sum + Math.abs(value - targets[bar]), 0) / actual.length
+  return { targets, actual, error, match: Math.max(0, 1 - error) }
+}
+
+export default {
+  CURVE_RESOLUTION,
+  TENSION_CURVE_PRESETS,
+  sampleCurve,
+  toEditablePoints,
+  curveWeight,
+  getBarTensions,
+  measureCurveFit
+}
@@ -0,0 +1,97 @@
+/**
+ * Trading.js - Intercambio de frases con el solista IA
+ *
+ * El solista IA (solo/LickEngine.js) toca N compases y deja los N siguientes
+ * al alumno, solo con la seccion ritmica, alternando a lo largo del chorus.
+ * Los turnos se cuentan desde el primer compas del tema, asi que son los
+ * mismos en el loop, en el loop de practica y en cada chorus del arreglo.
+ * La bateria mete un fill corto antes de cada relevo (DrumGrooves, phraseBars).
+ */
+
+export const TRADE_LENGTHS = [2, 4, 8]
+
+export const TRADE_LEADERS = [
+  { id: 'ai', name: 'IA', description: 'Empieza el solista IA; tu respondes' },
+  { id: 'player', name: 'Yo', description: 'Empiezas tu; la IA responde' }
+]
+
+export const DEFAULT_TRADING = {
+  enabled: false,  // Intercambio activado (si no, el solo IA toca el chorus entero)
+  bars: 4,         // TRADE_LENGTHS
+  first: 'ai'      // TRADE_LEADERS
+}
+
+/**
+ * Valida los ajustes del intercambio
+ * @param {object} raw
+ * @returns {object}
+ */
+export function normalizeTrading(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {}
+  return {
+    enabled: !!source.enabled,
+    bars: TRADE_LENGTHS.includes(source.bars) ? source.bars : DEFAULT_TRADING.bars,
+    first: TRADE_LEADERS.some(l => l.id === source.first) ? source.first : DEFAULT_TRADING.first
+  }
+}
+
+/**
+ * Quien toca en un compas del tema
+ * @param {number} bar - Compas del tema (desde 0)
+ * @param {object} trading - Ver normalizeTrading
+ * @returns {'ai'|'player'|null} null sin intercambio
+ */
+export function getTradeAtBar(bar, trading) {
+  if (!trading?.enabled || bar < 0) return null
+  const leaderTurn = Math.floor(bar / trading.bars) % 2 === 0
+  const other = trading.first === 'ai' ? 'player' : 'ai'
+  return leaderTurn ? trading.first : other
+}
+
+/**
+ * Turnos de un chorus
+ * @param {number} totalBars - Compases del tema
+ * @param {object} trading - Ver normalizeTrading
+ * @returns {Array<{start: number, end: number, soloist: string}>} end excluido
+ */
+export function getTradeWindows(totalBars, trading) {
+  if (!trading?.enabled) return []
+  const windows = []
+  for (let start = 0; start < totalBars; start += trading.bars) {
+    windows.push({ start, end: Math.min(totalBars, start + trading.bars), soloist: getTradeAtBar(start, trading) })
+  }
+  return windows
+}
+
+/**
+ * Compases en que toca el solista IA (lo que genera LickEngine)
+ * @param {number} totalBars
+ * @param {object} trading
+ * @returns {Array<{start: number, end: number}>|null} null = el chorus entero
+ */
+export function getSoloWindows(totalBars, trading) {
+  if (!trading?.enabled) return null
+  return getTradeWindows(totalBars, trading)
+    .filter(window => window.soloist === 'ai')
+    .map(({ start, end }) => ({ start, end }))
+}
+
+/**
+ * Frase de la bateria: fill antes de cada relevo
+ * @param {object} trading
+ * @returns {number|null} Compases por frase (DrumGrooves, phraseBars)
+ */
+export function getTradePhraseBars(trading) {
+  return trading?.enabled ? trading.bars : null
+}
+
+export default {
+  TRADE_LENGTHS,
+  TRADE_LEADERS,
+  DEFAULT_TRADING,
+  normalizeTrading,
+  getTradeAtBar,
+  getTradeWindows,
+  getSoloWindows,
+  getTradePhraseBars
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeTrading, getTradeAtBar, getTradeWindows, getSoloWindows, getTradePhraseBars } from './Trading.js'
+
+const fours = normalizeTrading({ enabled: true, bars: 4, first: 'ai' })
+
+describe('normalizeTrading', () => {
+  it('falls back to the defaults', () => {
+    expect(normalizeTrading(null)).toEqual({ enabled: false, bars: 4, first: 'ai' })
+    expect(normalizeTrading({ enabled: 1, bars: 3, first: 'band' })).toEqual({ enabled: true, bars: 4, first: 'ai' })
+  })
+})
+
+describe('getTradeWindows', () => {
+  it('alternates from the first bar of the tune', () => {
+    expect(getTradeWindows(16, fours)).toEqual([
+      { start: 0, end: 4, soloist: 'ai' },
+      { start: 4, end: 8, soloist: 'player' },
+      { start: 8, end: 12, soloist: 'ai' },
+      { start: 12, end: 16, soloist: 'player' }
+    ])
+  })
+
+  it('cuts the last window at the end of the tune', () => {
+    const windows = getTradeWindows(12, { ...fours, bars: 8, first: 'player' })
+    expect(windows).toEqual([
+      { start: 0, end: 8, soloist: 'player' },
+      { start: 8, end: 12, soloist: 'ai' }
+    ])
+  })
+
+  it('is empty without trading', () => {
+    expect(getTradeWindows(16, { ...fours, enabled: false })).toEqual([])
+  })
+})
+
+describe('getTradeAtBar', () => {
+  it('agrees with the windows', () => {
+    const windows = getTradeWindows(32, { ...fours, bars: 2 })
+    for (const { start, end, soloist } of windows) {
+      for (let bar = start; bar < end; bar++) {
+        expect(getTradeAtBar(bar, { ...fours, bars: 2 })).toBe(soloist)
+      }
+    }
+  })
+
+  it('is null before the tune or without trading', () => {
+    expect(getTradeAtBar(-1, fours)).toBe(null)
+    expect(getTradeAtBar(0, { ...fours, enabled: false })).toBe(null)
+  })
+})
+
+describe('getSoloWindows', () => {
+  it('keeps the AI turns only', () => {
+    expect(getSoloWindows(16, { ...fours, first: 'player' })).toEqual([
+      { start: 4, end: 8 },
+      { start: 12, end: 16 }
+    ])
+  })
+
+  it('is null (whole chorus) without trading', () => {
+    expect(getSoloWindows(16, { ...fours, enabled: false })).toBe(null)
+  })
+})
+
+describe('getTradePhraseBars', () => {
+  it('gives the drum phrase the length of a turn', () => {
+    expect(getTradePhraseBars(fours)).toBe(4)
+    expect(getTradePhraseBars({ ...fours, enabled: false })).toBe(null)
+  })
+})
@@ -0,0 +1,239 @@
+/**
+ * VoiceLeading.js - Planificador de voicings para toda la progresion
+ *
+ * getVoicing calcula cada acorde aislado en un registro fijo, asi que los
+ * voicings saltan por el teclado de un compas a otro. Aqui se generan para
+ * cada acorde sus inversiones y registros posibles (en el estilo elegido) y
+ * se busca la secuencia de menor coste (Viterbi):
+ * - Movimiento total de las voces
+ * - Notas guia (3a y 7a) que avanzan por grado conjunto
+ * - Notas dentro del rango del teclado configurado
+ *
+ * AudioEngine, PianoRoll y MidiExporter usan los voicings planificados.
+ */
+
+import { resolveDegree, getDegreeRootPitch } from './DegreeRegistry.js'
+import { getVoicing, dropVoices, DROP_POSITIONS } from './Voicings.js'
+
+// Rango por defecto del piano: C2 - C6
+export const DEFAULT_VOICING_RANGE = { low: 36, high: 84 }
+
+// Limites de la UI para el rango (grave: C2-C4, agudo: C4-C7)
+export const VOICING_RANGE_LIMITS = { minLow: 36, maxLow: 60, minHigh: 60, maxHigh: 96 }
+
+// Amplitud minima del rango (una octava)
+const MIN_RANGE_SPAN = 12
+
+// Pesos del coste
+const GUIDE_TONE_WEIGHT = 3   // Por semitono que una nota guia se aleja mas de un tono
+const RANGE_WEIGHT = 20       // Por semitono fuera del rango
+const REGISTER_WEIGHT = 0.15  // Por semitono que la mano derecha se aleja de su zona central
+
+// Estilos con la fundamental en la mano izquierda (la mano izquierda cambia de octava por separado)
+const ROOT_IN_LEFT_HAND = new Set(['shell', 'block', 'upperStructure', 'spread'])
+
+// Estilos cuya forma no admite inversiones (las cuartas dejarian de ser cuartas)
+const FIXED_SHAPE = new Set(['quartal'])
+
+/**
+ * Ajusta un rango a los limites de la UI
+ * @param {object} range - {low, high} en MIDI
+ * @returns {{low: number, high: number}}
+ */
+export function normalizeVoicingRange(range) {
+  const { minLow, maxLow, minHigh, maxHigh } = VOICING_RANGE_LIMITS
+  const low = Math.max(minLow, Math.min(maxLow, Math.round(range?.low ?? DEFAULT_VOICING_RANGE.low)))
+  const high = Math.max(minHigh, Math.min(maxHigh, Math.round(range?.high ?? DEFAULT_VOICING_RANGE.high)))
+  return { low, high: Math.max(high, low + MIN_RANGE_SPAN) }
+}
+
+const sortNotes = notes => [...notes].sort((a, b) => a - b)
+
+/**
+ * Sube las `count` notas mas graves una octava
+ */
+function rotate(notes, count) {
+  return sortNotes(sortNotes(notes).map((note, i) => i < count ? note + 12 : note))
+}
+
+/**
+ * Inversiones de un voicing respetando la estructura del estilo
+ * - Drop 2 / Drop 3 / Drop 2&4: inversiones del acorde cerrado, bajando despues las mismas voces
+ * - Rootless: rotaciones de las cuatro notas (incluye las formas A y B), 2 + 2 por mano
+ * - Cuartas: sin inversiones, solo registros
+ * - Shell / Block / Upper Structure / Spread: rotaciones de la mano derecha
+ * @param {{left: number[], right: number[]}} voicing
+ * @param {string} style
+ * @returns {Array<{left: number[], right: number[]}>}
+ */
+function getInversions(voicing, style) {
+  const inversions = []
+
+  const drops = DROP_POSITIONS[style]
+  if (drops && voicing.left.length === drops.length && voicing.left.length + voicing.right.length === 4) {
+    const closed = sortNotes([...voicing.right, ...voicing.left.map(note => note + 12)])
+    for (let k = 0; k < closed.length; k++) {
+      inversions.push(dropVoices(rotate(closed, k), drops))
+    }
+    return inversions
+  }
+
+  if (FIXED_SHAPE.has(style)) return [voicing]
+
+  if (style === 'rootlessA' || style === 'rootlessB') {
+    const all = sortNotes([...voicing.left, ...voicing.right])
+    const split = Math.floor(all.length / 2)
+    for (let k = 0; k < all.length; k++) {
+      const rotated = rotate(all, k)
+      inversions.push({ left: rotated.slice(0, split), right: rotated.slice(split) })
+    }
+    return inversions
+  }
+
+  for (let k = 0; k < Math.max(1, voicing.right.length); k++) {
+    inversions.push({ left: sortNotes(voicing.left), right: rotate(voicing.right, k) })
+  }
+  return inversions
+}
+
+/**
+ * Voicings candidatos de un acorde: inversiones x registros
+ * @returns {Array<{left: number[], right: number[]}>}
+ */
+function getCandidates(rootPitch, chordType, style) {
+  const candidates = []
+  const leftShifts = ROOT_IN_LEFT_HAND.has(style) ? [-12, 0, 12] : [0]
+
+  for (const inversion of getInversions(getVoicing(rootPitch, chordType, style), style)) {
+    for (const shift of [-24, -12, 0, 12]) {
+      const right = inversion.right.map(note => note + shift)
+      for (const leftShift of leftShifts) {
+        const left = inversion.left.map(note => note + shift + leftShift)
+        // Sin cruce de manos
+        if (left.length > 0 && right.length > 0 && Math.max(...left) >= Math.min(...right)) continue
+        candidates.push({ left, right })
+      }
+    }
+  }
+
+  return candidates
+}
+
+/**
+ * Clases de altura de las notas guia (3a y 7a; la 6a en acordes de sexta)
+ */
+function getGuidePitchClasses(rootPitch, intervals) {
+  const third = intervals.find(i => i === 3 || i === 4) ?? 4
+  const seventh = intervals.find(i => i >= 9 && i <= 11) ?? 10
+  return [(rootPitch + third) % 12, (rootPitch + seventh) % 12]
+}
+
+/**
+ * Coste propio de un voicing: rango y registro
+ */
+function getStaticCost(voicing, range) {
+  const notes = [...voicing.left, ...voicing.right]
+  let cost = 0
+  for (const note of notes) {
+    if (note < range.low) cost += (range.low - note) * RANGE_WEIGHT
+    if (note > range.high) cost += (note - range.high) * RANGE_WEIGHT
+  }
+
+  // Mano derecha hacia la parte alta del rango, sin pegarse al techo
+  const center = range.low + (range.high - range.low) * 0.6
+  const mean = voicing.right.reduce((sum, note) => sum + note, 0) / Math.max(1, voicing.right.length)
+  return cost + Math.abs(mean - center) * REGISTER_WEIGHT
+}
+
+/**
+ * Coste de pasar de un voicing a otro: movimiento de voces y notas guia
+ */
+function getTransitionCost(previous, next) {
+  const previousNotes = [...previous.voicing.left, ...previous.voicing.right]
+  const nextNotes = [...next.voicing.left, ...next.voicing.right]
+
+  // Cada voz nueva desde la voz anterior mas cercana
+  let cost = 0
+  for (const note of nextNotes) {
+    cost += Math.min(...previousNotes.map(p => Math.abs(note - p)))
+  }
+
+  // Las notas guia del acorde anterior deben resolver por grado conjunto
+  const previousGuides = previousNotes.filter(note => previous.guides.includes(note % 12))
+  const nextGuides = nextNotes.filter(note => next.guides.includes(note % 12))
+  if (nextGuides.length > 0) {
+    for (const guide of previousGuides) {
+      const step = Math.min(...nextGuides.map(note => Math.abs(note - guide)))
+      if (step > 2) cost += (step - 2) * GUIDE_TONE_WEIGHT
+    }
+  }
+
+  return cost
+}
+
+/**
+ * Planifica los voicings de una progresion
+ * @param {Array} progression - Acordes {degree, key}
+ * @param {object} options
+ * @param {string} options.style - Estilo de voicing (Voicings.js)
+ * @param {object} options.range - {low, high} MIDI del teclado
+ * @param {string} options.key - Tonalidad si el acorde no la trae
+ * @returns {Array<{left: number[], right: number[]}|null>} Un voicing por acorde (null si no se puede interpretar)
+ */
+export function planVoicings(progression, { style = 'shell', range = DEFAULT_VOICING_RANGE, key = 'C' } = {}) {
+  const keyboard = normalizeVoicingRange(range)
+
+  // Candidatos por acorde
+  const options = progression.map(chord => {
+    const info = resolveDegree(chord.degree)
+    if (!info) return null
+    const rootPitch = getDegreeRootPitch(chord.degree, chord.key || key, 48)
+    const guides = getGuidePitchClasses(rootPitch, info.intervals)
+    return getCandidates(rootPitch, info.type, style).map(voicing => ({
+      voicing,
+      guides,
+      cost: getStaticCost(voicing, keyboard)
+    }))
+  })
+
+  // Viterbi: mejor coste acumulado de cada candidato y de donde viene
+  const steps = []
+  let previous = null
+  options.forEach((candidates, index) => {
+    if (!candidates) return
+
+    const step = candidates.map(candidate => {
+      if (!previous) return { total: candidate.cost, from: -1 }
+      let best = { total: Infinity, from: -1 }
+      previous.candidates.forEach((prevCandidate, p) => {
+        const total = previous.step[p].total + getTransitionCost(prevCandidate, candidate) + candidate.cost
+        if (total < best.total) best = { total, from: p }
+      })
+      return best
+    })
+
+    previous = { index, candidates, step }
+    steps.push(previous)
+  })
+
+  // Reconstruir el camino desde el ultimo acorde
+  const voicings = progression.map(() => null)
+  if (steps.length === 0) return voicings
+
+  const last = steps[steps.length - 1]
+  let choice = last.step.reduce((best, entry, i) => entry.total < last.step[best].total ? i : best, 0)
+  for (let s = steps.length - 1; s >= 0; s--) {
+    const { index, candidates, step } = steps[s]
+    voicings[index] = candidates[choice].voicing
+    choice = step[choice].from
+  }
+
+  return voicings
+}
+
+export default {
+  DEFAULT_VOICING_RANGE,
+  VOICING_RANGE_LIMITS,
+  normalizeVoicingRange,
+  planVoicings
+}
@@ -1,15 +1,109 @@
 /**
- * Voicings.js - 5 estilos de voicing para acordes jazz
+ * Voicings.js - Estilos de voicing para acordes jazz
  *
  * Estilos:
  * - Shell: Root + 3 + 7 (trio, combo)
  * - Drop 2: Root bajado + 3-5-7 (solo piano, guitarra)
+ * - Drop 3 / Drop 2&4: Texturas de guitarra
  * - Rootless A: 3-5-7-9 (con bajista)
  * - Rootless B: 7-9-3-5 (con bajista)
  * - Block: Acorde completo
+ * - Cuartas: So What y pilas de cuartas (modal)
+ * - Upper Structure: Triada mayor sobre fundamental + tritono
+ * - Spread: Dos manos abiertas (baladas)
+ *
+ * Las tensiones (9, 11, 13) salen del tipo de acorde (CHORD_TYPES): un 7b9
+ * usa b9, un 7alt b9/#9 y b13, un maj7#11 la #11...
  */
 
 import { CHORD_TYPES } from './ChordTypes.js'
+import { getTypeFamily } from './DegreeRegistry.js'
+
+// Voces que bajan una octava en cada drop (contando desde arriba)
+export const DROP_POSITIONS = {
+  drop2: [2],
+  drop3: [3],
+  drop24: [2, 4]
+}
+
+/**
+ * Aplica un drop a un voicing cerrado de 4 notas
+ * @param {number[]} closed - Notas MIDI del voicing cerrado
+ * @param {number[]} positions - Voces a bajar (1 = la mas aguda)
+ * @returns {{left: number[], right: number[]}} Voces bajadas a la izquierda
+ */
+export function dropVoices(closed, positions) {
+  const sorted = [...closed].sort((a, b) => a - b)
+  const dropped = positions.map(position => sorted[sorted.length - position])
+  return {
+    left: dropped.map(note => note - 12).sort((a, b) => a - b),
+    right: sorted.filter(note => !dropped.includes(note))
+  }
+}
+
+// Sin 3a: sus2, sus4, 7sus4, 13sus
+const isSusType = intervals => !intervals.includes(3) && !intervals.includes(4)
+
+// La 6a hace de 7a: 6, 6/9, m6 (dim7 no cuenta)
+const isSixthType = intervals =>
+  intervals.includes(9) && ![6, 10, 11].some(i => intervals.includes(i))
+
+/**
+ * Intervalo de una nota funcional del acorde segun sus tensiones
+ * Si el tipo no la declara, la tension natural de su familia
+ * (#11 en mayor y dominante, 11 en menor y sus; b9/b13 en dominantes alterados)
+ * @param {string} tone - 'R' | '3' | '5' | '7' | '9' | '11' | '13'
+ * @param {string} chordType - Tipo de CHORD_TYPES
+ * @returns {number|null} Semitonos sobre la fundamental; null si el acorde no tiene 7a (triadas sus y aumentada)
+ */
+export function resolveTone(tone, chordType) {
+  const intervals = CHORD_TYPES[chordType]?.intervals || [0, 4, 7, 10]
+  const has = interval => intervals.includes(interval)
+  const family = getTypeFamily(chordType)
+  const isSus = isSusType(intervals)
+  const isAltered = family === 'dom' && (has(8) || has(13) || has(15) || has(20))
+
+  switch (tone) {
+    case 'R': return 0
+    case '3': return [3, 4, 5, 2].find(has) ?? 4 // sus4: la 4a, sus2: la 2a
+    case '5': return [7, 6, 8].find(has) ?? 7
+    case '7': return [10, 11, 9].find(has) ?? null // 6 y dim7: la 6a
+    case '9': return [14, 13, 15].find(has) ?? (isAltered ? 13 : 14)
+    case '11': return [17, 18].find(has) ?? (['min', 'hdim', 'dim'].includes(family) || isSus ? 17 : 18)
+    case '13': return [21, 20].find(has) ?? (isAltered || family === 'hdim' ? 20 : 21)
+    default: return 0
+  }
+}
+
+/**
+ * Apila notas funcionales hacia arriba (cada una por encima de la anterior)
+ * Omite las que repiten clase de altura dentro de la misma mano
+ * @param {number} rootPitch - Fundamental MIDI
+ * @param {string[]} tones - Notas funcionales en orden ascendente
+ * @param {string} chordType
+ * @param {number} floor - La primera nota queda por encima de esta
+ * @returns {number[]}
+ */
+function stackTones(rootPitch, tones, chordType, floor) {
+  const notes = []
+  const used = new Set()
+  let previous = floor
+
+  for (const tone of tones) {
+    const interval = resolveTone(tone, chordType)
+    if (interval === null) continue
+    const pitchClass = (rootPitch + interval) % 12
+    if (used.has(pitchClass)) continue
+    used.add(pitchClass)
+
+    let note = previous + 1
+    while (note % 12 !== pitchClass) note++
+    notes.push(note)
+    previous = note
+  }
+
+  return notes
+}
 
 /**
  * Genera voicing Shell (Root + 3 + 7)
@@ -54,11 +148,7 @@ export function drop2Voicing(rootPitch, chordType) {
 
   // Drop 2: segunda desde arriba baja una octava
   if (closed.length >= 4) {
-    const dropped = closed[2] - 12
-    return {
-      left: [dropped],
-      right: [closed[0], closed[1], closed[3]]
-    }
+    return dropVoices(closed, DROP_POSITIONS.drop2)
   }
 
   // Si tiene menos de 4 notas
@@ -68,6 +158,21 @@ export function drop2Voicing(rootPitch, chordType) {
   }
 }
 
+/**
+ * Genera voicing Drop 3 o Drop 2&4 (texturas de guitarra)
+ * @param {number} rootPitch - Nota fundamental MIDI
+ * @param {string} chordType - Tipo de acorde
+ * @param {string} style - 'drop3' | 'drop24'
+ * @returns {{left: number[], right: number[]}}
+ */
+export function dropVoicing(rootPitch, chordType, style = 'drop3') {
+  const type = CHORD_TYPES[chordType]
+  if (!type || type.intervals.length < 4) return drop2Voicing(rootPitch, chordType)
+
+  const closed = type.intervals.slice(0, 4).map(i => rootPitch + i)
+  return dropVoices(closed, DROP_POSITIONS[style] || DROP_POSITIONS.drop3)
+}
+
 /**
  * Genera voicing Rootless A (3-5-7-9)
  * Sin fundamental, comienza en la 3ra
@@ -146,6 +251,114 @@ export function blockVoicing(rootPitch, chordType) {
   }
 }
 
+// Pilas de cuartas por familia: [mano izquierda, mano derecha]
+const QUARTAL_SHAPES = {
+  min: [['R', '11'], ['7', '3', '5']],        // So What: R-4-b7 + b3-5
+  maj: [['R'], ['3', '13', '9', '5']],
+  six: [['R'], ['3', '13', '9', '5']],        // 6 y m6: 3-6-9-5
+  dom: [['R'], ['7', '3', '13', '9']],
+  alt: [['R'], ['3', '7', '9', '13']],        // 3-b7-#9-b13
+  sus: [['R'], ['5', 'R', '3', '7']],         // 5-R-4-b7 (sus2: 5-R-2; sin b7 en las triadas)
+  hdim: [['R'], ['11', '7', '3', '5']],
+  dim: [['R'], ['3', '7', '9']],
+  aug: [['R'], ['3', '7', '9']]
+}
+
+/**
+ * Forma de cuartas de un tipo de acorde
+ */
+function getQuartalShape(chordType) {
+  const intervals = CHORD_TYPES[chordType]?.intervals || []
+  const family = getTypeFamily(chordType)
+  if (isSusType(intervals)) return QUARTAL_SHAPES.sus
+  if (isSixthType(intervals)) return QUARTAL_SHAPES.six
+  if (family === 'dom' && [8, 13, 15, 20].some(i => intervals.includes(i))) return QUARTAL_SHAPES.alt
+  return QUARTAL_SHAPES[family]
+}
+
+/**
+ * Genera voicing en cuartas (So What en menores, cuartas sobre la fundamental en el resto)
+ * @param {number} rootPitch - Nota fundamental MIDI
+ * @param {string} chordType - Tipo de acorde
+ * @returns {{left: number[], right: number[]}}
+ */
+export function quartalVoicing(rootPitch, chordType) {
+  const [leftTones, rightTones] = getQuartalShape(chordType)
+  const left = stackTones(rootPitch, leftTones, chordType, rootPitch - 13)
+  const right = stackTones(rootPitch, rightTones, chordType, left[left.length - 1])
+  return { left, right }
+}
+
+/**
+ * Triada superior de cada tipo (semitonos de su fundamental sobre la del acorde)
+ * - Dominantes: bVI (b13-R-#9) alterado, VI (13-b9-3) con b9, bIII (#9-5-b7) con #9, II (9-#11-13)
+ * - 7sus: bVII (b7-9-11) | Triada sus: IV (11-13-R) | Menor: bVII | m(maj7): V | m6: IV (11-13-R)
+ * - Mayor: V (5-7-9), II con #11 o sexta, III con #5 | Semidisminuido: bVI | Disminuido: II (escala tono-semitono)
+ * @returns {number|null} null si no hay triada superior (aumentado)
+ */
+function getUpperTriadRoot(chordType) {
+  const intervals = CHORD_TYPES[chordType]?.intervals || []
+  const has = interval => intervals.includes(interval)
+  const family = getTypeFamily(chordType)
+
+  if (isSusType(intervals)) return has(10) ? 10 : 5
+  if (isSixthType(intervals)) return has(3) ? 5 : 2
+  switch (family) {
+    case 'dom':
+      if (has(8) || has(20)) return 8
+      if (has(13)) return 9
+      if (has(15)) return 3
+      return 2
+    case 'min': return has(11) ? 7 : 10
+    case 'hdim': return 8
+    case 'dim': return 2
+    case 'maj':
+      if (has(8)) return 4
+      return has(18) ? 2 : 7
+    default: return null
+  }
+}
+
+/**
+ * Genera voicing Upper Structure: fundamental + tritono (3 y 7) y triada mayor encima
+ * @param {number} rootPitch - Nota fundamental MIDI
+ * @param {string} chordType - Tipo de acorde
+ * @returns {{left: number[], right: number[]}}
+ */
+export function upperStructureVoicing(rootPitch, chordType) {
+  const triadRoot = getUpperTriadRoot(chordType)
+  if (triadRoot === null) return blockVoicing(rootPitch, chordType)
+
+  const triad = [0, 4, 7].map(i => (rootPitch + triadRoot + i) % 12)
+  const leftTones = ['R', '3', '7'].filter(tone => {
+    const interval = resolveTone(tone, chordType)
+    return tone === 'R' || (interval !== null && !triad.includes((rootPitch + interval) % 12))
+  })
+  const left = stackTones(rootPitch, leftTones, chordType, rootPitch - 13)
+
+  // Triada en posicion cerrada por encima de la mano izquierda
+  let triadBase = left[left.length - 1] + 1
+  while (triadBase % 12 !== triad[0]) triadBase++
+  return { left, right: [triadBase, triadBase + 4, triadBase + 7] }
+}
+
+// Nota superior del spread por familia
+const SPREAD_TOP = { min: '11', hdim: '11', dim: null, aug: null }
+
+/**
+ * Genera voicing Spread (baladas): R-5-10 en la izquierda, 7-9-13/11 en la derecha
+ * @param {number} rootPitch - Nota fundamental MIDI
+ * @param {string} chordType - Tipo de acorde
+ * @returns {{left: number[], right: number[]}}
+ */
+export function spreadVoicing(rootPitch, chordType) {
+  const family = getTypeFamily(chordType)
+  const top = family in SPREAD_TOP ? SPREAD_TOP[family] : '13'
+  const left = stackTones(rootPitch, ['R', '5', '3'], chordType, rootPitch - 13)
+  const right = stackTones(rootPitch, ['7', '9', top].filter(Boolean), chordType, left[left.length - 1])
+  return { left, right }
+}
+
 /**
  * Obtiene el voicing segun el estilo seleccionado
  * @param {number} rootPitch - Nota fundamental MIDI
@@ -159,12 +372,21 @@ export function getVoicing(rootPitch, chordType, style = 'shell') {
       return shellVoicing(rootPitch, chordType)
     case 'drop2':
       return drop2Voicing(rootPitch, chordType)
+    case 'drop3':
+    case 'drop24':
+      return dropVoicing(rootPitch, chordType, style)
     case 'rootlessA':
       return rootlessA(rootPitch, chordType)
     case 'rootlessB':
       return rootlessB(rootPitch, chordType)
     case 'block':
       return blockVoicing(rootPitch, chordType)
+    case 'quartal':
+      return quartalVoicing(rootPitch, chordType)
+    case 'upperStructure':
+      return upperStructureVoicing(rootPitch, chordType)
+    case 'spread':
+      return spreadVoicing(rootPitch, chordType)
     default:
       return shellVoicing(rootPitch, chordType)
   }
@@ -197,5 +419,10 @@ export const VOICING_STYLES = [
   { id: 'drop2', name: 'Drop 2', description: 'Solo piano, guitarra' },
   { id: 'rootlessA', name: 'Rootless A', description: '3-5-7-9 (con bajista)' },
   { id: 'rootlessB', name: 'Rootless B', description: '7-9-3-5 (con bajista)' },
-  { id: 'block', name: 'Block', description: 'Acordes completos' }
+  { id: 'block', name: 'Block', description: 'Acordes completos' },
+  { id: 'drop3', name: 'Drop 3', description: 'Textura de guitarra' },
+  { id: 'drop24', name: 'Drop 2&4', description: 'Textura de guitarra abierta' },
+  { id: 'quartal', name: 'Cuartas', description: 'So What y cuartas (modal)' },
+  { id: 'upperStructure', name: 'Upper Structure', description: 'Triada sobre tritono (dominantes alterados)' },
+  { id: 'spread', name: 'Spread', description: 'Dos manos abiertas (baladas)' }
 ]
@@ -2,10 +2,12 @@
  * AudioExporter.js - Export audio using Tone.js Recorder
  *
  * Records the audio output and exports as WAV file.
- * Uses Tone.Recorder which captures from Tone.Destination.
+ * Uses Tone.Recorder which captures the instruments' mix bus (ToneSetup.getMixBus),
+ * so sources connected straight to Tone.Destination are heard but not recorded.
  */
 
 import * as Tone from 'tone'
+import { getMixBus } from '../audio/ToneSetup.js'
 
 // Recorder instance
 let recorder = null
@@ -19,7 +21,7 @@ export function initRecorder() {
   if (recorder) return recorder
 
   recorder = new Tone.Recorder()
-  Tone.Destination.connect(recorder)
+  getMixBus().connect(recorder)
 
   return recorder
 }
@@ -7,7 +7,9 @@
  * - iReal Pro (with minor adjustments)
  */
 
-import { JAZZ_DEGREES } from '../engine/JazzDegrees.js'
+import { resolveDegree, getDegreeRootPitch } from '../engine/DegreeRegistry.js'
+import { groupIntoBars, barToSlots } from '../engine/HarmonicRhythm.js'
+import { DEFAULT_METER, getMeterInfo } from '../engine/Meter.js'
 
 /**
  * Map RameauJazz chord types to Impro-Visor notation
@@ -15,25 +17,35 @@ import { JAZZ_DEGREES } from '../engine/JazzDegrees.js'
 const CHORD_TYPE_MAP = {
   'maj7': 'M7',
   'maj9': 'M9',
-  'maj6': 'M6',
+  '6': 'M6',
+  '6/9': 'M69',
+  'maj7#11': 'M7#11',
+  'maj7#5': 'M7#5',
   '7': '7',
   '9': '9',
   '13': '13',
   'm7': 'm7',
   'm9': 'm9',
   'm6': 'm6',
-  'mMaj7': 'mM7',
+  'm(maj7)': 'mM7',
   'm7b5': 'm7b5',
   'dim7': 'o7',
-  'aug7': '7#5',
+  '7#5': '7#5',
+  '7b9b13': '7b9b13',
   '7b9': '7b9',
   '7#9': '7#9',
   '7b13': '7b13',
   '7alt': '7alt',
   '7sus': '7sus4',
+  '7sus4': '7sus4',
+  '13sus': '13sus4',
+  'sus': 'sus4',
+  'sus4': 'sus4',
+  'sus2': 'sus2',
+  'aug': '+',
   '7#11': '7#11',
   '13b9': '13b9',
-  '7#5#9': '7#5#9',
+  '7#9#5': '7#5#9',
   '7b5': '7b5'
 }
 
@@ -63,20 +75,49 @@ const KEY_SIGNATURES = {
  * Convert a RameauJazz degree to Impro-Visor chord symbol
  */
 function degreeToChordSymbol(degree, key) {
-  const degreeInfo = JAZZ_DEGREES[degree]
+  const degreeInfo = resolveDegree(degree)
   if (!degreeInfo) return 'NC'
 
   // Calculate absolute root
-  const keyIndex = NOTE_NAMES.indexOf(key)
-  const rootIndex = (keyIndex + degreeInfo.root + 12) % 12
-  const rootName = NOTE_NAMES[rootIndex]
+  const rootName = NOTE_NAMES[getDegreeRootPitch(degree, key, 0) % 12]
 
   // Map chord type
-  const chordType = CHORD_TYPE_MAP[degreeInfo.type] || 'M7'
+  const chordType = CHORD_TYPE_MAP[degreeInfo.type] || degreeInfo.symbol
 
   return rootName + chordType
 }
 
+/**
+ * Format one bar as chord symbols separated by spaces.
+ * Beats that continue a previous chord are written as `continuation`
+ * (Impro-Visor: "Dm7 G7", "C / / G7", "/" = sigue el acorde anterior)
+ */
+function formatBar(bar, key, continuation = '/') {
+  return barToSlots(bar)
+    .map(slot => slot && slot.isChordStart
+      ? degreeToChordSymbol(slot.chord.degree, slot.chord.key || key)
+      : continuation)
+    .join(' ')
+}
+
+/**
+ * Impro-Visor rest spanning one bar (4/4 = "1", 3/4 = "2.", 5/4 = "1+4")
+ */
+function barRestDuration(meter) {
+  const durations = [[4, '1'], [3, '2.'], [2, '2'], [1.5, '4.'], [1, '4'], [0.5, '8']]
+  let quarters = meter.beats * 4 / meter.unit
+  const parts = []
+
+  for (const [length, symbol] of durations) {
+    while (quarters >= length) {
+      parts.push(symbol)
+      quarters -= length
+    }
+  }
+
+  return parts.join('+')
+}
+
 /**
  * Generate Impro-Visor leadsheet content
  */
@@ -84,12 +125,15 @@ export function generateLeadsheet(options) {
   const {
     progression,
     key = 'C',
+    meter = DEFAULT_METER,
     tempo = 120,
     title = 'RameauJazz Progression',
     composer = 'Generated',
     style = 'swing'
   } = options
 
+  const meterInfo = getMeterInfo(meter)
+
   // Header
   const keySig = KEY_SIGNATURES[key] || 0
   const styleMap = {
@@ -106,7 +150,7 @@ export function generateLeadsheet(options) {
 (show )
 (year ${new Date().getFullYear()})
 (comments Generated by RameauJazz Web)
-(meter 4 4)
+(meter ${meterInfo.beats} ${meterInfo.unit})
 (key ${keySig})
 (tempo ${tempo}.0)
 (volume 80)
@@ -141,19 +185,9 @@ export function generateLeadsheet(options) {
 
 `
 
-  // Generate chord bars
-  const bars = []
-  let currentKey = key
-
-  for (const chord of progression) {
-    // Update key if modulated
-    if (chord.key && chord.key !== currentKey) {
-      currentKey = chord.key
-    }
-
-    const symbol = degreeToChordSymbol(chord.degree, currentKey)
-    bars.push(symbol)
-  }
+  // Generate chord bars (a bar may hold several chords)
+  const measures = groupIntoBars(progression, meterInfo.beats)
+  const bars = measures.map(bar => formatBar(bar, key))
 
   // Format as 4 bars per line
   for (let i = 0; i < bars.length; i += 4) {
@@ -172,11 +206,11 @@ export function generateLeadsheet(options) {
     (key ${keySig})
     (stave treble)
 )
- r1`
+ r${barRestDuration(meterInfo)}`
 
   // Add rests for remaining measures
-  for (let i = 1; i < progression.length; i++) {
-    ls += '+1'
+  for (let i = 1; i < measures.length; i++) {
+    ls += '+' + barRestDuration(meterInfo)
   }
   ls += '\n'
 
@@ -204,7 +238,7 @@ export function exportLeadsheet(options) {
  * Format: Title=Comp=Style=Key=Chords
  */
 export function generateiRealPro(options) {
-  const { progression, key = 'C', title = 'RameauJazz', style = 'standard' } = options
+  const { progression, key = 'C', meter = DEFAULT_METER, title = 'RameauJazz', style = 'standard' } = options
 
   const styleMap = {
     'standard': 'Medium Swing',
@@ -214,14 +248,17 @@ export function generateiRealPro(options) {
     'ballad': 'Ballad'
   }
 
-  let currentKey = key
-  const chords = progression.map(chord => {
-    if (chord.key) currentKey = chord.key
-    return degreeToChordSymbol(chord.degree, currentKey)
-  })
+  // Chords within a bar separated by spaces; held bars repeat with 'x'
+  const bars = groupIntoBars(progression, getMeterInfo(meter).beats).map(bar =>
+    bar.some(segment => segment.isChordStart)
+      ? bar.filter(segment => segment.isChordStart)
+          .map(segment => degreeToChordSymbol(segment.chord.degree, segment.chord.key || key))
+          .join(' ')
+      : 'x'
+  )
 
   // iReal uses | for bar lines and spaces between chords
-  const chordStr = chords.join(' ')
+  const chordStr = bars.join('|')
 
   return `irealbook://${encodeURIComponent(title)}==${encodeURIComponent('Generated')}=${styleMap[style] || 'Medium Swing'}=${key}=n=${chordStr}`
 }
@@ -230,21 +267,19 @@ export function generateiRealPro(options) {
  * Generate plain text chord chart
  */
 export function generateChordChart(options) {
-  const { progression, key = 'C', tempo = 120, title = 'Progression' } = options
+  const { progression, key = 'C', meter = DEFAULT_METER, tempo = 120, title = 'Progression' } = options
+  const meterInfo = getMeterInfo(meter)
 
   let chart = `${title}\n`
-  chart += `Key: ${key} | Tempo: ${tempo} BPM\n`
+  chart += `Key: ${key} | ${meterInfo.id} | Tempo: ${tempo} BPM\n`
   chart += '─'.repeat(40) + '\n\n'
 
-  let currentKey = key
-  const bars = []
-
-  for (const chord of progression) {
-    if (chord.key) currentKey = chord.key
-    const symbol = degreeToChordSymbol(chord.degree, currentKey)
-    const keyMarker = chord.key && chord.key !== key ? ` [${chord.key}]` : ''
-    bars.push(symbol + keyMarker)
-  }
+  const bars = groupIntoBars(progression, meterInfo.beats).map(bar => {
+    const symbols = formatBar(bar, key)
+    const modulated = bar.find(segment => segment.isChordStart && segment.chord.key && segment.chord.key !== key)
+    const keyMarker = modulated ? ` [${modulated.chord.key}]` : ''
+    return symbols + keyMarker
+  })
 
   // Format as 4 bars per line
   for (let i = 0; i < bars.length; i += 4) {
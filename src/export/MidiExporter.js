@@ -2,85 +2,103 @@
  * MidiExporter.js - Export progressions to Standard MIDI File
  *
  * Generates professional multi-track MIDI:
- * - Track 1: Piano (chords)
- * - Track 2: Electric Bass (walking bass) - separate channel
- * - Track 3: Drums (jazz swing pattern)
+ * - Track 1: Piano (comping rhythm, see Comping.js)
+ * - Track 2: Acoustic Bass (bass feel, see BassLine.js) - separate channel
+ * - Track 3: Drums (groove with fills, see DrumGrooves.js)
+ *
+ * - Track 4: Click (count-in and metronome, see ClickTrack.js) - optional
+ *
+ * With an active arrangement (Arrangement.js) the whole performance is
+ * exported: intro, every chorus and the ending.
  */
 
 import MidiWriter from 'midi-writer-js'
-import { JAZZ_DEGREES } from '../engine/JazzDegrees.js'
-import { CHORD_TYPES } from '../engine/ChordTypes.js'
-import { getVoicing } from '../engine/Voicings.js'
+import { planVoicings, DEFAULT_VOICING_RANGE } from '../engine/VoiceLeading.js'
+import {
+  planComping,
+  isSwingComping,
+  DEFAULT_COMPING_STYLE,
+  DEFAULT_COMPING_DENSITY,
+  DEFAULT_COMPING_VARIATION
+} from '../engine/Comping.js'
+import { planBassLine, isSwingFeel, DEFAULT_BASS_FEEL } from '../engine/BassLine.js'
+import { planDrums, isSwingGroove, DEFAULT_DRUM_GROOVE } from '../engine/DrumGrooves.js'
+import { DEFAULT_METER, getMeterInfo } from '../engine/Meter.js'
+import { humanize as humanizeEvents, getSwingDelay, DEFAULT_HUMANIZE } from '../engine/Humanize.js'
+import { planArrangement } from '../engine/Arrangement.js'
+import { getTradePhraseBars } from '../engine/Trading.js'
+import { planClicks, planCountIn } from '../engine/ClickTrack.js'
+import { groupIntoBars } from '../engine/HarmonicRhythm.js'
 
 /**
- * Key pitch offsets (C = 0)
+ * MIDI ticks per quarter note (midi-writer-js default)
  */
-const KEY_PITCHES = {
-  'C': 0, 'Db': 1, 'D': 2, 'Eb': 3, 'E': 4, 'F': 5,
-  'Gb': 6, 'G': 7, 'Ab': 8, 'A': 9, 'Bb': 10, 'B': 11
-}
+const TICKS_PER_QUARTER = 128
 
 /**
- * GM Drum notes (channel 10)
+ * GM Drum notes (channel 10) for each DrumGrooves voice
+ * Brush sweeps have no GM note and are left out
  */
 const DRUM = {
   kick: 36,
-  hihatPedal: 44,
-  rideCymbal: 51
+  rim: 37,
+  snare: 38,
+  hihatClosed: 42,
+  hihat: 44,
+  tomLow: 45,
+  tomHigh: 50,
+  crash: 49,
+  ride: 51
 }
 
 /**
- * Calculates root pitch for a degree in a key
+ * GM wood blocks for the click track: accents high, the rest low.
+ * The spoken count-in has no GM sound and is exported as clicks
  */
-function getRootPitch(degree, key, baseOctave = 60) {
-  const degreeInfo = JAZZ_DEGREES[degree]
-  const keyOffset = KEY_PITCHES[key] || 0
-  const root = degreeInfo?.root || 0
-  return baseOctave + keyOffset + root
+const CLICK = {
+  accent: 76,
+  group: 76,
+  beat: 77,
+  sub: 77
 }
 
 /**
- * Generates walking bass line for a measure
+ * Tick where a planned event starts: swung offbeats are delayed by the same
+ * amount as in playback (Humanize.getSwingDelay), then the humanization
+ * offset (seconds, see Humanize.js) is added.
+ * Arrangement events carry their own `swing` flag, which wins over the track's.
+ * `leadIn` shifts the band after the count-in (beats)
  */
-function generateBassLine(currentChord, nextChord, key) {
-  const chordKey = currentChord.key || key
-  const nextChordKey = nextChord?.key || key
-
-  const rootPitch = getRootPitch(currentChord.degree, chordKey, 36) // E1-G3 range
-  const nextRootPitch = nextChord
-    ? getRootPitch(nextChord.degree, nextChordKey, 36)
-    : rootPitch
-
-  const chordType = JAZZ_DEGREES[currentChord.degree]?.type || 'maj7'
-  const intervals = CHORD_TYPES[chordType]?.intervals || [0, 4, 7]
-
-  const third = intervals.find(i => i === 3 || i === 4) || 4
-  const fifth = intervals.find(i => i === 6 || i === 7 || i === 8) || 7
-
-  // Beat 1: Root
-  const beat1 = rootPitch
-
-  // Beat 2: Passing tone
-  const rand2 = Math.random()
-  const beat2 = rand2 < 0.5 ? rootPitch + 2 : rootPitch + third
-
-  // Beat 3: Chord tone (5th or 3rd)
-  const beat3 = Math.random() < 0.6 ? rootPitch + fifth : rootPitch + third
-
-  // Beat 4: Chromatic approach
-  const beat4 = nextRootPitch + (Math.random() < 0.5 ? 1 : -1)
-
-  return [beat1, beat2, beat3, beat4]
+function getStartTick(event, { swing, swingDelay, ticksPerBeat, beatsPerSecond, leadIn = 0 }) {
+  const offbeat = Math.abs(event.start % 1 - 0.5) < 0.01
+  const swung = (event.swing ?? swing) && offbeat
+  const beat = leadIn + (swung ? event.start + swingDelay : event.start) + (event.offset || 0) * beatsPerSecond
+  return Math.max(0, Math.round(beat * ticksPerBeat))
 }
 
 /**
  * Main export function
+ * `loop` matches AudioEngine.loopEnabled: the last bar of the bass line and
+ * drums leads back to the first, as in the first playback pass
  */
 export function exportToMidi({
   progression,
   key = 'C',
+  meter = DEFAULT_METER,
   tempo = 120,
+  swingAmount = 0.3,
   voicingStyle = 'shell',
+  voicingRange = DEFAULT_VOICING_RANGE,
+  compingStyle = DEFAULT_COMPING_STYLE,
+  compingDensity = DEFAULT_COMPING_DENSITY,
+  compingVariation = DEFAULT_COMPING_VARIATION,
+  bassFeel = DEFAULT_BASS_FEEL,
+  drumGroove = DEFAULT_DRUM_GROOVE,
+  humanize = DEFAULT_HUMANIZE,
+  arrangement = null,
+  metronome = null,
+  trading = null,
+  loop = true,
   includeBass = true,
   includeDrums = false,
   filename = 'RameauJazz'
@@ -90,44 +108,59 @@ export function exportToMidi({
   }
 
   const tracks = []
+  const meterInfo = getMeterInfo(meter)
+  const TICKS_PER_BEAT = TICKS_PER_QUARTER * 4 / meterInfo.unit
+  // Same humanized events as playback (pass 0); tempo is in quarter notes
+  const feel = { amount: humanize, meter }
+  // Count-in and click only when the metronome asks to be exported
+  const click = metronome?.includeInExport ? metronome : null
+  const countInBars = click ? click.countIn : 0
+  const timing = {
+    ticksPerBeat: TICKS_PER_BEAT,
+    beatsPerSecond: tempo / 60 * meterInfo.unit / 4,
+    swingDelay: getSwingDelay(swingAmount, meter),
+    leadIn: countInBars * meterInfo.beats
+  }
+  // Full performance planned exactly as playback does (AudioEngine.planPerformance)
+  const performance = arrangement?.enabled
+    ? planArrangement(progression, arrangement, {
+      meter, key, voicingStyle, voicingRange, compingStyle, compingDensity, compingVariation, bassFeel, drumGroove, humanize,
+      tradeBars: getTradePhraseBars(trading)
+    })
+    : null
 
   // ============================================
   // Track 1: Piano (channel 1)
-  // Only mid-high register (C4-C6) to not overlap with bass
+  // Same planned voicings (VoiceLeading) and comping hits as the first
+  // playback pass; swung offbeats are delayed by the playback swing amount
   // ============================================
   const pianoTrack = new MidiWriter.Track()
   pianoTrack.addTrackName('Piano')
   pianoTrack.setTempo(tempo)
-  pianoTrack.setTimeSignature(4, 4)
+  pianoTrack.setTimeSignature(meterInfo.beats, meterInfo.unit)
   pianoTrack.addEvent(new MidiWriter.ProgramChangeEvent({ instrument: 1, channel: 1 }))
 
-  progression.forEach((chord) => {
-    const degreeInfo = JAZZ_DEGREES[chord.degree]
-    if (!degreeInfo) {
-      pianoTrack.addEvent(new MidiWriter.NoteEvent({
-        pitch: [60],
-        duration: '1',
-        velocity: 0,
-        channel: 1
-      }))
-      return
-    }
-
-    const chordKey = chord.key || key
-    const rootPitch = getRootPitch(chord.degree, chordKey, 60) // C4 base
-    const voicing = getVoicing(rootPitch, degreeInfo.type, voicingStyle)
-
-    // Combine hands but keep only notes above bass range (>= C3 = 48)
-    // Move low notes up an octave to avoid overlap with bass
-    const allNotes = [...voicing.left, ...voicing.right]
-      .map(note => note < 48 ? note + 12 : note) // Move notes below C3 up an octave
-      .filter((note, index, arr) => arr.indexOf(note) === index) // Remove duplicates
+  const comping = performance
+    ? performance.comping
+    : humanizeEvents(planComping(progression, planVoicings(progression, { style: voicingStyle, range: voicingRange, key }), {
+      style: compingStyle,
+      density: compingDensity,
+      variation: compingVariation,
+      meter
+    }), 'piano', feel)
+  const swingOffbeats = isSwingComping(compingStyle)
+
+  comping.forEach(event => {
+    // Combine hands
+    const allNotes = [...event.left, ...event.right]
+      .filter((note, i, arr) => arr.indexOf(note) === i) // Remove duplicates
 
     pianoTrack.addEvent(new MidiWriter.NoteEvent({
       pitch: allNotes,
-      duration: '1',
-      velocity: 75,
-      channel: 1
+      duration: 'T' + Math.max(1, Math.round(event.duration * TICKS_PER_BEAT)),
+      velocity: Math.round(event.velocity * 100),
+      channel: 1,
+      startTick: getStartTick(event, { ...timing, swing: swingOffbeats })
     }))
   })
 
@@ -136,6 +169,7 @@ export function exportToMidi({
   // ============================================
   // Track 2: Acoustic Bass (channel 2)
   // GM 33 = Acoustic Bass, range E1-G3 (MIDI 28-55)
+  // Same planned line (BassLine) as the first playback pass
   // ============================================
   if (includeBass) {
     const bassTrack = new MidiWriter.Track()
@@ -143,23 +177,19 @@ export function exportToMidi({
     // GM instrument 33 = Acoustic Bass (more distinctive sound)
     bassTrack.addEvent(new MidiWriter.ProgramChangeEvent({ instrument: 33, channel: 2 }))
 
-    progression.forEach((chord, measureIndex) => {
-      const nextChord = progression[(measureIndex + 1) % progression.length]
-      const bassLine = generateBassLine(chord, nextChord, key)
-
-      bassLine.forEach((pitch, beatIndex) => {
-        // Ensure bass is in proper low range (E1-E3)
-        let bassPitch = pitch
-        while (bassPitch > 52) bassPitch -= 12 // Keep below E3
-        while (bassPitch < 28) bassPitch += 12 // Keep above E1
-
-        bassTrack.addEvent(new MidiWriter.NoteEvent({
-          pitch: [bassPitch],
-          duration: '4',
-          velocity: beatIndex === 0 ? 100 : 85,
-          channel: 2
-        }))
-      })
+    const bassLine = performance
+      ? performance.bass
+      : humanizeEvents(planBassLine(progression, { feel: bassFeel, meter, key, loop }), 'bass', feel)
+    const swingBass = isSwingFeel(bassFeel)
+
+    bassLine.forEach(note => {
+      bassTrack.addEvent(new MidiWriter.NoteEvent({
+        pitch: [note.pitch],
+        duration: 'T' + Math.max(1, Math.round(note.duration * TICKS_PER_BEAT)),
+        velocity: Math.round(note.velocity * 100),
+        channel: 2,
+        startTick: getStartTick(note, { ...timing, swing: swingBass })
+      }))
     })
 
     tracks.push(bassTrack)
@@ -167,54 +197,60 @@ export function exportToMidi({
 
   // ============================================
   // Track 3: Drums (channel 10)
-  // Jazz swing pattern with triplets using startTick
-  // 128 ticks per quarter note
-  // Swing = play on beat and on last third (tick 85 of each beat)
+  // Same planned groove (DrumGrooves) as the first playback pass: fills
+  // before each form section (and each trade when trading with the AI
+  // soloist) and crashes on section downbeats
   // ============================================
   if (includeDrums) {
     const drumTrack = new MidiWriter.Track()
     drumTrack.addTrackName('Drums')
 
-    const TICKS_PER_BEAT = 128
-    const TICKS_PER_MEASURE = TICKS_PER_BEAT * 4
-    const TRIPLET_OFFSET = Math.round(TICKS_PER_BEAT * 2 / 3) // 85 ticks
-
-    progression.forEach((_, measureIndex) => {
-      const measureStart = measureIndex * TICKS_PER_MEASURE
-
-      // Jazz swing pattern: ride on each beat + triplet skip beat
-      // Hi-hat pedal on 2 and 4
-      for (let beat = 0; beat < 4; beat++) {
-        const beatTick = measureStart + (beat * TICKS_PER_BEAT)
-        const isBackbeat = (beat === 1 || beat === 3) // 2 and 4
-
-        // Main beat - Ride (+ hihat on 2 and 4)
-        const mainPitches = isBackbeat
-          ? [DRUM.rideCymbal, DRUM.hihatPedal]
-          : [DRUM.rideCymbal]
-
-        drumTrack.addEvent(new MidiWriter.NoteEvent({
-          pitch: mainPitches,
-          duration: 'T32',
-          velocity: beat === 0 ? 95 : (beat === 2 ? 85 : 75),
-          channel: 10,
-          startTick: beatTick
-        }))
-
-        // Triplet skip beat - Ride only (softer)
-        drumTrack.addEvent(new MidiWriter.NoteEvent({
-          pitch: [DRUM.rideCymbal],
-          duration: 'T32',
-          velocity: 55,
-          channel: 10,
-          startTick: beatTick + TRIPLET_OFFSET
-        }))
-      }
+    const hits = performance
+      ? performance.drums
+      : humanizeEvents(planDrums(progression, { groove: drumGroove, meter, loop, phraseBars: getTradePhraseBars(trading) }), 'drums', feel)
+    const swingDrums = isSwingGroove(drumGroove)
+
+    hits.filter(h => DRUM[h.voice]).forEach(h => {
+      drumTrack.addEvent(new MidiWriter.NoteEvent({
+        pitch: [DRUM[h.voice]],
+        duration: 'T32',
+        velocity: Math.round(h.velocity * 100),
+        channel: 10,
+        startTick: getStartTick(h, { ...timing, swing: swingDrums })
+      }))
     })
 
     tracks.push(drumTrack)
   }
 
+  // ============================================
+  // Track 4: Click (channel 10)
+  // Count-in before bar 1, then the metronome over the loop pass or the
+  // whole arrangement (same clicks as playback)
+  // ============================================
+  if (click) {
+    const clickTrack = new MidiWriter.Track()
+    clickTrack.addTrackName('Click')
+
+    const bars = performance ? performance.bars : groupIntoBars(progression, meterInfo.beats)
+    const clicks = [
+      ...planCountIn(countInBars, { meter }),
+      ...(click.enabled ? planClicks(bars, click, { meter }).map(c => ({ ...c, start: c.start + timing.leadIn })) : [])
+    ]
+
+    clicks.forEach(c => {
+      clickTrack.addEvent(new MidiWriter.NoteEvent({
+        pitch: [CLICK[c.level]],
+        duration: 'T16',
+        velocity: Math.round(c.velocity * 100),
+        channel: 10,
+        startTick: Math.round(c.start * TICKS_PER_BEAT)
+      }))
+    })
+
+    tracks.push(clickTrack)
+  }
+
   // Generate MIDI file
   const write = new MidiWriter.Writer(tracks)
   const midiData = write.buildFile()
@@ -244,9 +280,9 @@ export function downloadMidi(options) {
 /**
  * Generate filename from progression info
  */
-export function generateFilename(key, numChords, style = 'jazz') {
+export function generateFilename(key, numBars, style = 'jazz') {
   const timestamp = new Date().toISOString().slice(0, 10)
-  return `RameauJazz_${key}_${numChords}bars_${style}_${timestamp}`
+  return `RameauJazz_${key}_${numBars}bars_${style}_${timestamp}`
 }
 
 export default {
@@ -6,9 +6,14 @@
  * - Chord symbols above staff
  * - Slash notation for rhythm
  * - Professional layout like the original Real Book
+ * - Optional functional analysis under the staff (ii-V brackets, resolution arrows)
  */
 
 import { jsPDF } from 'jspdf'
+import { groupIntoBars, getTotalBars } from '../engine/HarmonicRhythm.js'
+import { DEFAULT_METER, getMeterInfo } from '../engine/Meter.js'
+import { analyzeHarmony } from '../engine/HarmonicAnalysis.js'
+import { resolveDegree, getDegreeRootPitch } from '../engine/DegreeRegistry.js'
 
 // Page dimensions (Letter size in mm)
 const PAGE = {
@@ -41,10 +46,13 @@ export function exportToPdf({
   progression,
   title = 'Untitled',
   key = 'C',
+  mode = 'major',
+  meter = DEFAULT_METER,
   tempo = 120,
   style = 'Swing',
   composer = 'RameauJazz',
-  barsPerLine = 4
+  barsPerLine = 4,
+  analysis = false
 }) {
   if (!progression || progression.length === 0) {
     throw new Error('No progression to export')
@@ -65,13 +73,17 @@ export function exportToPdf({
   const contentWidth = PAGE.width - PAGE.marginLeft - PAGE.marginRight
   const barWidth = (contentWidth - STAFF.clefWidth) / barsPerLine
 
-  // Draw systems
-  y = drawAllSystems(doc, progression, {
+  // Draw systems (one entry per bar, each with 1+ chord segments)
+  const meterInfo = getMeterInfo(meter)
+  const bars = groupIntoBars(progression, meterInfo.beats)
+  y = drawAllSystems(doc, bars, {
     startY: y,
     contentWidth,
     barWidth,
     barsPerLine,
-    key
+    key,
+    meter: meterInfo,
+    analysis: analysis ? analyzeHarmony(progression, { key, mode, beatsPerBar: meterInfo.beats }) : null
   })
 
   // Draw footer
@@ -115,10 +127,10 @@ function drawHeader(doc, { title, style, composer, tempo }, startY) {
 /**
  * Draw all systems (lines of music)
  */
-function drawAllSystems(doc, progression, { startY, contentWidth, barWidth, barsPerLine, key }) {
+function drawAllSystems(doc, bars, { startY, contentWidth, barWidth, barsPerLine, key, meter, analysis }) {
   let y = startY
   let measureIndex = 0
-  const totalMeasures = progression.length
+  const totalMeasures = bars.length
   let isFirstSystem = true
 
   while (measureIndex < totalMeasures) {
@@ -133,14 +145,17 @@ function drawAllSystems(doc, progression, { startY, contentWidth, barWidth, bars
     const isLastSystem = measureIndex + measuresInLine >= totalMeasures
 
     // Draw one system
-    drawSystem(doc, progression, {
+    drawSystem(doc, bars, {
       startMeasure: measureIndex,
       numMeasures: measuresInLine,
       x: PAGE.marginLeft,
       y: y,
       barWidth,
       key,
+      meter,
+      analysis,
       isFirstSystem,
+      showTimeSignature: measureIndex === 0,
       isLastSystem
     })
 
@@ -155,8 +170,9 @@ function drawAllSystems(doc, progression, { startY, contentWidth, barWidth, bars
 /**
  * Draw a single system (one line of music)
  */
-function drawSystem(doc, progression, { startMeasure, numMeasures, x, y, barWidth, key, isFirstSystem, isLastSystem }) {
+function drawSystem(doc, bars, { startMeasure, numMeasures, x, y, barWidth, key, meter, analysis, isFirstSystem, showTimeSignature, isLastSystem }) {
   let currentX = x + STAFF.clefWidth
+  const chordPositions = {} // Chord index -> x (for the analysis overlay)
 
   // Draw staff lines
   const staffWidth = numMeasures * barWidth
@@ -165,23 +181,37 @@ function drawSystem(doc, progression, { startMeasure, numMeasures, x, y, barWidt
   // Draw initial bar line
   drawBarLine(doc, currentX, y, false)
 
+  // Time signature at the start of the chart (before the first bar line)
+  if (showTimeSignature) {
+    drawTimeSignature(doc, currentX - 3.5, y, meter)
+  }
+
   // Draw each measure
   for (let i = 0; i < numMeasures; i++) {
     const measureX = currentX + (i * barWidth)
-    const chord = progression[startMeasure + i]
+    const bar = bars[startMeasure + i]
     const isLastMeasure = isLastSystem && i === numMeasures - 1
 
-    // Draw chord symbol above staff
-    drawChordSymbol(doc, chord, measureX + 3, y - 3, key)
+    // Draw chord symbols above staff (only where a chord starts)
+    bar.forEach(segment => {
+      if (!segment.isChordStart) return
+      const offset = (segment.beat / meter.beats) * (barWidth - 6)
+      chordPositions[segment.index] = measureX + 3 + offset
+      drawChordSymbol(doc, segment.chord, measureX + 3 + offset, y - 3, key)
+    })
 
     // Draw slash notation
-    drawSlashNotation(doc, measureX, y, barWidth)
+    drawSlashNotation(doc, measureX, y, barWidth, meter)
 
     // Draw bar line at end of measure
     const barLineX = measureX + barWidth
     drawBarLine(doc, barLineX, y, isLastMeasure)
   }
 
+  if (analysis) {
+    drawAnalysis(doc, analysis, chordPositions, y, currentX + staffWidth)
+  }
+
   // Draw measure number at start of line
   doc.setFontSize(8)
   doc.setFont('helvetica', 'normal')
@@ -191,6 +221,68 @@ function drawSystem(doc, progression, { startMeasure, numMeasures, x, y, barWidt
 }
 
 
+/**
+ * Draw the functional analysis of one system
+ * - Local key at the start of each key area (above the chord symbols)
+ * - ii-V brackets and resolution arrows under the staff (dashed: tritone sub
+ *   or unresolved ii-V); they run to the end of the line if the target is on the next one
+ * - Function labels (V7/ii, subV7, pass...) under the brackets
+ */
+function drawAnalysis(doc, analysis, chordPositions, y, systemEndX) {
+  const bracketY = y + STAFF.height + 3
+  const arrowY = y + STAFF.height + 5
+  const labelY = y + STAFF.height + 9
+  const showKeyAreas = analysis.keyAreas.length > 1
+
+  doc.setDrawColor(GRAY)
+  doc.setTextColor(GRAY)
+  doc.setLineWidth(0.2)
+
+  for (const [indexKey, x] of Object.entries(chordPositions)) {
+    const index = Number(indexKey)
+
+    const area = analysis.keyAreas.find(a => a.start === index)
+    if (area && showKeyAreas) {
+      doc.setFontSize(8)
+      doc.setFont('helvetica', 'italic')
+      doc.text(`${area.key}${area.mode === 'minor' ? 'm' : ''}:`, x, y - 8)
+    }
+
+    const bracket = analysis.brackets.find(b => b.start === index)
+    if (bracket) {
+      const endX = (chordPositions[bracket.end] ?? systemEndX - 4) + 6
+      if (bracket.type === 'ii-V') doc.setLineDashPattern([1, 1], 0)
+      doc.line(x, bracketY - 1.5, x, bracketY)
+      doc.line(x, bracketY, endX, bracketY)
+      doc.line(endX, bracketY, endX, bracketY - 1.5)
+      doc.setLineDashPattern([], 0)
+    }
+
+    const arrow = analysis.arrows.find(a => a.from === index)
+    if (arrow) {
+      const fromX = x + 4
+      const toX = (chordPositions[arrow.to] ?? systemEndX) - 1
+      if (toX > fromX) {
+        if (arrow.type === 'tritone') doc.setLineDashPattern([1, 1], 0)
+        doc.line(fromX, arrowY, toX, arrowY)
+        doc.setLineDashPattern([], 0)
+        doc.line(toX, arrowY, toX - 1.2, arrowY - 0.8)
+        doc.line(toX, arrowY, toX - 1.2, arrowY + 0.8)
+      }
+    }
+
+    const label = analysis.chords[index]?.label
+    if (label) {
+      doc.setFontSize(7)
+      doc.setFont('helvetica', 'normal')
+      doc.text(label, x, labelY)
+    }
+  }
+
+  doc.setTextColor(INK)
+  doc.setDrawColor(INK)
+}
+
 /**
  * Draw 5 staff lines
  */
@@ -235,10 +327,22 @@ function drawChordSymbol(doc, chord, x, y, globalKey) {
 }
 
 /**
- * Draw slash notation (4 quarter note slashes)
+ * Draw time signature (stacked numbers on the staff)
  */
-function drawSlashNotation(doc, x, y, barWidth) {
-  const slashSpacing = (barWidth - 6) / 4
+function drawTimeSignature(doc, x, y, meter) {
+  doc.setFontSize(10)
+  doc.setFont('helvetica', 'bold')
+  doc.setTextColor(INK)
+  doc.text(`${meter.beats}`, x, y + STAFF.height / 2 - 0.5)
+  doc.text(`${meter.unit}`, x, y + STAFF.height - 0.3)
+}
+
+/**
+ * Draw slash notation (one slash per beat; compound meters: one per dotted quarter)
+ */
+function drawSlashNotation(doc, x, y, barWidth, meter) {
+  const numSlashes = meter.compound ? meter.groups.length : meter.beats
+  const slashSpacing = (barWidth - 6) / numSlashes
   const slashWidth = 3
   const slashHeight = STAFF.lineSpacing * 1.5
 
@@ -248,7 +352,7 @@ function drawSlashNotation(doc, x, y, barWidth) {
   // Center slashes in middle of staff
   const centerY = y + STAFF.height / 2
 
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < numSlashes; i++) {
     const slashX = x + 4 + (i * slashSpacing)
 
     // Draw diagonal slash
@@ -268,44 +372,14 @@ function drawSlashNotation(doc, x, y, barWidth) {
  */
 function degreeToChordSymbol(degree, key) {
   const notes = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B']
-  const keyIndex = notes.indexOf(key) || 0
 
-  // Parse degree
-  const degreeRoots = {
-    'I': 0, 'bII': 1, 'II': 2, 'bIII': 3, 'III': 4, 'IV': 5,
-    '#IV': 6, 'bV': 6, 'V': 7, 'bVI': 8, 'VI': 9, 'bVII': 10, 'VII': 11
-  }
+  const degreeInfo = resolveDegree(degree)
+  if (!degreeInfo) return degree
+
+  const rootNote = notes[getDegreeRootPitch(degree, key, 0) % 12]
 
-  // Extract root and quality from degree
-  const match = degree.match(/^(b|#)?(I{1,3}|IV|V|VI{0,2})(.*?)(?:\/.*)?$/)
-
-  if (!match) return degree
-
-  const accidental = match[1] || ''
-  const roman = match[2]
-  let quality = match[3] || ''
-
-  const rootDegree = accidental + roman
-  const rootOffset = degreeRoots[rootDegree] ?? 0
-  const noteIndex = (keyIndex + rootOffset) % 12
-  const rootNote = notes[noteIndex]
-
-  // Format quality - use ASCII only for PDF compatibility
-  quality = quality
-    .replace('maj7', 'maj7')
-    .replace('m7b5', 'm7b5')
-    .replace('m7', 'm7')
-    .replace('m6', 'm6')
-    .replace('m9', 'm9')
-    .replace('dim7', 'dim7')
-    .replace('7alt', '7alt')
-    .replace('7b13', '7b13')
-    .replace('7b9', '7b9')
-    .replace('7#9', '7#9')
-    .replace('7#11', '7#11')
-    .replace('7sus4', '7sus')
-
-  return rootNote + quality
+  // CHORD_TYPES symbols are ASCII (PDF core fonts)
+  return rootNote + degreeInfo.symbol
 }
 
 /**
@@ -332,7 +406,8 @@ function drawFooter(doc) {
  */
 export function downloadPdf(options) {
   const doc = exportToPdf(options)
-  const filename = options.filename || generatePdfFilename(options.key, options.progression.length)
+  const beatsPerBar = getMeterInfo(options.meter || DEFAULT_METER).beats
+  const filename = options.filename || generatePdfFilename(options.key, getTotalBars(options.progression, beatsPerBar))
   doc.save(`${filename}.pdf`)
 }
 
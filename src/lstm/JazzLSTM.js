@@ -6,6 +6,9 @@
  */
 
 import * as tf from '@tensorflow/tfjs'
+import { getRandom } from '../engine/Random.js'
+
+const random = getRandom('solo')
 
 // Constants matching Impro-Visor's encoding
 const HIDDEN_SIZE = 300
@@ -202,8 +205,8 @@ export class JazzSoloGenerator {
       const logits = tf.log(probs.add(1e-10)).div(temperature)
       const scaled = tf.softmax(logits)
 
-      // Sample
-      const sample = tf.multinomial(scaled.reshape([1, -1]), 1)
+      // Sample (seeded from the solo stream so the same seed gives the same solo)
+      const sample = tf.multinomial(scaled.reshape([1, -1]), 1, Math.floor(random() * 2147483647))
       return sample.dataSync()[0]
     })
   }
@@ -6,8 +6,14 @@
  */
 
 import * as Tone from 'tone'
-import { JAZZ_DEGREES } from '../engine/JazzDegrees.js'
+import { getMixBus } from '../audio/ToneSetup.js'
+import { resolveDegree, getDegreeRootPitch, getTypePitchClasses } from '../engine/DegreeRegistry.js'
+import { getChordTimeline, getTotalBars } from '../engine/HarmonicRhythm.js'
+import { DEFAULT_METER, getMeterInfo } from '../engine/Meter.js'
 import licksData from './licks.json'
+import { getRandom, reseed } from '../engine/Random.js'
+
+const random = getRandom('solo')
 
 const NOTE_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B']
 
@@ -80,7 +86,7 @@ export class LickEngine {
     this.vibrato = new Tone.Vibrato({ frequency: 4, depth: 0.05 })
     const reverb = new Tone.Reverb({ decay: 1.2, wet: 0.15 })
 
-    this.synth.chain(this.vibrato, reverb, Tone.Destination)
+    this.synth.chain(this.vibrato, reverb, getMixBus())
     this.synth.volume.value = -6
   }
 
@@ -89,8 +95,7 @@ export class LickEngine {
    */
   detectContext(progression, startIdx) {
     const chord = progression[startIdx]
-    const degreeInfo = JAZZ_DEGREES[chord.degree] || {}
-    const chordType = degreeInfo.type || 'm7'
+    const chordType = resolveDegree(chord.degree)?.type || 'm7'
 
     // Check for ii-V-I pattern
     if (startIdx + 2 < progression.length) {
@@ -116,7 +121,9 @@ export class LickEngine {
    * Get chord tones for a given chord type
    */
   getChordTones(chordType) {
-    return CHORD_TONES[chordType] || CHORD_TONES['m7']
+    if (CHORD_TONES[chordType]) return CHORD_TONES[chordType]
+    const tones = getTypePitchClasses(chordType)
+    return tones.length > 0 ? tones : CHORD_TONES['m7']
   }
 
   /**
@@ -151,7 +158,7 @@ export class LickEngine {
 
     // Score each lick
     const scored = pool.map(lick => {
-      let score = Math.random() * 0.3  // Base randomness
+      let score = random() * 0.3  // Base randomness
 
       const firstNote = lick.notes[0]
       const lastNote = lick.notes[lick.notes.length - 1]
@@ -185,7 +192,7 @@ export class LickEngine {
 
     // Pick from top candidates with some randomness
     const topN = Math.min(5, scored.length)
-    const idx = Math.floor(Math.random() * topN)
+    const idx = Math.floor(random() * topN)
     return scored[idx].lick
   }
 
@@ -202,62 +209,113 @@ export class LickEngine {
 
   /**
    * Generate solo over a progression
+   * Licks start on barlines; the lick and each of its notes follow the chord
+   * sounding at that step (two chords in a bar are both heard).
+   * stepsPerBeat is per quarter note; bar length follows the meter.
+   * With `windows` (trading, see engine/Trading.js) only those bars are played:
+   * each phrase starts on the window's downbeat and resolves before its last barline.
+   * @param {object} options
+   * @param {Array<{start, end}>|null} options.windows - Bar ranges to solo in (end exclusive)
    */
-  async generate(progression, stepsPerBeat = 2, temperature = 1.0) {
-    console.log(`Generating lick-based solo over ${progression.length} bars...`)
+  async generate(chordProgression, stepsPerBeat = 2, temperature = 1.0, meter = DEFAULT_METER, { windows = null } = {}) {
+    const { beats, unit } = getMeterInfo(meter)
+    const timeline = getChordTimeline(chordProgression, beats)
+    const totalBars = getTotalBars(chordProgression, beats)
+    const stepsPerBar = Math.round(beats * 4 / unit * stepsPerBeat)
+    // Timeline entry sounding at a step (steps per meter beat = stepsPerBar / beats)
+    const chordAt = step => {
+      const beat = step * beats / stepsPerBar
+      return timeline.find(entry => beat < entry.startBeat + entry.duration) ?? timeline[timeline.length - 1]
+    }
+    console.log(`Generating lick-based solo over ${totalBars} bars...`)
+    reseed('solo')  // Same seed, same solo
 
     const melody = []
-    let timestep = 0
-    let measureIdx = 0
     let lastNoteMidi = null  // Track last note for smooth connections
 
-    while (measureIdx < progression.length) {
-      const chord = progression[measureIdx]
-      const degreeInfo = JAZZ_DEGREES[chord.degree] || { type: 'm7', root: 0 }
+    for (const span of windows || [{ start: 0, end: totalBars }]) {
+      const end = Math.min(span.end, totalBars)
+      const limit = end * stepsPerBar
+      const phraseStart = melody.length
+      lastNoteMidi = this.generatePhrase(melody, chordProgression, chordAt, {
+        measureIdx: span.start,
+        timestep: span.start * stepsPerBar,
+        end,
+        limit,
+        stepsPerBar,
+        stepsPerBeat,
+        lastNoteMidi,
+        traded: !!windows
+      })
+      if (windows) this.closePhrase(melody, phraseStart, chordAt, stepsPerBar, stepsPerBeat, limit)
+    }
+
+    console.log(`Generated ${melody.length} events from licks`)
+    return melody
+  }
+
+  /**
+   * Fill bars [measureIdx, end) with licks (appends to melody)
+   * Traded phrases enter on the downbeat and are cut at `limit` (steps)
+   * @param {Array} progression - The chords
+   * @param {function(number): object} chordAt - Timeline entry sounding at a step
+   * @returns {number|null} Last MIDI note played
+   */
+  generatePhrase(melody, progression, chordAt, { measureIdx, timestep, end, limit, stepsPerBar, stepsPerBeat, lastNoteMidi, traded }) {
+    let firstLick = true
+
+    while (measureIdx < end) {
+      const { chord, index } = chordAt(timestep)
+      const degreeInfo = resolveDegree(chord.degree) || { type: 'm7', root: 0 }
       const chordType = degreeInfo.type
       const chordRootPC = ((KEY_TO_SEMITONE[chord.key] || 0) + degreeInfo.root + 12) % 12
 
-      const context = this.detectContext(progression, measureIdx)
+      const context = this.detectContext(progression, index)
 
       // Select a lick with intelligent scoring
-      const targetLength = 8 + Math.floor(Math.random() * 10)  // 8-18 notes
+      const targetLength = 8 + Math.floor(random() * 10)  // 8-18 notes
       const lick = this.selectLick(context, chordType, chordRootPC, lastNoteMidi, targetLength)
 
       if (!lick) {
         measureIdx++
-        timestep += 4 * stepsPerBeat
+        timestep += stepsPerBar
         continue
       }
 
       // Transpose to current key
       const notes = this.transposeLick(lick, chord.key)
 
-      // Add variation: slight rhythmic shift
-      const startOffset = Math.random() < 0.3 ? 1 : 0
+      // Add variation: slight rhythmic shift (a traded phrase enters on the downbeat)
+      const shifted = random() < 0.3
+      const startOffset = shifted && !(traded && firstLick) ? 1 : 0
+      firstLick = false
 
       // Schedule each note
       let noteTime = timestep + startOffset
       for (const note of notes) {
-        const durationSteps = Math.round(note.dur * stepsPerBeat)
-        const currentMeasure = Math.floor(noteTime / (4 * stepsPerBeat))
+        if (noteTime >= limit) break
 
-        if (currentMeasure >= progression.length) break
+        // Traded phrases never ring into the other player's bars
+        const durationSteps = traded
+          ? Math.min(Math.round(note.dur * stepsPerBeat), limit - noteTime)
+          : Math.round(note.dur * stepsPerBeat)
+        const currentMeasure = Math.floor(noteTime / stepsPerBar)
 
         // Add note to melody
         melody.push({
           timestep: noteTime,
-          beat: (noteTime % (4 * stepsPerBeat)) / stepsPerBeat,
+          beat: (noteTime % stepsPerBar) / stepsPerBeat,
           measure: currentMeasure,
           type: 'note',
           note: note.midi,
-          chordRoot: this.getChordRoot(progression[currentMeasure])
+          chordRoot: this.getChordRoot(chordAt(noteTime).chord)
         })
 
         // Add continues for duration > 1
         for (let i = 1; i < durationSteps; i++) {
           melody.push({
             timestep: noteTime + i,
-            beat: ((noteTime + i) % (4 * stepsPerBeat)) / stepsPerBeat,
+            beat: ((noteTime + i) % stepsPerBar) / stepsPerBeat,
             measure: currentMeasure,
             type: 'continue',
             note: null
@@ -273,18 +331,57 @@ export class LickEngine {
       }
 
       // Move to next section (skip 2-4 bars depending on lick length)
-      const barsUsed = Math.ceil(notes.length / (4 * stepsPerBeat)) + 1
+      const barsUsed = Math.ceil(notes.length / stepsPerBar) + 1
       measureIdx += Math.max(1, barsUsed)
-      timestep = measureIdx * 4 * stepsPerBeat
+      timestep = measureIdx * stepsPerBar
     }
 
-    console.log(`Generated ${melody.length} events from licks`)
-    return melody
+    return lastNoteMidi
+  }
+
+  /**
+   * End a traded phrase cleanly: the last note moves to the nearest chord
+   * tone of the chord sounding under it and is held (up to a half note)
+   * without crossing `limit`
+   * @param {Array} melody
+   * @param {number} from - Index of the phrase's first event in melody
+   * @param {function(number): object} chordAt - Timeline entry sounding at a step
+   */
+  closePhrase(melody, from, chordAt, stepsPerBar, stepsPerBeat, limit) {
+    let last = -1
+    for (let i = melody.length - 1; i >= from; i--) {
+      if (melody[i].type === 'note') {
+        last = i
+        break
+      }
+    }
+    if (last < 0) return
+
+    const note = melody[last]
+    const { chord } = chordAt(note.timestep)
+    const degreeInfo = resolveDegree(chord.degree) || { type: 'm7', root: 0 }
+    const chordRootPC = ((KEY_TO_SEMITONE[chord.key] || 0) + degreeInfo.root + 12) % 12
+    if (!this.isChordTone(note.note % 12, degreeInfo.type, chordRootPC)) {
+      const candidates = [-1, 1, -2, 2].map(d => note.note + d)
+      note.note = candidates.find(midi => this.isChordTone(midi % 12, degreeInfo.type, chordRootPC)) ?? note.note
+    }
+
+    const held = melody.length - last
+    const target = Math.min(2 * stepsPerBeat, limit - note.timestep)
+    for (let i = held; i < target; i++) {
+      const timestep = note.timestep + i
+      melody.push({
+        timestep,
+        beat: (timestep % stepsPerBar) / stepsPerBeat,
+        measure: note.measure,
+        type: 'continue',
+        note: null
+      })
+    }
   }
 
   getChordRoot(chord) {
-    const degreeInfo = JAZZ_DEGREES[chord.degree] || { root: 0 }
-    return 60 + (KEY_TO_SEMITONE[chord.key] || 0) + degreeInfo.root
+    return getDegreeRootPitch(chord.degree, chord.key, 60)
   }
 
   midiToNoteName(midi) {
@@ -293,19 +390,25 @@ export class LickEngine {
     return NOTE_NAMES[pitchClass] + octave
   }
 
-  scheduleSolo(melody, stepsPerBeat = 2) {
+  /**
+   * Schedule the melody on the transport once per start offset
+   * @param {Array} melody - Output of generate()
+   * @param {number} stepsPerBeat
+   * @param {number[]} starts - Start of each chorus in quarter notes (see Arrangement.getSoloStarts)
+   * @param {number} from - Notes before this position (quarter notes) are skipped,
+   *   e.g. the bars before a practice loop that would land on the count-in
+   */
+  scheduleSolo(melody, stepsPerBeat = 2, starts = [0], from = 0) {
     if (!this.synth) this.initSynth()
     this.clearScheduledEvents()
 
     const stepNotation = stepsPerBeat === 2 ? '8n' : '16n'
 
-    melody.forEach((note, index) => {
-      if (note.type === 'note') {
+    starts.forEach(start => melody.forEach((note, index) => {
+      if (note.type === 'note' && start + note.timestep / stepsPerBeat >= from) {
         const noteName = this.midiToNoteName(note.note)
-        const measure = Math.floor(note.timestep / (4 * stepsPerBeat))
-        const beatInMeasure = Math.floor((note.timestep % (4 * stepsPerBeat)) / stepsPerBeat)
-        const subdivision = note.timestep % stepsPerBeat
-        const timeStr = `${measure}:${beatInMeasure}:${subdivision * (4 / stepsPerBeat)}`
+        // Absolute position in ticks (independent of the transport's time signature)
+        const timeStr = `${Math.round((start + note.timestep / stepsPerBeat) * Tone.Transport.PPQ)}i`
 
         let durationSteps = 1
         for (let j = index + 1; j < melody.length; j++) {
@@ -321,7 +424,7 @@ export class LickEngine {
 
         this.scheduledEvents.push(eventId)
       }
-    })
+    }))
 
     return this.scheduledEvents.length
   }
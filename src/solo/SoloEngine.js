@@ -11,7 +11,11 @@
 
 import * as tf from '@tensorflow/tfjs'
 import * as Tone from 'tone'
-import { JAZZ_DEGREES } from '../engine/JazzDegrees.js'
+import { getMixBus } from '../audio/ToneSetup.js'
+import { resolveDegree, getTypePitchClasses } from '../engine/DegreeRegistry.js'
+import { getRandom, reseed } from '../engine/Random.js'
+
+const random = getRandom('solo')
 
 // Constants
 const HIDDEN_SIZE = 300
@@ -52,6 +56,15 @@ const CHORD_TYPE_VECTORS = {
   'sus2':     [1,0,1,0,0,0,0,1,0,0,0,0]
 }
 
+/**
+ * Vector de clases de altura para tipos que el modelo no vio al entrenar
+ */
+function chordTypeVector(chordType) {
+  const pitchClasses = getTypePitchClasses(chordType)
+  if (pitchClasses.length === 0) return CHORD_TYPE_VECTORS['maj7']
+  return Array.from({ length: 12 }, (_, pc) => (pitchClasses.includes(pc) ? 1 : 0))
+}
+
 /**
  * LSTM Cell for TensorFlow.js
  */
@@ -234,7 +247,7 @@ export class SoloEngine {
     const delay = new Tone.FeedbackDelay('8n.', 0.12)
     delay.wet.value = 0.15
 
-    this.synth.chain(this.vibrato, delay, reverb, Tone.Destination)
+    this.synth.chain(this.vibrato, delay, reverb, getMixBus())
     this.synth.volume.value = -3
   }
 
@@ -256,7 +269,7 @@ export class SoloEngine {
   }
 
   encodeChord(chordType, chordRootPitchClass, relativePosition) {
-    const baseVector = CHORD_TYPE_VECTORS[chordType] || CHORD_TYPE_VECTORS['maj7']
+    const baseVector = CHORD_TYPE_VECTORS[chordType] || chordTypeVector(chordType)
     const distance = chordRootPitchClass - (relativePosition % 12)
     const rotateBy = ((distance % 12) + 12) % 12
     const shifted = [...baseVector]
@@ -383,12 +396,13 @@ export class SoloEngine {
     }
 
     console.log(`Generating solo with PoE over ${progression.length} bars...`)
+    reseed('solo')
 
     const melody = []
     let timestep = 0
 
     // State for Expert 0 (tracks melodic intervals)
-    let relativePosition = LOW_BOUND + Math.floor(Math.random() * (HIGH_BOUND - LOW_BOUND) / 2)
+    let relativePosition = LOW_BOUND + Math.floor(random() * (HIGH_BOUND - LOW_BOUND) / 2)
     let prevNote = relativePosition
     let isRest = true
     let isContinue = false
@@ -399,7 +413,7 @@ export class SoloEngine {
 
     for (let measureIdx = 0; measureIdx < progression.length; measureIdx++) {
       const chord = progression[measureIdx]
-      const degreeInfo = JAZZ_DEGREES[chord.degree] || { type: 'm7', root: 0 }
+      const degreeInfo = resolveDegree(chord.degree) || { type: 'm7', root: 0 }
       const chordType = degreeInfo.type
       const chordRootPC = ((KEY_TO_SEMITONE[chord.key] || 0) + degreeInfo.root + 12) % 12
       const chordRoot = 60 + chordRootPC  // MIDI note for chord root
@@ -531,7 +545,7 @@ export class SoloEngine {
   }
 
   sample(probs) {
-    const r = Math.random()
+    const r = random()
     let cumulative = 0
     for (let i = 0; i < probs.length; i++) {
       cumulative += probs[i]
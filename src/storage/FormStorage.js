@@ -0,0 +1,122 @@
+/**
+ * FormStorage.js - Save/Load user song form templates to LocalStorage
+ *
+ * Templates use the SongFormEngine shape (sections, roles, repeats, endings,
+ * D.S. al Coda, per-section parameters) and are plain JSON, so they can be
+ * exported to a file and shared.
+ */
+
+import { normalizeTemplate } from '../engine/SongFormEngine.js'
+
+const STORAGE_KEY = 'rameau_jazz_forms'
+const MAX_FORMS = 30
+
+/**
+ * Get all saved form templates
+ * @returns {Array} Array of {id, date, ...template}
+ */
+export function getSavedForms() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY)
+    return data ? JSON.parse(data) : []
+  } catch (err) {
+    console.error('Failed to load forms:', err)
+    return []
+  }
+}
+
+function writeForms(forms) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(forms.slice(0, MAX_FORMS)))
+}
+
+/**
+ * Save a form template (replaces the saved one with the same ID)
+ * @param {object} template - Form template
+ * @param {string|null} id - Existing ID to overwrite
+ * @returns {string|null} ID of saved form, null if invalid or storage failed
+ */
+export function saveForm(template, id = null) {
+  const { template: normalized } = normalizeTemplate(template)
+  if (!normalized) return null
+
+  const forms = getSavedForms().filter(form => form.id !== id)
+  const entry = {
+    id: id || `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    date: new Date().toISOString(),
+    ...normalized
+  }
+  forms.unshift(entry)
+
+  try {
+    writeForms(forms)
+    return entry.id
+  } catch (err) {
+    console.error('Failed to save form:', err)
+    return null
+  }
+}
+
+/**
+ * Delete a form template by ID
+ * @param {string} id - Form ID
+ * @returns {boolean} Success
+ */
+export function deleteForm(id) {
+  const filtered = getSavedForms().filter(form => form.id !== id)
+
+  try {
+    writeForms(filtered)
+    return true
+  } catch (err) {
+    console.error('Failed to delete form:', err)
+    return false
+  }
+}
+
+/**
+ * Export a form template as JSON (without storage fields)
+ * @param {object} template - Form template
+ * @returns {string} JSON string
+ */
+export function exportForm(template) {
+  const { template: normalized } = normalizeTemplate(template)
+  return JSON.stringify(normalized, null, 2)
+}
+
+/**
+ * Import form templates from JSON (one template or an array)
+ * @param {string} jsonString - JSON string
+ * @returns {number} Number of templates imported
+ */
+export function importForms(jsonString) {
+  try {
+    const parsed = JSON.parse(jsonString)
+    const imported = (Array.isArray(parsed) ? parsed : [parsed])
+      .map(template => normalizeTemplate(template).template)
+      .filter(Boolean)
+
+    if (imported.length === 0) {
+      throw new Error('Invalid format')
+    }
+
+    const entries = imported.map(template => ({
+      id: `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      date: new Date().toISOString(),
+      ...template
+    }))
+    writeForms([...entries, ...getSavedForms()])
+
+    return entries.length
+  } catch (err) {
+    console.error('Failed to import forms:', err)
+    return 0
+  }
+}
+
+export default {
+  getSavedForms,
+  saveForm,
+  deleteForm,
+  exportForm,
+  importForms
+}
@@ -0,0 +1,161 @@
+/**
+ * MatrixStorage.js - Save/Load trained transition matrices to LocalStorage
+ *
+ * Matrices are trained from the standards corpus (CorpusTrainer) and stored with:
+ * - name, date, filters used
+ * - tune count, transition count, corpus coverage
+ * - The transition tables (order 1 and order 2-3 contexts)
+ *
+ * Matrices with order 2-3 contexts are large, so the oldest ones are dropped
+ * when the list gets too big, not only past MAX_MATRICES.
+ */
+
+const STORAGE_KEY = 'rameau_jazz_matrices'
+const ACTIVE_KEY = 'rameau_jazz_active_matrix'
+const MAX_MATRICES = 10
+// Serialized size budget (characters), well under the usual 5M LocalStorage quota
+const MAX_STORAGE_SIZE = 2000000
+
+/**
+ * Thrown by saveMatrix when the new matrix does not fit in LocalStorage,
+ * even after dropping every older matrix
+ */
+export class StorageFullError extends Error {
+  constructor(message = 'Not enough storage space for the matrix') {
+    super(message)
+    this.name = 'StorageFullError'
+  }
+}
+
+/**
+ * Get all saved matrices
+ * @returns {Array} Array of saved matrices
+ */
+export function getSavedMatrices() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY)
+    return data ? JSON.parse(data) : []
+  } catch (err) {
+    console.error('Failed to load matrices:', err)
+    return []
+  }
+}
+
+/**
+ * Save a trained matrix (dropping the oldest ones to make room)
+ * @param {object} matrix - Result of CorpusTrainer.trainTransitions
+ * @returns {string|null} ID of saved matrix, null if it could not be saved
+ * @throws {StorageFullError} If the storage quota leaves no room for it
+ */
+export function saveMatrix({ name, transitions, contexts, filters, tuneCount, transitionCount, coverage }) {
+  const matrices = getSavedMatrices()
+
+  const id = `matrix_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+  const entry = {
+    id,
+    name,
+    date: new Date().toISOString(),
+    filters,
+    tuneCount,
+    transitionCount,
+    coverage,
+    transitions,
+    contexts
+  }
+
+  matrices.unshift(entry)
+
+  if (matrices.length > MAX_MATRICES) {
+    matrices.pop()
+  }
+
+  let data = JSON.stringify(matrices)
+  while (data.length > MAX_STORAGE_SIZE && matrices.length > 1) {
+    matrices.pop()
+    data = JSON.stringify(matrices)
+  }
+
+  // The quota is shared with the other stores: keep dropping the oldest
+  for (;;) {
+    try {
+      localStorage.setItem(STORAGE_KEY, data)
+      return id
+    } catch (err) {
+      if (err.name !== 'QuotaExceededError') {
+        console.error('Failed to save matrix:', err)
+        return null
+      }
+      if (matrices.length === 1) throw new StorageFullError()
+      matrices.pop()
+      data = JSON.stringify(matrices)
+    }
+  }
+}
+
+/**
+ * Load a matrix by ID
+ * @param {string} id - Matrix ID
+ * @returns {object|null} Matrix or null if not found
+ */
+export function loadMatrix(id) {
+  return getSavedMatrices().find(m => m.id === id) || null
+}
+
+/**
+ * Delete a matrix by ID
+ * @param {string} id - Matrix ID
+ * @returns {boolean} Success
+ */
+export function deleteMatrix(id) {
+  const filtered = getSavedMatrices().filter(m => m.id !== id)
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered))
+    if (getActiveMatrixId() === id) {
+      setActiveMatrixId(null)
+    }
+    return true
+  } catch (err) {
+    console.error('Failed to delete matrix:', err)
+    return false
+  }
+}
+
+/**
+ * Get the ID of the matrix selected for generation
+ * @returns {string|null} null = built-in matrix
+ */
+export function getActiveMatrixId() {
+  try {
+    return localStorage.getItem(ACTIVE_KEY)
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Remember the matrix selected for generation
+ * @param {string|null} id - Matrix ID (null = built-in matrix)
+ */
+export function setActiveMatrixId(id) {
+  try {
+    if (id) {
+      localStorage.setItem(ACTIVE_KEY, id)
+    } else {
+      localStorage.removeItem(ACTIVE_KEY)
+    }
+  } catch (err) {
+    console.error('Failed to save active matrix:', err)
+  }
+}
+
+export default {
+  StorageFullError,
+  getSavedMatrices,
+  saveMatrix,
+  loadMatrix,
+  deleteMatrix,
+  getActiveMatrixId,
+  setActiveMatrixId
+}
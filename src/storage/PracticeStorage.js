@@ -0,0 +1,107 @@
+/**
+ * PracticeStorage.js - Log the highest practice tempo per tune to LocalStorage
+ *
+ * A tune is identified by its chords (degree, key and duration), so the same
+ * progression keeps its record whether it was generated, loaded from the
+ * library or restored from a saved progression. Each entry stores:
+ * - tempo: highest BPM at which a full practice pass was played
+ * - date, chord summary and the bar range that was looped
+ */
+
+const STORAGE_KEY = 'rameau_jazz_practice'
+const MAX_TUNES = 100
+
+/**
+ * Identifier of a tune from its chords
+ * @param {Array} progression - The chord progression
+ * @returns {string|null} null for an empty progression
+ */
+export function getTuneId(progression) {
+  if (!progression || progression.length === 0) return null
+  const text = progression.map(c => `${c.degree}@${c.key}:${c.duration ?? ''}`).join(' ')
+  // djb2: short, stable key for the storage map
+  let hash = 5381
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0
+  }
+  return `tune_${(hash >>> 0).toString(36)}_${progression.length}`
+}
+
+/**
+ * Get the practice log
+ * @returns {object} Map of tuneId -> {tempo, date, chordSummary, range}
+ */
+export function getPracticeLog() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY)
+    return data ? JSON.parse(data) : {}
+  } catch (err) {
+    console.error('Failed to load practice log:', err)
+    return {}
+  }
+}
+
+function writeLog(log) {
+  // Keep the most recent records only
+  const entries = Object.entries(log)
+    .sort(([, a], [, b]) => b.date.localeCompare(a.date))
+    .slice(0, MAX_TUNES)
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)))
+}
+
+/**
+ * Record a tempo reached on a tune (kept only if it beats the current record)
+ * @param {Array} progression - The chord progression
+ * @param {number} tempo - BPM of a completed pass
+ * @param {{start: number, end: number}} range - Looped bars (end exclusive)
+ * @returns {boolean} true if it is a new record
+ */
+export function recordPracticeTempo(progression, tempo, range = null) {
+  const id = getTuneId(progression)
+  if (!id || !(tempo > 0)) return false
+
+  const log = getPracticeLog()
+  if (log[id] && log[id].tempo >= tempo) return false
+
+  log[id] = {
+    tempo,
+    date: new Date().toISOString(),
+    chordSummary: progression.map(c => c.degree).join(' → '),
+    range
+  }
+
+  try {
+    writeLog(log)
+    return true
+  } catch (err) {
+    console.error('Failed to save practice tempo:', err)
+    return false
+  }
+}
+
+/**
+ * Delete the record of a tune
+ * @param {Array} progression - The chord progression
+ * @returns {boolean} Success
+ */
+export function clearPracticeTempo(progression) {
+  const id = getTuneId(progression)
+  const log = getPracticeLog()
+  if (!id || !log[id]) return false
+  delete log[id]
+
+  try {
+    writeLog(log)
+    return true
+  } catch (err) {
+    console.error('Failed to delete practice tempo:', err)
+    return false
+  }
+}
+
+export default {
+  getTuneId,
+  getPracticeLog,
+  recordPracticeTempo,
+  clearPracticeTempo
+}
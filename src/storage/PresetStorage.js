@@ -36,6 +36,9 @@ export function savePreset({
   tempo,
   swingAmount,
   gravity,
+  tensionCurve = null,
+  markovOrder = 1,
+  seed = null,
   modulationEnabled,
   modulationProbability,
   modulationLevel,
@@ -61,6 +64,9 @@ export function savePreset({
     tempo,
     swingAmount,
     gravity,
+    tensionCurve,
+    markovOrder,
+    seed,
     modulationEnabled,
     modulationProbability,
     modulationLevel,
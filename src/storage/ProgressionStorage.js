@@ -6,6 +6,9 @@
  * - Full progression data
  */
 
+import { getTotalBars } from '../engine/HarmonicRhythm.js'
+import { DEFAULT_METER, getBeatsPerBar } from '../engine/Meter.js'
+
 const STORAGE_KEY = 'rameau_jazz_progressions'
 const MAX_PROGRESSIONS = 50
 
@@ -29,22 +32,28 @@ export function getSavedProgressions() {
  * @param {string} options.name - Name for the progression
  * @param {Array} options.progression - The chord progression
  * @param {string} options.key - Musical key
+ * @param {string} options.meter - Time signature ('4/4', '3/4'...)
  * @param {number} options.tempo - BPM
  * @param {string} options.style - Style preset
  * @param {string} options.voicingStyle - Voicing style
  * @param {number} options.gravity - Gravity setting
  * @param {number} options.modulationProbability - Modulation probability
+ * @param {number} options.seed - Random seed (reproduces bass, drums and solo)
+ * @param {object} options.arrangement - Performance arrangement (see Arrangement.js)
  * @returns {string} ID of saved progression
  */
 export function saveProgression({
   name,
   progression,
   key,
+  meter = DEFAULT_METER,
   tempo,
   style,
   voicingStyle,
   gravity,
-  modulationProbability
+  modulationProbability,
+  seed = null,
+  arrangement = null
 }) {
   const progressions = getSavedProgressions()
 
@@ -54,14 +63,17 @@ export function saveProgression({
   // Create entry
   const entry = {
     id,
-    name: name || generateDefaultName(key, progression.length),
+    name: name || generateDefaultName(key, getTotalBars(progression, getBeatsPerBar(meter))),
     date: new Date().toISOString(),
     key,
+    meter,
     tempo,
     style,
     voicingStyle,
     gravity,
     modulationProbability,
+    seed,
+    arrangement,
     progression,
     chordSummary: progression.map(c => c.degree).join(' → ')
   }
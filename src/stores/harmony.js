@@ -1,9 +1,37 @@
 import { defineStore } from 'pinia'
 import { ref, computed, watch } from 'vue'
-import { MarkovEngine } from '../engine/MarkovEngine.js'
+import { MarkovEngine, getTonicDegree, MAX_ORDER } from '../engine/MarkovEngine.js'
 import { SongFormEngine, FORM_TEMPLATES } from '../engine/SongFormEngine.js'
-import { JAZZ_DEGREES } from '../engine/JazzDegrees.js'
+import { IDIOMATIC_FORMS, getIdiomBars } from '../engine/IdiomaticForms.js'
+import { normalizeKeyPlan, describeKeyPlan } from '../engine/KeyPlan.js'
+import { transposeKey } from '../engine/ModulationSystem.js'
+import { DEFAULT_VOICING_RANGE, normalizeVoicingRange } from '../engine/VoiceLeading.js'
+import { DEFAULT_COMPING_STYLE, DEFAULT_COMPING_DENSITY, DEFAULT_COMPING_VARIATION } from '../engine/Comping.js'
+import { DEFAULT_BASS_FEEL } from '../engine/BassLine.js'
+import { DEFAULT_DRUM_GROOVE } from '../engine/DrumGrooves.js'
+import { DEFAULT_HUMANIZE } from '../engine/Humanize.js'
+import { DEFAULT_ARRANGEMENT, normalizeArrangement } from '../engine/Arrangement.js'
+import { DEFAULT_METRONOME, normalizeMetronome } from '../engine/ClickTrack.js'
+import { DEFAULT_PRACTICE, normalizePractice, getPracticeRange, getChordBarRange } from '../engine/PracticeLoop.js'
+import { DEFAULT_TRADING, normalizeTrading } from '../engine/Trading.js'
+import { resolveDegree } from '../engine/DegreeRegistry.js'
+import { getTotalBars } from '../engine/HarmonicRhythm.js'
+import { DEFAULT_METER, getMeterInfo, normalizeMeter } from '../engine/Meter.js'
 import { getAudioEngine } from '../audio/AudioEngine.js'
+import { trainFromCorpus } from '../engine/CorpusTrainer.js'
+import { standardToProgression } from '../engine/ChordConverter.js'
+import { analyzeHarmony, applyLocalKeys } from '../engine/HarmonicAnalysis.js'
+import { TENSION_CURVE_PRESETS, toEditablePoints, measureCurveFit } from '../engine/TensionCurve.js'
+import { getSeed, setSeed as setGlobalSeed, randomSeed, normalizeSeed } from '../engine/Random.js'
+import {
+  getSavedMatrices,
+  saveMatrix,
+  deleteMatrix,
+  getActiveMatrixId,
+  setActiveMatrixId
+} from '../storage/MatrixStorage.js'
+import { getSavedForms, saveForm, deleteForm, importForms } from '../storage/FormStorage.js'
+import { getTuneId, getPracticeLog, recordPracticeTempo, clearPracticeTempo } from '../storage/PracticeStorage.js'
 
 // Instancia del motor
 const engine = new MarkovEngine()
@@ -13,30 +41,50 @@ export const useHarmonyStore = defineStore('harmony', () => {
   // === TONALIDAD ===
   const key = ref('C')
   const mode = ref('major') // 'major' | 'minor'
+  const formMode = ref(null) // Modo propio de la forma canonica generada (blues menor); null = el del selector
+  const meter = ref(DEFAULT_METER) // '4/4' | '3/4' | '5/4' | '6/8' | '7/4'
 
   // === CLIPBOARD (v0.3.0) ===
   const clipboard = ref([]) // Array of {degree, key, tension}
 
   // === SONG FORM (v0.3.5) ===
-  const songForm = ref('AABA') // Current form template
+  const songForm = ref('AABA') // Current form template (FORM_TEMPLATES key, IDIOMATIC_FORMS key or saved form ID)
+  const formComplexity = ref(1) // Idiomatic forms: 0 skeleton, 1 ii-V / secondary dominants, 2 tritone subs
+  const savedForms = ref(getSavedForms()) // User-defined form templates
 
   // === MOTOR ===
   const currentChord = ref('Imaj7')
-  const progression = ref([]) // Array of { degree, key, tension }
+  const progression = ref([]) // Array of { degree, key, tension, duration? } (duration en beats)
   const tension = ref(0)
   const gravity = ref(0.5) // 0 = caos, 1 = estricto
+  const tensionCurve = ref(null) // null = gravedad global; { preset, points } = curva objetivo
+  const markovOrder = ref(1) // 1-3: acordes previos que condicionan el siguiente
+  const seed = ref(getSeed()) // Semilla de la ultima generacion (acordes, bajo, bateria, solo)
+  const seedLocked = ref(false) // true = cada generacion reutiliza la misma semilla
 
   // === MODULACION ===
   const modulationEnabled = ref(true)
   const modulationProbability = ref(0.15)
   const modulationLevel = ref(2) // 0 = Basicas, 1 = Extendidas, 2 = Coltrane
   const returnToTonic = ref(true)
+  const keyPlan = ref([]) // Cambios de tonalidad planificados [{bar, key}] (bar desde 0); vacio = al azar
+
+  // === MATRIZ DE TRANSICION ===
+  const savedMatrices = ref(getSavedMatrices()) // Matrices entrenadas con el corpus
+  const activeMatrixId = ref(getActiveMatrixId()) // null = matriz incorporada
 
   // === ESTILO ===
-  const voicingStyle = ref('shell') // 'shell' | 'drop2' | 'rootlessA' | 'rootlessB' | 'block'
+  const voicingStyle = ref('shell') // VOICING_STYLES (Voicings.js): 'shell' | 'drop2' | 'quartal' | ...
+  const voicingRange = ref({ ...DEFAULT_VOICING_RANGE }) // Rango del piano {low, high} (MIDI) para la conduccion de voces
+  const compingStyle = ref(DEFAULT_COMPING_STYLE) // COMPING_STYLES (Comping.js)
+  const compingDensity = ref(DEFAULT_COMPING_DENSITY) // 0 escaso - 1 cargado
+  const compingVariation = ref(DEFAULT_COMPING_VARIATION) // 0 mismo patron - 1 cambia cada compas
+  const bassFeel = ref(DEFAULT_BASS_FEEL) // BASS_FEELS (BassLine.js)
+  const drumGroove = ref(DEFAULT_DRUM_GROOVE) // DRUM_GROOVES (DrumGrooves.js)
   const stylePreset = ref('standard') // 'standard' | 'bebop' | 'bossaNova' | 'modal' | 'ballad'
   const tempo = ref(120)
   const swingAmount = ref(0.3) // 0 = straight, 1 = full swing
+  const arrangement = ref(normalizeArrangement(DEFAULT_ARRANGEMENT)) // Claqueta, intro, choruses y final (Arrangement.js)
 
   // === AUDIO ===
   const isPlaying = ref(false)
@@ -45,22 +93,38 @@ export const useHarmonyStore = defineStore('harmony', () => {
   const pianoVolume = ref(0.8)
   const bassVolume = ref(0.7)
   const drumsVolume = ref(0.5)
+  const clickVolume = ref(0.6)
+  const metronome = ref(normalizeMetronome(DEFAULT_METRONOME)) // Claqueta y click (ClickTrack.js)
+  const humanize = ref(DEFAULT_HUMANIZE) // Feel del mixer: 0 rejilla - 1 maximo (Humanize.js)
   const bassEnabled = ref(true)
   const drumsEnabled = ref(true)
 
+  // === PRACTICA ===
+  const practice = ref(normalizePractice(DEFAULT_PRACTICE)) // Loop de un rango con subida de tempo (PracticeLoop.js)
+  const practicePass = ref(0)      // Vuelta del loop de practica (0 = la primera)
+  const practiceTempo = ref(null)  // Tempo que suena en la practica (null = sin practica en curso)
+  const practiceLog = ref(getPracticeLog()) // Tempo mas alto por tema
+  const trading = ref(normalizeTrading(DEFAULT_TRADING)) // Intercambio de frases con el solo IA (Trading.js)
+
   // === VISUALIZACION ===
   const showForceGraph = ref(true)
   const showPianoRoll = ref(true)
+  const showAnalysis = ref(false) // Corchetes ii-V y flechas de resolucion sobre la progresion
   const currentBeat = ref(0)
-  const currentMeasure = ref(0)
+  const currentMeasure = ref(0) // Indice del acorde que suena
+  const currentBar = ref(0)     // Compas que suena (puede contener varios acordes)
+  const currentPart = ref(null) // Parte del arreglo que suena ({type, role, chorus}) o null en loop
 
   // === COMPUTED ===
+  // Modo de la progresion actual: el de la forma canonica, sin tocar el del selector
+  const progressionMode = computed(() => formMode.value ?? mode.value)
+
   const keySignature = computed(() => {
     const keyNames = {
       'C': 'Do', 'G': 'Sol', 'D': 'Re', 'A': 'La', 'E': 'Mi', 'B': 'Si',
       'F': 'Fa', 'Bb': 'Sib', 'Eb': 'Mib', 'Ab': 'Lab', 'Db': 'Reb', 'Gb': 'Solb'
     }
-    return `${keyNames[key.value] || key.value} ${mode.value === 'major' ? 'Mayor' : 'menor'}`
+    return `${keyNames[key.value] || key.value} ${progressionMode.value === 'major' ? 'Mayor' : 'menor'}`
   })
 
   const progressionString = computed(() => {
@@ -70,15 +134,77 @@ export const useHarmonyStore = defineStore('harmony', () => {
     }).join(' → ')
   })
 
+  const beatsPerBar = computed(() => getMeterInfo(meter.value).beats)
+
+  const totalBars = computed(() => getTotalBars(progression.value, beatsPerBar.value))
+
+  // Compases del loop de practica (la forma entera si esta desactivada)
+  const practiceRange = computed(() => getPracticeRange(practice.value, totalBars.value))
+
+  // Record de tempo del tema actual ({tempo, date, range}) o null
+  const practiceBest = computed(() => practiceLog.value[getTuneId(progression.value)] ?? null)
+
+  // Recorrido del plan tonal (vacio si no hay plan), con los limites de la generacion
+  const keyPlanPath = computed(() => keyPlan.value.length > 0
+    ? describeKeyPlan(normalizeKeyPlan(keyPlan.value, key.value, totalBars.value || Infinity))
+    : [])
+
+  // Built-in and user form templates by ID
+  const formTemplates = computed(() => ({
+    ...FORM_TEMPLATES,
+    ...Object.fromEntries(savedForms.value.map(form => [form.id, form]))
+  }))
+
+  // Template summaries for selectors (name, played sections, total bars)
+  const formOptions = computed(() =>
+    Object.entries(formTemplates.value)
+      .map(([id, template]) => {
+        const summary = SongFormEngine.describeTemplate(id, template)
+        return summary && { ...summary, custom: !FORM_TEMPLATES[id] }
+      })
+      .filter(Boolean)
+      .concat(Object.entries(IDIOMATIC_FORMS).map(([id, idiom]) => ({
+        id,
+        name: idiom.name,
+        sections: idiom.form,
+        totalBars: getIdiomBars(id),
+        idiom: true
+      })))
+  )
+
+  const activeMatrix = computed(() =>
+    savedMatrices.value.find(m => m.id === activeMatrixId.value) || null
+  )
+
+  // Analisis funcional con tonalidades locales
+  const analysis = computed(() => analyzeHarmony(progression.value, {
+    key: key.value,
+    mode: progressionMode.value,
+    beatsPerBar: beatsPerBar.value
+  }))
+
+  // Ajuste de la progresion a la curva de tension objetivo
+  const tensionFit = computed(() => {
+    if (!tensionCurve.value || progression.value.length === 0) return null
+    return measureCurveFit(progression.value, tensionCurve.value.points, beatsPerBar.value)
+  })
+
   // === SYNC ENGINE CONFIG ===
   function syncEngineConfig() {
     engine.configure({
       gravity: gravity.value,
+      tensionCurve: tensionCurve.value?.points || null,
       modulationEnabled: modulationEnabled.value,
       modulationProbability: modulationProbability.value,
       modulationLevel: modulationLevel.value,
       returnToTonic: returnToTonic.value,
-      forceCadence: true
+      keyPlan: keyPlan.value.length > 0 ? keyPlan.value : null,
+      forceCadence: true,
+      mode: progressionMode.value,
+      order: markovOrder.value,
+      transitions: activeMatrix.value?.transitions || null,
+      contextTransitions: activeMatrix.value?.contexts || null,
+      beatsPerBar: beatsPerBar.value
     })
   }
 
@@ -89,11 +215,20 @@ export const useHarmonyStore = defineStore('harmony', () => {
       tempo: tempo.value,
       swing: swingAmount.value,
       voicingStyle: voicingStyle.value,
+      voicingRange: voicingRange.value,
+      compingStyle: compingStyle.value,
+      compingDensity: compingDensity.value,
+      compingVariation: compingVariation.value,
+      bassFeel: bassFeel.value,
+      drumGroove: drumGroove.value,
       bassEnabled: bassEnabled.value,
       drumsEnabled: drumsEnabled.value,
       pianoVolume: pianoVolume.value,
       bassVolume: bassVolume.value,
-      drumsVolume: drumsVolume.value
+      drumsVolume: drumsVolume.value,
+      clickVolume: clickVolume.value,
+      humanize: humanize.value,
+      meter: meter.value
     })
   }
 
@@ -111,13 +246,27 @@ export const useHarmonyStore = defineStore('harmony', () => {
       // Registrar callbacks
       audioEngine.onBeat((info) => {
         currentBeat.value = info.beat
-        currentMeasure.value = info.measure
+        currentBar.value = info.measure
+        currentMeasure.value = info.chordIndex ?? info.measure
+        currentPart.value = info.part ?? null
       })
 
       audioEngine.onMeasure((measureIndex, chord) => {
         currentChord.value = chord.degree
         tension.value = chord.tension
       })
+
+      // El arreglo termina solo: parar el transport
+      audioEngine.onEnd(() => stop())
+
+      // Practica: vuelta y tempo; cada vuelta completa cuenta para el record del tema
+      audioEngine.onPractice(({ pass, tempo, completedTempo }) => {
+        practicePass.value = pass
+        practiceTempo.value = tempo
+        if (completedTempo && recordPracticeTempo(progression.value, completedTempo, practiceRange.value)) {
+          practiceLog.value = getPracticeLog()
+        }
+      })
     }
 
     return success
@@ -126,13 +275,69 @@ export const useHarmonyStore = defineStore('harmony', () => {
   // === ACTIONS ===
   function setKey(newKey) {
     key.value = newKey
+    formMode.value = null
     progression.value = []
-    currentChord.value = 'Imaj7'
+    currentChord.value = getTonicDegree(mode.value)
     tension.value = 0
   }
 
   function setMode(newMode) {
     mode.value = newMode
+    formMode.value = null
+    syncEngineConfig()
+    // Sin progresion: el modo interactivo empieza en la nueva tonica (Imaj7 / Im7)
+    if (progression.value.length === 0) {
+      engine.reset(key.value)
+      currentChord.value = getTonicDegree(newMode)
+    }
+  }
+
+  /**
+   * Set the song's meter (time signature)
+   * Chord durations are kept in beats; chords without duration fill the new bar.
+   * @param {string|Array} newMeter - '3/4', [3, 4], ...
+   */
+  function setMeter(newMeter) {
+    const normalized = normalizeMeter(newMeter)
+    if (normalized === meter.value) return
+
+    meter.value = normalized
+    syncAudioConfig()
+    reloadAudioProgression()
+
+    // Reprogramar si esta sonando
+    if (isPlaying.value) {
+      stop()
+      play()
+    }
+  }
+
+  // Semilla de cada generacion: nueva salvo que este fijada
+  function applySeed() {
+    if (!seedLocked.value) {
+      seed.value = randomSeed()
+    }
+    setGlobalSeed(seed.value)
+  }
+
+  /**
+   * Cambia la semilla
+   * @param {string|number} value
+   * @param {boolean} lock - true = la siguiente generacion la reutiliza (entrada del usuario);
+   *   false = solo la restaura (al cargar una progresion guardada)
+   * @returns {boolean} false si no es un numero
+   */
+  function setSeed(value, lock = true) {
+    const normalized = normalizeSeed(value)
+    if (normalized === null) return false
+    seed.value = normalized
+    if (lock) seedLocked.value = true
+    setGlobalSeed(normalized)
+    return true
+  }
+
+  function setSeedLocked(locked) {
+    seedLocked.value = locked
   }
 
   function step() {
@@ -145,6 +350,8 @@ export const useHarmonyStore = defineStore('harmony', () => {
   }
 
   function generateProgression(numChords = 8) {
+    formMode.value = null
+    applySeed()
     syncEngineConfig()
     const result = engine.generateProgression(numChords, key.value)
     progression.value = result
@@ -155,6 +362,7 @@ export const useHarmonyStore = defineStore('harmony', () => {
       currentChord.value = first.degree
       tension.value = first.tension
       currentMeasure.value = 0
+      currentBar.value = 0
       currentBeat.value = 0
     }
 
@@ -165,11 +373,65 @@ export const useHarmonyStore = defineStore('harmony', () => {
     return result
   }
 
+  /**
+   * Train a transition matrix from the standards corpus and save it
+   * @param {Array} standards - Corpus (standards.json)
+   * @param {object} filters - composers, era, minTempo, maxTempo, meter, ids
+   * @param {string} name - Optional name
+   * @returns {object|null} Saved matrix, or null if no tune matched the filters
+   * @throws {StorageFullError} If there is no room left to save it (see MatrixStorage)
+   * @throws {Error} If LocalStorage rejects it for any other reason (e.g. disabled by the browser)
+   */
+  function trainMatrix(standards, filters = {}, name = null) {
+    const matrix = trainFromCorpus(standards, filters, name)
+    if (matrix.tuneCount === 0) return null
+
+    const id = saveMatrix(matrix)
+    if (!id) throw new Error('Failed to save matrix')
+
+    savedMatrices.value = getSavedMatrices()
+    selectMatrix(id)
+    return { id, ...matrix }
+  }
+
+  /**
+   * Select the transition matrix used for generation
+   * @param {string|null} id - Trained matrix ID, null = built-in matrix
+   */
+  function selectMatrix(id) {
+    activeMatrixId.value = savedMatrices.value.some(m => m.id === id) ? id : null
+    setActiveMatrixId(activeMatrixId.value)
+    syncEngineConfig()
+  }
+
+  function removeMatrix(id) {
+    deleteMatrix(id)
+    savedMatrices.value = getSavedMatrices()
+    if (activeMatrixId.value === id) {
+      selectMatrix(null)
+    }
+  }
+
   function generateSongForm(formType = null) {
     const form = formType || songForm.value
     songForm.value = form
-
-    const result = songFormEngine.generate(form, key.value)
+    applySeed()
+
+    let result
+    const idiom = IDIOMATIC_FORMS[form]
+    // Las formas canonicas traen su modo (blues menor) solo para esta progresion
+    formMode.value = idiom?.mode ?? null
+    if (idiom) {
+      result = songFormEngine.generateIdiom(form, key.value, beatsPerBar.value, formComplexity.value)
+    } else {
+      songFormEngine.configure({
+        order: markovOrder.value,
+        transitions: activeMatrix.value?.transitions || null,
+        contextTransitions: activeMatrix.value?.contexts || null,
+        tensionCurve: tensionCurve.value?.points || null
+      })
+      result = songFormEngine.generate(formTemplates.value[form] || form, key.value, beatsPerBar.value, mode.value)
+    }
     progression.value = result
 
     // Actualizar estado
@@ -178,6 +440,7 @@ export const useHarmonyStore = defineStore('harmony', () => {
       currentChord.value = first.degree
       tension.value = first.tension
       currentMeasure.value = 0
+      currentBar.value = 0
       currentBeat.value = 0
     }
 
@@ -188,8 +451,50 @@ export const useHarmonyStore = defineStore('harmony', () => {
     return result
   }
 
-  function loadProgression(newProgression) {
+  /**
+   * Save a user form template
+   * @param {object} template - SongFormEngine template
+   * @param {string|null} id - Saved form to overwrite
+   * @returns {string|null} ID of the saved form
+   */
+  function saveCustomForm(template, id = null) {
+    const savedId = saveForm(template, id)
+    if (!savedId) return null
+
+    savedForms.value = getSavedForms()
+    songForm.value = savedId
+    return savedId
+  }
+
+  function removeCustomForm(id) {
+    deleteForm(id)
+    savedForms.value = getSavedForms()
+    if (songForm.value === id) {
+      songForm.value = 'AABA'
+    }
+  }
+
+  /**
+   * Import shared form templates (JSON)
+   * @param {string} json
+   * @returns {number} Number of imported templates
+   */
+  function importCustomForms(json) {
+    const count = importForms(json)
+    savedForms.value = getSavedForms()
+    return count
+  }
+
+  /**
+   * @param {Array} newProgression
+   * @param {number|null} savedSeed - Semilla guardada con la progresion (bajo, bateria y solo)
+   */
+  function loadProgression(newProgression, savedSeed = null) {
     progression.value = newProgression
+    formMode.value = null
+    if (savedSeed !== null && savedSeed !== undefined) {
+      setSeed(savedSeed, false)
+    }
 
     // Actualizar estado
     if (newProgression.length > 0) {
@@ -197,6 +502,7 @@ export const useHarmonyStore = defineStore('harmony', () => {
       currentChord.value = first.degree
       tension.value = first.tension ?? 0.5
       currentMeasure.value = 0
+      currentBar.value = 0
       currentBeat.value = 0
     }
 
@@ -207,6 +513,40 @@ export const useHarmonyStore = defineStore('harmony', () => {
     return newProgression
   }
 
+  /**
+   * Load a standard from the library: meter, key and progression in one step,
+   * so the audio engine is loaded once, with the new chords in the new meter.
+   * @param {object} standard - {chords, key?, meter?}
+   * @param {string} [standardKey] - Defaults to the standard's own key
+   * @returns {Array} The loaded progression
+   */
+  function loadStandard(standard, standardKey = standard.key || 'C') {
+    const normalized = normalizeMeter(standard.meter)
+    const meterChanged = normalized !== meter.value
+    if (meterChanged) {
+      meter.value = normalized
+      syncAudioConfig()
+    }
+
+    // Cada acorde en su tonalidad local (un puente en IV se lee como ii-V-I en IV)
+    const newProgression = standard.chords?.length
+      ? applyLocalKeys(
+        standardToProgression(standard.chords, standardKey, beatsPerBar.value),
+        { key: standardKey, beatsPerBar: beatsPerBar.value }
+      )
+      : []
+
+    setKey(standardKey)
+    loadProgression(newProgression)
+
+    // Reprogramar si esta sonando en otro compas
+    if (meterChanged && isPlaying.value) {
+      stop()
+      play()
+    }
+    return newProgression
+  }
+
   async function play() {
     // Inicializar audio si es necesario
     if (!audioInitialized.value) {
@@ -226,6 +566,7 @@ export const useHarmonyStore = defineStore('harmony', () => {
     const audioEngine = getAudioEngine()
     audioEngine.play()
     isPlaying.value = true
+    practiceTempo.value = audioEngine.practiceTempo
   }
 
   function pause() {
@@ -240,6 +581,10 @@ export const useHarmonyStore = defineStore('harmony', () => {
     isPlaying.value = false
     currentBeat.value = 0
     currentMeasure.value = 0
+    currentBar.value = 0
+    currentPart.value = null
+    practicePass.value = 0
+    practiceTempo.value = null
   }
 
   function setTempo(newTempo) {
@@ -262,10 +607,63 @@ export const useHarmonyStore = defineStore('harmony', () => {
     gravity.value = Math.max(0, Math.min(1, newGravity))
   }
 
+  // Curva de tension objetivo (sustituye a la gravedad); null la desactiva
+  function setTensionCurve(presetId) {
+    const preset = TENSION_CURVE_PRESETS[presetId]
+    tensionCurve.value = preset ? { preset: presetId, points: [...preset.points] } : null
+  }
+
+  // Mover un punto de la curva la convierte en curva dibujada
+  function setTensionCurvePoint(index, value) {
+    if (!tensionCurve.value) return
+    const points = tensionCurve.value.preset === 'custom'
+      ? [...tensionCurve.value.points]
+      : toEditablePoints(tensionCurve.value.points)
+    if (index < 0 || index >= points.length) return
+    points[index] = Math.max(0, Math.min(1, value))
+    tensionCurve.value = { preset: 'custom', points }
+  }
+
+  function setMarkovOrder(order) {
+    markovOrder.value = Math.max(1, Math.min(MAX_ORDER, Math.round(order)))
+  }
+
   function setModulationProbability(prob) {
     modulationProbability.value = Math.max(0, Math.min(0.5, prob))
   }
 
+  /**
+   * Anade un cambio de tonalidad al plan (por defecto, 8 compases despues del
+   * ultimo, a la subdominante)
+   * @param {number|null} bar - Compas de inicio (desde 0)
+   * @param {string|null} newKey
+   */
+  function addKeyArea(bar = null, newKey = null) {
+    const last = keyPlan.value[keyPlan.value.length - 1] || { bar: 0, key: key.value }
+    keyPlan.value = [...keyPlan.value, {
+      bar: bar ?? last.bar + 8,
+      key: newKey || transposeKey(last.key, 5)
+    }].sort((a, b) => a.bar - b.bar)
+  }
+
+  /**
+   * @param {number} index
+   * @param {object} changes - {bar?, key?}
+   */
+  function updateKeyArea(index, changes) {
+    keyPlan.value = keyPlan.value
+      .map((area, i) => i === index ? { ...area, ...changes } : area)
+      .sort((a, b) => a.bar - b.bar)
+  }
+
+  function removeKeyArea(index) {
+    keyPlan.value = keyPlan.value.filter((_, i) => i !== index)
+  }
+
+  function clearKeyPlan() {
+    keyPlan.value = []
+  }
+
   function setVoicingStyle(style) {
     voicingStyle.value = style
     if (audioInitialized.value) {
@@ -274,39 +672,97 @@ export const useHarmonyStore = defineStore('harmony', () => {
     }
   }
 
+  /**
+   * Rango del teclado para los voicings planificados
+   * @param {object} range - {low, high} MIDI (parcial)
+   */
+  function setVoicingRange(range) {
+    voicingRange.value = normalizeVoicingRange({ ...voicingRange.value, ...range })
+    syncAudioConfig()
+  }
+
+  /**
+   * Ritmo del piano: estilo de comping, densidad y variacion
+   * @param {object} settings - {style?, density?, variation?} (parcial)
+   */
+  function setComping({ style, density, variation } = {}) {
+    if (style !== undefined) compingStyle.value = style
+    if (density !== undefined) compingDensity.value = Math.max(0, Math.min(1, density))
+    if (variation !== undefined) compingVariation.value = Math.max(0, Math.min(1, variation))
+    syncAudioConfig()
+  }
+
+  /**
+   * Feel del bajo (walking, two-feel, bossa, pedal, balada, tumbao)
+   * @param {string} feel - Id de BASS_FEELS
+   */
+  function setBassFeel(feel) {
+    bassFeel.value = feel
+    syncAudioConfig()
+  }
+
+  /**
+   * Groove de la bateria (swing, escobillas, bossa, samba, funk...)
+   * @param {string} groove - Id de DRUM_GROOVES
+   */
+  function setDrumGroove(groove) {
+    drumGroove.value = groove
+    syncAudioConfig()
+  }
+
   function setStylePreset(preset) {
     stylePreset.value = preset
-    // Apply preset configurations
+    // Apply preset configurations (incl. voicing por defecto del estilo)
     switch (preset) {
       case 'bebop':
         swingAmount.value = 0.4
         tempo.value = 180
         gravity.value = 0.3
         modulationProbability.value = 0.25
+        voicingStyle.value = 'rootlessA'
+        compingStyle.value = 'garland'
+        bassFeel.value = 'walking'
+        drumGroove.value = 'swing'
         break
       case 'bossaNova':
         swingAmount.value = 0
         tempo.value = 140
         gravity.value = 0.6
         modulationProbability.value = 0.1
+        voicingStyle.value = 'drop2'
+        compingStyle.value = 'bossa'
+        bassFeel.value = 'bossa'
+        drumGroove.value = 'bossa'
         break
       case 'modal':
         swingAmount.value = 0.2
         tempo.value = 120
         gravity.value = 0.7
         modulationProbability.value = 0.05
+        voicingStyle.value = 'quartal'
+        compingStyle.value = 'anticipation'
+        bassFeel.value = 'walking'
+        drumGroove.value = 'swing'
         break
       case 'ballad':
         swingAmount.value = 0.15
         tempo.value = 72
         gravity.value = 0.5
         modulationProbability.value = 0.12
+        voicingStyle.value = 'spread'
+        compingStyle.value = 'ballad'
+        bassFeel.value = 'ballad'
+        drumGroove.value = 'ballad'
         break
       default: // standard
         swingAmount.value = 0.25
         tempo.value = 120
         gravity.value = 0.5
         modulationProbability.value = 0.15
+        voicingStyle.value = 'shell'
+        compingStyle.value = 'charleston'
+        bassFeel.value = 'walking'
+        drumGroove.value = 'swing'
     }
 
     if (audioInitialized.value) {
@@ -334,6 +790,10 @@ export const useHarmonyStore = defineStore('harmony', () => {
         drumsVolume.value = vol
         if (audioInitialized.value) audioEngine.setDrumsVolume(vol)
         break
+      case 'click':
+        clickVolume.value = vol
+        if (audioInitialized.value) audioEngine.setClickVolume(vol)
+        break
     }
   }
 
@@ -353,12 +813,85 @@ export const useHarmonyStore = defineStore('harmony', () => {
     }
   }
 
+  /**
+   * Metronomo y claqueta: subdivision, acentos, solo 2 y 4, secciones, compases de claqueta
+   * @param {object} changes - Ver ClickTrack.normalizeMetronome
+   */
+  function setMetronome(changes) {
+    metronome.value = normalizeMetronome({ ...metronome.value, ...changes })
+    getAudioEngine().setMetronome(metronome.value)
+  }
+
+  /**
+   * Loop de practica: rango de compases, modo, paso y tempo objetivo
+   * El rango se aplica la proxima vez que se pulsa Play
+   * @param {object} changes - Ver PracticeLoop.normalizePractice
+   */
+  function setPractice(changes) {
+    practice.value = normalizePractice({ ...practice.value, ...changes })
+    getAudioEngine().setPractice(practice.value)
+  }
+
+  /**
+   * Practica los compases que ocupan unos acordes (seleccion de ProgressionDisplay)
+   * @param {number[]} indices - Acordes seleccionados
+   */
+  function practiceChords(indices) {
+    if (indices.length === 0) return
+    const range = getChordBarRange(progression.value, Math.min(...indices), Math.max(...indices), beatsPerBar.value)
+    if (range) setPractice({ ...range, enabled: true })
+  }
+
+  /**
+   * Baja el tempo de la practica un paso (en el siguiente compas)
+   */
+  function dropPracticeTempo() {
+    getAudioEngine().dropPracticeTempo()
+  }
+
+  /**
+   * Borra el record de tempo del tema actual
+   */
+  function clearPracticeBest() {
+    if (clearPracticeTempo(progression.value)) {
+      practiceLog.value = getPracticeLog()
+    }
+  }
+
+  /**
+   * Intercambio con el solo IA: compases por turno y quien empieza
+   * @param {object} changes - Ver Trading.normalizeTrading
+   */
+  function setTrading(changes) {
+    trading.value = normalizeTrading({ ...trading.value, ...changes })
+    getAudioEngine().setTrading(trading.value)
+  }
+
+  /**
+   * Arreglo de la interpretacion: intro, choruses con su papel y final
+   * Desactivado, la progresion suena en loop
+   * @param {object} newArrangement - Ver Arrangement.normalizeArrangement
+   */
+  function setArrangement(newArrangement) {
+    arrangement.value = normalizeArrangement(newArrangement)
+    getAudioEngine().setArrangement(arrangement.value)
+  }
+
+  /**
+   * Feel de la seccion ritmica: microtiempo y dinamica (Humanize.js)
+   * @param {number} amount - 0 (rejilla) - 1 (maximo)
+   */
+  function setHumanize(amount) {
+    humanize.value = Math.max(0, Math.min(1, amount))
+    syncAudioConfig()
+  }
+
   function modulate(interval) {
     const keys = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B']
     const currentIndex = keys.indexOf(key.value)
     const newIndex = (currentIndex + interval + 12) % 12
     key.value = keys[newIndex]
-    currentChord.value = 'Imaj7'
+    currentChord.value = getTonicDegree(mode.value)
     tension.value = 0
   }
 
@@ -373,7 +906,7 @@ export const useHarmonyStore = defineStore('harmony', () => {
 
   // Helper para obtener info del acorde actual
   function getCurrentChordInfo() {
-    const degree = JAZZ_DEGREES[currentChord.value]
+    const degree = resolveDegree(currentChord.value)
     return {
       degree: currentChord.value,
       type: degree?.type || 'maj7',
@@ -398,19 +931,25 @@ export const useHarmonyStore = defineStore('harmony', () => {
   /**
    * Update a chord at a specific index
    * @param {number} index - Position in progression
-   * @param {object} updates - {degree?, key?, tension?}
+   * @param {object} updates - {degree?, key?, tension?, duration?}
    */
   function updateChordAt(index, updates) {
     if (index < 0 || index >= progression.value.length) return
 
-    const chord = progression.value[index]
+    let chord = progression.value[index]
     const newDegree = updates.degree || chord.degree
-    const degreeInfo = JAZZ_DEGREES[newDegree]
+    const degreeInfo = resolveDegree(newDegree)
+
+    // A new degree no longer comes from the original chord symbol
+    if (updates.degree && updates.degree !== chord.degree) {
+      const { symbol, approximation, ...rest } = chord
+      chord = rest
+    }
 
     progression.value[index] = {
       ...chord,
       ...updates,
-      // Recalculate tension from JAZZ_DEGREES if degree changed
+      // Recalculate tension from the degree registry if degree changed
       tension: updates.degree
         ? (degreeInfo?.tension ?? chord.tension)
         : (updates.tension ?? chord.tension)
@@ -422,20 +961,34 @@ export const useHarmonyStore = defineStore('harmony', () => {
   /**
    * Insert a chord at a specific index
    * @param {number} index - Position to insert at
-   * @param {object} chord - {degree, key?, tension?}
+   * @param {object} chord - {degree, key?, tension?, duration?}
    */
   function insertChordAt(index, chord) {
-    const degreeInfo = JAZZ_DEGREES[chord.degree]
+    const degreeInfo = resolveDegree(chord.degree)
     const newChord = {
       degree: chord.degree,
       key: chord.key ?? key.value,
-      tension: chord.tension ?? (degreeInfo?.tension ?? 0)
+      tension: chord.tension ?? (degreeInfo?.tension ?? 0),
+      duration: chord.duration ?? beatsPerBar.value
     }
 
     progression.value.splice(index, 0, newChord)
     reloadAudioProgression()
   }
 
+  /**
+   * Set the duration (in beats) of the chord at index
+   * @param {number} index - Position in progression
+   * @param {number} beats - Duration in beats
+   */
+  function setChordDuration(index, beats) {
+    if (index < 0 || index >= progression.value.length) return
+    if (!(beats > 0)) return
+
+    progression.value[index] = { ...progression.value[index], duration: beats }
+    reloadAudioProgression()
+  }
+
   /**
    * Remove chord at index
    * @param {number} index - Position to remove
@@ -454,6 +1007,66 @@ export const useHarmonyStore = defineStore('harmony', () => {
     reloadAudioProgression()
   }
 
+  /**
+   * Lock/unlock chords so regeneration keeps them as written
+   * @param {number[]} indices - Chord indices
+   * @param {boolean|null} locked - New state (null = toggle each)
+   */
+  function setChordsLocked(indices, locked = null) {
+    for (const index of indices) {
+      const chord = progression.value[index]
+      if (!chord) continue
+      progression.value[index] = { ...chord, locked: locked ?? !chord.locked }
+    }
+  }
+
+  function unlockAll() {
+    setChordsLocked(progression.value.map((_, i) => i), false)
+  }
+
+  /**
+   * Regenerate every unlocked chord, connecting with the locked neighbours
+   */
+  function regenerateUnlocked() {
+    if (progression.value.length === 0) return
+    applySeed()
+    syncEngineConfig()
+    progression.value = engine.generateConstrained(progression.value, key.value)
+    reloadAudioProgression()
+  }
+
+  /**
+   * Regenerate only a range (e.g. the current selection), coherent with
+   * the chords on both sides. Locked chords inside the range are kept.
+   * @param {number} from - First index
+   * @param {number} to - Last index (inclusive)
+   */
+  function regenerateRange(from, to) {
+    if (progression.value.length === 0) return
+    applySeed()
+    syncEngineConfig()
+    progression.value = engine.regenerateRange(progression.value, from, to, key.value)
+    reloadAudioProgression()
+  }
+
+  /**
+   * Rewrite every chord relative to its local key (from the analysis)
+   * Same pitches: only `degree` and `key` change
+   */
+  function applyAnalysisKeys() {
+    if (progression.value.length === 0) return
+    progression.value = applyLocalKeys(progression.value, {
+      key: key.value,
+      mode: progressionMode.value,
+      beatsPerBar: beatsPerBar.value
+    })
+    reloadAudioProgression()
+  }
+
+  function toggleAnalysis() {
+    showAnalysis.value = !showAnalysis.value
+  }
+
   /**
    * Move chord from one position to another
    * @param {number} fromIndex - Source position
@@ -508,39 +1121,78 @@ export const useHarmonyStore = defineStore('harmony', () => {
     // State
     key,
     mode,
+    formMode,
+    meter,
     currentChord,
     progression,
     tension,
     gravity,
+    tensionCurve,
+    markovOrder,
+    seed,
+    seedLocked,
     modulationEnabled,
     modulationProbability,
     modulationLevel,
     returnToTonic,
+    keyPlan,
+    keyPlanPath,
+    savedMatrices,
+    activeMatrixId,
     voicingStyle,
+    voicingRange,
+    compingStyle,
+    compingDensity,
+    compingVariation,
+    bassFeel,
+    drumGroove,
     stylePreset,
     tempo,
     swingAmount,
+    arrangement,
     isPlaying,
     audioInitialized,
     masterVolume,
     pianoVolume,
     bassVolume,
     drumsVolume,
+    clickVolume,
+    metronome,
+    humanize,
     bassEnabled,
     drumsEnabled,
     showForceGraph,
     showPianoRoll,
+    showAnalysis,
     currentBeat,
     currentMeasure,
+    currentBar,
+    currentPart,
+    practice,
+    practicePass,
+    practiceTempo,
+    trading,
 
     // Computed
     keySignature,
+    progressionMode,
     progressionString,
+    beatsPerBar,
+    totalBars,
+    activeMatrix,
+    analysis,
+    tensionFit,
+    practiceRange,
+    practiceBest,
 
     // Actions
     initAudio,
     setKey,
     setMode,
+    setMeter,
+    trainMatrix,
+    selectMatrix,
+    removeMatrix,
     step,
     generateProgression,
     play,
@@ -549,12 +1201,33 @@ export const useHarmonyStore = defineStore('harmony', () => {
     setTempo,
     setSwingAmount,
     setGravity,
+    setTensionCurve,
+    setTensionCurvePoint,
+    setMarkovOrder,
+    setSeed,
+    setSeedLocked,
     setModulationProbability,
+    addKeyArea,
+    updateKeyArea,
+    removeKeyArea,
+    clearKeyPlan,
     setVoicingStyle,
+    setVoicingRange,
+    setComping,
+    setBassFeel,
+    setDrumGroove,
     setStylePreset,
     setVolume,
     setBassEnabled,
     setDrumsEnabled,
+    setHumanize,
+    setArrangement,
+    setMetronome,
+    setPractice,
+    practiceChords,
+    dropPracticeTempo,
+    clearPracticeBest,
+    setTrading,
     modulate,
     previewChord,
     getCurrentChordInfo,
@@ -564,6 +1237,13 @@ export const useHarmonyStore = defineStore('harmony', () => {
     insertChordAt,
     removeChordAt,
     moveChord,
+    setChordsLocked,
+    unlockAll,
+    regenerateUnlocked,
+    regenerateRange,
+    setChordDuration,
+    applyAnalysisKeys,
+    toggleAnalysis,
 
     // Clipboard (v0.3.0)
     clipboard,
@@ -573,8 +1253,16 @@ export const useHarmonyStore = defineStore('harmony', () => {
 
     // Song Forms (v0.3.5)
     songForm,
+    formComplexity,
+    savedForms,
+    formTemplates,
+    formOptions,
+    saveCustomForm,
+    removeCustomForm,
+    importCustomForms,
     generateSongForm,
     loadProgression,
+    loadStandard,
     FORM_TEMPLATES
   }
 })
@@ -5,6 +5,11 @@
  * Format: irealb://[title]=[composer]=[style]=[key]=[n]=[chords]
  */
 
+import { groupIntoBars } from '../engine/HarmonicRhythm.js'
+import { resolveDegree, getDegreeRootPitch } from '../engine/DegreeRegistry.js'
+import { NO_CHORD } from '../engine/ChordConverter.js'
+import { DEFAULT_METER, getMeterInfo } from '../engine/Meter.js'
+
 // iReal Pro chord symbol mapping
 const CHORD_MAP = {
   'maj7': '^7',
@@ -23,7 +28,19 @@ const CHORD_MAP = {
   '7#9': '7#9',
   '7b13': '7b13',
   'sus4': 'sus',
-  '7sus4': '7sus'
+  'sus': 'sus',
+  '7sus4': '7sus',
+  '7sus': '7sus',
+  '13sus': '13sus',
+  'maj7#11': '^7#11',
+  'maj7#5': '^7#5',
+  '6/9': '69',
+  'm(maj7)': '-^7',
+  '7#11': '7#11',
+  '7#5': '7#5',
+  '7#9#5': '7#9#5',
+  '7b9b13': '7b9b13',
+  'aug': '+'
 }
 
 // Key signature mapping
@@ -35,15 +52,16 @@ const KEY_MAP = {
 /**
  * Convert internal chord representation to iReal Pro format
  */
-function chordToIReal(degree, key, degreeInfo) {
+function chordToIReal(degree, key) {
+  // iReal Pro writes "no chord" as n
+  if (degree === NO_CHORD) return 'n'
+
   // Get root note
   const roots = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B']
-  const keyIndex = roots.indexOf(key) || 0
-  const rootIndex = (keyIndex + (degreeInfo?.root || 0) + 12) % 12
-  const root = roots[rootIndex]
+  const root = roots[getDegreeRootPitch(degree, key, 0) % 12]
 
   // Get chord type
-  const type = degreeInfo?.type || 'm7'
+  const type = resolveDegree(degree)?.type || 'm7'
   const iRealType = CHORD_MAP[type] || '-7'
 
   return root + iRealType
@@ -65,38 +83,48 @@ function encodeIReal(str) {
  * Generate iReal Pro URL from progression
  *
  * @param {Array} progression - Array of chord objects {degree, key}
- * @param {Object} degrees - JAZZ_DEGREES mapping
  * @param {Object} options - Export options
  * @returns {string} iReal Pro URL
  */
-export function generateIRealUrl(progression, degrees, options = {}) {
+export function generateIRealUrl(progression, options = {}) {
   const {
     title = 'RameauJazz Progression',
     composer = 'Generated',
     style = 'Medium Swing',
-    key = 'C'
+    key = 'C',
+    meter = DEFAULT_METER
   } = options
 
+  const meterInfo = getMeterInfo(meter)
+
   // Build chord string
   // iReal format: [chord] for each beat, | for bar lines, {} for repeats
   let chords = ''
-
-  progression.forEach((chord, i) => {
-    const degreeInfo = degrees[chord.degree]
-    const iRealChord = chordToIReal(chord.degree, chord.key, degreeInfo)
-
-    // Add chord (one per bar in 4/4)
-    chords += iRealChord
+  const bars = groupIntoBars(progression, meterInfo.beats)
+
+  bars.forEach((bar, i) => {
+    const starts = bar.filter(segment => segment.isChordStart)
+
+    if (starts.length === 0) {
+      // Chord held from previous bar: repeat measure
+      chords += 'x'
+    } else {
+      // Chords within the bar separated by spaces
+      chords += starts
+        .map(({ chord }) => chordToIReal(chord.degree, chord.key))
+        .join(' ')
+    }
 
     // Add bar line (except last)
-    if (i < progression.length - 1) {
+    if (i < bars.length - 1) {
       chords += ' |'
     }
   })
 
   // Wrap in structure markers
-  // [T44 = 4/4 time, *A = section A
-  const structure = `*A[T44${chords}Z`
+  // [T44 = 4/4 time (T34, T68...; 12/8 is T12), *A = section A
+  const timeSignature = meterInfo.id === '12/8' ? 'T12' : `T${meterInfo.beats}${meterInfo.unit}`
+  const structure = `*A[${timeSignature}${chords}Z`
 
   // Build URL
   // Format: irealb://[title]=[composer]=[style]=[key]=[n]=[chords]
@@ -108,8 +136,8 @@ export function generateIRealUrl(progression, degrees, options = {}) {
 /**
  * Generate and trigger download/open of iReal Pro progression
  */
-export function exportToIReal(progression, degrees, options = {}) {
-  const url = generateIRealUrl(progression, degrees, options)
+export function exportToIReal(progression, options = {}) {
+  const url = generateIRealUrl(progression, options)
 
   // Try to open in iReal Pro (works on iOS/Mac if app installed)
   window.open(url, '_blank')
@@ -120,8 +148,8 @@ export function exportToIReal(progression, degrees, options = {}) {
 /**
  * Copy iReal Pro URL to clipboard
  */
-export async function copyIRealUrl(progression, degrees, options = {}) {
-  const url = generateIRealUrl(progression, degrees, options)
+export async function copyIRealUrl(progression, options = {}) {
+  const url = generateIRealUrl(progression, options)
 
   try {
     await navigator.clipboard.writeText(url)